@@ -20,6 +20,92 @@ module.exports = {
       out_file: './logs/out.log',
       log_file: './logs/combined.log',
       merge_logs: true
+    },
+    {
+      // Live booking reminders and abandoned-live cleanup, one pass per minute
+      name: 'bingeme-live-worker',
+      script: 'src/workers/liveWorker.js',
+      instances: 1,
+      exec_mode: 'fork',
+      cron_restart: '* * * * *',
+      autorestart: false,
+      watch: false,
+      time: true,
+      env: {
+        NODE_ENV: 'production'
+      },
+      error_file: './logs/live-worker-err.log',
+      out_file: './logs/live-worker-out.log',
+      merge_logs: true
+    },
+    {
+      // Subscription renewals, grace-period retries and expiry, one pass every 15 minutes.
+      // Verify with `node src/workers/subscriptionWorker.js --dry-run` before enabling.
+      name: 'bingeme-subscription-worker',
+      script: 'src/workers/subscriptionWorker.js',
+      instances: 1,
+      exec_mode: 'fork',
+      cron_restart: '*/15 * * * *',
+      autorestart: false,
+      watch: false,
+      time: true,
+      env: {
+        NODE_ENV: 'production'
+      },
+      error_file: './logs/subscription-worker-err.log',
+      out_file: './logs/subscription-worker-out.log',
+      merge_logs: true
+    },
+    {
+      // Publishes scheduled posts and notifies subscribers, one pass per minute
+      name: 'bingeme-scheduled-posts-worker',
+      script: 'src/workers/scheduledPostsWorker.js',
+      instances: 1,
+      exec_mode: 'fork',
+      cron_restart: '* * * * *',
+      autorestart: false,
+      watch: false,
+      time: true,
+      env: {
+        NODE_ENV: 'production'
+      },
+      error_file: './logs/scheduled-posts-worker-err.log',
+      out_file: './logs/scheduled-posts-worker-out.log',
+      merge_logs: true
+    },
+    {
+      // Delivers mass message campaigns in batches, one pass per minute
+      name: 'bingeme-message-campaign-worker',
+      script: 'src/workers/messageCampaignWorker.js',
+      instances: 1,
+      exec_mode: 'fork',
+      cron_restart: '* * * * *',
+      autorestart: false,
+      watch: false,
+      time: true,
+      env: {
+        NODE_ENV: 'production'
+      },
+      error_file: './logs/message-campaign-worker-err.log',
+      out_file: './logs/message-campaign-worker-out.log',
+      merge_logs: true
+    },
+    {
+      // Emails daily/weekly notification digests to users who have been away, one pass per hour
+      name: 'bingeme-email-digest-worker',
+      script: 'src/workers/emailDigestWorker.js',
+      instances: 1,
+      exec_mode: 'fork',
+      cron_restart: '0 * * * *',
+      autorestart: false,
+      watch: false,
+      time: true,
+      env: {
+        NODE_ENV: 'production'
+      },
+      error_file: './logs/email-digest-worker-err.log',
+      out_file: './logs/email-digest-worker-out.log',
+      merge_logs: true
     }
   ]
 };
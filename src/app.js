@@ -20,6 +20,7 @@ import liveRoutes from './routes/live.js';
 import mediaRoutes from './routes/media.js';
 import messageRoutes from './routes/messages.js';
 import notificationRoutes from './routes/notifications.js';
+import ordersRoutes from './routes/orders.js';
 import pagesRoutes from './routes/pages.js';
 import payoutRoutes from './routes/payout.js';
 import postsRoutes from './routes/posts.js';
@@ -27,8 +28,10 @@ import privacyRoutes from './routes/privacy.js';
 import productsRoutes from './routes/products.js';
 import referralsRoutes from './routes/referrals.js';
 import salesRoutes from './routes/sales.js';
+import subscriptionsRoutes from './routes/subscriptions.js';
 import userRoutes from './routes/user.js';
 import verificationRoutes from './routes/verification.js';
+import walletRoutes from './routes/wallet.js';
 import aliasRoutes from './routes/aliases.js';
 import { purgeCloudfrontOnWrite } from './middleware/purgeCloudfront.js';
 
@@ -135,6 +138,7 @@ app.use('/live', liveRoutes);
 app.use('/media', mediaRoutes);
 app.use('/messages', messageRoutes);
 app.use('/notifications', notificationRoutes);
+app.use('/orders', ordersRoutes);
 app.use('/pages', pagesRoutes);
 app.use('/payout', payoutRoutes);
 app.use('/posts', postsRoutes);
@@ -142,8 +146,10 @@ app.use('/privacy', privacyRoutes);
 app.use('/products', productsRoutes);
 app.use('/referrals', referralsRoutes);
 app.use('/sales', salesRoutes);
+app.use('/subscriptions', subscriptionsRoutes);
 app.use('/user', userRoutes);
 app.use('/verification', verificationRoutes);
+app.use('/wallet', walletRoutes);
 
 // Mount alias routes LAST so it doesn't override specific routes like /docs
 app.use('/', aliasRoutes);
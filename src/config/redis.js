@@ -14,24 +14,18 @@ const createRedisClient = () => {
 
   try {
     redisClient = createClient({
-      host: process.env.REDIS_HOST || 'localhost',
-      port: process.env.REDIS_PORT || 6379,
-      password: process.env.REDIS_PASSWORD,
-      retry_strategy: (options) => {
-        if (options.error && options.error.code === 'ECONNREFUSED') {
-          logError('Redis server connection refused');
-          return new Error('Redis server connection refused');
+      socket: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT) || 6379,
+        reconnectStrategy: (retries) => {
+          if (retries > 10) {
+            logError('Redis max retry attempts reached');
+            return new Error('Retry attempts exhausted');
+          }
+          return Math.min(retries * 100, 3000);
         }
-        if (options.total_retry_time > 1000 * 60 * 60) {
-          logError('Redis retry time exhausted');
-          return new Error('Retry time exhausted');
-        }
-        if (options.attempt > 10) {
-          logError('Redis max retry attempts reached');
-          return undefined;
-        }
-        return Math.min(options.attempt * 100, 3000);
-      }
+      },
+      password: process.env.REDIS_PASSWORD || undefined
     });
 
     // Event handlers
@@ -103,7 +97,7 @@ const getRedis = () => {
  */
 const closeRedis = async () => {
   if (redisClient) {
-    await redisClient.quit();
+    if (redisClient.isOpen) await redisClient.quit();
     redisClient = null;
     logInfo('Redis connection closed');
   }
@@ -9,7 +9,7 @@ import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import axios from 'axios';
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, GetCommand, UpdateCommand, DeleteCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand } from '@aws-sdk/lib-dynamodb';
 import { getDB } from '../config/database.js';
 import { 
   logInfo, 
@@ -29,6 +29,7 @@ import {
   verifyRefreshToken,
   verifyEmailOTP,
   getDeviceInfo,
+  markUserActive,
   convertAnonymousToAuthenticated,
   getFile,
   getAdminSettings,
@@ -38,7 +39,9 @@ import {
   // Added for refresh parity with Lambda
   getRefreshToken,
   revokeRefreshToken,
-  isRefreshTokenExpiringSoon,
+  markRefreshTokenRotated,
+  revokeRefreshTokenFamily,
+  encryptId,
   decryptId,
   isEncryptedId,
   getSupportUserIds,
@@ -47,11 +50,42 @@ import {
 import { sendWhatsAppOTP } from '../utils/whatsapp.js';
 import { sendEmailOTP } from '../utils/mail.js';
 import { validateEmail, validateMobile, validatePassword } from '../utils/validations.js';
+import { SECURITY_EVENTS, logSecurityEvent } from '../utils/securityEvents.js';
+import { isTwoFactorEnabled, createTwoFactorChallenge, verifyTwoFactorChallenge, verifyTwoFactorCode } from '../utils/twoFactor.js';
+import { getAccountLockout, recordFailedLogin, recordSuccessfulLogin, verifyLoginAlertToken, consumeLoginAlertToken } from '../utils/loginSecurity.js';
+import { clearUserSessions } from '../utils/privacy_security.js';
+import {
+  LINKED_ACCOUNT_PROVIDERS,
+  getLinkedAccounts,
+  findUserIdByLinkedAccount,
+  saveLinkedAccount,
+  unlinkAccount,
+  isAccountUnlinked,
+  getLoginMethods
+} from '../utils/linkedAccounts.js';
+import {
+  SUPPORTED_ALGORITHMS,
+  getRelyingParty,
+  createPasskeyChallenge,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+  getUserPasskeys,
+  getPasskeyByCredentialId,
+  savePasskey,
+  updatePasskeyUsage
+} from '../utils/passkeys.js';
 
 // Initialize DynamoDB client
 const ddbClient = new DynamoDBClient({ region: process.env.AWS_DEFAULT_REGION });
 const docClient = DynamoDBDocumentClient.from(ddbClient);
 
+// How long the browser/app waits for the user during a passkey ceremony
+const PASSKEY_TIMEOUT_MS = 5 * 60 * 1000;
+// A rotated refresh token presented again this soon is a concurrent refresh, not a replay
+const REFRESH_REUSE_GRACE_MS = Number(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || 30) * 1000;
+// Longest chain of successors followed when revoking a reused token's family
+const MAX_REFRESH_CHAIN = 50;
+
 /**
  * Anonymous user initialization with Apple App Attest support
  * @param {object} req - Express request object
@@ -397,11 +431,13 @@ const verifyOtp = async (req, res) => {
     }
     
     // Generate new access and refresh tokens (without email)
-    const newAccessToken = generateAccessToken({ id: parseInt(createdUser.id, 10), role: 'normal' });
+    // sid is the refresh token family, so GET /privacy/sessions can tell which session is the current one
+    const familyId = crypto.randomUUID();
+    const newAccessToken = generateAccessToken({ id: parseInt(createdUser.id, 10), role: 'normal', sid: familyId });
     const newRefreshToken = generateRefreshToken({ id: parseInt(createdUser.id, 10), role: 'normal' });
     
     // Store refresh token in DynamoDB
-    const storeResult = await storeRefreshToken(createdUser.id.toString(), newRefreshToken, req);
+    const storeResult = await storeRefreshToken(createdUser.id.toString(), newRefreshToken, req, { familyId });
     if (!storeResult) {
       logError('Failed to store refresh token for new user');
       return res.status(500).json(createErrorResponse(500, 'Failed to create session'));
@@ -552,14 +588,29 @@ const login = async (req, res) => {
       if (!user.password) {
         return res.status(401).json(createErrorResponse(401, 'Account not set up for password login. Please use OTP login or set a password first.'));
       }
+      const lockedForSeconds = await getAccountLockout(user.id);
+      if (lockedForSeconds > 0) {
+        return sendAccountLocked(res, lockedForSeconds);
+      }
+      let isMatch;
       try {
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) {
-          return res.status(401).json(createErrorResponse(401, 'Invalid credentials'));
-        }
+        isMatch = await bcrypt.compare(password, user.password);
       } catch (compareError) {
         return res.status(500).json(createErrorResponse(500, 'Internal server error'));
       }
+      if (!isMatch) {
+        const failure = await recordFailedLogin(user.id, req);
+        if (failure.lockedForSeconds > 0) {
+          return sendAccountLocked(res, failure.lockedForSeconds);
+        }
+        return res.status(401).json(createErrorResponse(401, 'Invalid credentials'));
+      }
+    }
+
+    // Authenticator app 2FA replaces the emailed code
+    const totpChallenge = await getTwoFactorChallengeResponse(user, 'password');
+    if (totpChallenge) {
+      return res.json(totpChallenge);
     }
 
     // 2FA flow
@@ -578,13 +629,16 @@ const login = async (req, res) => {
       }
     }
 
+    await recordSuccessfulLogin(user, req, 'password');
+
     // Determine effective role for parity with Lambda
     const effectiveRole = (user.role === 'normal') ? (user.verified_id === 'yes' ? 'creator' : 'user') : (user.role || 'normal');
 
     // Generate tokens and return success
-    const accessToken = generateAccessToken({ id: parseInt(user.id, 10), role: effectiveRole });
+    const familyId = crypto.randomUUID();
+    const accessToken = generateAccessToken({ id: parseInt(user.id, 10), role: effectiveRole, sid: familyId });
     const refreshToken = generateRefreshToken({ id: parseInt(user.id, 10), role: effectiveRole });
-    await storeRefreshToken(String(user.id), refreshToken, req);
+    await storeRefreshToken(String(user.id), refreshToken, req, { familyId });
 
     // Upsert FCM token if provided
     try {
@@ -684,11 +738,19 @@ const loginVerify = async (req, res) => {
       default: return res.status(500).json(createErrorResponse(500, 'Unknown account status.'));
     }
 
+    const totpChallenge = await getTwoFactorChallengeResponse(user, 'otp');
+    if (totpChallenge) {
+      return res.json(totpChallenge);
+    }
+
+    await recordSuccessfulLogin(user, req, 'otp');
+
     // Determine effective role and generate tokens
     const effectiveRole = (user.role === 'normal') ? (user.verified_id === 'yes' ? 'creator' : 'user') : (user.role || 'normal');
-    const accessToken = generateAccessToken({ id: parseInt(user.id, 10), role: effectiveRole });
+    const familyId = crypto.randomUUID();
+    const accessToken = generateAccessToken({ id: parseInt(user.id, 10), role: effectiveRole, sid: familyId });
     const refreshToken = generateRefreshToken({ id: parseInt(user.id, 10), role: effectiveRole });
-    await storeRefreshToken(String(user.id), refreshToken, req);
+    await storeRefreshToken(String(user.id), refreshToken, req, { familyId });
 
     // Upsert FCM token if provided
     try {
@@ -792,10 +854,29 @@ const refresh = async (req, res) => {
       return res.status(401).json(createErrorResponse(401, 'Refresh token not found or revoked'));
     }
 
-    // Should renew if expiring within 7 days
-    const shouldRenew = isRefreshTokenExpiringSoon(storedTokenData.expiresAt, 7);
+    // Prepare payload; tokens issued before families existed start one now
+    const familyId = storedTokenData.familyId || crypto.randomUUID();
+    const tokenPayload = { ...user, sid: familyId };
+
+    // A token that was already rotated is being presented again
+    if (storedTokenData.rotatedAt) {
+      const rotatedAgoMs = Date.now() - new Date(storedTokenData.rotatedAt).getTime();
+      if (storedTokenData.replacedBy && rotatedAgoMs <= REFRESH_REUSE_GRACE_MS) {
+        // Concurrent refreshes from one app (e.g. several requests hitting an expired access token): hand out the same successor
+        logInfo('Refresh token replayed within grace window', { id, rotatedAgoMs });
+        return res.json(createSuccessResponse('Tokens refreshed successfully', {
+          accessToken: generateAccessToken(tokenPayload),
+          refreshToken: storedTokenData.replacedBy,
+          user: { id: user.id.toString(), role: user.role, isAnonymous: user.isAnonymous }
+        }));
+      }
+
+      // Otherwise the token leaked: whoever holds the family's current token may be the attacker, so end the whole login
+      await handleRefreshTokenReuse(req, user, refreshToken, storedTokenData);
+      return res.status(401).json(createErrorResponse(401, 'Refresh token reuse detected. Please sign in again.'));
+    }
 
-    // Device fingerprint comparison
+    // Device fingerprint comparison (informational: every refresh rotates the token)
     const deviceFingerprintMatch = storedTokenData.deviceFingerprint === currentDeviceInfo.deviceFingerprint;
     logInfo('Device fingerprint validation', {
       stored: storedTokenData.deviceFingerprint,
@@ -803,58 +884,49 @@ const refresh = async (req, res) => {
       match: deviceFingerprintMatch
     });
 
-    // Prepare payload
-    const tokenPayload = { ...user };
-
     // Always new access token
     const accessToken = generateAccessToken(tokenPayload);
 
-    let action = 'kept';
-    let newRefresh = null;
-
-    if (deviceFingerprintMatch && !shouldRenew) {
-      // Keep existing refresh token
-      action = 'kept';
-    } else if (deviceFingerprintMatch && shouldRenew) {
-      // Renew same-device token near expiry
-      newRefresh = generateRefreshToken(tokenPayload);
-      await revokeRefreshToken(refreshToken, id.toString());
-      const stored = await storeRefreshToken(id.toString(), newRefresh, req);
-      if (!stored) {
-        logError('Failed to store new refresh token');
-        return res.status(500).json(createErrorResponse(500, 'Failed to refresh session'));
-      }
-      action = 'renewed';
-    } else {
-      // New device/session → create new session record
-      newRefresh = generateRefreshToken(tokenPayload);
-      const stored = await storeRefreshToken(id.toString(), newRefresh, req);
-      if (!stored) {
-        logError('Failed to store new refresh token for new device');
-        return res.status(500).json(createErrorResponse(500, 'Failed to create new session'));
+    // Rotate: the successor joins the same family
+    let newRefresh = generateRefreshToken(tokenPayload);
+    const stored = await storeRefreshToken(id.toString(), newRefresh, req, {
+      familyId,
+      sessionStartedAt: storedTokenData.sessionStartedAt
+    });
+    if (!stored) {
+      logError('Failed to store new refresh token');
+      return res.status(500).json(createErrorResponse(500, 'Failed to refresh session'));
+    }
+
+    let action = 'rotated';
+    if (!await markRefreshTokenRotated(refreshToken, id.toString(), newRefresh, familyId, storedTokenData.expiresAt)) {
+      // A concurrent request rotated it first: drop ours and return the winner's successor
+      await revokeRefreshToken(newRefresh, id.toString());
+      const current = await getRefreshToken(refreshToken, id.toString());
+      if (!current?.replacedBy) {
+        return res.status(401).json(createErrorResponse(401, 'Refresh token not found or revoked'));
       }
-      action = 'new_device';
+      newRefresh = current.replacedBy;
+      action = 'concurrent';
     }
 
+    if (!user.isAnonymous) await markUserActive(id);
+
     logInfo('Tokens refreshed successfully', {
       id,
       newAccessTokenExpiry: '1h',
       refreshTokenAction: action
     });
 
-    const data = {
+    return res.json(createSuccessResponse('Tokens refreshed successfully', {
       accessToken,
+      refreshToken: newRefresh,
       user: {
         id: user.id.toString(),
         role: user.role,
         isAnonymous: user.isAnonymous
       }
-    };
-    if (newRefresh) {
-      data.refreshToken = newRefresh;
-    }
-
-    return res.json(createSuccessResponse('Tokens refreshed successfully', data));
+    }));
   } catch (error) {
     logError('Token refresh error', error);
     return res.status(500).json(createErrorResponse(500, 'Internal server error'));
@@ -906,8 +978,12 @@ const logout = async (req, res) => {
 
     logInfo('Logout request', { userId: String(userId), role: decoded.role });
 
-    // Revoke the specific refresh token; proceed even if it fails
+    // Revoke the refresh token and its rotated predecessors; proceed even if it fails
     try {
+      const storedTokenData = await getRefreshToken(refreshToken, String(userId));
+      if (storedTokenData?.familyId) {
+        await revokeRefreshTokenFamily(String(userId), storedTokenData.familyId);
+      }
       await revokeRefreshToken(refreshToken, String(userId));
       logInfo('Revoked refresh token for user', { userId: String(userId) });
     } catch (e) {
@@ -1126,13 +1202,6 @@ const googleSignin = async (req, res) => {
     let user = await findUserByOAuthOrEmail(oauthUid, email, 'google');
     if (!user) {
       user = await createUserWithGoogle({ name, email, oauthUid, ip: req.ip });
-    } else {
-      // Link oauth data if missing
-      if (!user.oauth_provider || !user.oauth_uid) {
-        await attachGoogleToExistingUser(user.id, oauthUid);
-        user.oauth_provider = 'google';
-        user.oauth_uid = oauthUid;
-      }
     }
 
     // Check account status
@@ -1143,11 +1212,23 @@ const googleSignin = async (req, res) => {
       return res.status(403).json(createErrorResponse(403, 'Your account is pending confirmation.'));
     }
 
+    if (!await linkOAuthOnSignIn(user, 'google', oauthUid, email)) {
+      return res.status(409).json(createErrorResponse(409, unlinkedSignInMessage('google')));
+    }
+
+    const totpChallenge = await getTwoFactorChallengeResponse(user, 'google');
+    if (totpChallenge) {
+      return res.json(totpChallenge);
+    }
+
+    await recordSuccessfulLogin(user, req, 'google');
+
     // Generate tokens and store refresh session
     const role = user.role || 'normal';
-    const accessToken = generateAccessToken({ id: parseInt(user.id, 10), role });
+    const familyId = crypto.randomUUID();
+    const accessToken = generateAccessToken({ id: parseInt(user.id, 10), role, sid: familyId });
     const refreshToken = generateRefreshToken({ id: parseInt(user.id, 10), role });
-    const stored = await storeRefreshToken(String(user.id), refreshToken, req);
+    const stored = await storeRefreshToken(String(user.id), refreshToken, req, { familyId });
     if (!stored) {
       return res.status(500).json(createErrorResponse(500, 'Failed to create session'));
     }
@@ -1232,25 +1313,20 @@ const appleSignin = async (req, res) => {
     // Verify Apple ID token
     const payload = await verifyAppleIdToken(idTokenToVerify, resolvedClientId);
     const oauthUid = payload.sub;
-    const email = (payload.email || bodyEmail || '').toLowerCase();
+    // Only the signed token's email may match or create an account; the body email is unverified
+    const email = (payload.email || '').toLowerCase();
     const name = payload.name || bodyName || 'User';
-
-    // Email can be absent on subsequent Apple logins require it from body if not present
-    if (!email) {
-      return res.status(400).json(createErrorResponse(400, 'Email is required from Apple token or body'));
+    if (bodyEmail && !email) {
+      logInfo('Apple sign in: ignoring unverified body email', { oauthUid });
     }
 
     // Find or create user
     let user = await findUserByOAuthOrEmail(oauthUid, email, 'apple');
+    if (!user && !email) {
+      return res.status(400).json(createErrorResponse(400, 'Email is required from Apple token'));
+    }
     if (!user) {
       user = await createUserWithApple({ name, email, oauthUid, ip: req.ip });
-    } else {
-      // Link oauth data if missing
-      if (!user.oauth_provider || !user.oauth_uid) {
-        await attachAppleToExistingUser(user.id, oauthUid);
-        user.oauth_provider = 'apple';
-        user.oauth_uid = oauthUid;
-      }
     }
 
     // Check account status
@@ -1261,10 +1337,22 @@ const appleSignin = async (req, res) => {
       return res.status(403).json(createErrorResponse(403, 'Your account is pending confirmation.'));
     }
 
+    if (!await linkOAuthOnSignIn(user, 'apple', oauthUid, email || null)) {
+      return res.status(409).json(createErrorResponse(409, unlinkedSignInMessage('apple')));
+    }
+
+    const totpChallenge = await getTwoFactorChallengeResponse(user, 'apple');
+    if (totpChallenge) {
+      return res.json(totpChallenge);
+    }
+
+    await recordSuccessfulLogin(user, req, 'apple');
+
     // Generate tokens
-    const accessToken = generateAccessToken({ id: parseInt(user.id, 10), role: user.role || 'normal' });
+    const familyId = crypto.randomUUID();
+    const accessToken = generateAccessToken({ id: parseInt(user.id, 10), role: user.role || 'normal', sid: familyId });
     const refreshToken = generateRefreshToken({ id: parseInt(user.id, 10), role: user.role || 'normal' });
-    await storeRefreshToken(String(user.id), refreshToken, req);
+    await storeRefreshToken(String(user.id), refreshToken, req, { familyId });
 
     // If suspended, respond accordingly but still provide tokens
     if (user.status === 'suspended') {
@@ -1300,6 +1388,476 @@ const appleSignin = async (req, res) => {
   }
 };
 
+/**
+ * Two-factor verification handler: exchanges the login challenge and a TOTP or backup code for tokens
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const twoFactorVerify = async (req, res) => {
+  try {
+    const { challenge, code, backup_code } = req.body || {};
+
+    if (!challenge || (!code && !backup_code)) {
+      return res.status(400).json(createErrorResponse(400, 'challenge and code or backup_code are required'));
+    }
+
+    const ip = req.ip || req.connection?.remoteAddress || '0.0.0.0';
+    if (!await checkRateLimit(ip, '/auth/2fa/verify')) {
+      return res.status(429).json(createErrorResponse(429, 'Too many requests'));
+    }
+
+    const verifiedChallenge = verifyTwoFactorChallenge(challenge);
+    if (!verifiedChallenge) {
+      return res.status(401).json(createErrorResponse(401, 'Login session expired. Please sign in again.'));
+    }
+
+    // Per-account limit too, so a stolen challenge cannot be brute forced from many IPs
+    if (!await checkRateLimit(`user:${verifiedChallenge.userId}`, '/auth/2fa/verify')) {
+      return res.status(429).json(createErrorResponse(429, 'Too many requests'));
+    }
+
+    const pool = getDB();
+    const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [verifiedChallenge.userId]);
+    const user = rows[0] || null;
+    if (!user) {
+      return res.status(404).json(createErrorResponse(404, 'Invalid credentials'));
+    }
+    if (user.status === 'deleted') {
+      return res.status(403).json(createErrorResponse(403, 'Your account has been deleted.'));
+    }
+    if (user.status === 'pending') {
+      return res.status(403).json(createErrorResponse(403, 'Your account is pending confirmation.'));
+    }
+
+    const lockedForSeconds = await getAccountLockout(user.id);
+    if (lockedForSeconds > 0) {
+      return sendAccountLocked(res, lockedForSeconds);
+    }
+
+    const usedMethod = await verifyTwoFactorCode(user.id, { code, backupCode: backup_code });
+    if (!usedMethod) {
+      const failure = await recordFailedLogin(user.id, req);
+      if (failure.lockedForSeconds > 0) {
+        return sendAccountLocked(res, failure.lockedForSeconds);
+      }
+      return res.status(401).json(createErrorResponse(401, 'Invalid or expired two-factor code'));
+    }
+    logInfo('Two-factor login verified', { userId: user.id, firstFactor: verifiedChallenge.method, secondFactor: usedMethod });
+
+    await recordSuccessfulLogin(user, req, verifiedChallenge.method);
+    return await sendLoginSession(req, res, user, 'Login successful');
+  } catch (error) {
+    logError('Two-factor verification error', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Minimal page for the "this wasn't me" link, which is opened in a browser from the alert.
+ * With a token it shows the confirmation form that POSTs the token back.
+ */
+const renderLoginAlertPage = (title, message, token = null) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 48px auto; padding: 0 16px;">
+  <h1 style="font-size: 22px;">${escapeHtml(title)}</h1>
+  <p>${escapeHtml(message)}</p>
+  ${token ? `<form method="POST" action="revoke">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <button type="submit">Sign out of every device</button>
+  </form>` : ''}
+</body>
+</html>`;
+
+/**
+ * "This wasn't me" confirmation for new sign-in alerts: GET opens the signed link from the email or
+ * WhatsApp message and only shows a page asking to confirm, so link scanners and previews that fetch
+ * the URL do not sign the account out. No login needed.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const loginAlertRevokeConfirm = async (req, res) => {
+  try {
+    const token = req.query?.token;
+    const userId = await verifyLoginAlertToken(token);
+    if (!userId) {
+      return res.status(400).type('html').send(renderLoginAlertPage(
+        'Link expired', 'This link is invalid, has expired or has already been used.'
+      ));
+    }
+
+    return res.type('html').send(renderLoginAlertPage(
+      "Wasn't you?",
+      'If you did not just sign in, sign your account out of every device, then change your password.',
+      token
+    ));
+  } catch (error) {
+    logError('Login alert confirm error', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
+/**
+ * "This wasn't me" handler for new sign-in alerts: signs the account out of every device.
+ * POSTed by the confirmation page (HTML reply) or an app (JSON reply). The token works once.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const loginAlertRevoke = async (req, res) => {
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+  try {
+    const userId = await consumeLoginAlertToken(req.body?.token);
+    if (!userId) {
+      const message = 'Invalid, expired or already used link';
+      return wantsHtml
+        ? res.status(400).type('html').send(renderLoginAlertPage('Link expired', message))
+        : res.status(400).json(createErrorResponse(400, message));
+    }
+
+    const clearResult = await clearUserSessions(userId);
+    await logSecurityEvent(userId, SECURITY_EVENTS.LOGIN_DISPUTED, req, { dynamoDeleted: clearResult.dynamoDeleted });
+
+    if (!clearResult.success) {
+      // The link is spent, so the user is pointed to support rather than back to it
+      const message = 'Failed to sign out some devices. Please change your password and contact support.';
+      return wantsHtml
+        ? res.status(500).type('html').send(renderLoginAlertPage('Something went wrong', message))
+        : res.status(500).json(createErrorResponse(500, message));
+    }
+    const message = 'You have been signed out of every device. Please change your password.';
+    return wantsHtml
+      ? res.type('html').send(renderLoginAlertPage('Signed out', message))
+      : res.json(createSuccessResponse(message, { sessionsRevoked: clearResult.totalDeleted }));
+  } catch (error) {
+    logError('Login alert revoke error', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
+const PROVIDER_LABELS = { google: 'Google', apple: 'Apple' };
+
+const unlinkedSignInMessage = (provider) =>
+  `Your ${PROVIDER_LABELS[provider]} account was unlinked. Sign in another way and link it again from settings.`;
+
+/**
+ * Whether a user can still sign in after unlinking a provider
+ */
+const hasOtherLoginMethod = (methods, provider) =>
+  methods.password || methods.phone || methods.passkeys || methods.providers.some(linked => linked !== provider);
+
+/**
+ * Linked accounts handler: Google/Apple accounts the logged-in user can sign in with
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listLinkedAccounts = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const methods = await getLoginMethods(userId);
+    if (!methods) {
+      return res.status(404).json(createErrorResponse(404, 'User not found'));
+    }
+    const accounts = await getLinkedAccounts(userId);
+
+    return res.json(createSuccessResponse('Linked accounts retrieved successfully', {
+      linked_accounts: accounts.map(account => ({
+        provider: account.provider,
+        email: account.email,
+        linked_at: account.created_at ? new Date(account.created_at).toISOString() : null,
+        can_unlink: hasOtherLoginMethod(methods, account.provider)
+      })),
+      available_providers: LINKED_ACCOUNT_PROVIDERS.filter(provider => !methods.providers.includes(provider))
+    }));
+  } catch (error) {
+    logError('Linked accounts error', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
+/**
+ * Link account handler: verifies a Google/Apple ID token and links that account to the logged-in user
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const linkSocialAccount = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { provider } = req.params;
+    const { idToken, clientId } = req.body || {};
+
+    if (!LINKED_ACCOUNT_PROVIDERS.includes(provider)) {
+      return res.status(400).json(createErrorResponse(400, 'Unsupported provider'));
+    }
+    if (!idToken) {
+      return res.status(400).json(createErrorResponse(400, 'idToken is required'));
+    }
+
+    const ip = req.ip || req.connection?.remoteAddress || '0.0.0.0';
+    if (!await checkRateLimit(ip, `/auth/${provider}`)) {
+      return res.status(429).json(createErrorResponse(429, 'Too many requests'));
+    }
+
+    let payload;
+    try {
+      payload = provider === 'google'
+        ? await verifyGoogleIdToken(idToken)
+        : await verifyAppleIdToken(idToken, clientId || process.env.APPLE_IOS_CLIENT_ID || process.env.APPLE_CLIENT_ID);
+    } catch (error) {
+      return res.status(401).json(createErrorResponse(401, error.message));
+    }
+
+    const label = PROVIDER_LABELS[provider];
+    const linkedUserId = await findUserIdByLinkedAccount(provider, payload.sub);
+    if (linkedUserId && String(linkedUserId) !== String(userId)) {
+      return res.status(409).json(createErrorResponse(409, `This ${label} account is linked to another BingeMe account`));
+    }
+
+    const email = payload.email ? payload.email.toLowerCase() : null;
+    const existing = (await getLinkedAccounts(userId)).find(account => account.provider === provider);
+    if (existing && existing.provider_uid !== payload.sub) {
+      return res.status(409).json(createErrorResponse(409, `A different ${label} account is already linked. Unlink it first.`));
+    }
+    if (!existing) {
+      if (!await saveLinkedAccount(userId, provider, payload.sub, email)) {
+        return res.status(409).json(createErrorResponse(409, `This ${label} account is already linked`));
+      }
+      await logSecurityEvent(userId, SECURITY_EVENTS.SOCIAL_ACCOUNT_LINKED, req, { provider });
+    }
+
+    return res.status(existing ? 200 : 201).json(createSuccessResponse(`${label} account linked successfully`, {
+      provider,
+      email: existing ? existing.email : email
+    }));
+  } catch (error) {
+    logError('Link social account error', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
+/**
+ * Unlink account handler: allowed only while the user keeps another way to sign in
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const unlinkSocialAccount = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { provider } = req.params;
+
+    if (!LINKED_ACCOUNT_PROVIDERS.includes(provider)) {
+      return res.status(400).json(createErrorResponse(400, 'Unsupported provider'));
+    }
+
+    const label = PROVIDER_LABELS[provider];
+    const methods = await getLoginMethods(userId);
+    if (!methods || !methods.providers.includes(provider)) {
+      return res.status(404).json(createErrorResponse(404, `No ${label} account is linked`));
+    }
+    if (!hasOtherLoginMethod(methods, provider)) {
+      return res.status(409).json(createErrorResponse(409,
+        `${label} is your only way to sign in. Set a password or verify your phone number before unlinking it.`));
+    }
+
+    await unlinkAccount(userId, provider);
+    await logSecurityEvent(userId, SECURITY_EVENTS.SOCIAL_ACCOUNT_UNLINKED, req, { provider });
+
+    return res.json(createSuccessResponse(`${label} account unlinked successfully`, { provider }));
+  } catch (error) {
+    logError('Unlink social account error', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
+/**
+ * Passkey registration options handler (input for navigator.credentials.create())
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const passkeyRegisterOptions = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const pool = getDB();
+    const [rows] = await pool.query(
+      `SELECT id, username, name, email FROM users WHERE id = ? AND status != 'deleted'`,
+      [userId]
+    );
+    const user = rows[0];
+    if (!user) {
+      return res.status(404).json(createErrorResponse(404, 'User not found'));
+    }
+
+    const rp = getRelyingParty();
+    const existing = await getUserPasskeys(userId);
+
+    return res.json(createSuccessResponse('Passkey registration options', {
+      publicKey: {
+        challenge: createPasskeyChallenge('register', userId),
+        rp: { id: rp.id, name: rp.name },
+        user: {
+          id: Buffer.from(encryptId(userId)).toString('base64url'),
+          name: user.email || user.username,
+          displayName: user.name || user.username
+        },
+        pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+        timeout: PASSKEY_TIMEOUT_MS,
+        attestation: 'none',
+        authenticatorSelection: { residentKey: 'required', requireResidentKey: true, userVerification: 'preferred' },
+        // Stops the same authenticator from being registered twice
+        excludeCredentials: existing.map(passkey => ({
+          type: 'public-key',
+          id: passkey.credential_id,
+          ...(passkey.transports && { transports: passkey.transports.split(',') })
+        }))
+      }
+    }));
+  } catch (error) {
+    logError('Passkey registration options error', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
+/**
+ * Passkey registration handler: verifies and stores the new credential
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const passkeyRegister = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { credential, name } = req.body || {};
+
+    if (!credential || typeof credential !== 'object') {
+      return res.status(400).json(createErrorResponse(400, 'credential is required'));
+    }
+
+    const verified = verifyRegistrationResponse(credential, userId);
+
+    // Challenge freshness and replay protection
+    if (!await consumeChallengeIfFresh(verified.challenge, 'webauthn')) {
+      return res.status(400).json(createErrorResponse(400, 'Challenge already used or invalid'));
+    }
+
+    const passkeyName = typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : 'Passkey';
+    const passkeyId = await savePasskey(userId, { ...verified, userHandle: encryptId(userId), name: passkeyName });
+    if (!passkeyId) {
+      return res.status(409).json(createErrorResponse(409, 'This passkey is already registered'));
+    }
+
+    return res.status(201).json(createSuccessResponse('Passkey added successfully', {
+      passkey: {
+        id: passkeyId,
+        name: passkeyName,
+        backed_up: verified.backedUp,
+        created_at: new Date().toISOString()
+      }
+    }));
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json(createErrorResponse(400, error.message));
+    }
+    logError('Passkey registration error', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
+/**
+ * Passkey sign-in options handler (input for navigator.credentials.get()).
+ * allowCredentials stays empty: the authenticator offers its discoverable passkeys, so no account is revealed.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const passkeyLoginOptions = async (req, res) => {
+  try {
+    const ip = req.ip || req.connection?.remoteAddress || '0.0.0.0';
+    if (!await checkRateLimit(ip, '/auth/login')) {
+      return res.status(429).json(createErrorResponse(429, 'Too many requests'));
+    }
+
+    return res.json(createSuccessResponse('Passkey sign in options', {
+      publicKey: {
+        challenge: createPasskeyChallenge('login'),
+        rpId: getRelyingParty().id,
+        timeout: PASSKEY_TIMEOUT_MS,
+        userVerification: 'preferred',
+        allowCredentials: []
+      }
+    }));
+  } catch (error) {
+    logError('Passkey sign in options error', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
+/**
+ * Passkey sign-in handler: verifies the assertion and issues tokens
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const passkeyLogin = async (req, res) => {
+  try {
+    const { credential } = req.body || {};
+
+    if (!credential || typeof credential !== 'object' || !credential.id) {
+      return res.status(400).json(createErrorResponse(400, 'credential is required'));
+    }
+
+    const ip = req.ip || req.connection?.remoteAddress || '0.0.0.0';
+    if (!await checkRateLimit(ip, '/auth/login')) {
+      return res.status(429).json(createErrorResponse(429, 'Too many requests'));
+    }
+
+    const passkey = await getPasskeyByCredentialId(credential.id);
+    if (!passkey) {
+      return res.status(401).json(createErrorResponse(401, 'Passkey not recognised'));
+    }
+
+    const usage = verifyAuthenticationResponse(credential, passkey);
+
+    // Challenge freshness and replay protection
+    if (!await consumeChallengeIfFresh(usage.challenge, 'webauthn')) {
+      return res.status(400).json(createErrorResponse(400, 'Challenge already used or invalid'));
+    }
+    await updatePasskeyUsage(passkey.id, usage);
+
+    const pool = getDB();
+    const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [passkey.user_id]);
+    const user = rows[0] || null;
+    if (!user) {
+      return res.status(401).json(createErrorResponse(401, 'Passkey not recognised'));
+    }
+    if (user.status === 'deleted') {
+      return res.status(403).json(createErrorResponse(403, 'Your account has been deleted.'));
+    }
+    if (user.status === 'pending') {
+      return res.status(403).json(createErrorResponse(403, 'Your account is pending confirmation.'));
+    }
+
+    // Unlocked with biometrics or a PIN, a passkey is two factors already; otherwise ask for the TOTP code
+    if (!usage.userVerified) {
+      const totpChallenge = await getTwoFactorChallengeResponse(user, 'passkey');
+      if (totpChallenge) {
+        return res.json(totpChallenge);
+      }
+    }
+
+    logInfo('Passkey sign in', { userId: user.id, passkeyId: passkey.id, userVerified: usage.userVerified });
+    await recordSuccessfulLogin(user, req, 'passkey');
+    return await sendLoginSession(req, res, user, 'Passkey sign in successful');
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(401).json(createErrorResponse(401, error.message));
+    }
+    logError('Passkey sign in error', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
 /**
  * Suspended account handler
  * @param {object} req - Express request object
@@ -1371,10 +1929,12 @@ const decodeBase64 = (input) => {
 
 /**
  * Check if a challenge has already been used; if not, reserve it with TTL
+ * @param {string} challengeB64 - Challenge as sent by the client
+ * @param {string} [namespace] - Ceremony the challenge belongs to (appattest, webauthn)
  */
-const consumeChallengeIfFresh = async (challengeB64) => {
+const consumeChallengeIfFresh = async (challengeB64, namespace = 'appattest') => {
   const tableName = `rate_limits-${process.env.NODE_ENV || 'dev'}`;
-  const identifier = `appattest:challenge:${challengeB64}`;
+  const identifier = `${namespace}:challenge:${challengeB64}`;
   const nowMs = Date.now();
   const ttlSeconds = Math.floor((nowMs + 5 * 60 * 1000) / 1000);
   try {
@@ -1393,6 +1953,116 @@ const consumeChallengeIfFresh = async (challengeB64) => {
   }
 };
 
+/**
+ * Issue tokens for a user who passed every login factor and send the login response
+ */
+const sendLoginSession = async (req, res, user, message) => {
+  // Determine effective role and generate tokens
+  const effectiveRole = (user.role === 'normal') ? (user.verified_id === 'yes' ? 'creator' : 'user') : (user.role || 'normal');
+  const familyId = crypto.randomUUID();
+  const accessToken = generateAccessToken({ id: parseInt(user.id, 10), role: effectiveRole, sid: familyId });
+  const refreshToken = generateRefreshToken({ id: parseInt(user.id, 10), role: effectiveRole });
+  await storeRefreshToken(String(user.id), refreshToken, req, { familyId });
+
+  // Upsert FCM token if provided
+  try {
+    const { fcm_token, platform, voip_token } = req.body || {};
+    if (fcm_token) {
+      await upsertFcmTokenRecord(user.id, fcm_token, platform, voip_token);
+    }
+  } catch (e) {
+    logError('Login session FCM upsert error', e);
+  }
+
+  // Get admin settings and user country for currency processing
+  const adminSettings = await getAdminSettings();
+  const userCountry = await getUserCountry(req, user);
+  const { currency } = processCurrencySettings(adminSettings, userCountry);
+
+  if (user.status === 'suspended') {
+    return res.json(createSuccessResponse('Login successful but account is suspended', {
+      actionRequired: 'suspended',
+      redirectTo: '/auth/suspended',
+      accessToken,
+      refreshToken,
+      user: {
+        id: String(user.id),
+        username: user.username,
+        name: user.name,
+        avatar: user.avatar ? getFile('avatar/' + user.avatar) : null,
+        countries_id: user.countries_id,
+        status: user.status,
+        role: effectiveRole
+      },
+      currency,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  return res.json(createSuccessResponse(message, {
+    accessToken,
+    refreshToken,
+    user: {
+      id: String(user.id),
+      username: user.username,
+      name: user.name,
+      avatar: user.avatar ? getFile('avatar/' + user.avatar) : null,
+      countries_id: user.countries_id
+    },
+    currency
+  }));
+};
+
+/**
+ * 429 response for a locked account, with Retry-After
+ */
+const sendAccountLocked = (res, lockedForSeconds) => {
+  const minutes = Math.ceil(lockedForSeconds / 60);
+  res.set('Retry-After', String(lockedForSeconds));
+  return res.status(429).json(createErrorResponse(429,
+    `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`));
+};
+
+/**
+ * Login challenge response when the user has authenticator app 2FA enabled, else null.
+ * Tokens are then only issued by POST /auth/2fa/verify.
+ */
+const getTwoFactorChallengeResponse = async (user, method) => {
+  if (!await isTwoFactorEnabled(user.id)) return null;
+  return createSuccessResponse('Two-factor code required. Please verify to continue.', {
+    actionRequired: 'totp_verify',
+    ...createTwoFactorChallenge(user.id, method)
+  });
+};
+
+/**
+ * Refresh token reuse: revoke the token's whole family and record a security event
+ */
+const handleRefreshTokenReuse = async (req, user, refreshToken, storedTokenData) => {
+  const userId = user.id.toString();
+  let revoked = 0;
+  if (storedTokenData.familyId) {
+    revoked = await revokeRefreshTokenFamily(userId, storedTokenData.familyId);
+  }
+  // The family lookup goes through the userId GSI, which is eventually consistent and can miss a
+  // just-written successor; follow the replacedBy chain by key so the current token is revoked too
+  let next = storedTokenData.replacedBy;
+  for (let hops = 0; next && hops < MAX_REFRESH_CHAIN; hops += 1) {
+    const successor = await getRefreshToken(next, userId);
+    await revokeRefreshToken(next, userId);
+    next = successor?.replacedBy || null;
+  }
+  // The family lookup can miss the presented token itself (e.g. no index); make sure it is gone
+  await revokeRefreshToken(refreshToken, userId);
+
+  const details = { familyId: storedTokenData.familyId, rotatedAt: storedTokenData.rotatedAt, revoked };
+  if (user.isAnonymous) {
+    logError('Anonymous refresh token reuse detected', { userId, ...details });
+    return;
+  }
+  await logSecurityEvent(user.id, SECURITY_EVENTS.REFRESH_TOKEN_REUSE, req, details);
+};
+
 /**
  * Issue anonymous tokens and persist refresh session
  */
@@ -1628,23 +2298,24 @@ const verifyGoogleIdToken = async (idToken) => {
 };
 
 /**
- * Helper: Find existing user by Google oauth or email
+ * Helper: Find existing user by linked Google/Apple account, else by email
  */
-const findUserByOAuthOrEmail = async (oauthUid, email) => {
+const findUserByOAuthOrEmail = async (oauthUid, email, provider = 'google') => {
   const pool = getDB();
-  const query = `
-    SELECT * FROM users
-    WHERE (oauth_provider = 'google' AND oauth_uid = ?) OR email = ?
-    LIMIT 1
-  `;
-  const [rows] = await pool.query(query, [oauthUid, email.toLowerCase()]);
+  const linkedUserId = await findUserIdByLinkedAccount(provider, oauthUid);
+  if (linkedUserId) {
+    const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [linkedUserId]);
+    if (rows[0]) return rows[0];
+  }
+  if (!email) return null;
+  const [rows] = await pool.query('SELECT * FROM users WHERE email = ? LIMIT 1', [email.toLowerCase()]);
   return rows[0] || null;
 };
 
 /**
- * Helper: Create new user using Google profile data (Lambda parity)
+ * Helper: Create new user from a Google/Apple profile (Lambda parity)
  */
-const createUserWithGoogle = async ({ name, email, oauthUid, ip }) => {
+const createUserWithOAuth = async ({ name, email, oauthUid, ip }, provider) => {
   const pool = getDB();
 
   // Fetch admin default avatar/cover
@@ -1655,7 +2326,7 @@ const createUserWithGoogle = async ({ name, email, oauthUid, ip }) => {
     defaultAvatar = adminSettings?.avatar || '';
     defaultCover = adminSettings?.cover_default || '';
   } catch (e) {
-    logError('createUserWithGoogle admin settings fetch error', e);
+    logError('createUserWithOAuth admin settings fetch error', e);
   }
 
   const insertQuery = `
@@ -1674,7 +2345,7 @@ const createUserWithGoogle = async ({ name, email, oauthUid, ip }) => {
     ) VALUES (
       ?, 'ua', '', ?, '',
       NOW(), ?, ?, 'active', 'normal', 'none',
-      '', ?, 'google', '', '',
+      '', ?, ?, '', '',
       'no', '1', ?, 'en', '0', '',
       '', '', '', '', '', '',
       '', '', 0, 0, '', '', '', '',
@@ -1685,7 +2356,7 @@ const createUserWithGoogle = async ({ name, email, oauthUid, ip }) => {
       0, '', '', '', ''
     )
   `;
-  const [result] = await pool.query(insertQuery, [name, email.toLowerCase(), defaultAvatar, defaultCover, oauthUid, ip || '127.0.0.1']);
+  const [result] = await pool.query(insertQuery, [name, email.toLowerCase(), defaultAvatar, defaultCover, oauthUid, provider, ip || '127.0.0.1']);
   const userId = result.insertId;
   await pool.query('UPDATE users SET username = ? WHERE id = ?', [`u${userId}`, userId]);
   return {
@@ -1700,16 +2371,132 @@ const createUserWithGoogle = async ({ name, email, oauthUid, ip }) => {
 };
 
 /**
- * Helper: Attach Google oauth to existing user
+ * Helper: Create new user using Google profile data
+ */
+const createUserWithGoogle = (profile) => createUserWithOAuth(profile, 'google');
+
+/**
+ * Helper: Create new user using Apple profile data
+ */
+const createUserWithApple = (profile) => createUserWithOAuth(profile, 'apple');
+
+/**
+ * Helper: Attach Google/Apple oauth to existing user
  */
-const attachGoogleToExistingUser = async (userId, oauthUid) => {
+const attachOAuthToExistingUser = async (userId, oauthUid, provider) => {
   const pool = getDB();
   await pool.query(
-    `UPDATE users SET oauth_uid = ?, oauth_provider = 'google', email_verified = '1', updated_at = NOW() WHERE id = ?`,
-    [oauthUid, userId]
+    `UPDATE users SET oauth_uid = ?, oauth_provider = ?, email_verified = '1', updated_at = NOW() WHERE id = ?`,
+    [oauthUid, provider, userId]
   );
 };
 
+/**
+ * Helper: Link the Google/Apple account a user just signed in with. When the account was only
+ * matched by email and the user unlinked that provider, nothing is linked: an email match must not
+ * undo an explicit unlink.
+ * @returns {Promise<boolean>} False when the provider was unlinked and must be linked from settings
+ */
+const linkOAuthOnSignIn = async (user, provider, oauthUid, email) => {
+  const linkedUserId = await findUserIdByLinkedAccount(provider, oauthUid);
+  if (String(linkedUserId) !== String(user.id)) {
+    if (await isAccountUnlinked(user.id, provider)) return false;
+    // Link oauth data if missing
+    if (!user.oauth_provider || !user.oauth_uid) {
+      await attachOAuthToExistingUser(user.id, oauthUid, provider);
+      user.oauth_provider = provider;
+      user.oauth_uid = oauthUid;
+    }
+  }
+  await saveLinkedAccount(user.id, provider, oauthUid, email);
+  return true;
+};
+
+/**
+ * Helper: Attach Google oauth to existing user
+ */
+const attachGoogleToExistingUser = (userId, oauthUid) => attachOAuthToExistingUser(userId, oauthUid, 'google');
+
+/**
+ * Helper: Attach Apple oauth to existing user
+ */
+const attachAppleToExistingUser = (userId, oauthUid) => attachOAuthToExistingUser(userId, oauthUid, 'apple');
+
+const APPLE_ISSUER = 'https://appleid.apple.com';
+const APPLE_KEYS_TTL_MS = 60 * 60 * 1000;
+let appleKeysCache = { keys: [], fetchedAt: 0 };
+
+/**
+ * Helper: Apple's ID token signing keys (JWKS), cached for an hour and refetched for an unknown kid
+ */
+const getApplePublicKey = async (kid) => {
+  let key = appleKeysCache.keys.find(candidate => candidate.kid === kid);
+  if (!key || Date.now() - appleKeysCache.fetchedAt > APPLE_KEYS_TTL_MS) {
+    const { data } = await axios.get(`${APPLE_ISSUER}/auth/keys`, { timeout: 5000 });
+    appleKeysCache = { keys: data.keys || [], fetchedAt: Date.now() };
+    key = appleKeysCache.keys.find(candidate => candidate.kid === kid);
+  }
+  if (!key) throw new Error('Unknown Apple signing key');
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+/**
+ * Helper: Verify an Apple ID token (signature, issuer, audience, expiry)
+ * The audience must be one of the configured Apple client IDs; clientId is only used when none are configured.
+ */
+const verifyAppleIdToken = async (idToken, clientId) => {
+  try {
+    const header = jwt.decode(idToken, { complete: true })?.header;
+    if (!header?.kid) throw new Error('Malformed token');
+
+    const configured = [process.env.APPLE_IOS_CLIENT_ID, process.env.APPLE_CLIENT_ID].filter(Boolean);
+    const audience = configured.length > 0 ? configured : [clientId].filter(Boolean);
+    const publicKey = await getApplePublicKey(header.kid);
+    const payload = jwt.verify(idToken, publicKey, {
+      algorithms: ['RS256'],
+      issuer: APPLE_ISSUER,
+      ...(audience.length > 0 && { audience })
+    });
+
+    if (payload.email && String(payload.email_verified) === 'false') {
+      throw new Error('Apple email not verified');
+    }
+    return payload;
+  } catch (error) {
+    throw new Error(`Apple token verification failed: ${error.message}`);
+  }
+};
+
+/**
+ * Helper: Exchange a Sign in with Apple authorization code for tokens (needs APPLE_TEAM_ID, APPLE_KEY_ID, APPLE_PRIVATE_KEY)
+ */
+const exchangeCodeForToken = async (code, clientId, redirectUri) => {
+  const privateKey = (process.env.APPLE_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+  if (!privateKey || !process.env.APPLE_TEAM_ID || !process.env.APPLE_KEY_ID) {
+    throw new Error('Apple client secret is not configured');
+  }
+  const clientSecret = jwt.sign({}, privateKey, {
+    algorithm: 'ES256',
+    keyid: process.env.APPLE_KEY_ID,
+    issuer: process.env.APPLE_TEAM_ID,
+    audience: APPLE_ISSUER,
+    subject: clientId,
+    expiresIn: '5m'
+  });
+
+  const { data } = await axios.post(`${APPLE_ISSUER}/auth/token`, new URLSearchParams({
+    client_id: clientId,
+    client_secret: clientSecret,
+    code,
+    grant_type: 'authorization_code',
+    ...(redirectUri && { redirect_uri: redirectUri })
+  }).toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 5000
+  });
+  return data;
+};
+
 // Export all functions at the end
 export {
   init,
@@ -1725,6 +2512,16 @@ export {
   forgotPasswordReset,
   googleSignin,
   appleSignin,
+  twoFactorVerify,
+  loginAlertRevokeConfirm,
+  loginAlertRevoke,
+  listLinkedAccounts,
+  linkSocialAccount,
+  unlinkSocialAccount,
+  passkeyRegisterOptions,
+  passkeyRegister,
+  passkeyLoginOptions,
+  passkeyLogin,
   suspended,
   consumeChallengeIfFresh,
   issueAnonymousSession,
@@ -1735,5 +2532,8 @@ export {
   verifyGoogleIdToken,
   findUserByOAuthOrEmail,
   createUserWithGoogle,
-  attachGoogleToExistingUser
+  attachGoogleToExistingUser,
+  verifyAppleIdToken,
+  createUserWithApple,
+  attachAppleToExistingUser
 };
\ No newline at end of file
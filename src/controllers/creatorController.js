@@ -21,7 +21,7 @@ import {
   createSuccessResponse,
   createErrorResponse
 } from '../utils/common.js';
-import { getUserSubscriptionPlans, updateSubscriptionPlan, updateSubscriptionMessage, updateUserFreeSubscription } from '../utils/subscription.js';
+import { getUserSubscriptionPlans, updateSubscriptionPlan, updateSubscriptionMessage, updateUserFreeSubscription, SUBSCRIPTION_ACCESS_CONDITION } from '../utils/subscription.js';
 import { checkFileExists, deleteFile, downloadFile, uploadFile } from '../utils/s3Utils.js';
 import { checkFaceVisibility } from '../utils/faceDetection.js';
 import { generateCreatorAgreementPDF } from '../utils/pdfGenerator.js';
@@ -76,7 +76,7 @@ const getCreatorStats = async (userId) => {
     const [subscribersResult] = await db.execute(`
       SELECT COUNT(*) as total_subscribers 
       FROM subscriptions 
-      WHERE creator_id = ? AND status = 'active'
+      WHERE creator_id = ? AND ${SUBSCRIPTION_ACCESS_CONDITION}
     `, [userId]);
     
     // Get total earnings
@@ -8,9 +8,12 @@
  * - Live filter management
  * - Tipping menu management
  * - Goal management
- * - Live stream joining with Agora credentials
+ * - Live tipping with goal progress
+ * - Live pre-booking (book, cancel, list, refunds)
+ * - Live stream joining with Agora credentials (creator and viewers)
+ * - Live session lifecycle (start, heartbeat, end with summary)
  * 
- * Database Tables: live_streamings, live_tipping_menus, live_goals, transactions, live_online_users
+ * Database Tables: live_streamings, live_tipping_menus, live_goals, transactions, live_online_users, live_summaries, live_prebooks
  */
 
 import { 
@@ -46,8 +49,29 @@ import {
   getActiveLiveGoal,
   getLiveViewersCount,
   upsertLiveGoalDynamo,
-  updateCreatorJoined
+  updateCreatorJoined,
+  hasLivePrebook,
+  registerLiveViewer,
+  LIVE_STREAM_STATUS,
+  LIVE_HEARTBEAT_TIMEOUT_MINUTES,
+  markLiveStarted,
+  touchLiveHeartbeat,
+  isLiveAbandoned,
+  getLiveSummary,
+  closeLiveSession,
+  incrementLiveGoalTips,
+  getLiveTippingMenuItem,
+  getLivePrebook,
+  lockLiveBookings,
+  createLivePrebook,
+  deleteLivePrebook,
+  getLivePrebooksForUpdate,
+  getUserLivePrebooks
 } from '../utils/live.js';
+import { isUserSubscribed } from '../utils/subscription.js';
+import { isCreatorGeoBlocked, sendGeoBlockedResponse } from '../utils/geoBlocking.js';
+import { processWalletPayment, refundWalletPayment, walletError, TRANSACTION_TYPES } from '../utils/wallet.js';
+import { createNotification } from '../utils/notification.js';
 import { pool } from '../config/database.js';
 import { RtcTokenBuilder, Role as RtcRole } from '../agora/RtcTokenBuilder2.js';
 import { validateLiveStreamData } from '../validate/live.js';
@@ -508,18 +532,6 @@ const getLiveEdit = async (req, res) => {
   }
 };
 
-/**
- * Live stream status constants for validation
- */
-const LIVE_STREAM_STATUS = {
-  SCHEDULED: '0',     // Scheduled - can be deleted
-  COMPLETED: '1',     // Completed - cannot be deleted
-  DELETED: '2',       // Already deleted - cannot be deleted
-  EXPIRED: '3',       // Expired - cannot be deleted
-  UNCLOSED_LIVE: '4', // Unclosed Live - cannot be deleted
-  REFUNDED: '5'       // Refunded - cannot be deleted
-};
-
 /**
  * Get descriptive error message based on live stream status
  */
@@ -626,16 +638,27 @@ const deleteLive = async (req, res) => {
       // Perform deletion operations
       await markLiveStreamAsDeleted(connection, decryptedId, userId);
       await cleanupEmailNotifications(connection, decryptedId);
+      const refundedBookings = await refundLiveBookings(connection, decryptedId);
 
       // Commit transaction
       await connection.commit();
       connection.release();
 
+      // Tell each fan their booking was refunded (type 20)
+      for (const { userId: fanId } of refundedBookings) {
+        try {
+          await createNotification({ user_id: fanId, from_user_id: userId, type: '20', live_id: decryptedId });
+        } catch (notifyError) {
+          logError('Failed to send live refund notification:', { liveId: decryptedId, fanId, error: notifyError.message });
+        }
+      }
+
       // Log successful deletion
       logInfo('Live stream deleted successfully:', { 
         liveId: decryptedId, 
         userId, 
-        username: user.username 
+        username: user.username,
+        refundedBookings: refundedBookings.length
       });
 
       // Return success response with encrypted live ID for security
@@ -1185,8 +1208,73 @@ const postLiveGoal = async (req, res) => {
 };
 
 /**
- * Handler to provide all live details and Agora token for a given liveId (GET /live/go/:liveId)
+ * Sync the active goal to DynamoDB and encrypt goal/tipmenu IDs for a live response.
+ * Shared by the creator (/live/go) and viewer (/live/join) handlers.
+ *
+ * @param {number} liveId - Live stream ID
+ * @param {string} encryptedLiveId - Encrypted live ID as received in the path
+ * @param {object|null} goal - Active goal from getActiveLiveGoal
+ * @param {Array} tipmenu - Active tipmenu items from getActiveLiveTippingMenus
+ * @returns {Promise<{ goal: object|null, tipmenu: Array }>}
  */
+const buildLiveGoalAndTipmenu = async (liveId, encryptedLiveId, goal, tipmenu) => {
+  // Process goal and create DynamoDB record if needed
+  let finalGoal = goal;
+  if (goal && goal.name && goal.price) {
+    const dynamoGoal = await upsertLiveGoalDynamo({
+      goal_id: goal.goal_id,
+      live_id: liveId,
+      goal_name: goal.name,
+      coins: goal.price
+    });
+    
+    if (dynamoGoal) {
+      const { goal_name, coins, ...rest } = dynamoGoal;
+      finalGoal = {
+        ...rest,
+        name: goal_name,
+        price: coins
+      };
+      logInfo('[buildLiveGoalAndTipmenu] DynamoDB goal processed', { goalId: goal.goal_id });
+    }
+  }
+
+  // Encrypt goal IDs if goal exists
+  if (finalGoal) {
+    try {
+      finalGoal.goal_id = encryptId(finalGoal.goal_id);
+      // Use the original encrypted liveId instead of encrypting the numeric live_id again
+      // This ensures consistency between input and output
+      finalGoal.live_id = encryptedLiveId;
+    } catch (error) {
+      logError('[buildLiveGoalAndTipmenu] Failed to encrypt goal IDs:', { 
+        goalId: finalGoal.goal_id, 
+        liveId: finalGoal.live_id, 
+        error: error.message 
+      });
+    }
+  }
+
+  // Encrypt tipmenu IDs
+  const encryptedTipmenu = tipmenu.map(item => {
+    try {
+      return {
+        ...item,
+        id: encryptId(item.id)
+      };
+    } catch (error) {
+      logError('[buildLiveGoalAndTipmenu] Failed to encrypt tipmenu ID:', { 
+        originalId: item.id, 
+        error: error.message 
+      });
+      // Return item without encryption if it fails
+      return item;
+    }
+  });
+
+  return { goal: finalGoal, tipmenu: encryptedTipmenu };
+};
+
 /**
  * Handler to provide all live details and Agora token for a given liveId.
  *
@@ -1289,59 +1377,7 @@ const getLiveGo = async (req, res) => {
     const tipmenu = await getActiveLiveTippingMenus(liveId);
     const viewersCount = await getLiveViewersCount(liveId);
 
-    // Process goal and create DynamoDB record if needed
-    let finalGoal = goal;
-    if (goal && goal.name && goal.price) {
-      const dynamoGoal = await upsertLiveGoalDynamo({
-        goal_id: goal.goal_id,
-        live_id: liveId,
-        goal_name: goal.name,
-        coins: goal.price
-      });
-      
-      if (dynamoGoal) {
-        const { goal_name, coins, ...rest } = dynamoGoal;
-        finalGoal = {
-          ...rest,
-          name: goal_name,
-          price: coins
-        };
-        logInfo('[liveGoDetailsHandler] DynamoDB goal processed', { goalId: goal.goal_id });
-      }
-    }
-
-    // Encrypt goal IDs if goal exists
-    if (finalGoal) {
-      try {
-        finalGoal.goal_id = encryptId(finalGoal.goal_id);
-        // Use the original encrypted liveId instead of encrypting the numeric live_id again
-        // This ensures consistency between input and output
-        finalGoal.live_id = encryptedLiveId;
-      } catch (error) {
-        logError('[liveGoDetailsHandler] Failed to encrypt goal IDs:', { 
-          goalId: finalGoal.goal_id, 
-          liveId: finalGoal.live_id, 
-          error: error.message 
-        });
-      }
-    }
-
-    // Encrypt tipmenu IDs
-    const encryptedTipmenu = tipmenu.map(item => {
-      try {
-        return {
-          ...item,
-          id: encryptId(item.id)
-        };
-      } catch (error) {
-        logError('[liveGoDetailsHandler] Failed to encrypt tipmenu ID:', { 
-          originalId: item.id, 
-          error: error.message 
-        });
-        // Return item without encryption if it fails
-        return item;
-      }
-    });
+    const { goal: finalGoal, tipmenu: encryptedTipmenu } = await buildLiveGoalAndTipmenu(liveId, encryptedLiveId, goal, tipmenu);
 
     // Return all details including Agora token with encrypted IDs
     // TODO: Convert createSuccessResponse('Live details fetched', { ... }) to res.json({ success: true, message: 'Live details fetched', data: { ... } })
@@ -1371,6 +1407,679 @@ const getLiveGo = async (req, res) => {
   }
 };
 
+/**
+ * Live availability values stored in live_streamings.availability
+ */
+const LIVE_AVAILABILITY = {
+  ALL_PAY: 'all_pay',                             // Everyone pays the live price
+  FREE_PAID_SUBSCRIBERS: 'free_paid_subscribers', // Active subscribers join free, others pay
+  EVERYONE_FREE: 'everyone_free'                  // Nobody pays
+};
+
+/**
+ * Check whether a viewer may join a live based on price, availability, subscription and booking.
+ * @param {object} live - live_streamings row
+ * @param {number} userId - Viewer user ID
+ * @returns {Promise<{ allowed: boolean, access: string|null }>} access is 'free', 'subscriber' or 'booking'
+ */
+const checkLiveViewerAccess = async (live, userId) => {
+  const price = parseFloat(live.price) || 0;
+  if (live.availability === LIVE_AVAILABILITY.EVERYONE_FREE || price <= 0) {
+    return { allowed: true, access: 'free' };
+  }
+  if (live.availability === LIVE_AVAILABILITY.FREE_PAID_SUBSCRIBERS && await isUserSubscribed(userId, live.user_id)) {
+    return { allowed: true, access: 'subscriber' };
+  }
+  if (await hasLivePrebook(live.id, userId)) {
+    return { allowed: true, access: 'booking' };
+  }
+  return { allowed: false, access: null };
+};
+
+/**
+ * Handler for a fan to join a live stream (POST /live/join/:liveId)
+ *
+ * Checks availability/subscription/booking rules, issues an Agora SUBSCRIBER token,
+ * registers the viewer in live_online_users and returns the tip menu and active goal.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @returns {object} API response with Agora credentials and live details or error
+ */
+const postLiveJoin = async (req, res) => {
+  try {
+    const { liveId: encryptedLiveId } = req.params;
+    const userId = req.userId;
+
+    if (!encryptedLiveId) return res.status(400).json(createErrorResponse(400, 'Live id is required in path'));
+
+    // Decrypt the live ID from path parameter for security
+    let liveId;
+    try {
+      liveId = safeDecryptId(encryptedLiveId);
+      if (!liveId) return res.status(400).json(createErrorResponse(400, 'Invalid live id format'));
+    } catch (error) {
+      logError('[postLiveJoin] Failed to decrypt live ID:', { encryptedLiveId, error: error.message });
+      return res.status(400).json(createErrorResponse(400, 'Invalid live id format'));
+    }
+
+    const user = await getUserById(userId);
+    if (!user) return res.status(404).json(createErrorResponse(404, 'User not found'));
+
+    // Fetch live details and verify it is joinable
+    const live = await getLiveStreamings(liveId);
+    if (!live || !live.id) return res.status(404).json(createErrorResponse(404, 'Live not found'));
+    if (live.status !== LIVE_STREAM_STATUS.SCHEDULED) return res.status(400).json(createErrorResponse(400, 'Live already closed'));
+    if (live.user_id === user.id) return res.status(400).json(createErrorResponse(400, 'Creators must use /live/go to join their own live'));
+    if (await isCreatorGeoBlocked(req, { id: live.user_id }, userId)) return sendGeoBlockedResponse(res);
+    if (live.creator_joined !== 1) return res.status(400).json(createErrorResponse(400, 'Live has not started yet'));
+    if (isLiveAbandoned(live)) {
+      await closeLiveSession(live, LIVE_STREAM_STATUS.UNCLOSED_LIVE);
+      return res.status(400).json(createErrorResponse(400, 'Live already closed'));
+    }
+
+    // Apply booking/subscription/price rules
+    const { allowed, access } = await checkLiveViewerAccess(live, userId);
+    if (!allowed) {
+      logInfo('[postLiveJoin] Viewer denied, booking required', { liveId, userId, availability: live.availability });
+      return res.status(402).json(createErrorResponse(402, 'Booking required to join this live', {
+        liveId: encryptedLiveId,
+        price: live.price,
+        availability: live.availability
+      }));
+    }
+
+    // Generate Agora subscriber token
+    const adminSettings = await getAdminSettings();
+    const { agora_app_id: agoraAppId, agora_app_certificate: agoraAppCertificate } = adminSettings;
+    const { channel: agoraChannel, duration: liveDuration } = live;
+    const uid = Math.floor(Math.random() * 10000);
+    const expireTimeInSeconds = ((live.duration || 0) + 60) * 60 * 24;
+    const token = RtcTokenBuilder.buildTokenWithUid(agoraAppId, agoraAppCertificate, agoraChannel, uid, RtcRole.SUBSCRIBER, expireTimeInSeconds);
+
+    // Register attendance so getLiveViewersCount reflects real viewers
+    await registerLiveViewer(liveId, userId);
+
+    const goal = await getActiveLiveGoal(liveId);
+    const tipmenu = await getActiveLiveTippingMenus(liveId);
+    const viewersCount = await getLiveViewersCount(liveId);
+    const creator = await getUserById(live.user_id);
+    const { goal: finalGoal, tipmenu: encryptedTipmenu } = await buildLiveGoalAndTipmenu(liveId, encryptedLiveId, goal, tipmenu);
+
+    logInfo('[postLiveJoin] Viewer joined live', { liveId, userId, access });
+
+    return res.json({
+      success: true,
+      message: 'Joined live successfully',
+      data: {
+        agoraAppId,
+        agoraChannel,
+        token,
+        uid,
+        liveDuration,
+        access,
+        liveName: live.name,
+        creator: creator ? { name: creator.name, username: creator.username } : null,
+        goal: finalGoal,
+        tipmenu: encryptedTipmenu,
+        viewersCount
+      }
+    });
+  } catch (error) {
+    logError('[postLiveJoin] Error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to join live'));
+  }
+};
+
+/**
+ * Resolve an encrypted live ID and verify the authenticated user owns the live
+ * @param {string} encryptedLiveId - Encrypted live ID from the path
+ * @param {number} userId - Authenticated user ID
+ * @returns {Promise<{ liveId?: number, live?: object, error?: { statusCode: number, message: string } }>}
+ */
+const resolveOwnedLive = async (encryptedLiveId, userId) => {
+  if (!encryptedLiveId) return { error: { statusCode: 400, message: 'Live id is required in path' } };
+
+  let liveId;
+  try {
+    liveId = safeDecryptId(encryptedLiveId);
+  } catch (error) {
+    logError('[resolveOwnedLive] Failed to decrypt live ID:', { encryptedLiveId, error: error.message });
+  }
+  if (!liveId) return { error: { statusCode: 400, message: 'Invalid live id format' } };
+
+  const live = await getLiveStreamings(liveId);
+  if (!live || !live.id) return { error: { statusCode: 404, message: 'Live not found' } };
+  if (live.user_id !== userId) return { error: { statusCode: 403, message: 'You are not authorized to access this live' } };
+
+  return { liveId, live };
+};
+
+/**
+ * Format a live summary for API responses
+ * @param {string} encryptedLiveId - Encrypted live ID
+ * @param {string} status - Final live status
+ * @param {object} summary - Summary from buildLiveSummary
+ * @returns {object} Summary payload
+ */
+const formatLiveSummary = (encryptedLiveId, status, summary) => ({
+  liveId: encryptedLiveId,
+  status,
+  startedAt: summary.startedAt,
+  endedAt: summary.endedAt,
+  durationMinutes: summary.durationMinutes,
+  earnings: summary.earnings,
+  bookings: summary.bookings,
+  viewersCount: summary.viewersCount,
+  goal: summary.goal
+});
+
+/**
+ * Handler to mark a live stream as started (POST /live/:liveId/start)
+ *
+ * Only the owner can start a scheduled live. Sets started_at (first start only)
+ * and the first heartbeat; calling it again after a reconnect is safe.
+ */
+const postLiveStart = async (req, res) => {
+  try {
+    const { liveId: encryptedLiveId } = req.params;
+    const { liveId, live, error } = await resolveOwnedLive(encryptedLiveId, req.userId);
+    if (error) return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+
+    if (live.status !== LIVE_STREAM_STATUS.SCHEDULED) {
+      return res.status(400).json(createErrorResponse(400, 'Live already closed', { currentStatus: live.status }));
+    }
+
+    await markLiveStarted(liveId);
+    const startedLive = await getLiveStreamings(liveId);
+
+    logInfo('[postLiveStart] Live started', { liveId, userId: req.userId, resumed: Boolean(live.started_at) });
+
+    return res.json({
+      success: true,
+      message: 'Live started successfully',
+      data: {
+        liveId: encryptedLiveId,
+        startedAt: startedLive.started_at,
+        heartbeatTimeoutMinutes: LIVE_HEARTBEAT_TIMEOUT_MINUTES
+      }
+    });
+  } catch (error) {
+    logError('[postLiveStart] Error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to start live'));
+  }
+};
+
+/**
+ * Handler for the creator heartbeat of a running live (POST /live/:liveId/heartbeat)
+ *
+ * Keeps the live open. If heartbeats stopped for longer than the timeout the live is
+ * closed as unclosed and its summary persisted.
+ */
+const postLiveHeartbeat = async (req, res) => {
+  try {
+    const { liveId: encryptedLiveId } = req.params;
+    const { liveId, live, error } = await resolveOwnedLive(encryptedLiveId, req.userId);
+    if (error) return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+
+    if (live.status !== LIVE_STREAM_STATUS.SCHEDULED) {
+      return res.status(400).json(createErrorResponse(400, 'Live already closed', { currentStatus: live.status }));
+    }
+    if (!live.started_at) {
+      return res.status(400).json(createErrorResponse(400, 'Live has not started yet'));
+    }
+    if (isLiveAbandoned(live)) {
+      await closeLiveSession(live, LIVE_STREAM_STATUS.UNCLOSED_LIVE);
+      logInfo('[postLiveHeartbeat] Live timed out', { liveId, userId: req.userId });
+      return res.status(400).json(createErrorResponse(400, 'Live timed out', { currentStatus: LIVE_STREAM_STATUS.UNCLOSED_LIVE }));
+    }
+
+    await touchLiveHeartbeat(liveId);
+    const viewersCount = await getLiveViewersCount(liveId);
+    const totalEarnings = await getLiveTotalEarnings(liveId);
+
+    return res.json({
+      success: true,
+      message: 'Heartbeat received',
+      data: {
+        liveId: encryptedLiveId,
+        viewersCount,
+        earnings: { total: totalEarnings }
+      }
+    });
+  } catch (error) {
+    logError('[postLiveHeartbeat] Error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to record heartbeat'));
+  }
+};
+
+/**
+ * Handler to end a live stream (POST /live/:liveId/end)
+ *
+ * Marks the live completed, timestamps ended_at and returns the session summary
+ * (earnings, bookings, viewers, goal progress), which is also saved to live_summaries.
+ * Ending an already closed live returns the persisted summary.
+ */
+const postLiveEnd = async (req, res) => {
+  try {
+    const { liveId: encryptedLiveId } = req.params;
+    const { liveId, live, error } = await resolveOwnedLive(encryptedLiveId, req.userId);
+    if (error) return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+
+    if (live.status !== LIVE_STREAM_STATUS.SCHEDULED) {
+      const saved = await getLiveSummary(liveId);
+      if (!saved) {
+        return res.status(400).json(createErrorResponse(400, 'Live already closed', { currentStatus: live.status }));
+      }
+      return res.json({
+        success: true,
+        message: 'Live already ended',
+        data: formatLiveSummary(encryptedLiveId, live.status, saved)
+      });
+    }
+    if (!live.started_at) {
+      return res.status(400).json(createErrorResponse(400, 'Live has not started yet'));
+    }
+
+    // A live abandoned before this call is closed as unclosed, not completed
+    const finalStatus = isLiveAbandoned(live) ? LIVE_STREAM_STATUS.UNCLOSED_LIVE : LIVE_STREAM_STATUS.COMPLETED;
+    // If the heartbeat sweep closed it meanwhile, report the status it left instead of ours
+    const { closed, status, summary } = await closeLiveSession(live, finalStatus);
+
+    logInfo('[postLiveEnd] Live ended', { liveId, userId: req.userId, status, closed });
+
+    return res.json({
+      success: true,
+      message: closed ? 'Live ended successfully' : 'Live already ended',
+      data: formatLiveSummary(encryptedLiveId, status, summary)
+    });
+  } catch (error) {
+    logError('[postLiveEnd] Error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to end live'));
+  }
+};
+
+/**
+ * Notify the creator about a live tip (type 5), honouring notify_new_tip
+ */
+const sendLiveTipNotification = async (creator, fromUserId, liveId, amount, extraData) => {
+  try {
+    if (creator.notify_new_tip !== 'yes') return;
+    await createNotification({
+      user_id: creator.id,
+      from_user_id: fromUserId,
+      type: '5',
+      live_id: liveId,
+      tip_amount: amount,
+      extra_data: extraData
+    });
+  } catch (error) {
+    logError('[sendLiveTipNotification] Failed to notify creator:', error);
+    // Notification failure should not fail the tip
+  }
+};
+
+/**
+ * Handler for a viewer to tip during a live (POST /live/:liveId/tip)
+ *
+ * Body: { tipmenu_id } (encrypted tip menu item) or { amount } (free tip), optional { message }.
+ * Debits the viewer wallet, credits the creator, adds the tip to the active goal in DynamoDB
+ * (marking it completed once reached) and notifies the creator.
+ */
+const postLiveTip = async (req, res) => {
+  try {
+    const { liveId: encryptedLiveId } = req.params;
+    const userId = req.userId;
+    const { tipmenu_id: encryptedTipmenuId, amount: rawAmount, message } = req.body || {};
+
+    let liveId;
+    try {
+      liveId = safeDecryptId(encryptedLiveId);
+    } catch (error) {
+      logError('[postLiveTip] Failed to decrypt live ID:', { encryptedLiveId, error: error.message });
+    }
+    if (!liveId) return res.status(400).json(createErrorResponse(400, 'Invalid live id format'));
+
+    const live = await getLiveStreamings(liveId);
+    if (!live || !live.id) return res.status(404).json(createErrorResponse(404, 'Live not found'));
+    if (live.status !== LIVE_STREAM_STATUS.SCHEDULED || isLiveAbandoned(live)) {
+      return res.status(400).json(createErrorResponse(400, 'Live already closed'));
+    }
+    if (live.creator_joined !== 1) return res.status(400).json(createErrorResponse(400, 'Live has not started yet'));
+    if (live.user_id === userId) return res.status(400).json(createErrorResponse(400, 'You cannot tip your own live'));
+    if (await isCreatorGeoBlocked(req, { id: live.user_id }, userId)) return sendGeoBlockedResponse(res);
+
+    // Resolve tip amount from the tip menu item or the free amount
+    let amount;
+    let tipmenuItem = null;
+    if (encryptedTipmenuId) {
+      let tipmenuId;
+      try {
+        tipmenuId = safeDecryptId(encryptedTipmenuId);
+      } catch (error) {
+        logError('[postLiveTip] Failed to decrypt tipmenu ID:', { encryptedTipmenuId, error: error.message });
+      }
+      if (!tipmenuId) return res.status(400).json(createErrorResponse(400, 'Invalid tipmenu id format'));
+
+      tipmenuItem = await getLiveTippingMenuItem(liveId, tipmenuId);
+      if (!tipmenuItem) return res.status(404).json(createErrorResponse(404, 'Tip menu item not found'));
+      amount = Number(tipmenuItem.price);
+    } else {
+      const adminSettings = await getAdminSettings();
+      const minTip = Number(adminSettings.min_tip_amount) || 1;
+      const maxTip = Number(adminSettings.max_tip_amount) || 1000000;
+      amount = Number(rawAmount);
+      if (!Number.isFinite(amount) || amount < minTip || amount > maxTip) {
+        return res.status(400).json(createErrorResponse(400, `Amount should be between ${minTip} and ${maxTip} coins`));
+      }
+    }
+
+    const creator = await getUserById(live.user_id);
+    if (!creator) return res.status(404).json(createErrorResponse(404, 'Creator not found'));
+
+    let payment;
+    try {
+      payment = await processWalletPayment({
+        payerId: userId,
+        creator,
+        amount,
+        type: tipmenuItem ? TRANSACTION_TYPES.TIPMENU : TRANSACTION_TYPES.LIVE_TIP,
+        refId: liveId,
+        liveId
+      });
+    } catch (error) {
+      if (error.statusCode) return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+      throw error;
+    }
+
+    // Add the tip to the active goal; goal failures never undo a paid tip
+    let goal = null;
+    const activeGoal = await getActiveLiveGoal(liveId);
+    if (activeGoal && activeGoal.name && activeGoal.price) {
+      const updatedGoal = await incrementLiveGoalTips(activeGoal, liveId, amount);
+      if (updatedGoal) {
+        const { goal_name, coins, justCompleted, ...rest } = updatedGoal;
+        goal = {
+          ...rest,
+          goal_id: encryptId(updatedGoal.goal_id),
+          live_id: encryptedLiveId,
+          name: goal_name,
+          price: coins
+        };
+        if (justCompleted) logInfo('[postLiveTip] Live goal completed', { liveId, goalId: activeGoal.goal_id });
+      }
+    }
+
+    await sendLiveTipNotification(creator, userId, liveId, amount, {
+      tipmenu: tipmenuItem ? tipmenuItem.name : null,
+      message: typeof message === 'string' ? message.trim().slice(0, 255) : null,
+      goal_completed: Boolean(goal?.completed)
+    });
+
+    logInfo('[postLiveTip] Live tip sent', { liveId, userId, amount, transactionId: payment.transactionId });
+
+    return res.json({
+      success: true,
+      message: 'Tip sent successfully',
+      data: {
+        liveId: encryptedLiveId,
+        amount,
+        tipmenu: tipmenuItem ? { id: encryptedTipmenuId, name: tipmenuItem.name } : null,
+        goal
+      }
+    });
+  } catch (error) {
+    logError('[postLiveTip] Error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to send tip'));
+  }
+};
+
+/**
+ * Work out what a fan pays to book a live: free lives and subscribers of
+ * free_paid_subscribers lives book for 0, everyone else pays live.price.
+ * @param {object} live - live_streamings row
+ * @param {number} userId - Fan user ID
+ * @returns {Promise<number>} Booking price in coins
+ */
+const getLiveBookingPrice = async (live, userId) => {
+  const price = parseFloat(live.price) || 0;
+  if (live.availability === LIVE_AVAILABILITY.EVERYONE_FREE || price <= 0) return 0;
+  if (live.availability === LIVE_AVAILABILITY.FREE_PAID_SUBSCRIBERS && await isUserSubscribed(userId, live.user_id)) return 0;
+  return price;
+};
+
+/**
+ * Notify the creator that a fan booked their live (type 19)
+ */
+const sendLiveBookingNotification = async (creatorId, fromUserId, liveId) => {
+  try {
+    await createNotification({ user_id: creatorId, from_user_id: fromUserId, type: '19', live_id: liveId });
+  } catch (error) {
+    logError('[sendLiveBookingNotification] Failed to notify creator:', error);
+  }
+};
+
+/**
+ * Refund every paid booking of a live inside the caller's transaction and remove the bookings.
+ * Used when the creator deletes the live.
+ * @param {object} connection - DB connection (inside a transaction)
+ * @param {number} liveId - Live stream ID
+ * @returns {Promise<Array>} Refunded bookings ({ userId, amount })
+ */
+const refundLiveBookings = async (connection, liveId) => {
+  const prebooks = await getLivePrebooksForUpdate(connection, liveId);
+  const refunded = [];
+  for (const prebook of prebooks) {
+    // A payment refunded earlier (e.g. by support) would make refundWalletPayment throw 409
+    // and abort the whole delete
+    const alreadyRefunded = String(prebook.transaction_approved) === '2';
+    if (prebook.transaction_id && Number(prebook.amount) > 0 && !alreadyRefunded) {
+      const refund = await refundWalletPayment(connection, prebook.transaction_id);
+      refunded.push({ userId: prebook.user_id, amount: refund.amount });
+    }
+    await deleteLivePrebook(connection, prebook.id);
+  }
+  return refunded;
+};
+
+/**
+ * Handler for a fan to book a live (POST /live/:liveId/book)
+ *
+ * Charges the booking price from the wallet (free for free lives and eligible subscribers),
+ * enforces the booking capacity and notifies the creator.
+ */
+const postLiveBook = async (req, res) => {
+  try {
+    const { liveId: encryptedLiveId } = req.params;
+    const userId = req.userId;
+
+    let liveId;
+    try {
+      liveId = safeDecryptId(encryptedLiveId);
+    } catch (error) {
+      logError('[postLiveBook] Failed to decrypt live ID:', { encryptedLiveId, error: error.message });
+    }
+    if (!liveId) return res.status(400).json(createErrorResponse(400, 'Invalid live id format'));
+
+    const live = await getLiveStreamings(liveId);
+    if (!live || !live.id) return res.status(404).json(createErrorResponse(404, 'Live not found'));
+    if (live.status !== LIVE_STREAM_STATUS.SCHEDULED || isLiveAbandoned(live)) {
+      return res.status(400).json(createErrorResponse(400, 'Live already closed'));
+    }
+    if (live.user_id === userId) return res.status(400).json(createErrorResponse(400, 'You cannot book your own live'));
+    if (await isCreatorGeoBlocked(req, { id: live.user_id }, userId)) return sendGeoBlockedResponse(res);
+
+    const creator = await getUserById(live.user_id);
+    if (!creator) return res.status(404).json(createErrorResponse(404, 'Creator not found'));
+
+    // Capacity: per-live max_bookings wins over the admin default, 0 means unlimited
+    const adminSettings = await getAdminSettings();
+    const capacity = Number(live.max_bookings) || Number(adminSettings.max_live_bookings) || 0;
+    const amount = await getLiveBookingPrice(live, userId);
+
+    // Runs inside the booking transaction: lock the live, re-check duplicates and capacity
+    const insertBooking = async (conn, payment = null) => {
+      if (await getLivePrebook(liveId, userId, conn)) throw walletError(409, 'You have already booked this live');
+      const bookings = await lockLiveBookings(conn, liveId);
+      if (capacity > 0 && bookings >= capacity) throw walletError(409, 'This live is fully booked');
+      return createLivePrebook(conn, { liveId, userId, amount, transactionId: payment?.transactionId || null });
+    };
+
+    try {
+      if (amount > 0) {
+        await processWalletPayment({
+          payerId: userId,
+          creator,
+          amount,
+          type: TRANSACTION_TYPES.LIVE,
+          refId: liveId,
+          liveId,
+          onBeforeCommit: insertBooking
+        });
+      } else {
+        const conn = await pool.getConnection();
+        try {
+          await conn.beginTransaction();
+          await insertBooking(conn);
+          await conn.commit();
+          conn.release();
+        } catch (error) {
+          await conn.rollback();
+          conn.release();
+          throw error;
+        }
+      }
+    } catch (error) {
+      if (error.statusCode) return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+      throw error;
+    }
+
+    await sendLiveBookingNotification(creator.id, userId, liveId);
+
+    logInfo('[postLiveBook] Live booked', { liveId, userId, amount });
+
+    return res.json({
+      success: true,
+      message: 'Live booked successfully',
+      data: {
+        liveId: encryptedLiveId,
+        amount,
+        date_time: live.date_time,
+        bookings: await getLiveBookingsCount(liveId)
+      }
+    });
+  } catch (error) {
+    logError('[postLiveBook] Error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to book live'));
+  }
+};
+
+/**
+ * Handler for a fan to cancel their booking (DELETE /live/:liveId/book)
+ *
+ * Allowed until the creator starts the live; paid bookings are refunded to the wallet.
+ */
+const deleteLiveBook = async (req, res) => {
+  try {
+    const { liveId: encryptedLiveId } = req.params;
+    const userId = req.userId;
+
+    let liveId;
+    try {
+      liveId = safeDecryptId(encryptedLiveId);
+    } catch (error) {
+      logError('[deleteLiveBook] Failed to decrypt live ID:', { encryptedLiveId, error: error.message });
+    }
+    if (!liveId) return res.status(400).json(createErrorResponse(400, 'Invalid live id format'));
+
+    const live = await getLiveStreamings(liveId);
+    if (!live || !live.id) return res.status(404).json(createErrorResponse(404, 'Live not found'));
+    if (live.status !== LIVE_STREAM_STATUS.SCHEDULED) return res.status(400).json(createErrorResponse(400, 'Live already closed'));
+    if (live.creator_joined === 1 || live.started_at) {
+      return res.status(400).json(createErrorResponse(400, 'Bookings cannot be cancelled once the live has started'));
+    }
+
+    const connection = await pool.getConnection();
+    let refundAmount = 0;
+    try {
+      await connection.beginTransaction();
+
+      const prebook = await getLivePrebook(liveId, userId, connection);
+      if (!prebook) {
+        await connection.rollback();
+        connection.release();
+        return res.status(404).json(createErrorResponse(404, 'Booking not found'));
+      }
+
+      if (prebook.transaction_id && Number(prebook.amount) > 0) {
+        const refund = await refundWalletPayment(connection, prebook.transaction_id);
+        refundAmount = refund.amount;
+      }
+      await deleteLivePrebook(connection, prebook.id);
+
+      await connection.commit();
+      connection.release();
+    } catch (dbError) {
+      await connection.rollback();
+      connection.release();
+      throw dbError;
+    }
+
+    logInfo('[deleteLiveBook] Live booking cancelled', { liveId, userId, refundAmount });
+
+    return res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: { liveId: encryptedLiveId, refundAmount }
+    });
+  } catch (error) {
+    logError('[deleteLiveBook] Error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to cancel booking'));
+  }
+};
+
+/**
+ * Handler to list the authenticated fan's live bookings (GET /live/bookings)
+ *
+ * Query: skip, limit, upcoming=true to only return lives that have not closed yet.
+ */
+const getMyLiveBookings = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { skip: skipRaw, limit: limitRaw, upcoming } = req.query || {};
+    const skip = Math.max(parseInt(skipRaw) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(limitRaw) || 20, 1), 100);
+
+    const { bookings, total } = await getUserLivePrebooks(userId, { skip, limit, upcoming: upcoming === 'true' });
+
+    const formattedBookings = bookings.map(booking => ({
+      id: encryptId(booking.id),
+      liveId: encryptId(booking.live_id),
+      name: booking.name,
+      price: booking.price,
+      amount: booking.amount,
+      type: booking.type,
+      duration: booking.duration,
+      status: booking.status,
+      isLive: booking.status === LIVE_STREAM_STATUS.SCHEDULED && booking.creator_joined === 1,
+      date_time: booking.date_time,
+      booked_at: booking.booked_at,
+      creator: { name: booking.creator_name, username: booking.username }
+    }));
+
+    const hasMore = skip + limit < total;
+    const nextUrl = hasMore ? `live/bookings?skip=${skip + limit}&limit=${limit}${upcoming === 'true' ? '&upcoming=true' : ''}` : '';
+
+    return res.status(200).json(createSuccessResponse('Live bookings retrieved successfully', {
+      bookings: formattedBookings,
+      pagination: { total, next: nextUrl }
+    }));
+  } catch (error) {
+    logError('[getMyLiveBookings] Error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch live bookings'));
+  }
+};
+
 // Export all functions at the end
 export {
   getLiveCreate,
@@ -1386,5 +2095,13 @@ export {
   fetchActiveGoals,
   checkExistingGoal,
   postLiveGoal,
-  getLiveGo
+  getLiveGo,
+  postLiveJoin,
+  postLiveStart,
+  postLiveHeartbeat,
+  postLiveEnd,
+  postLiveTip,
+  postLiveBook,
+  deleteLiveBook,
+  getMyLiveBookings
 };
\ No newline at end of file
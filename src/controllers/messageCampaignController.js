@@ -0,0 +1,302 @@
+/**
+ * @file messageCampaignController.js
+ * @description Express.js controllers for creator mass message campaigns
+ *
+ * Creators target an audience segment (all subscribers, one plan, expired subscribers, top spenders,
+ * recent buyers), optionally schedule the send, and follow its progress and stats. Delivery is done
+ * by workers/messageCampaignWorker.js; POST /messages/send-massive keeps sending inline.
+ *
+ * Database Tables: message_campaigns, message_campaign_recipients, plans
+ */
+
+import {
+  createErrorResponse,
+  createSuccessResponse,
+  logInfo,
+  logError
+} from '../utils/common.js';
+import { processMediaFiles } from '../utils/mediaProcessing.js';
+import { getSubscriptionPlanById } from '../utils/subscription.js';
+import {
+  CAMPAIGN_STATUS,
+  normalizeSegmentOptions,
+  resolveSegmentRecipientIds,
+  createCampaign as insertCampaign,
+  getCreatorCampaigns,
+  countCreatorCampaigns,
+  getCreatorCampaignById,
+  cancelCampaign as cancelCampaignById,
+  getCampaignStats
+} from '../utils/messageCampaigns.js';
+
+/**
+ * Parse a JSON column that mysql2 may already have decoded
+ */
+const parseJsonColumn = (value, fallback) => {
+  if (!value) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * ISO timestamp of a nullable DATETIME column
+ */
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Shape a campaign row for API responses
+ */
+const formatCampaign = (campaign, stats = null) => {
+  const media = parseJsonColumn(campaign.media, null);
+  const formatted = {
+    id: campaign.id,
+    segment: campaign.segment,
+    segment_options: parseJsonColumn(campaign.segment_options, {}),
+    message: campaign.message,
+    price: parseFloat(campaign.price) || 0,
+    media: media?.files || [],
+    status: campaign.status,
+    scheduled_at: toIsoString(campaign.scheduled_at),
+    started_at: toIsoString(campaign.started_at),
+    completed_at: toIsoString(campaign.completed_at),
+    total_recipients: Number(campaign.total_recipients) || 0,
+    sent_count: Number(campaign.sent_count) || 0,
+    failed_count: Number(campaign.failed_count) || 0,
+    created_at: toIsoString(campaign.created_at)
+  };
+  if (stats) formatted.stats = stats;
+  return formatted;
+};
+
+/**
+ * Validate the segment from a request; plans must belong to the creator
+ * @returns {Promise<{ options?: object, error?: string }>}
+ */
+const resolveRequestSegment = async (userId, segment, rawOptions) => {
+  const result = normalizeSegmentOptions(segment, rawOptions);
+  if (result.error || !result.options.plan_id) return result;
+
+  const plan = await getSubscriptionPlanById(result.options.plan_id);
+  if (!plan || Number(plan.user_id) !== Number(userId)) {
+    return { error: 'Plan not found' };
+  }
+  return result;
+};
+
+/**
+ * POST /messages/campaigns - Create a campaign, sent now or at schedule_at
+ * Body: { segment, segment_options?, message, price?, media?, schedule_at? }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the created campaign
+ */
+const createCampaign = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { segment, segment_options, message, price, media, schedule_at } = req.body || {};
+
+    const cleanMessage = typeof message === 'string' ? message.trim() : '';
+    const cleanMedia = Array.isArray(media) ? media.filter(item => typeof item === 'string' && item.trim() !== '') : [];
+    if (!cleanMessage && cleanMedia.length === 0) {
+      return res.status(422).json(createErrorResponse(422, 'Message text or media is required'));
+    }
+
+    const cleanPrice = (price === '' || price === null || price === undefined) ? 0 : Number(price);
+    if (!Number.isFinite(cleanPrice) || cleanPrice < 0) {
+      return res.status(422).json(createErrorResponse(422, 'price must be a positive number'));
+    }
+
+    let scheduledAt = new Date();
+    if (schedule_at) {
+      scheduledAt = new Date(schedule_at);
+      if (Number.isNaN(scheduledAt.getTime()) || scheduledAt.getTime() < Date.now()) {
+        return res.status(422).json(createErrorResponse(422, 'schedule_at must be a valid future datetime'));
+      }
+    }
+
+    const { options, error } = await resolveRequestSegment(userId, segment, segment_options);
+    if (error) {
+      return res.status(422).json(createErrorResponse(422, error));
+    }
+
+    const audience = await resolveSegmentRecipientIds(userId, segment, options);
+    if (audience.length === 0) {
+      return res.status(422).json(createErrorResponse(422, 'No fans match this segment'));
+    }
+
+    // Media is processed once here; every recipient's message points to the same files
+    let processedMedia = { original: [], converted: [] };
+    if (cleanMedia.length > 0) {
+      const { AWS_BUCKET_NAME: bucketName } = process.env;
+      if (!bucketName) {
+        logError('S3 bucket configuration missing from environment');
+        return res.status(500).json(createErrorResponse(500, 'Media storage not configured'));
+      }
+      try {
+        processedMedia = await processMediaFiles(cleanMedia, bucketName, 'message', { continueOnError: false });
+      } catch (mediaError) {
+        logError('Campaign media processing failed:', { userId, error: mediaError.message });
+        return res.status(500).json(createErrorResponse(500, 'Media processing failed'));
+      }
+    }
+
+    const campaignId = await insertCampaign({
+      userId,
+      segment,
+      segmentOptions: options,
+      message: cleanMessage,
+      price: cleanPrice,
+      media: cleanMedia.length > 0 ? { files: cleanMedia, ...processedMedia } : null,
+      scheduledAt
+    });
+
+    const campaign = await getCreatorCampaignById(userId, campaignId);
+    logInfo('Message campaign scheduled', { userId, campaignId, segment, audience: audience.length });
+    return res.status(201).json(createSuccessResponse('Campaign created successfully', {
+      campaign: formatCampaign(campaign),
+      estimated_recipients: audience.length
+    }));
+  } catch (error) {
+    logError('Error creating message campaign:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to create campaign'));
+  }
+};
+
+/**
+ * GET /messages/campaigns - List the creator's campaigns
+ * Query: skip, limit, status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with campaigns and pagination
+ */
+const getCampaigns = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const skip = parseInt(req.query?.skip) || 0;
+    const limit = Math.min(parseInt(req.query?.limit) || 20, 100);
+    const status = Object.values(CAMPAIGN_STATUS).includes(req.query?.status) ? req.query.status : null;
+
+    const [campaigns, total] = await Promise.all([
+      getCreatorCampaigns(userId, { skip, limit, status }),
+      countCreatorCampaigns(userId, status)
+    ]);
+
+    let next = '';
+    if (skip + limit < total) {
+      next = `/messages/campaigns?skip=${skip + limit}&limit=${limit}${status ? `&status=${status}` : ''}`;
+    }
+
+    return res.status(200).json(createSuccessResponse('Campaigns retrieved successfully', {
+      campaigns: campaigns.map(campaign => formatCampaign(campaign)),
+      pagination: { total, next }
+    }));
+  } catch (error) {
+    logError('Error fetching message campaigns:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch campaigns'));
+  }
+};
+
+/**
+ * GET /messages/campaigns/audience - Count the fans a segment currently reaches
+ * Query: segment, plan_id, limit, days
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the audience size
+ */
+const getCampaignAudience = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { segment } = req.query || {};
+
+    const { options, error } = await resolveRequestSegment(userId, segment, req.query);
+    if (error) {
+      return res.status(422).json(createErrorResponse(422, error));
+    }
+
+    const audience = await resolveSegmentRecipientIds(userId, segment, options);
+    return res.status(200).json(createSuccessResponse('Audience retrieved successfully', {
+      segment,
+      segment_options: options,
+      recipients: audience.length
+    }));
+  } catch (error) {
+    logError('Error fetching campaign audience:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch campaign audience'));
+  }
+};
+
+/**
+ * GET /messages/campaigns/:id - Campaign detail with delivery, open, unlock and revenue stats
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the campaign
+ */
+const getCampaign = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const campaignId = parseInt(req.params.id);
+    if (!campaignId) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid campaign ID'));
+    }
+
+    const campaign = await getCreatorCampaignById(userId, campaignId);
+    if (!campaign) {
+      return res.status(404).json(createErrorResponse(404, 'Campaign not found'));
+    }
+
+    const stats = await getCampaignStats(campaign);
+    return res.status(200).json(createSuccessResponse('Campaign retrieved successfully', {
+      campaign: formatCampaign(campaign, stats)
+    }));
+  } catch (error) {
+    logError('Error fetching message campaign:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch campaign'));
+  }
+};
+
+/**
+ * POST /messages/campaigns/:id/cancel - Stop a scheduled or running campaign.
+ * Messages already delivered stay in the fans' inboxes.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the cancelled campaign
+ */
+const cancelCampaign = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const campaignId = parseInt(req.params.id);
+    if (!campaignId) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid campaign ID'));
+    }
+
+    const campaign = await getCreatorCampaignById(userId, campaignId);
+    if (!campaign) {
+      return res.status(404).json(createErrorResponse(404, 'Campaign not found'));
+    }
+
+    if (!await cancelCampaignById(userId, campaignId)) {
+      return res.status(409).json(createErrorResponse(409, `Campaign is already ${campaign.status}`));
+    }
+
+    const cancelled = await getCreatorCampaignById(userId, campaignId);
+    return res.status(200).json(createSuccessResponse('Campaign cancelled successfully', {
+      campaign: formatCampaign(cancelled, await getCampaignStats(cancelled))
+    }));
+  } catch (error) {
+    logError('Error cancelling message campaign:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to cancel campaign'));
+  }
+};
+
+// Export all functions at the end
+export {
+  createCampaign,
+  getCampaigns,
+  getCampaignAudience,
+  getCampaign,
+  cancelCampaign
+};
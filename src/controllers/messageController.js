@@ -6,6 +6,7 @@
  * - Conversation management
  * - Message sending and retrieval
  * - Message deletion
+ * - Read state and unread counters
  * - Media upload handling
  * - Massive message broadcasting
  * 
@@ -51,12 +52,24 @@ import {
   setConversationInactive,
   updateConversationTimestamp,
   getLatestMessageTime,
-  getMessageByIdWithDetails
+  getMessageByIdWithDetails,
+  applyMessagePaywall,
+  createMessagePurchase,
+  hasPurchasedMessage,
+  markConversationRead,
+  countConversationUnread,
+  countUnreadMessages,
+  deleteMessageById,
+  deleteConversationById
 } from '../utils/messages.js';
+import { processWalletPayment, walletError, TRANSACTION_TYPES } from '../utils/wallet.js';
+import { createNotification } from '../utils/notification.js';
 import { 
   saveMessageMedia, 
   saveMessage, 
-  deleteMessage as deleteMessageUtil 
+  deleteMessage as deleteMessageUtil,
+  pushNewMessage,
+  processSubscriber
 } from '../utils/send_message.js';
 import { 
   processMediaFiles, 
@@ -74,7 +87,9 @@ import {
 import { 
   processUploadRequest 
 } from '../utils/uploadUtils.js';
+import { getActiveSubscriberIds } from '../utils/subscription.js';
 import { pool } from '../config/database.js';
+import { emitUnreadCount, emitConversationRead } from '../utils/realtime.js';
 
 /**
  * Get support user configuration based on user verification status
@@ -320,10 +335,13 @@ const getConversation = async (req, res) => {
     
     const hasMore = skip + limit < totalMessages; // Build pagination info
     const nextUrl = hasMore ? `messages/conversation?skip=${skip + limit}&limit=${limit}` : '';
+
+    const { total: unreadTotal } = await countUnreadMessages(userId); // Badge total across all conversations
     
     // TODO: Convert createApiResponse(200, 'Messages retrieved successfully', { messagesInbox: finalMessagesInbox, pagination: { total: totalMessages, next: nextUrl } }) to res.status(200).json(createApiResponse(200, 'Messages retrieved successfully', { messagesInbox: finalMessagesInbox, pagination: { total: totalMessages, next: nextUrl } }))
     return res.status(200).json(createSuccessResponse('Messages retrieved successfully', {
       messagesInbox: finalMessagesInbox,
+      unread_total: unreadTotal,
       pagination: { total: totalMessages, next: nextUrl }
     }));
   } catch (error) {
@@ -560,6 +578,9 @@ const getMessagesInbox = async (req, res) => {
       }
     }
 
+    // Hide media of priced messages the authenticated user has not unlocked yet
+    messages = await applyMessagePaywall(messages, authenticatedUserId);
+
     // Format messages grouped by date for better user experience
     // This provides a more intuitive conversation view
     const formattedMessagesByDate = formatMessagesByDate(messages, authenticatedUserId);
@@ -667,7 +688,7 @@ const deleteMessage = async (req, res) => {
 
     try {
       // Check if message exists and user has access
-      const message = await getMessageById(messageIdNum);
+      const message = await getMessageByIdUtil(messageIdNum);
       
     if (!message) {
         logError('Message not found', { 
@@ -702,7 +723,7 @@ const deleteMessage = async (req, res) => {
       }
 
       // Delete the message (soft delete by updating status)
-      const deleteResult = await deleteMessageById(messageIdNum, authenticatedUserId);
+      const deleteResult = await deleteMessageById(messageIdNum);
       
       if (!deleteResult.success) {
         logError('Failed to delete message', { 
@@ -719,6 +740,9 @@ const deleteMessage = async (req, res) => {
         authenticatedUserId
       });
 
+      // A deleted unread message no longer counts towards the recipient's badge
+      await emitUnreadCount(message.to_user_id);
+
       // TODO: Convert createSuccessResponse('Message deleted successfully', { messageId: messageIdNum }) to res.status(200).json(createSuccessResponse('Message deleted successfully', { messageId: messageIdNum }))
       return res.status(200).json(createSuccessResponse('Message deleted successfully', {
         messageId: messageIdNum
@@ -812,19 +836,19 @@ const deleteConversation = async (req, res) => {
 
       // Security check: Ensure the authenticated user is part of this conversation
       // This prevents users from deleting conversations they're not part of
-      if (conversation.from_user_id !== authenticatedUserId && conversation.to_user_id !== authenticatedUserId) {
+      const participantIds = [Number(conversation.user1_id), Number(conversation.user2_id)];
+      if (!participantIds.includes(Number(authenticatedUserId))) {
         logError('User not authorized to delete this conversation', { 
           conversationId, 
           authenticatedUserId,
-          conversationFromUserId: conversation.from_user_id,
-          conversationToUserId: conversation.to_user_id
+          participantIds
         });
         // TODO: Convert createErrorResponse(403, 'You are not authorized to delete this conversation') to res.status(403).json({ error: 'You are not authorized to delete this conversation' })
         return res.status(403).json(createErrorResponse(403, 'You are not authorized to delete this conversation'));
       }
 
       // Delete the conversation (soft delete by updating status)
-      const deleteResult = await deleteConversationById(conversationId, authenticatedUserId);
+      const deleteResult = await deleteConversationById(conversationId);
       
       if (!deleteResult.success) {
         logError('Failed to delete conversation', { 
@@ -842,6 +866,9 @@ const deleteConversation = async (req, res) => {
         deletedMessagesCount: deleteResult.deletedMessagesCount
       });
 
+      // Unread messages of the conversation are gone for both participants
+      await Promise.all(participantIds.map(participantId => emitUnreadCount(participantId)));
+
       // TODO: Convert createSuccessResponse('Conversation deleted successfully', { conversationId, deletedMessagesCount: deleteResult.deletedMessagesCount }) to res.status(200).json(createSuccessResponse('Conversation deleted successfully', { conversationId, deletedMessagesCount: deleteResult.deletedMessagesCount }))
       return res.status(200).json(createSuccessResponse('Conversation deleted successfully', {
         conversationId,
@@ -866,6 +893,75 @@ const deleteConversation = async (req, res) => {
   }
 };
 
+/**
+ * POST /messages/conversation/{id}/read - Mark the messages received in a conversation as read
+ * Body: { message_id } (optional, marks up to and including this message; defaults to everything)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the read marker and remaining unread counts
+ */
+const markConversationAsRead = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const conversationId = parseInt(req.params.id);
+    if (!conversationId || conversationId <= 0) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid conversation ID format'));
+    }
+
+    const rawMessageId = req.body?.message_id;
+    const upToMessageId = rawMessageId === undefined || rawMessageId === null || rawMessageId === '' ? null : parseInt(rawMessageId);
+    if (upToMessageId !== null && !(upToMessageId > 0)) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid message ID format'));
+    }
+
+    const conversation = await getConversationById(conversationId);
+    const participantIds = conversation ? [Number(conversation.user1_id), Number(conversation.user2_id)] : [];
+    if (!participantIds.includes(Number(userId))) {
+      return res.status(404).json(createErrorResponse(404, 'Conversation not found'));
+    }
+    const otherUserId = participantIds.find(participantId => participantId !== Number(userId)) ?? Number(userId);
+
+    const { markedCount, lastReadMessageId } = await markConversationRead(conversationId, userId, upToMessageId);
+    const [unreadCount, { total: unreadTotal }] = await Promise.all([
+      countConversationUnread(conversationId, userId),
+      countUnreadMessages(userId)
+    ]);
+
+    await emitConversationRead({ conversationId, readerId: Number(userId), otherUserId, lastReadMessageId });
+    logInfo('Conversation marked as read', { userId, conversationId, markedCount, lastReadMessageId });
+
+    return res.status(200).json(createSuccessResponse('Conversation marked as read', {
+      conversation_id: conversationId,
+      marked_count: markedCount,
+      last_read_message_id: lastReadMessageId,
+      unread_count: unreadCount,
+      unread_total: unreadTotal
+    }));
+  } catch (error) {
+    logError('Error marking conversation as read:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to mark conversation as read'));
+  }
+};
+
+/**
+ * GET /messages/unread-count - Unread message badge of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with total unread messages and conversations
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    const { total, conversations } = await countUnreadMessages(req.userId);
+    return res.status(200).json(createSuccessResponse('Unread count retrieved successfully', {
+      unread_total: total,
+      unread_conversations: conversations
+    }));
+  } catch (error) {
+    logError('Error fetching unread count:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch unread count'));
+  }
+};
+
 /**
  * GET /messages/upload-url - Get pre-signed upload URLs for message media
  * Exact implementation matching Lambda getMessageUploadUrlHandler
@@ -1169,6 +1265,9 @@ const sendMessage = async (req, res) => {
       conversation_id: conversationId
     });
 
+    // Push to connected clients (WebSocket gateway)
+    await pushNewMessage(messageId, targetUserId);
+
     // TODO: Convert createSuccessResponse('Message sent successfully', { user_id: parseInt(user_id), message_id: messageId, auth_id: parseInt(authenticatedUserId), message: message }) to res.status(200).json(createSuccessResponse('Message sent successfully', { user_id: parseInt(user_id), message_id: messageId, auth_id: parseInt(authenticatedUserId), message: message }))
     return res.status(200).json(createSuccessResponse('Message sent successfully', {
       user_id: parseInt(user_id),
@@ -1186,23 +1285,11 @@ const sendMessage = async (req, res) => {
 };
 
 /**
- * Get active subscribers for a creator
+ * Get active subscribers for a creator (same access rule as isUserSubscribed)
  */
 const getActiveSubscribers = async (creatorId) => {
   try {
-    const [rows] = await pool.query(`
-      SELECT DISTINCT s.user_id as subscriber_id
-      FROM subscriptions s
-      INNER JOIN plans p ON s.stripe_price = p.name
-      WHERE p.user_id = ? 
-        AND p.status = '1'
-        AND (
-          (s.cancelled = 'no' AND s.ends_at > NOW()) 
-          OR (s.free = 'yes' AND s.cancelled = 'no')
-        )
-    `, [creatorId]);
-    
-    return rows.map(({ subscriber_id }) => subscriber_id);
+    return await getActiveSubscriberIds(creatorId);
   } catch (error) {
     logError('Failed to get active subscribers:', { error: error.message, creatorId });
     throw error;
@@ -1234,58 +1321,6 @@ const processMassiveMessageMedia = async (media, bucketName) => {
   }
 };
 
-/**
- * Process a single subscriber for massive message sending
- */
-const processSubscriber = async (subscriberId, { creatorId, message, price, media, processedMedia, expiresAtTimestamp }) => {
-  try {
-    // Find or create conversation between creator and subscriber
-    const conversationId = await findOrCreateConversation(creatorId, subscriberId);
-    
-    // Create new message in database
-    const messageResult = await saveMessage({
-      conversation_id: conversationId,
-      from_user_id: creatorId,
-      to_user_id: subscriberId,
-      message,
-      price,
-      format: media.length > 0 ? media[0].split('.').pop() : '',
-      size: media.length > 0 ? '0' : '',
-      expires_at: expiresAtTimestamp
-    });
-    
-    const { messageId } = messageResult;
-    if (!messageId) throw new Error('Message ID was not generated');
-    
-    let mediaIds = [];
-    if (processedMedia.original.length > 0 || processedMedia.converted.length > 0) {
-      try {
-        const mediaResult = await saveMessageMedia({
-          media: processedMedia.original,
-          convertedMedia: processedMedia.converted,
-          message_id: messageId,
-          conversation_id: conversationId,
-          userId: creatorId
-        });
-        
-        if (mediaResult.mediaId && mediaResult.mediaId.length > 0) {
-          mediaIds = mediaResult.mediaId;
-        }
-      } catch (error) {
-        logError('Media save failed for subscriber:', { subscriberId, messageId, error: error.message });
-        return { success: true, messageId, mediaIds, error: 'Media save failed' };
-      }
-    }
-    
-    logInfo('Message sent successfully to subscriber:', { subscriberId, messageId, conversationId });
-    return { success: true, messageId, mediaIds };
-    
-  } catch (error) {
-    logError('Failed to process subscriber:', { subscriberId, error: error.message });
-    return { success: false, error: error.message };
-  }
-};
-
 /**
  * Build comprehensive response data for massive message send
  */
@@ -1593,7 +1628,9 @@ const getMessageById = async (req, res) => {
 
       // Format the single message in conversations format for consistency
       // This ensures the response format matches other message endpoints
-      const formattedMessages = formatMessagesByDate([message], authenticatedUserId);
+      // Hide media if this is a priced message the user has not unlocked yet
+      const visibleMessages = await applyMessagePaywall([message], authenticatedUserId);
+      const formattedMessages = formatMessagesByDate(visibleMessages, authenticatedUserId);
 
       // Prepare response data in the same format as conversation endpoints
       const responseData = {
@@ -1628,6 +1665,113 @@ const getMessageById = async (req, res) => {
   }
 };
 
+/**
+ * Notify the creator that a priced message was bought (type 6), honouring notify_new_ppv
+ */
+const sendMessagePurchaseNotification = async (creator, buyerId, messageId) => {
+  try {
+    if (creator.notify_new_ppv !== 'yes') return;
+    await createNotification({
+      user_id: creator.id,
+      from_user_id: buyerId,
+      type: '6',
+      message_id: messageId
+    });
+  } catch (error) {
+    logError('Error sending message purchase notification:', error);
+    // Don't throw error as notification failure shouldn't break the purchase
+  }
+};
+
+/**
+ * POST /messages/{messageId}/unlock - Buy a priced message and unlock its media
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the unlocked message or error details
+ */
+const unlockMessage = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    // Validate message ID parameter
+    const messageIdNum = parseInt(req.params?.messageId);
+    if (isNaN(messageIdNum) || messageIdNum <= 0) {
+      logError('Invalid message ID format', { messageId: req.params?.messageId });
+      return res.status(400).json(createErrorResponse(400, 'Invalid message ID format'));
+    }
+
+    logInfo('Processing message unlock request', { userId, messageId: messageIdNum });
+
+    const message = await getMessageByIdWithDetails(messageIdNum);
+    if (!message) {
+      return res.status(404).json(createErrorResponse(404, 'Message not found'));
+    }
+
+    // Only the recipient of a priced message can buy it
+    if (message.to_user_id !== userId) {
+      logError('User not authorized to unlock this message', { messageId: messageIdNum, userId, toUserId: message.to_user_id });
+      return res.status(403).json(createErrorResponse(403, 'You are not authorized to unlock this message'));
+    }
+
+    const price = parseFloat(message.price) || 0;
+    if (price <= 0) {
+      return res.status(400).json(createErrorResponse(400, 'This message is not locked'));
+    }
+
+    const creator = await getUserById(message.from_user_id);
+    if (!creator) {
+      return res.status(404).json(createErrorResponse(404, 'Creator not found'));
+    }
+
+    // Record the purchase, debit wallet and credit creator in one transaction
+    let payment;
+    try {
+      payment = await processWalletPayment({
+        payerId: userId,
+        creator,
+        amount: price,
+        type: TRANSACTION_TYPES.PPV,
+        refId: messageIdNum,
+        // Claim the purchase before the debit: the lock and the unique key on pay_per_views
+        // make a concurrent second request fail with 409 instead of paying twice
+        onBeforeDebit: async (conn) => {
+          if (await hasPurchasedMessage(conn, userId, messageIdNum)) {
+            throw walletError(409, 'Message already unlocked');
+          }
+          try {
+            await createMessagePurchase(conn, userId, messageIdNum);
+          } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') throw walletError(409, 'Message already unlocked');
+            throw error;
+          }
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        logInfo('Message unlock rejected', { userId, messageId: messageIdNum, reason: error.message });
+        return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+      }
+      throw error;
+    }
+
+    await sendMessagePurchaseNotification(creator, userId, messageIdNum);
+
+    const [unlockedMessage] = await applyMessagePaywall([message], userId);
+    const formattedMessages = formatMessagesByDate([unlockedMessage], userId);
+
+    logInfo('Message unlocked successfully', { userId, messageId: messageIdNum, transactionId: payment.transactionId });
+
+    return res.status(200).json(createSuccessResponse('Message unlocked successfully', {
+      messageId: messageIdNum,
+      amount: payment.amount,
+      conversations: formattedMessages
+    }));
+  } catch (error) {
+    logError('unlockMessage error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
 // Export all functions at the end
 export {
   getSupportConfiguration,
@@ -1636,11 +1780,13 @@ export {
   getMessagesInbox,
   deleteMessage,
   deleteConversation,
+  markConversationAsRead,
+  getUnreadCount,
   getMessageUploadUrl,
   sendMessage,
   getActiveSubscribers,
   processMassiveMessageMedia,
-  processSubscriber,
   sendMassiveMessage,
-  getMessageById
+  getMessageById,
+  unlockMessage
 };
\ No newline at end of file
@@ -6,6 +6,7 @@
  * - Notification retrieval with filtering and pagination
  * - Notification settings management
  * - Notification deletion (single and bulk)
+ * - Email digest unsubscribe links
  * 
  * Database Tables: notifications, users
  */
@@ -21,6 +22,8 @@ import {
   getFile,
   encryptId
 } from '../utils/common.js';
+import { generateNotificationMessage, getNotificationDestination } from '../utils/notification.js';
+import { verifyDigestUnsubscribeToken, unsubscribeFromDigest } from '../utils/emailDigest.js';
 import { pool } from '../config/database.js';
 
 // ============================================================================
@@ -44,145 +47,30 @@ const allowedFields = [
   'notify_new_ppv',
   'notify_liked_comment',
   'notify_missed_vc_email',
-  'notify_missed_vc_wa'
+  'notify_missed_vc_wa',
+  'notify_email_digest'
 ];
 
+// Notification settings with a fixed list of values instead of a '1'/'0' toggle
+const optionFields = {
+  email_digest_frequency: ['daily', 'weekly']
+};
+
 // ============================================================================
 // NOTIFICATION HELPER FUNCTIONS
 // ============================================================================
 
-/**
- * Get notification destination description based on type and data
- */
-const getNotificationDestination = (notification) => {
-  try {
-    const { type } = notification;
-    const typeStr = String(type);
-
-    const linkTextGroups = {
-      'Profile': ['1'],
-      'View Post': ['2', '3', '4', '7', '8', '9', '16', '25'],
-      'Payments Received': ['5', '12'],
-      'View Message': ['6', '10'],
-      'View Referrals': ['11'],
-      'Subscribe Now': ['13'],
-      'Watch Live': ['14', '34', '35'],
-      'View Sales': ['15'],
-      'View Wallet': ['17', '18'],
-      'Live Bookings': ['19'],
-      'Payment History': ['20'],
-      'View Ticket': ['21'],
-      'View Tickets': ['22'],
-      'View Verification': ['23'],
-      'View Payouts': ['24'],
-      'View Order': ['26', '27'],
-      'View Products': ['28'],
-      'View Orders': ['29', '30', '31', '32'],
-      'View Messages': ['33']
-    };
-
-    const linkTextMap = {};
-    Object.entries(linkTextGroups).forEach(([linkText, typeIds]) => {
-      typeIds.forEach(typeId => {
-        linkTextMap[typeId] = linkText;
-      });
-    });
-
-    return linkTextMap[typeStr] || 'View Notification';
-  } catch (error) {
-    return 'View Notification';
-  }
-};
-
-/**
- * Truncate text to specified length with ellipsis
- */
-const truncateText = (text, limit = 20) => {
-  if (!text) return '';
-  return text.length > limit ? `${text.substring(0, limit)}...` : text;
-};
-
-/**
- * Get display name from user data with fallback logic
- */
-const getDisplayName = (name, username) => {
-  return truncateText(name || username, 20);
-};
-
-/**
- * Generate notification message based on type and data
- */
-const generateNotificationMessage = (notification) => {
-  try {
-    const { 
-      type, 
-      username, 
-      name, 
-      description, 
-      message, 
-      productName, 
-      live_stream_name, 
-      live_stream_datetime 
-    } = notification;
-
-    const displayName = getDisplayName(name, username);
-    const typeStr = String(type);
-
-    const messageTemplates = {
-      '1': () => `${displayName} has subscribed to your content`,
-      '2': () => `${displayName} likes your post ${truncateText(description, 50)}`,
-      '3': () => `${displayName} commented on your post ${truncateText(description, 50)}`,
-      '4': () => `${displayName} liked your comment in ${truncateText(description, 50)}`,
-      '5': () => `${displayName} he sent you a tip`,
-      '6': () => `${displayName} has bought your message ${truncateText(message, 50)}`,
-      '7': () => `${displayName} has bought your post ${truncateText(description, 50)}`,
-      '8': () => `Your post has been approved ${truncateText(description, 50)}`,
-      '9': () => `Your video has been processed successfully (Post) ${truncateText(description, 50)}`,
-      '10': () => `Your video has been processed successfully (Message) ${truncateText(message, 50)}`,
-      '11': () => `One of your referrals has made a transaction`,
-      '12': () => `Payment received for subscription renewal from ${displayName}`,
-      '13': () => `${displayName} has changed your subscription to paid. Subscribe now!`,
-      '14': () => `${displayName} is streaming live`,
-      '15': () => `${displayName} has bought your item ${truncateText(productName, 50)}`,
-      '16': () => `${displayName} has mentioned you in ${truncateText(description, 50)}`,
-      '17': () => `Your deposit has processed successfully`,
-      '18': () => `Your deposit has failed`,
-      '19': () => `${displayName} has pre-booked your live event`,
-      '20': () => `Live pre-book for ${username} has been refunded successfully`,
-      '21': () => `${displayName} sent a new ticket`,
-      '22': () => `${displayName} created a new ticket`,
-      '23': () => `${displayName} sent a verification request`,
-      '24': () => `${displayName} sent a payout conversation`,
-      '25': () => `Your content has been disabled due to ${truncateText(description, 50)}. View post`,
-      '26': () => `Your purchase of ${productName || 'product'} has been rejected by the creator and amount refunded. Payment history`,
-      '27': () => `Order placed by ${displayName} has been cancelled and amount refunded successfully. View order`,
-      '28': () => `Order placed by ${displayName} has been delivered and amount credited successfully. View order`,
-      '29': () => `${displayName} has placed an order`,
-      '30': () => `Error response while creating order in Shiprocket. Check error logs`,
-      '31': () => `Error response while cancelling Shiprocket shipment. Check error logs`,
-      '32': () => `Error response while cancelling Shiprocket order. Check error logs`,
-      '33': () => `Missed call from ${displayName}`,
-      '34': () => `${displayName} has rescheduled the live stream`,
-      '35': () => `${displayName} is going live: ${live_stream_name || 'Live Stream'} @ ${live_stream_datetime}`
-    };
-
-    return messageTemplates[typeStr]?.() || `New notification from ${displayName}`;
-  } catch (error) {
-    return 'New notification received';
-  }
-};
-
 /**
  * Get notification filter types for different categories
  */
 const getFilterTypes = () => {
   const filterTypes = {
-    'subscription': ['1', '13'],
+    'subscription': ['1', '13', '36', '37', '38', '41', '42'],
     'comment': ['3', '4'],
     'brought_message': ['6'],
     'brought_content': ['7'],
     'brought_item': ['15'],
-    'live_bookings': ['19'],
+    'live_bookings': ['19', '40'],
     'calls': ['33'],
   };
 
@@ -300,7 +188,8 @@ const fetchNotifications = async (userId, limit, skip, activeFilterTypes) => {
         u.id as userId,
         u.username,
         u.name,
-        u.avatar
+        u.avatar,
+        n.extra_data
       FROM notifications n
       LEFT JOIN users u ON n.user_id = u.id
       WHERE n.destination = ?
@@ -471,7 +360,7 @@ const getNotificationSettings = async (req, res) => {
     
     // Fetch settings from the database for the authenticated user
     // TODO: Convert getNotificationSettings(userId) to getNotificationSettingsHelper(userId)
-    return await getNotificationSettingsHelper(userId);
+    return await getNotificationSettingsHelper(userId, res);
   } catch (error) {
     logError('Notification settings GET error:', error);
     // TODO: Convert createErrorResponse(500, 'Internal server error') to res.status(500).json({ error: 'Internal server error' })
@@ -482,13 +371,14 @@ const getNotificationSettings = async (req, res) => {
 /**
  * Fetches the notification settings for a user from the database.
  * @param {number} userId - The authenticated user's ID
+ * @param {Object} res - Express response object
  * @returns {object} API response with notification settings
  */
-const getNotificationSettingsHelper = async (userId) => {
+const getNotificationSettingsHelper = async (userId, res) => {
   try {
     logInfo('Fetching notification settings for user:', { userId });
     // Build the SELECT query dynamically using allowedFields for maintainability
-    const query = `SELECT ${allowedFields.join(', ')} FROM users WHERE id = ?`;
+    const query = `SELECT ${[...allowedFields, ...Object.keys(optionFields)].join(', ')} FROM users WHERE id = ?`;
     // Execute the query with the userId as parameter
     const [rows] = await pool.query(query, [userId]);
     // If no user is found, log and return a 404 error
@@ -505,8 +395,11 @@ const getNotificationSettingsHelper = async (userId) => {
       acc[field] = userSettings[field] === 'yes' ? '1' : '0'; // Convert DB value to API value
       return acc;
     }, {});
+    Object.entries(optionFields).forEach(([field, options]) => {
+      currentValues[field] = options.includes(userSettings[field]) ? userSettings[field] : options[options.length - 1];
+    });
 
-    // Define field configurations for the 8 allowed fields
+    // Define field configurations for the allowed fields
     const fieldConfigs = [
       {
         field_id: "new_subscriber",
@@ -571,6 +464,23 @@ const getNotificationSettingsHelper = async (userId) => {
         field_key: "notify_missed_vc_wa",
         field_default_value: false,
         channel: "whatsapp"
+      },
+      {
+        field_id: "email_digest",
+        field_type: "toggle",
+        field_label: "Summary of what I missed while away (Email)",
+        field_key: "notify_email_digest",
+        field_default_value: true,
+        channel: "email"
+      },
+      {
+        field_id: "email_digest_frequency",
+        field_type: "select",
+        field_label: "Email summary frequency",
+        field_key: "email_digest_frequency",
+        field_options: optionFields.email_digest_frequency,
+        field_default_value: "weekly",
+        channel: "email"
       }
     ];
 
@@ -632,7 +542,7 @@ const updateNotificationSettings = async (req, res) => {
     
     // Update settings in the database for the authenticated user
     // TODO: Convert updateNotificationSettings(userId, event) to updateNotificationSettingsHelper(userId, req)
-    return await updateNotificationSettingsHelper(userId, req);
+    return await updateNotificationSettingsHelper(userId, req, res);
   } catch (error) {
     logError('Notification settings POST error:', error);
     // TODO: Convert createErrorResponse(500, 'Internal server error') to res.status(500).json({ error: 'Internal server error' })
@@ -644,9 +554,10 @@ const updateNotificationSettings = async (req, res) => {
  * Updates the notification settings for a user in the database.
  * @param {number} userId - The authenticated user's ID
  * @param {object} req - Express request object containing the request body
+ * @param {Object} res - Express response object
  * @returns {object} API response with update result
  */
-const updateNotificationSettingsHelper = async (userId, req) => {
+const updateNotificationSettingsHelper = async (userId, req, res) => {
   try {
     logInfo('Updating notification settings for user:', { userId });
 
@@ -685,6 +596,18 @@ const updateNotificationSettingsHelper = async (userId, req) => {
       }
     }
 
+    for (const [field, options] of Object.entries(optionFields)) {
+      if (requestBody.hasOwnProperty(field)) {
+        const value = requestBody[field];
+        if (!options.includes(value)) {
+          return res.status(400).json(createErrorResponse(400, `Invalid value for ${field}. Must be one of: ${options.join(', ')}`));
+        }
+        updateFields[field] = value;
+        updateValues.push(value);
+        updateQuery += `${field} = ?, `;
+      }
+    }
+
     // Remove trailing comma and space
     updateQuery = updateQuery.slice(0, -2);
     updateQuery += ' WHERE id = ?';
@@ -712,7 +635,7 @@ const updateNotificationSettingsHelper = async (userId, req) => {
     
     // Fetch and return the updated notification settings
     // TODO: Convert getNotificationSettings(userId) to getNotificationSettingsHelper(userId)
-    return await getNotificationSettingsHelper(userId);
+    return await getNotificationSettingsHelper(userId, res);
   } catch (dbError) {
     logError('Database error while updating notification settings:', dbError);
     // TODO: Convert createErrorResponse(500, 'Failed to update notification settings') to res.status(500).json({ error: 'Failed to update notification settings' })
@@ -868,6 +791,33 @@ const deleteAllNotifications = async (req, res) => {
   }
 };
 
+/**
+ * GET|POST /notifications/digest/unsubscribe?token= - Turn email digests off from the signed link
+ * in a digest (POST is the one-click List-Unsubscribe request). No login needed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} API response confirming the opt-out
+ */
+const unsubscribeEmailDigest = async (req, res) => {
+  try {
+    const userId = verifyDigestUnsubscribeToken(req.query?.token || req.body?.token);
+    if (!userId) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid unsubscribe link'));
+    }
+
+    if (!await unsubscribeFromDigest(userId)) {
+      return res.status(404).json(createErrorResponse(404, 'User not found'));
+    }
+
+    return res.status(200).json(createSuccessResponse('You will no longer receive email summaries', {
+      notify_email_digest: '0'
+    }));
+  } catch (error) {
+    logError('Error unsubscribing from email digest:', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
 // Export all functions at the end
 export {
   fetchNotifications,
@@ -879,5 +829,6 @@ export {
   updateNotificationSettings,
   updateNotificationSettingsHelper,
   deleteNotificationById,
-  deleteAllNotifications
+  deleteAllNotifications,
+  unsubscribeEmailDigest
 };
\ No newline at end of file
@@ -0,0 +1,346 @@
+/**
+ * @file ordersController.js
+ * @description Express.js Orders Controllers (buyer side of the shop)
+ *
+ * This module provides product checkout and order management for buyers:
+ * - Purchase a product from the wallet (custom-request text for custom products)
+ * - List my orders and view an order
+ * - Cancel an order before delivery (refunded to the wallet)
+ * - Download delivered digital products through expiring S3 links
+ *
+ * Creator-side delivery and rejection live in salesController.js.
+ *
+ * Database Tables: products, purchases, transactions, creator_earnings, notifications, purchase_downloads
+ */
+
+import { createSuccessResponse, createErrorResponse, getPaginationParams, logInfo, logError, getUserById, encryptId, safeDecryptId, getFile, getAdminSettings, getDeviceInfo } from '../utils/common.js';
+import { processWalletPayment, refundWalletPayment, walletError, TRANSACTION_TYPES } from '../utils/wallet.js';
+import { createNotification } from '../utils/notification.js';
+import {
+  INSTANT_DELIVERY_TYPES,
+  getProductForPurchase,
+  createPurchase,
+  getUserOrders,
+  getUserOrderById,
+  getPurchaseForUpdate,
+  setPurchaseDeliveryStatus,
+  getOrderDownloadFiles,
+  countOrderDownloads,
+  logOrderDownload
+} from '../utils/orders.js';
+import { generateDownloadUrl } from '../utils/uploadUtils.js';
+import { isCreatorGeoBlocked, sendGeoBlockedResponse } from '../utils/geoBlocking.js';
+import { pool } from '../config/database.js';
+
+/**
+ * Limits for the custom-request text of custom products
+ */
+const CUSTOM_CONTENT_MIN_LENGTH = 10;
+const CUSTOM_CONTENT_MAX_LENGTH = 1000;
+
+/**
+ * Default number of downloads allowed per order (admin setting max_downloads_per_order overrides)
+ */
+const DEFAULT_DOWNLOAD_LIMIT = 5;
+
+/**
+ * Decrypt an ID from the path or body, returning null when invalid
+ */
+const decryptOrderParam = (encryptedId) => {
+  try {
+    return safeDecryptId(encryptedId);
+  } catch (error) {
+    logError('Failed to decrypt order ID:', { encryptedId, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Send an order notification without failing the request
+ */
+const sendOrderNotification = async (userId, fromUserId, type, extraData = null) => {
+  try {
+    await createNotification({ user_id: userId, from_user_id: fromUserId, type, extra_data: extraData });
+  } catch (error) {
+    logError('Failed to send order notification:', { userId, type, error: error.message });
+  }
+};
+
+/**
+ * Format an order row for API responses
+ */
+const formatOrder = (order) => ({
+  id: encryptId(order.id),
+  delivery_status: order.delivery_status,
+  description: order.description_custom_content || '',
+  amount_paid: order.amount_paid !== null && order.amount_paid !== undefined ? parseFloat(order.amount_paid) : parseFloat(order.product_price),
+  can_cancel: order.delivery_status === 'pending',
+  created_at: new Date(order.created_at).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+  product: {
+    id: encryptId(order.product_id),
+    name: order.product_name,
+    type: order.product_type,
+    price: parseFloat(order.product_price),
+    delivery_time: order.delivery_time,
+    image: order.image ? getFile(`shop/${order.image}`) : null
+  },
+  creator: {
+    name: order.creator_name,
+    username: order.creator_username
+  }
+});
+
+/**
+ * POST /orders - Purchase a product from the wallet
+ * Body: { product_id, description_custom_content } (text required for custom products)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the created order
+ */
+const createOrder = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { product_id: encryptedProductId, description_custom_content: rawDescription } = req.body || {};
+
+    if (!encryptedProductId) return res.status(400).json(createErrorResponse(400, 'Product id is required'));
+    const productId = decryptOrderParam(encryptedProductId);
+    if (!productId) return res.status(400).json(createErrorResponse(400, 'Invalid product ID'));
+
+    const product = await getProductForPurchase(productId);
+    if (!product) return res.status(404).json(createErrorResponse(404, 'Product not found'));
+    if (product.user_id === userId) return res.status(400).json(createErrorResponse(400, 'You cannot buy your own product'));
+    if (await isCreatorGeoBlocked(req, { id: product.user_id }, userId)) return sendGeoBlockedResponse(res);
+
+    // Custom products need the buyer's request text
+    let description = null;
+    if (product.type === 'custom') {
+      description = typeof rawDescription === 'string' ? rawDescription.trim() : '';
+      if (description.length < CUSTOM_CONTENT_MIN_LENGTH || description.length > CUSTOM_CONTENT_MAX_LENGTH) {
+        return res.status(400).json(createErrorResponse(400, `Custom request must be between ${CUSTOM_CONTENT_MIN_LENGTH} and ${CUSTOM_CONTENT_MAX_LENGTH} characters`));
+      }
+    }
+
+    const creator = await getUserById(product.user_id);
+    if (!creator) return res.status(404).json(createErrorResponse(404, 'Creator not found'));
+
+    // Digital products are delivered now; everything else waits for the creator with the earning held
+    const instantDelivery = INSTANT_DELIVERY_TYPES.includes(product.type);
+    const deliveryStatus = instantDelivery ? 'delivered' : 'pending';
+
+    let payment;
+    try {
+      payment = await processWalletPayment({
+        payerId: userId,
+        creator,
+        amount: product.price,
+        type: TRANSACTION_TYPES.PRODUCT,
+        refId: productId,
+        holdEarnings: !instantDelivery,
+        onBeforeCommit: (conn, { transactionId }) => createPurchase(conn, {
+          userId,
+          productId,
+          transactionId,
+          deliveryStatus,
+          description
+        })
+      });
+    } catch (error) {
+      if (error.statusCode) return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+      throw error;
+    }
+
+    const purchaseId = payment.result;
+
+    // 15: bought your item (digital), 29: placed an order (needs delivery)
+    await sendOrderNotification(creator.id, userId, instantDelivery ? '15' : '29', { purchase_id: purchaseId, productName: product.name });
+
+    logInfo('Order placed', { userId, productId, purchaseId, deliveryStatus, transactionId: payment.transactionId });
+
+    const order = await getUserOrderById(userId, purchaseId);
+    return res.status(201).json(createSuccessResponse('Order placed successfully', {
+      order: order ? formatOrder(order) : { id: encryptId(purchaseId), delivery_status: deliveryStatus }
+    }));
+  } catch (error) {
+    logError('Error placing order:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to place order'));
+  }
+};
+
+/**
+ * GET /orders - List the authenticated buyer's orders
+ * Query: skip, limit, status (all, pending, delivered, rejected, cancelled)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with orders and pagination
+ */
+const getMyOrders = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { status = 'all' } = req.query || {};
+    const { skip, limit } = getPaginationParams(req.query);
+
+    if (!['all', 'pending', 'delivered', 'rejected', 'cancelled'].includes(status)) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid status filter'));
+    }
+
+    const { orders, totalOrders } = await getUserOrders(userId, { skip, limit, status });
+    logInfo('Orders retrieved successfully', { userId, totalOrders, returnedCount: orders.length });
+
+    let next = '';
+    if (skip + limit < totalOrders) {
+      next = `/orders?skip=${skip + limit}&limit=${limit}&status=${status}`;
+    }
+
+    return res.status(200).json(createSuccessResponse('Orders retrieved successfully', {
+      orders: orders.map(formatOrder),
+      pagination: { total: totalOrders, next }
+    }));
+  } catch (error) {
+    logError('Error fetching orders:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch orders'));
+  }
+};
+
+/**
+ * GET /orders/:id - View one of the authenticated buyer's orders
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the order
+ */
+const getOrderById = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const purchaseId = decryptOrderParam(req.params.id);
+    if (!purchaseId) return res.status(400).json(createErrorResponse(400, 'Invalid order ID'));
+
+    const order = await getUserOrderById(userId, purchaseId);
+    if (!order) return res.status(404).json(createErrorResponse(404, 'Order not found'));
+
+    return res.status(200).json(createSuccessResponse('Order retrieved successfully', { order: formatOrder(order) }));
+  } catch (error) {
+    logError('Error fetching order:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch order'));
+  }
+};
+
+/**
+ * POST /orders/:id/cancel - Cancel a pending order and refund it to the wallet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the refund amount
+ */
+const cancelOrder = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const encryptedPurchaseId = req.params.id;
+    const purchaseId = decryptOrderParam(encryptedPurchaseId);
+    if (!purchaseId) return res.status(400).json(createErrorResponse(400, 'Invalid order ID'));
+
+    const conn = await pool.getConnection();
+    let purchase;
+    let refundAmount = 0;
+    try {
+      await conn.beginTransaction();
+
+      purchase = await getPurchaseForUpdate(conn, purchaseId);
+      if (!purchase || purchase.user_id !== userId) throw walletError(404, 'Order not found');
+      if (purchase.delivery_status !== 'pending') throw walletError(400, 'Only pending orders can be cancelled');
+
+      await setPurchaseDeliveryStatus(conn, purchaseId, 'cancelled');
+      if (purchase.transactions_id) {
+        refundAmount = (await refundWalletPayment(conn, purchase.transactions_id)).amount;
+      }
+
+      await conn.commit();
+      conn.release();
+    } catch (error) {
+      await conn.rollback();
+      conn.release();
+      if (error.statusCode) return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+      throw error;
+    }
+
+    // 27: order cancelled and amount refunded (to the creator)
+    await sendOrderNotification(purchase.owner_id, userId, '27', { purchase_id: purchaseId, productName: purchase.product_name });
+
+    logInfo('Order cancelled', { userId, purchaseId, refundAmount });
+
+    return res.status(200).json(createSuccessResponse('Order cancelled successfully', {
+      order: { id: encryptedPurchaseId, delivery_status: 'cancelled' },
+      refundAmount
+    }));
+  } catch (error) {
+    logError('Error cancelling order:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to cancel order'));
+  }
+};
+
+/**
+ * GET /orders/:id/download - Issue short-lived download links for a delivered digital order
+ * Each call counts against the per-order download limit and is written to the audit log.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with pre-signed download URLs
+ */
+const downloadOrder = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const purchaseId = decryptOrderParam(req.params.id);
+    if (!purchaseId) return res.status(400).json(createErrorResponse(400, 'Invalid order ID'));
+
+    const adminSettings = await getAdminSettings();
+    const downloadLimit = parseInt(adminSettings.max_downloads_per_order) || DEFAULT_DOWNLOAD_LIMIT;
+    const { ip, userAgent } = getDeviceInfo(req);
+
+    // Check ownership, delivery, files and limit, then log, under a row lock so parallel calls cannot exceed the limit.
+    // Only a download that can actually be served is counted.
+    const conn = await pool.getConnection();
+    let files;
+    let downloadsUsed;
+    try {
+      await conn.beginTransaction();
+
+      const purchase = await getPurchaseForUpdate(conn, purchaseId);
+      if (!purchase || purchase.user_id !== userId) throw walletError(404, 'Order not found');
+      if (!INSTANT_DELIVERY_TYPES.includes(purchase.product_type)) throw walletError(400, 'Only digital orders can be downloaded');
+      if (purchase.delivery_status !== 'delivered') throw walletError(400, 'Order has not been delivered yet');
+
+      files = await getOrderDownloadFiles(purchase.products_id);
+      if (files.length === 0) throw walletError(404, 'This order has no downloadable file');
+
+      downloadsUsed = await countOrderDownloads(conn, purchaseId);
+      if (downloadsUsed >= downloadLimit) throw walletError(429, 'Download limit reached for this order');
+
+      await logOrderDownload(conn, { purchaseId, userId, ip: String(ip).split(',')[0].trim(), userAgent: userAgent.slice(0, 255) });
+
+      await conn.commit();
+      conn.release();
+    } catch (error) {
+      await conn.rollback();
+      conn.release();
+      if (error.statusCode) return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+      throw error;
+    }
+
+    const downloads = await Promise.all(files.map(({ key, fileName }) => generateDownloadUrl(key, { fileName })));
+
+    logInfo('Order download links issued', { userId, purchaseId, files: downloads.length, downloadsUsed: downloadsUsed + 1 });
+
+    return res.status(200).json(createSuccessResponse('Download links generated successfully', {
+      files: downloads.map(({ downloadUrl, key, expiresIn }) => ({ url: downloadUrl, filename: key.split('/').pop(), expiresIn })),
+      downloadsRemaining: Math.max(downloadLimit - downloadsUsed - 1, 0)
+    }));
+  } catch (error) {
+    logError('Error generating order download:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to generate download links'));
+  }
+};
+
+// Export all functions at the end
+export {
+  createOrder,
+  getMyOrders,
+  getOrderById,
+  cancelOrder,
+  downloadOrder
+};
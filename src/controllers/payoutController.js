@@ -6,8 +6,13 @@
  * - Payout method management (get, create, delete)
  * - Payout conversation handling
  * - Payout media upload
+ * - Withdrawal requests and their status transitions
  * 
- * Database Tables: users, ticket_conversations
+ * Withdrawals hold the requested amount with a creator user_balance debit as soon as they
+ * are requested; a rejection writes the matching credit back. The creator is sent
+ * notification type 24 on every status change.
+ * 
+ * Database Tables: users, ticket_conversations, withdrawals, withdrawal_settings, user_balance, notifications
  */
 
 import { 
@@ -15,14 +20,30 @@ import {
   createErrorResponse, 
   createSuccessResponse, 
   logInfo, 
-  logError
+  logError,
+  getAdminSettings,
+  getUserById,
+  getUserBalance,
+  getWithdrawalSummary,
+  getCreatorWithdrawalSettings,
+  encryptId,
+  safeDecryptId
 } from '../utils/common.js';
 import { 
   fetchUserPayoutDetails, 
   updateUserPayoutMethod, 
   sanitizePayoutData, 
-  deleteUserPayoutMethod 
+  deleteUserPayoutMethod,
+  WITHDRAWAL_STATUS,
+  WITHDRAWAL_TRANSITIONS,
+  getPayoutHistory,
+  getPayoutRequestById,
+  createPayoutRequest,
+  updatePayoutStatus,
+  holdPayoutFunds,
+  releasePayoutFunds
 } from '../utils/payout.js';
+import { createNotification } from '../utils/notification.js';
 import { 
   validateBankDetails, 
   validateUpiData, 
@@ -38,6 +59,11 @@ import {
 } from '../utils/uploadUtils.js';
 import { pool, getDB } from '../config/database.js';
 
+/**
+ * Default minimum withdrawal (admin setting amount_min_withdrawal overrides)
+ */
+const DEFAULT_MIN_WITHDRAWAL = 50;
+
 /**
  * Safely parses JSON from request body and handles parsing errors gracefully
  * 
@@ -625,6 +651,224 @@ const getPayoutUploadUrl = async (req, res) => {
   }
 };
 
+/**
+ * Format a withdrawals row for API responses
+ */
+const formatWithdrawal = (withdrawal) => ({
+  id: encryptId(withdrawal.id),
+  amount: parseFloat(withdrawal.amount) || 0,
+  status: withdrawal.status,
+  payment_method: withdrawal.payment_method || withdrawal.gateway || null,
+  created_at: withdrawal.created_at,
+  processed_at: withdrawal.processed_at || null
+});
+
+/**
+ * Resolve the payout destination of a creator: active withdrawal settings first,
+ * then the payout method stored on the user (POST /payout/create)
+ * @returns {Promise<{ method: string, account: string }|null>}
+ */
+const resolvePayoutDestination = async (userId) => {
+  const settings = await getCreatorWithdrawalSettings(userId);
+  if (settings?.withdrawal_method) {
+    return { method: settings.withdrawal_method, account: settings.account_details || '' };
+  }
+
+  const user = await fetchUserPayoutDetails(userId);
+  const method = user?.payment_gateway ? String(user.payment_gateway).toLowerCase() : '';
+  const account = method === 'paypal' ? user.paypal_account : user?.bank;
+  return method && account ? { method, account } : null;
+};
+
+/**
+ * Send notification type 24 for a withdrawal status change without failing the request
+ */
+const notifyWithdrawalStatus = async (withdrawal, status) => {
+  try {
+    await createNotification({
+      user_id: withdrawal.user_id,
+      from_user_id: withdrawal.user_id,
+      type: '24',
+      extra_data: { withdrawal_id: withdrawal.id, withdrawal_status: status, amount: parseFloat(withdrawal.amount) || 0 }
+    });
+  } catch (error) {
+    logError('Failed to send withdrawal notification:', { withdrawalId: withdrawal.id, status, error: error.message });
+  }
+};
+
+/**
+ * POST /payout/withdraw - Request a withdrawal of the creator balance
+ * Body: { amount }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the pending withdrawal
+ */
+const requestWithdrawal = async (req, res) => {
+  const userId = req.userId;
+  const amount = Math.round(parseFloat(req.body?.amount) * 100) / 100;
+
+  let conn;
+  try {
+    const adminSettings = await getAdminSettings();
+    const minWithdrawal = parseFloat(adminSettings.amount_min_withdrawal) || DEFAULT_MIN_WITHDRAWAL;
+    if (!amount || amount < minWithdrawal) {
+      return res.status(400).json(createErrorResponse(400, `Minimum withdrawal amount is ${minWithdrawal}`));
+    }
+
+    const destination = await resolvePayoutDestination(userId);
+    if (!destination) {
+      return res.status(400).json(createErrorResponse(400, 'Add a payout method before requesting a withdrawal'));
+    }
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    // Serialise withdrawals per creator so two requests cannot spend the same balance
+    await conn.query('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+
+    const summary = await getWithdrawalSummary(userId);
+    if (parseFloat(summary.pending_amount) > 0) {
+      await conn.rollback();
+      return res.status(409).json(createErrorResponse(409, 'You already have a withdrawal in progress'));
+    }
+
+    // Open withdrawals are already debited, so the balance is what is still available
+    const { balance } = await getUserBalance(userId, 'creator');
+    if (amount > balance) {
+      await conn.rollback();
+      return res.status(400).json(createErrorResponse(400, 'Insufficient balance', { available_balance: balance }));
+    }
+
+    const withdrawalId = await createPayoutRequest({
+      user_id: userId,
+      amount,
+      payment_method: destination.method,
+      account: destination.account
+    }, conn);
+    await holdPayoutFunds(conn, userId, amount, withdrawalId);
+    await conn.commit();
+
+    const withdrawal = { id: withdrawalId, user_id: userId, amount, gateway: destination.method, status: WITHDRAWAL_STATUS.PENDING, created_at: new Date() };
+    await notifyWithdrawalStatus(withdrawal, WITHDRAWAL_STATUS.PENDING);
+    logInfo('Withdrawal requested', { userId, withdrawalId, amount, method: destination.method });
+
+    return res.status(201).json(createSuccessResponse('Withdrawal requested successfully', {
+      withdrawal: formatWithdrawal(withdrawal),
+      available_balance: Math.round((balance - amount) * 100) / 100
+    }));
+  } catch (error) {
+    if (conn) await conn.rollback().catch(() => {});
+    logError('Error requesting withdrawal:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to request withdrawal'));
+  } finally {
+    if (conn) conn.release();
+  }
+};
+
+/**
+ * GET /payout/withdrawals - Paged withdrawal history of the authenticated creator
+ * Query: skip, limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with withdrawals, summary and pagination
+ */
+const getWithdrawalHistory = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const skip = parseInt(req.query?.skip) || 0;
+    const limit = parseInt(req.query?.limit) || 10;
+
+    const [withdrawals, summary, { balance }] = await Promise.all([
+      getPayoutHistory(userId, skip, limit),
+      getWithdrawalSummary(userId),
+      getUserBalance(userId, 'creator')
+    ]);
+    const total = parseInt(summary.withdrawal_count) || 0;
+
+    let next = '';
+    if (skip + limit < total) {
+      next = `/payout/withdrawals?skip=${skip + limit}&limit=${limit}`;
+    }
+
+    return res.status(200).json(createSuccessResponse('Withdrawals retrieved successfully', {
+      withdrawals: withdrawals.map(formatWithdrawal),
+      summary: {
+        available_balance: balance,
+        pending_amount: parseFloat(summary.pending_amount) || 0,
+        total_withdrawn: parseFloat(summary.total_withdrawn) || 0
+      },
+      pagination: { total, next }
+    }));
+  } catch (error) {
+    logError('Error fetching withdrawals:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch withdrawals'));
+  }
+};
+
+/**
+ * PUT /payout/withdrawals/:id/status - Move a withdrawal to its next status (admins only)
+ * Body: { status } - processing, paid or rejected. Rejecting returns the held amount.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the updated withdrawal
+ */
+const updateWithdrawalStatus = async (req, res) => {
+  const status = String(req.body?.status || '').toLowerCase();
+
+  let withdrawalId;
+  try {
+    withdrawalId = safeDecryptId(req.params.id);
+  } catch (error) {
+    return res.status(400).json(createErrorResponse(400, 'Invalid withdrawal ID'));
+  }
+
+  if (!Object.values(WITHDRAWAL_STATUS).includes(status) || status === WITHDRAWAL_STATUS.PENDING) {
+    return res.status(400).json(createErrorResponse(400, 'Status must be processing, paid or rejected'));
+  }
+
+  let conn;
+  try {
+    const admin = await getUserById(req.userId);
+    if (admin?.role !== 'admin') {
+      return res.status(403).json(createErrorResponse(403, 'Only administrators can update withdrawals'));
+    }
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const withdrawal = await getPayoutRequestById(withdrawalId, conn, true);
+    if (!withdrawal) {
+      await conn.rollback();
+      return res.status(404).json(createErrorResponse(404, 'Withdrawal not found'));
+    }
+
+    if (!(WITHDRAWAL_TRANSITIONS[withdrawal.status] || []).includes(status)) {
+      await conn.rollback();
+      return res.status(409).json(createErrorResponse(409, `Cannot change a ${withdrawal.status} withdrawal to ${status}`));
+    }
+
+    const processedAt = [WITHDRAWAL_STATUS.PAID, WITHDRAWAL_STATUS.REJECTED].includes(status) ? new Date() : null;
+    await updatePayoutStatus(withdrawal.id, status, processedAt, conn);
+    if (status === WITHDRAWAL_STATUS.REJECTED) {
+      await releasePayoutFunds(conn, withdrawal.user_id, withdrawal.amount, withdrawal.id);
+    }
+    await conn.commit();
+
+    await notifyWithdrawalStatus(withdrawal, status);
+    logInfo('Withdrawal status updated', { withdrawalId: withdrawal.id, from: withdrawal.status, to: status, adminId: req.userId });
+
+    return res.status(200).json(createSuccessResponse('Withdrawal updated successfully', {
+      withdrawal: formatWithdrawal({ ...withdrawal, status, processed_at: processedAt })
+    }));
+  } catch (error) {
+    if (conn) await conn.rollback().catch(() => {});
+    logError('Error updating withdrawal status:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to update withdrawal'));
+  } finally {
+    if (conn) conn.release();
+  }
+};
+
 // Export all functions at the end
 export {
   getPayoutMethod,
@@ -632,5 +876,8 @@ export {
   deletePayoutMethod,
   getPayoutConversations,
   storePayoutConversation,
-  getPayoutUploadUrl
+  getPayoutUploadUrl,
+  requestWithdrawal,
+  getWithdrawalHistory,
+  updateWithdrawalStatus
 };
\ No newline at end of file
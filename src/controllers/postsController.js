@@ -6,8 +6,10 @@
  * - Post creation with media processing
  * - Post retrieval and display
  * - Post upload URL generation
+ * - Scheduled posts (list, reschedule, cancel); publishing is done by workers/scheduledPostsWorker.js
+ * - Pay-per-view unlock of locked posts (media is blurred for viewers without access)
  * 
- * Database Tables: updates, media, users, likes, comments, tags, update_tags
+ * Database Tables: updates, media, users, likes, comments, tags, update_tags, pay_per_views, transactions, creator_earnings
  */
 
 import { 
@@ -33,14 +35,27 @@ import {
 } from '../utils/common.js';
 import { 
   savePost, 
-  validatePostInput 
+  validatePostInput,
+  getScheduledPosts as fetchScheduledPosts,
+  getScheduledPostsCount,
+  getScheduledPostById,
+  rescheduleScheduledPost,
+  cancelScheduledPost as cancelScheduledPostById,
+  getPurchasablePost,
+  createPostPurchase,
+  hasPurchasedPost
 } from '../utils/updates.js';
+import { applyPostPaywall } from '../utils/my_updates.js';
+import { isUserSubscribed } from '../utils/subscription.js';
+import { processWalletPayment, walletError, TRANSACTION_TYPES } from '../utils/wallet.js';
+import { createNotification } from '../utils/notification.js';
 import { 
   processMediaFiles 
 } from '../utils/mediaProcessing.js';
 import { 
   processUploadRequest 
 } from '../utils/uploadUtils.js';
+import { isCreatorGeoBlocked, sendGeoBlockedResponse } from '../utils/geoBlocking.js';
 import { pool } from '../config/database.js';
 
 // ============================================================================
@@ -239,6 +254,35 @@ const calculateExpiredAt = (scheduled_date, scheduled_time, timezone, post_type,
   }
 };
 
+/**
+ * Resolves the UTC publish time of a scheduled post (publish_date/publish_time in the creator's timezone)
+ * @param {string} publishDate - YYYY-MM-DD
+ * @param {string} publishTime - HH:MM
+ * @param {string} timezone - IANA timezone
+ * @param {Date|null} expiresAt - Post expiry, which must come after publishing
+ * @returns {{ publishAt?: Date, error?: string }}
+ */
+const resolvePublishAt = (publishDate, publishTime, timezone, expiresAt = null) => {
+  if (!timezone) {
+    return { error: 'timezone is required to schedule publishing' };
+  }
+
+  let publishAt;
+  try {
+    publishAt = convertLocalToUTC(publishDate, publishTime, timezone);
+  } catch (error) {
+    return { error: 'Invalid publish date, time or timezone' };
+  }
+
+  if (publishAt <= new Date()) {
+    return { error: 'Publish time must be in the future' };
+  }
+  if (expiresAt && expiresAt <= publishAt) {
+    return { error: 'Post must expire after it is published' };
+  }
+  return { publishAt };
+};
+
 /**
  * Resolve an update/post id that can be encrypted (24-char) or numeric string
  */
@@ -408,16 +452,8 @@ const getUpdateDetails = async (updateId, userId) => {
         if (payPerViewRows.length === 0) {
           return null; // User hasn't paid
         }
-      } else {
-        // Check if user has subscription
-        const [subscriptionRows] = await pool.execute(`
-          SELECT id FROM subscriptions 
-          WHERE subscribed = ? AND user_id = ? AND status = 'active'
-        `, [update.user_id, userId]);
-
-        if (subscriptionRows.length === 0) {
-          return null; // User doesn't have subscription
-        }
+      } else if (!await isUserSubscribed(userId, update.user_id)) {
+        return null; // User doesn't have subscription
       }
     }
 
@@ -1022,6 +1058,16 @@ const createPost = async (req, res) => {
       });
     }
 
+    // Step 6.1: Resolve the publish time when the post is scheduled for later
+    let publish_at = null;
+    if (requestBody.publish_date && requestBody.publish_time) {
+      const schedule = resolvePublishAt(requestBody.publish_date, requestBody.publish_time, timezone, expired_at ? new Date(expired_at) : null);
+      if (schedule.error) {
+        return res.status(422).json(createErrorResponse(422, schedule.error));
+      }
+      publish_at = schedule.publishAt;
+    }
+
     // Step 7: Get S3 bucket configuration from environment
     const { AWS_BUCKET_NAME: bucketName } = process.env;
     if (!bucketName) {
@@ -1083,6 +1129,7 @@ const createPost = async (req, res) => {
         scheduled_date: finalScheduledDate,
         scheduled_time: finalScheduledTime,
         expired_at,
+        publish_at,
         userId
       });
       logInfo('Post saved to database successfully');
@@ -1091,8 +1138,10 @@ const createPost = async (req, res) => {
       return res.status(500).json(createErrorResponse(500, 'Failed to save post to database'));
     }
 
-    // Step 10: Build success response with empty data object
-    const responseData = {};
+    // Step 10: Build success response (empty unless the post is scheduled)
+    const responseData = publish_at
+      ? { id: encryptId(postResult.postId), scheduled_at: publish_at.toISOString() }
+      : {};
 
     // Log successful post creation with detailed metrics
     logInfo('Post created successfully:', { 
@@ -1104,10 +1153,11 @@ const createPost = async (req, res) => {
       price: finalPrice,
       hasScheduledDate: !!finalScheduledDate,
       hasExpiredAt: !!expired_at,
-      calculatedExpiredAt: expired_at
+      calculatedExpiredAt: expired_at,
+      publishAt: publish_at
     });
 
-    return res.status(200).json(createSuccessResponse('Post created successfully', responseData));
+    return res.status(200).json(createSuccessResponse(publish_at ? 'Post scheduled successfully' : 'Post created successfully', responseData));
 
   } catch (error) {
     logError('Unexpected error in createPost:', { error: error.message, stack: error.stack });
@@ -1176,17 +1226,22 @@ const getPostByUsernameAndId = async (req, res) => {
     if (!owner) {
       return res.status(404).json(createErrorResponse(404, 'User not found'));
     }
+    if (await isCreatorGeoBlocked(req, owner, userId)) {
+      return sendGeoBlockedResponse(res);
+    }
     const post = await fetchPostByIdAndOwner(updateId, owner.id);
     if (!post) {
       return res.status(404).json(createErrorResponse(404, 'Post not found'));
     }
 
-    // 5) Fetch related data
-    const [media, { likes_count, comments_count }, tags] = await Promise.all([
+    // 5) Fetch related data; locked media stays blurred until bought (or subscribed to)
+    const [allMedia, { likes_count, comments_count }, tags] = await Promise.all([
       fetchMediaForPost(updateId),
       fetchCounts(updateId),
       fetchTags(updateId)
     ]);
+    const visibleMedia = await applyPostPaywall([{ ...post, user_id: owner.id }], { [post.id]: allMedia }, userId);
+    const media = visibleMedia[post.id];
 
     // 6) Compute remaining time information
     const { expired_at } = post;
@@ -1734,6 +1789,244 @@ const pinPostHelper = async (userId, updateId) => {
   }
 };
 
+/**
+ * Parse a UTC DATETIME string returned by DATE_FORMAT
+ */
+const parseUtcDateTime = (value) => (value ? new Date(`${String(value).replace(' ', 'T')}Z`) : null);
+
+/**
+ * Format a scheduled post row for API responses
+ */
+const formatScheduledPost = (post) => {
+  const price = parseFloat(post.price) || 0;
+  let post_type = 'free';
+  if (post.locked === 'yes') post_type = price > 0 ? 'paid' : 'subscribers_only';
+  return {
+    id: encryptId(post.id),
+    description: post.description,
+    post_type,
+    price,
+    scheduled_at: parseUtcDateTime(post.scheduled_at)?.toISOString() || null,
+    expired_at: post.expired_at
+  };
+};
+
+/**
+ * GET /posts/scheduled - Scheduled posts of the authenticated creator, next to publish first
+ * Query: skip, limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with scheduled posts and pagination
+ */
+const getScheduledPosts = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const skip = parseInt(req.query?.skip) || 0;
+    const limit = parseInt(req.query?.limit) || 10;
+
+    const [posts, total] = await Promise.all([
+      fetchScheduledPosts(userId, skip, limit),
+      getScheduledPostsCount(userId)
+    ]);
+
+    let next = '';
+    if (skip + limit < total) {
+      next = `/posts/scheduled?skip=${skip + limit}&limit=${limit}`;
+    }
+
+    return res.status(200).json(createSuccessResponse('Scheduled posts retrieved successfully', {
+      posts: posts.map(formatScheduledPost),
+      pagination: { total, next }
+    }));
+  } catch (error) {
+    logError('Error fetching scheduled posts:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch scheduled posts'));
+  }
+};
+
+/**
+ * PUT /posts/scheduled/:id - Move a scheduled post to a new publish time
+ * Body: { publish_date, publish_time, timezone }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the rescheduled post
+ */
+const reschedulePost = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { publish_date, publish_time, timezone } = req.body || {};
+
+    let postId;
+    try {
+      postId = safeDecryptId(req.params.id);
+    } catch (error) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid post ID'));
+    }
+
+    if (!publish_date || !publish_time) {
+      return res.status(422).json(createErrorResponse(422, 'publish_date and publish_time are required'));
+    }
+
+    const post = await getScheduledPostById(postId, userId);
+    if (!post) {
+      return res.status(404).json(createErrorResponse(404, 'Scheduled post not found'));
+    }
+
+    const schedule = resolvePublishAt(publish_date, publish_time, timezone, parseUtcDateTime(post.expired_at));
+    if (schedule.error) {
+      return res.status(422).json(createErrorResponse(422, schedule.error));
+    }
+
+    if (!await rescheduleScheduledPost(postId, userId, schedule.publishAt)) {
+      return res.status(409).json(createErrorResponse(409, 'Post is no longer scheduled'));
+    }
+
+    logInfo('Scheduled post moved', { userId, postId, publishAt: schedule.publishAt });
+    return res.status(200).json(createSuccessResponse('Post rescheduled successfully', {
+      post: { ...formatScheduledPost(post), scheduled_at: schedule.publishAt.toISOString() }
+    }));
+  } catch (error) {
+    logError('Error rescheduling post:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to reschedule post'));
+  }
+};
+
+/**
+ * DELETE /posts/scheduled/:id - Cancel a scheduled post before it is published
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response
+ */
+const cancelScheduledPost = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    let postId;
+    try {
+      postId = safeDecryptId(req.params.id);
+    } catch (error) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid post ID'));
+    }
+
+    if (!await cancelScheduledPostById(postId, userId)) {
+      return res.status(404).json(createErrorResponse(404, 'Scheduled post not found'));
+    }
+
+    logInfo('Scheduled post cancelled', { userId, postId });
+    return res.status(200).json(createSuccessResponse('Scheduled post cancelled successfully'));
+  } catch (error) {
+    logError('Error cancelling scheduled post:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to cancel scheduled post'));
+  }
+};
+
+/**
+ * Notify the creator that a post was bought (type 7), honouring notify_new_ppv
+ */
+const sendPostPurchaseNotification = async (creator, buyerId, postId) => {
+  try {
+    if (creator.notify_new_ppv !== 'yes') return;
+    await createNotification({
+      user_id: creator.id,
+      from_user_id: buyerId,
+      type: '7',
+      post_id: postId
+    });
+  } catch (error) {
+    logError('Error sending post purchase notification:', error);
+  }
+};
+
+/**
+ * POST /posts/:id/unlock - Buy a locked pay-per-view post and unlock its media
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the unlocked media
+ */
+const unlockPost = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const postId = resolveUpdateId(req.params.id);
+    if (!postId) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid post ID'));
+    }
+
+    const post = await getPurchasablePost(postId);
+    if (!post) {
+      return res.status(404).json(createErrorResponse(404, 'Post not found'));
+    }
+    if (Number(post.user_id) === Number(userId)) {
+      return res.status(400).json(createErrorResponse(400, 'You cannot unlock your own post'));
+    }
+
+    const price = parseFloat(post.price) || 0;
+    if (post.locked !== 'yes' || price <= 0) {
+      return res.status(400).json(createErrorResponse(400, 'This post is not for sale'));
+    }
+
+    const creator = await getUserById(post.user_id);
+    if (!creator) {
+      return res.status(404).json(createErrorResponse(404, 'Creator not found'));
+    }
+    if (await isCreatorGeoBlocked(req, creator, userId)) {
+      return sendGeoBlockedResponse(res);
+    }
+    const restrictedUsers = await getRestrictedUserIds(userId);
+    if (restrictedUsers.includes(creator.id)) {
+      return res.status(403).json(createErrorResponse(403, 'You cannot unlock this post'));
+    }
+
+    // Record the purchase, debit wallet and credit creator earnings in one transaction
+    let payment;
+    try {
+      payment = await processWalletPayment({
+        payerId: userId,
+        creator,
+        amount: price,
+        type: TRANSACTION_TYPES.PPV,
+        refId: postId,
+        // Claim the purchase before the debit: the lock and the unique key on pay_per_views
+        // make a concurrent second request fail with 409 instead of paying twice
+        onBeforeDebit: async (conn) => {
+          if (await hasPurchasedPost(conn, userId, postId)) {
+            throw walletError(409, 'Post already unlocked');
+          }
+          try {
+            await createPostPurchase(conn, userId, postId);
+          } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') throw walletError(409, 'Post already unlocked');
+            throw error;
+          }
+        }
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        logInfo('Post unlock rejected', { userId, postId, reason: error.message });
+        return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+      }
+      throw error;
+    }
+
+    await sendPostPurchaseNotification(creator, userId, postId);
+    // The unlocked media also shows in the fan's feeds and on the creator's profile (/:slug),
+    // which are edge-cached per user (see purgeCloudfrontOnWrite and setEdgeCacheHeaders)
+    res.locals.invalidationPaths = ['/user/updates', '/updates', `/${creator.username}`];
+
+    const media = await fetchMediaForPost(postId);
+    logInfo('Post unlocked successfully', { userId, postId, transactionId: payment.transactionId });
+
+    return res.status(200).json(createSuccessResponse('Post unlocked successfully', {
+      id: encryptId(postId),
+      amount: payment.amount,
+      media
+    }));
+  } catch (error) {
+    logError('unlockPost error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
 // Export all functions at the end
 export {
   getAvailableTags,
@@ -1768,5 +2061,9 @@ export {
   toggleLike,
   toggleCommentLike,
   pinPost,
-  pinPostHelper
+  pinPostHelper,
+  getScheduledPosts,
+  reschedulePost,
+  cancelScheduledPost,
+  unlockPost
 };
\ No newline at end of file
@@ -1,8 +1,70 @@
 import { createSuccessResponse, createErrorResponse, logInfo, logError, getUserById, getAuthenticatedUserId } from '../utils/common.js';
-import { fetchPrivacySecurityDetails, updatePrivacySecurityDetails, generateAccountDeletionOTP, verifyAccountDeletionOTP, softDeleteUserAccount, getAccountRetrieveInfo, reactivateUserAccount, clearUserSessions } from '../utils/privacy_security.js';
+import { fetchPrivacySecurityDetails, updatePrivacySecurityDetails, generateAccountDeletionOTP, verifyAccountDeletionOTP, softDeleteUserAccount, getAccountRetrieveInfo, reactivateUserAccount, clearUserSessions, getUserSessionList, revokeUserSession } from '../utils/privacy_security.js';
 import { validatePrivacySecurityUpdateRequest, validateAccountDeletionRequest, validateAccountDeletionOTPRequest } from '../validate/privacy_security.js';
+import { getTwoFactorStatus, startTwoFactorEnrolment, confirmTwoFactorEnrolment, verifyTwoFactorCode, regenerateBackupCodes, disableTwoFactor } from '../utils/twoFactor.js';
+import { getUserPasskeys, deletePasskey } from '../utils/passkeys.js';
 import bcrypt from 'bcryptjs';
 
+/**
+ * Shape a stored passkey for the security settings screen
+ */
+const formatPasskey = (passkey) => ({
+  id: passkey.id,
+  name: passkey.name,
+  transports: passkey.transports ? passkey.transports.split(',') : [],
+  backed_up: Boolean(passkey.backed_up),
+  created_at: passkey.created_at ? new Date(passkey.created_at).toISOString() : null,
+  last_used_at: passkey.last_used_at ? new Date(passkey.last_used_at).toISOString() : null
+});
+
+/**
+ * Run a two_factor action from POST /privacy/security
+ * @returns {Promise<{ status: number, message: string, data?: object }>} Status 200 on success
+ */
+const applyTwoFactorAction = async (user, { action, code, backup_code }) => {
+  const twoFactor = await getTwoFactorStatus(user.id);
+
+  if (action === 'setup') {
+    if (twoFactor.enabled) return { status: 409, message: 'Two-factor authentication is already enabled' };
+    const enrolment = await startTwoFactorEnrolment(user.id, user.email || user.username);
+    return {
+      status: 200,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { two_factor: { secret: enrolment.secret, otpauth_uri: enrolment.otpauth_uri } }
+    };
+  }
+
+  if (action === 'enable') {
+    if (twoFactor.enabled) return { status: 409, message: 'Two-factor authentication is already enabled' };
+    if (!twoFactor.pending) return { status: 400, message: 'Start the two-factor setup first' };
+    const backupCodes = await confirmTwoFactorEnrolment(user.id, code);
+    if (!backupCodes) return { status: 401, message: 'Invalid or expired two-factor code' };
+    return {
+      status: 200,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: { two_factor: { enabled: true, backup_codes: backupCodes } }
+    };
+  }
+
+  // disable and regenerate_backup_codes need a current second factor
+  if (!twoFactor.enabled) return { status: 400, message: 'Two-factor authentication is not enabled' };
+  if (!await verifyTwoFactorCode(user.id, { code, backupCode: backup_code })) {
+    return { status: 401, message: 'Invalid or expired two-factor code' };
+  }
+
+  if (action === 'disable') {
+    await disableTwoFactor(user.id);
+    return { status: 200, message: 'Two-factor authentication disabled', data: { two_factor: { enabled: false } } };
+  }
+
+  const backupCodes = await regenerateBackupCodes(user.id);
+  return {
+    status: 200,
+    message: 'New backup codes generated. Your old codes no longer work.',
+    data: { two_factor: { enabled: true, backup_codes: backupCodes } }
+  };
+};
+
 /**
  * Handler for GET /privacy/security
  * Fetches privacy and security settings for the authenticated user.
@@ -33,6 +95,8 @@ const getPrivacySecurity = async (req, res) => {
 
     // Place hasPassword inside the Privacy object as requested by client response shape
     privacyData.hasPassword = hasPassword;
+    privacyData.two_factor = await getTwoFactorStatus(userId);
+    privacyData.passkeys = (await getUserPasskeys(userId)).map(formatPasskey);
 
     logInfo('Privacy & Security data retrieved successfully:', { userId });
     // TODO: Convert createSuccessResponse('Privacy & Security retrieved successfully', { Privacy: privacyData }) to res.json({ success: true, message: 'Privacy & Security retrieved successfully', data: { Privacy: privacyData } })
@@ -64,22 +128,19 @@ const updatePrivacySecurity = async (req, res) => {
       return res.status(errorResponse.statusCode).json(createErrorResponse(errorResponse.statusCode, errorResponse.body.message || errorResponse.body.error));
     }
 
-    // Parse request body
-    let requestBody;
-    try {
-      // TODO: Convert JSON.parse(event.body || '{}') to JSON.parse(req.body || '{}')
-      requestBody = JSON.parse(req.body || '{}');
-    } catch (parseError) {
-      logError('Invalid JSON in request body:', parseError);
-      // TODO: Convert createErrorResponse(400, 'Invalid JSON in request body') to res.status(400).json({ error: 'Invalid JSON in request body' })
-      return res.status(400).json(createErrorResponse(400, 'Invalid JSON in request body'));
-    }
+    // express.json() has already parsed the body
+    const requestBody = req.body || {};
 
     // Validate request body using the validation utility function
     const validationResult = validatePrivacySecurityUpdateRequest(requestBody);
     if (!validationResult.isValid) {
-      // TODO: Convert createErrorResponse(400, 'Validation failed', validationResult.errors) to res.status(400).json({ error: 'Validation failed', details: validationResult.errors })
-      return res.status(400).json(createErrorResponse(400, 'Validation failed'));
+      return res.status(400).json(createErrorResponse(400, `Validation failed: ${validationResult.errors.join('; ')}`));
+    }
+
+    const user = await getUserById(userId);
+    if (!user) {
+      logError('User not found for update:', { userId });
+      return res.status(404).json(createErrorResponse(404, 'User not found'));
     }
 
     // Update privacy/security details using the DB utility function
@@ -90,6 +151,16 @@ const updatePrivacySecurity = async (req, res) => {
       return res.status(404).json(createErrorResponse(404, 'User not found'));
     }
 
+    // Two-factor enrolment, confirmation, removal and backup code renewal
+    if (requestBody.two_factor) {
+      const result = await applyTwoFactorAction(user, requestBody.two_factor);
+      if (result.status !== 200) {
+        return res.status(result.status).json(createErrorResponse(result.status, result.message));
+      }
+      logInfo('Two-factor action completed:', { userId, action: requestBody.two_factor.action });
+      return res.json(createSuccessResponse(result.message, result.data));
+    }
+
     logInfo('Privacy & Security settings updated successfully:', { userId });
     // TODO: Convert createSuccessResponse('Privacy & Security settings updated successfully') to res.json({ success: true, message: 'Privacy & Security settings updated successfully' })
     return res.json({ success: true, message: 'Privacy & Security settings updated successfully' });
@@ -100,6 +171,74 @@ const updatePrivacySecurity = async (req, res) => {
   }
 };
 
+/**
+ * Handler for DELETE /privacy/security/passkeys/:id
+ * Revokes one of the authenticated user's passkeys; it can no longer be used to sign in.
+ * @param {object} req - Express request object
+ * @returns {object} API response
+ */
+const revokePasskey = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const passkeyId = parseInt(req.params.id, 10);
+    if (!passkeyId) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid passkey ID'));
+    }
+
+    if (!await deletePasskey(userId, passkeyId)) {
+      return res.status(404).json(createErrorResponse(404, 'Passkey not found'));
+    }
+
+    return res.json(createSuccessResponse('Passkey removed successfully', { id: passkeyId }));
+  } catch (error) {
+    logError('Passkey revoke error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
+/**
+ * Handler for GET /privacy/sessions
+ * Lists the devices the authenticated user is signed in on; the session making the request is marked current.
+ * @param {object} req - Express request object
+ * @returns {object} API response
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await getUserSessionList(req.userId, req.user?.sid || null);
+    return res.json(createSuccessResponse('Sessions retrieved successfully', { sessions }));
+  } catch (error) {
+    logError('Sessions list error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
+/**
+ * Handler for DELETE /privacy/sessions/:id
+ * Signs one device out by revoking its refresh tokens. Its access token stays valid until it expires.
+ * @param {object} req - Express request object
+ * @returns {object} API response
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const sessionId = String(req.params.id || '');
+    if (!/^[\w-]{1,64}$/.test(sessionId)) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid session ID'));
+    }
+    if (sessionId === req.user?.sid) {
+      return res.status(400).json(createErrorResponse(400, 'This is your current session. Use logout to sign out of this device.'));
+    }
+
+    if (!await revokeUserSession(req.userId, sessionId)) {
+      return res.status(404).json(createErrorResponse(404, 'Session not found'));
+    }
+
+    return res.json(createSuccessResponse('Session revoked successfully', { id: sessionId }));
+  } catch (error) {
+    logError('Session revoke error:', error);
+    return res.status(500).json(createErrorResponse(500, 'Internal server error'));
+  }
+};
+
 /**
  * Handler for GET /account/delete
  * Gets account deletion status and information for the authenticated user.
@@ -493,6 +632,9 @@ export {
   deleteAccount,
   deleteAccountWithOtp,
   clearSessions,
+  revokePasskey,
+  getSessions,
+  revokeSession,
   getAccountRetrieve,
   retrieveAccount
 };
\ No newline at end of file
@@ -1,4 +1,17 @@
-import { createSuccessResponse, createErrorResponse, getAuthenticatedUserId, logInfo, logError, getUserSalesList, updatePurchaseStatus, safeDecryptId } from '../utils/common.js';
+import { createSuccessResponse, createErrorResponse, getAuthenticatedUserId, logInfo, logError, getUserSalesList, safeDecryptId } from '../utils/common.js';
+import { settleCreatorPurchase } from '../utils/orders.js';
+import { createNotification } from '../utils/notification.js';
+
+/**
+ * Send an order notification without failing the request
+ */
+const sendSaleNotification = async (userId, fromUserId, type, extraData) => {
+  try {
+    await createNotification({ user_id: userId, from_user_id: fromUserId, type, extra_data: extraData });
+  } catch (error) {
+    logError('Failed to send sale notification:', { userId, type, error: error.message });
+  }
+};
 
 /**
  * Handler for GET /sales
@@ -103,8 +116,10 @@ const deliveredProduct = async (req, res) => {
       return res.status(400).json(createErrorResponse(400, `Invalid purchase ID format: ${error.message}`));
     }
 
-    // Update purchase status to 'delivered' using a reusable DB utility
-    const result = await updatePurchaseStatus(userId, purchaseId, 'delivered');
+    // Mark delivered and release the held payment to the creator
+    const result = await settleCreatorPurchase(userId, purchaseId, 'delivered');
+    // 28: order delivered and amount credited
+    await sendSaleNotification(userId, result.buyerId, '28', { purchase_id: purchaseId, productName: result.productName });
     // Return success response with encrypted ID
     // TODO: Convert createSuccessResponse('Product delivered successfully', { purchase: [{ id: encryptedPurchaseId }] }) to res.status(200).json(createSuccessResponse('Product delivered successfully', { purchase: [{ id: encryptedPurchaseId }] }))
     return res.status(200).json(createSuccessResponse('Product delivered successfully', { purchase: [{ id: encryptedPurchaseId }] }));
@@ -169,8 +184,10 @@ const rejectOrder = async (req, res) => {
       return res.status(400).json(createErrorResponse(400, `Invalid purchase ID format: ${error.message}`));
     }
 
-    // Update purchase status to 'rejected' using a reusable DB utility
-    const result = await updatePurchaseStatus(userId, purchaseId, 'rejected');
+    // Mark rejected and refund the buyer automatically
+    const result = await settleCreatorPurchase(userId, purchaseId, 'rejected');
+    // 26: purchase rejected and amount refunded (to the buyer)
+    await sendSaleNotification(result.buyerId, userId, '26', { purchase_id: purchaseId, productName: result.productName });
     // Return success response with encrypted ID
     // TODO: Convert createSuccessResponse('Product rejected successfully', { purchase: [{ id: encryptedPurchaseId }] }) to res.status(200).json(createSuccessResponse('Product rejected successfully', { purchase: [{ id: encryptedPurchaseId }] }))
     return res.status(200).json(createSuccessResponse('Product rejected successfully', { purchase: [{ id: encryptedPurchaseId }] }));
@@ -0,0 +1,313 @@
+/**
+ * @file subscriptionController.js
+ * @description Express.js Subscription Controllers (fan side of creator plans)
+ *
+ * This module lets fans subscribe to creators on the plans configured through
+ * POST /creator/subscription-setting:
+ * - View a creator's subscription options
+ * - Subscribe on an interval plan (paid from the wallet) or for free when the creator allows it
+ * - List my subscriptions, cancel, and toggle auto-renew
+ *
+ * Cancelling keeps access until the end of the paid period; renewals are charged by the
+ * subscription worker for subscriptions with auto-renew on.
+ *
+ * Database Tables: plans, subscriptions, subscription_payments, transactions, creator_earnings, notifications
+ */
+
+import { createSuccessResponse, createErrorResponse, getPaginationParams, logInfo, logError, getUserById, getUserProfileBySlug, encryptId, safeDecryptId, getFile } from '../utils/common.js';
+import { processWalletPayment, walletError, TRANSACTION_TYPES } from '../utils/wallet.js';
+import { createNotification } from '../utils/notification.js';
+import { isCreatorGeoBlocked, sendGeoBlockedResponse } from '../utils/geoBlocking.js';
+import {
+  SUBSCRIPTION_PERIODS,
+  getUserSubscriptionPlans,
+  getCreatorPlanByInterval,
+  getCurrentSubscription,
+  lockCurrentSubscription,
+  getSubscriptionPeriodEnd,
+  createSubscription,
+  createFreeSubscription,
+  createSubscriptionPayment,
+  cancelSubscription,
+  getSubscriberSubscriptions,
+  getSubscriberSubscriptionById,
+  setSubscriptionAutoRenew
+} from '../utils/subscription.js';
+
+/**
+ * Plan intervals a fan can subscribe on, in display order
+ */
+const SUBSCRIPTION_INTERVALS = Object.keys(SUBSCRIPTION_PERIODS);
+
+/**
+ * Decrypt a subscription ID from the path, returning null when invalid
+ */
+const decryptSubscriptionParam = (encryptedId) => {
+  try {
+    return safeDecryptId(encryptedId);
+  } catch (error) {
+    logError('Failed to decrypt subscription ID:', { encryptedId, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Format a subscription row for API responses
+ */
+const formatSubscription = (subscription) => ({
+  id: encryptId(subscription.id),
+  status: subscription.status,
+  interval: subscription.interval,
+  price: subscription.price !== null && subscription.price !== undefined ? parseFloat(subscription.price) : 0,
+  free: subscription.free === 'yes',
+  auto_renew: Boolean(Number(subscription.auto_renew)),
+  ends_at: subscription.ends_at,
+  created_at: subscription.created_at,
+  creator: {
+    name: subscription.creator_name,
+    username: subscription.creator_username,
+    avatar: subscription.creator_avatar ? getFile(`avatar/${subscription.creator_avatar}`) : ''
+  }
+});
+
+/**
+ * Notify the creator about a new subscriber (type 1), honouring notify_new_subscriber
+ */
+const sendNewSubscriberNotification = async (creator, subscriberId, extraData) => {
+  try {
+    if (creator.notify_new_subscriber !== 'yes') return;
+    await createNotification({ user_id: creator.id, from_user_id: subscriberId, type: '1', extra_data: extraData });
+  } catch (error) {
+    logError('Failed to send new subscriber notification:', { creatorId: creator.id, error: error.message });
+  }
+};
+
+/**
+ * Resolve a creator that can be subscribed to from a username
+ * @returns {Promise<object|null>} Full creator user row or null
+ */
+const getSubscribableCreator = async (username) => {
+  if (!username) return null;
+  const profile = await getUserProfileBySlug(username);
+  if (!profile || profile.verified_id !== 'yes') return null;
+  return getUserById(profile.id);
+};
+
+/**
+ * GET /subscriptions/plans/:username - Subscription options of a creator
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with enabled plans and current subscription
+ */
+const getCreatorPlans = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const creator = await getSubscribableCreator(req.params.username);
+    if (!creator) return res.status(404).json(createErrorResponse(404, 'Creator not found'));
+    if (await isCreatorGeoBlocked(req, creator, userId)) return sendGeoBlockedResponse(res);
+
+    const subscriptionData = await getUserSubscriptionPlans(creator.id, SUBSCRIPTION_INTERVALS);
+    if (!subscriptionData) return res.status(500).json(createErrorResponse(500, 'Failed to fetch subscription plans'));
+
+    const plans = subscriptionData.plans
+      .filter(plan => String(plan.status) === '1' && parseFloat(plan.price) > 0)
+      .map(plan => ({ interval: plan.interval, price: parseFloat(plan.price) }));
+    const current = await getCurrentSubscription(userId, creator.id);
+
+    return res.status(200).json(createSuccessResponse('Subscription plans retrieved successfully', {
+      creator: { name: creator.name, username: creator.username },
+      free_subscription: subscriptionData.freeSubscription === 'yes',
+      plans,
+      subscription: current ? { id: encryptId(current.id), status: current.status, interval: current.interval, ends_at: current.ends_at } : null
+    }));
+  } catch (error) {
+    logError('Error fetching creator subscription plans:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch subscription plans'));
+  }
+};
+
+/**
+ * POST /subscriptions - Subscribe to a creator
+ * Body: { username, interval } (interval is ignored when the creator offers free subscription)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the new subscription
+ */
+const subscribe = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { username, interval } = req.body || {};
+
+    const creator = await getSubscribableCreator(username);
+    if (!creator) return res.status(404).json(createErrorResponse(404, 'Creator not found'));
+    if (creator.id === userId) return res.status(400).json(createErrorResponse(400, 'You cannot subscribe to yourself'));
+    if (await isCreatorGeoBlocked(req, creator, userId)) return sendGeoBlockedResponse(res);
+
+    let subscriptionId;
+    let amount = 0;
+    if (creator.free_subscription === 'yes') {
+      subscriptionId = await createFreeSubscription(userId, creator.id);
+      if (!subscriptionId) {
+        return res.status(409).json(createErrorResponse(409, 'You are already subscribed to this creator'));
+      }
+    } else {
+      if (!SUBSCRIPTION_INTERVALS.includes(interval)) {
+        return res.status(400).json(createErrorResponse(400, 'Invalid subscription interval'));
+      }
+      const plan = await getCreatorPlanByInterval(creator.id, interval);
+      if (!plan) return res.status(404).json(createErrorResponse(404, 'Subscription plan not available'));
+
+      const periodStart = new Date();
+      const periodEnd = getSubscriptionPeriodEnd(interval, periodStart);
+      const payment = await processWalletPayment({
+        payerId: userId,
+        creator,
+        amount: plan.price,
+        type: TRANSACTION_TYPES.SUBSCRIPTION,
+        refId: plan.id,
+        // Check and create the subscription under the fan's row lock before the debit, so a
+        // concurrent second request gets 409 instead of paying for a second subscription
+        onBeforeDebit: async (conn) => {
+          if (await lockCurrentSubscription(conn, userId, creator.id)) {
+            throw walletError(409, 'You are already subscribed to this creator');
+          }
+          subscriptionId = await createSubscription(userId, creator.id, plan.id, 'active', { conn, interval, endsAt: periodEnd, autoRenew: true });
+          if (!subscriptionId) throw new Error('Failed to create subscription');
+        },
+        onBeforeCommit: (conn, { transactionId, amount: charged }) => createSubscriptionPayment(conn, {
+          subscriptionId,
+          subscriberId: userId,
+          creatorId: creator.id,
+          transactionId,
+          amount: charged,
+          periodStart,
+          periodEnd
+        })
+      });
+      amount = payment.amount;
+    }
+
+    await sendNewSubscriberNotification(creator, userId, { interval: interval || null, amount });
+    logInfo('Subscribed to creator', { userId, creatorId: creator.id, subscriptionId, interval, amount });
+
+    const subscription = await getSubscriberSubscriptionById(userId, subscriptionId);
+    return res.status(201).json(createSuccessResponse('Subscribed successfully', {
+      subscription: subscription ? formatSubscription(subscription) : { id: encryptId(subscriptionId) }
+    }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+    }
+    logError('Error subscribing to creator:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to subscribe'));
+  }
+};
+
+/**
+ * GET /subscriptions - List the authenticated fan's subscriptions
+ * Query: status (all, active, cancelled, expired), skip, limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with subscriptions and pagination
+ */
+const getMySubscriptions = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { status = 'all' } = req.query || {};
+    const { skip, limit } = getPaginationParams(req.query);
+
+    if (!['all', 'active', 'cancelled', 'expired'].includes(status)) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid status filter'));
+    }
+
+    const { subscriptions, total } = await getSubscriberSubscriptions(userId, { skip, limit, status });
+    logInfo('Subscriptions retrieved successfully', { userId, total, returnedCount: subscriptions.length });
+
+    let next = '';
+    if (skip + limit < total) {
+      next = `/subscriptions?skip=${skip + limit}&limit=${limit}&status=${status}`;
+    }
+
+    return res.status(200).json(createSuccessResponse('Subscriptions retrieved successfully', {
+      subscriptions: subscriptions.map(formatSubscription),
+      pagination: { total, next }
+    }));
+  } catch (error) {
+    logError('Error fetching subscriptions:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch subscriptions'));
+  }
+};
+
+/**
+ * POST /subscriptions/:id/cancel - Cancel a subscription
+ * Paid subscriptions stay accessible until ends_at and are not renewed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the cancelled subscription
+ */
+const cancelMySubscription = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const subscriptionId = decryptSubscriptionParam(req.params.id);
+    if (!subscriptionId) return res.status(400).json(createErrorResponse(400, 'Invalid subscription ID'));
+
+    const subscription = await getSubscriberSubscriptionById(userId, subscriptionId);
+    if (!subscription) return res.status(404).json(createErrorResponse(404, 'Subscription not found'));
+    if (subscription.status !== 'active') {
+      return res.status(409).json(createErrorResponse(409, 'Subscription is not active'));
+    }
+
+    const cancelled = await cancelSubscription(subscriptionId, userId);
+    if (!cancelled) return res.status(500).json(createErrorResponse(500, 'Failed to cancel subscription'));
+
+    const updated = await getSubscriberSubscriptionById(userId, subscriptionId);
+    return res.status(200).json(createSuccessResponse('Subscription cancelled successfully', { subscription: formatSubscription(updated || subscription) }));
+  } catch (error) {
+    logError('Error cancelling subscription:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to cancel subscription'));
+  }
+};
+
+/**
+ * PUT /subscriptions/:id/auto-renew - Turn auto-renew on or off
+ * Body: { auto_renew: boolean }. Turning it on resumes a cancelled subscription that has paid time left.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the updated subscription
+ */
+const updateAutoRenew = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const subscriptionId = decryptSubscriptionParam(req.params.id);
+    if (!subscriptionId) return res.status(400).json(createErrorResponse(400, 'Invalid subscription ID'));
+
+    const autoRenew = req.body?.auto_renew;
+    if (typeof autoRenew !== 'boolean') {
+      return res.status(400).json(createErrorResponse(400, 'auto_renew must be true or false'));
+    }
+
+    const subscription = await getSubscriberSubscriptionById(userId, subscriptionId);
+    if (!subscription) return res.status(404).json(createErrorResponse(404, 'Subscription not found'));
+    if (subscription.free === 'yes') {
+      return res.status(400).json(createErrorResponse(400, 'Free subscriptions do not renew'));
+    }
+
+    const updated = await setSubscriptionAutoRenew(subscriptionId, userId, autoRenew);
+    if (!updated) return res.status(409).json(createErrorResponse(409, 'Subscription can no longer be renewed'));
+
+    const refreshed = await getSubscriberSubscriptionById(userId, subscriptionId);
+    return res.status(200).json(createSuccessResponse('Auto-renew updated successfully', { subscription: formatSubscription(refreshed || subscription) }));
+  } catch (error) {
+    logError('Error updating subscription auto-renew:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to update auto-renew'));
+  }
+};
+
+// Export all functions at the end
+export {
+  getCreatorPlans,
+  subscribe,
+  getMySubscriptions,
+  cancelMySubscription,
+  updateAutoRenew
+};
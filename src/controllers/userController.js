@@ -1,15 +1,16 @@
 import { createSuccessResponse, createErrorResponse, logInfo, logError, getSubscribersList, getSubscribersCount, getUserById, getFile, decryptId, isEncryptedId, verifyAccessToken, getUserPostsList, getUserPostsCount, updateUserSettings, getAuthenticatedUserId, safeDecryptId, encryptId, formatRelativeTime, formatDate, formatNumberWithK, getAllLanguages, getStates, generateOTP, verifyEmailOTP, getUserSettings, checkUserFieldExists, checkMobileExists, getUserCountryById, updateUserAfterOTP, compareUserFields, getSupportCreatorIds, getSupportUserIds, getRestrictedUserIds, getSupportUsersByIds, getUsersBySearch, generateRoomId } from '../utils/common.js';
+import { getViewerCountryCode, isCreatorGeoBlocked, sendGeoBlockedResponse } from '../utils/geoBlocking.js';
 import { getLatestMessageForConversation, formatMessageForResponse } from '../utils/conversation_search.js';
 import { processUploadRequest } from '../utils/uploadUtils.js';
 import { getDB } from '../config/database.js';
-import { cancelSubscriptions } from '../utils/subscription.js';
+import { cancelSubscriptions, SUBSCRIPTION_ACCESS_CONDITION } from '../utils/subscription.js';
 import { processMediaFiles, cleanupS3Files } from '../utils/mediaProcessing.js';
 import { validateProfileRequest } from '../validate/profile.js';
 import { validateUserSettings } from '../utils/validations.js';
 import { sendEmailOTP } from '../utils/mail.js';
 import { sendWhatsAppOTP } from '../utils/whatsapp.js';
 import { getUserByIdOrUsername, getTotalPosts, getTotalFollowers, getTotalSubscribers, getUserCards, getUserUpdates, getUpdatesInfo, getLiveStreamingData, getPreBookCount } from '../utils/profileUtils.js';
-import { getMediaForUpdates, getBatchCommentsAndLikesCounts, getLatestComments, getTagsForUpdates, getMediaTypeFromFilter, getOrderByClause, extractQueryParameters, executeUpdatesQueries, applyPostQueryFilters } from '../utils/my_updates.js';
+import { getMediaForUpdates, getBatchCommentsAndLikesCounts, getLatestComments, getTagsForUpdates, getMediaTypeFromFilter, getOrderByClause, extractQueryParameters, executeUpdatesQueries, applyPostQueryFilters, applyPostPaywall } from '../utils/my_updates.js';
 import { getUserProducts, getUserDigitalAndCustomProducts } from '../utils/product.js';
 import { processTags } from '../utils/updates.js';
 
@@ -2029,6 +2030,9 @@ const getProfile = async (req, res) => {
         logError('Profile access: User not found', { slug, authUserId: userId });
         return res.status(404).json(createErrorResponse(404, 'User not found'));
       }
+      if (await isCreatorGeoBlocked(req, user, userId)) {
+        return sendGeoBlockedResponse(res);
+      }
     }
 
     // Step 4: Get all required user data
@@ -2047,6 +2051,7 @@ const getProfile = async (req, res) => {
       getBatchCommentsAndLikesCounts(updateIds),
       getTagsForUpdates(updateIds)
     ]);
+    const visibleMediaByUpdate = await applyPostPaywall(updates, mediaByUpdate, userId);
 
     // Step 6: Process live streaming data
     let preBookCount = 0;
@@ -2066,7 +2071,7 @@ const getProfile = async (req, res) => {
       live: formatLiveData(liveData, goLive, liveLink, preBookCount),
       connect: formatConnectCards(cards),
       updates_info: updatesInfo,
-      updates: await formatUpdates(updates, mediaByUpdate, commentsCounts, likesCounts, tagsByUpdate, userId, user.username)
+      updates: await formatUpdates(updates, visibleMediaByUpdate, commentsCounts, likesCounts, tagsByUpdate, userId, user.username)
     };
 
     // Return data in message field to match Lambda format
@@ -2555,9 +2560,9 @@ const getCreatorSubscribers = async (req, res) => {
       return res.status(400).json(createErrorResponse(400, 'Invalid sort parameter. Must be one of: newest, oldest, name_asc, name_desc'));
     }
     const offset = (pageNum - 1) * limitNum;
-    let orderBy = 's.created_at DESC';
+    let orderBy = 'subscriptions.created_at DESC';
     if (sort === 'oldest') {
-      orderBy = 's.created_at ASC';
+      orderBy = 'subscriptions.created_at ASC';
     } else if (sort === 'name_asc') {
       orderBy = 'u.name ASC';
     } else if (sort === 'name_desc') {
@@ -2565,27 +2570,27 @@ const getCreatorSubscribers = async (req, res) => {
     }
     const query = `
       SELECT 
-        s.id as subscription_id,
-        s.created_at as subscribed_at,
-        s.status as subscription_status,
+        subscriptions.id as subscription_id,
+        subscriptions.created_at as subscribed_at,
+        subscriptions.status as subscription_status,
         u.id,
         u.name,
         u.username,
         u.avatar,
         u.verified_id,
         u.role
-      FROM subscriptions s
-      INNER JOIN users u ON s.user_id = u.id
-      WHERE s.creator_id = ? AND s.status = 'active'
+      FROM subscriptions
+      INNER JOIN users u ON subscriptions.subscriber_id = u.id
+      WHERE subscriptions.creator_id = ? AND ${SUBSCRIPTION_ACCESS_CONDITION}
       ORDER BY ${orderBy}
       LIMIT ? OFFSET ?
     `;
     const [subscribers] = await getDB().query(query, [userId, limitNum, offset]);
     const countQuery = `
       SELECT COUNT(*) as total
-      FROM subscriptions s
-      INNER JOIN users u ON s.user_id = u.id
-      WHERE s.creator_id = ? AND s.status = 'active'
+      FROM subscriptions
+      INNER JOIN users u ON subscriptions.subscriber_id = u.id
+      WHERE subscriptions.creator_id = ? AND ${SUBSCRIPTION_ACCESS_CONDITION}
     `;
     const [countResult] = await getDB().query(countQuery, [userId]);
     const total = countResult[0].total;
@@ -2890,6 +2895,7 @@ const getUpdates = async (req, res) => {
       getBatchCommentsAndLikesCounts(updateIds),
       getTagsForUpdates(updateIds)
     ]);
+    const visibleMediaByUpdate = await applyPostPaywall(updates, mediaByUpdate, userId);
     
     // Get comments for updates
     const updatesWithDetails = await Promise.all(updates.map(async (update) => {
@@ -2897,7 +2903,7 @@ const getUpdates = async (req, res) => {
       
       return {
         ...update,
-        media: mediaByUpdate[update.id] || [],
+        media: visibleMediaByUpdate[update.id] || [],
         comments_count: commentsCounts[update.id] || 0,
         likes: likesCounts[update.id] || 0,
         comments: comments,
@@ -3591,6 +3597,7 @@ const searchUsers = async (req, res) => {
     }
     const restrictedUserIds = await getRestrictedUserIds(userId);
     const excludedUserIds = [...restrictedUserIds, userId, ...supportIds];
+    const viewerCountryCode = getViewerCountryCode(req);
     logInfo('Exclusion list built', { excludedUserIds });
     // Build flattened conversation-style array like Lambda
     const db = await getDB();
@@ -3599,10 +3606,10 @@ const searchUsers = async (req, res) => {
     let users = [];
     if (isSupportSearchRequest && supportIds.length > 0) {
       const supportRows = await getSupportUsersByIds(supportIds);
-      const otherRows = await getUsersBySearch({ excludedUserIds, searchTerm, supportIds, type: searchType });
+      const otherRows = await getUsersBySearch({ excludedUserIds, searchTerm, supportIds, type: searchType, geoBlocking: true, viewerCountryCode });
       users = [...supportRows, ...otherRows];
     } else {
-      users = await getUsersBySearch({ excludedUserIds, searchTerm, type: searchType });
+      users = await getUsersBySearch({ excludedUserIds, searchTerm, type: searchType, geoBlocking: true, viewerCountryCode });
     }
 
     for (const u of users) {
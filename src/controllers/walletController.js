@@ -0,0 +1,254 @@
+/**
+ * @file walletController.js
+ * @description Express.js Wallet Controllers
+ *
+ * This module provides the fan wallet:
+ * - Wallet overview (balance and pending amounts)
+ * - Paged transaction history filterable by type
+ * - Top-ups through the configured payment provider (see utils/paymentProviders.js)
+ *
+ * Top-ups are written as pending 'deposit' transactions and only credited once the
+ * provider reports the payment as completed (notification 17), or closed on failure (18).
+ *
+ * Database Tables: users, transactions, user_balance, notifications, admin_settings
+ */
+
+import { createSuccessResponse, createErrorResponse, getPaginationParams, logInfo, logError, getAdminSettings } from '../utils/common.js';
+import {
+  WALLET_TRANSACTION_FILTERS,
+  TRANSACTION_TYPES,
+  getWalletSummary,
+  getWalletTransactions,
+  createPendingDeposit,
+  getUserDeposit,
+  settleDeposit
+} from '../utils/wallet.js';
+import { PAYMENT_STATUS, getPaymentProvider, isFakePaymentProviderEnabled } from '../utils/paymentProviders.js';
+import { createNotification } from '../utils/notification.js';
+
+/**
+ * Default top-up limits (admin settings min_deposits_amount / max_deposits_amount override)
+ */
+const DEFAULT_MIN_DEPOSIT = 10;
+const DEFAULT_MAX_DEPOSIT = 100000;
+
+/**
+ * Status labels for transactions.approved
+ */
+const formatTransactionStatus = (transaction) => {
+  const approved = String(transaction.approved);
+  if (approved === '0') return 'pending';
+  if (approved === '2') return transaction.type === TRANSACTION_TYPES.DEPOSIT ? 'failed' : 'refunded';
+  return 'completed';
+};
+
+/**
+ * Format a transactions row for API responses.
+ * Deposits and refunds add to the wallet; every other type is a payment out of it.
+ */
+const formatTransaction = (transaction) => ({
+  id: transaction.txn_id,
+  type: transaction.type,
+  direction: [TRANSACTION_TYPES.DEPOSIT, TRANSACTION_TYPES.REFUND].includes(transaction.type) ? 'credit' : 'debit',
+  amount: parseFloat(transaction.amount) || 0,
+  status: formatTransactionStatus(transaction),
+  payment_gateway: transaction.payment_gateway,
+  creator: transaction.creator_username
+    ? { name: transaction.creator_name, username: transaction.creator_username }
+    : null,
+  created_at: transaction.created_at
+});
+
+/**
+ * Settle a top-up from a provider result and notify the user (17 ok / 18 failed)
+ * @returns {Promise<object>} Formatted deposit for the response
+ */
+const applyDepositResult = async (deposit, providerStatus) => {
+  if (providerStatus === PAYMENT_STATUS.PENDING) {
+    return { id: deposit.txnId, amount: deposit.amount, status: 'pending' };
+  }
+
+  const succeeded = providerStatus === PAYMENT_STATUS.COMPLETED;
+  const result = await settleDeposit(deposit.transactionId, succeeded);
+
+  if (result.settled) {
+    try {
+      await createNotification({
+        user_id: result.userId,
+        from_user_id: result.userId,
+        type: succeeded ? '17' : '18',
+        extra_data: { txn_id: result.txnId, amount: result.amount }
+      });
+    } catch (error) {
+      logError('Failed to send deposit notification:', { userId: result.userId, error: error.message });
+    }
+  }
+
+  return { id: result.txnId, amount: result.amount, status: formatTransactionStatus({ approved: result.approved, type: TRANSACTION_TYPES.DEPOSIT }) };
+};
+
+/**
+ * GET /wallet - Wallet balance and pending amounts of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the wallet overview
+ */
+const getWallet = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { balance, pending, creatorBalance } = await getWalletSummary(userId);
+
+    return res.status(200).json(createSuccessResponse('Wallet retrieved successfully', {
+      balance,
+      pending: pending.total,
+      pending_breakdown: { deposits: pending.deposits, held: pending.held },
+      creator_balance: creatorBalance
+    }));
+  } catch (error) {
+    logError('Error fetching wallet:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch wallet'));
+  }
+};
+
+/**
+ * GET /wallet/transactions - Paged wallet transactions
+ * Query: skip, limit, type (all, tip, ppv, subscription, product, live, refund, deposit)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with transactions and pagination
+ */
+const getWalletTransactionsList = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { skip, limit } = getPaginationParams(req.query);
+    const type = String(req.query?.type || 'all').toLowerCase();
+
+    if (type !== 'all' && !WALLET_TRANSACTION_FILTERS[type]) {
+      return res.status(400).json(createErrorResponse(400, 'Invalid transaction type filter'));
+    }
+
+    const { transactions, total } = await getWalletTransactions(userId, { skip, limit, type });
+    logInfo('Wallet transactions retrieved successfully', { userId, type, total, returnedCount: transactions.length });
+
+    let next = '';
+    if (skip + limit < total) {
+      next = `/wallet/transactions?skip=${skip + limit}&limit=${limit}&type=${type}`;
+    }
+
+    return res.status(200).json(createSuccessResponse('Wallet transactions retrieved successfully', {
+      transactions: transactions.map(formatTransaction),
+      pagination: { total, next }
+    }));
+  } catch (error) {
+    logError('Error fetching wallet transactions:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to fetch wallet transactions'));
+  }
+};
+
+/**
+ * POST /wallet/topup - Add funds to the wallet through the payment provider
+ * Body: { amount, simulate } (simulate is only read when PAYMENT_PROVIDER=fake)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the deposit (and checkout_url when pending)
+ */
+const postWalletTopup = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const amount = Math.round(parseFloat(req.body?.amount) * 100) / 100;
+
+    const adminSettings = await getAdminSettings();
+    const minDeposit = parseFloat(adminSettings.min_deposits_amount) || DEFAULT_MIN_DEPOSIT;
+    const maxDeposit = parseFloat(adminSettings.max_deposits_amount) || DEFAULT_MAX_DEPOSIT;
+    if (!amount || amount < minDeposit || amount > maxDeposit) {
+      return res.status(400).json(createErrorResponse(400, `Amount must be between ${minDeposit} and ${maxDeposit}`));
+    }
+
+    const provider = getPaymentProvider();
+    const deposit = await createPendingDeposit(userId, amount, provider.name);
+
+    let payment;
+    try {
+      payment = await provider.createPayment({
+        reference: deposit.txnId,
+        userId,
+        amount,
+        currency: adminSettings.currency_code || 'INR',
+        metadata: isFakePaymentProviderEnabled() ? { simulate: req.body?.simulate } : {}
+      });
+    } catch (error) {
+      logError('Payment provider failed to create payment:', { provider: provider.name, txnId: deposit.txnId, error: error.message });
+      payment = { status: PAYMENT_STATUS.FAILED };
+    }
+
+    const result = await applyDepositResult({ ...deposit, amount }, payment.status);
+    logInfo('Wallet top-up processed', { userId, amount, provider: provider.name, txnId: deposit.txnId, status: result.status });
+
+    if (result.status === 'failed') {
+      return res.status(402).json(createErrorResponse(402, 'Payment failed', { deposit: result }));
+    }
+
+    return res.status(result.status === 'pending' ? 202 : 200).json(createSuccessResponse(
+      result.status === 'pending' ? 'Top-up awaiting payment' : 'Wallet topped up successfully',
+      { deposit: { ...result, checkout_url: payment.checkoutUrl || null } }
+    ));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+    }
+    logError('Error topping up wallet:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to top up wallet'));
+  }
+};
+
+/**
+ * POST /wallet/topup/:txnId/confirm - Verify a pending top-up with its provider
+ * Body: provider callback payload (the fake provider reads simulate)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Express response with the deposit status
+ */
+const postWalletTopupConfirm = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const deposit = await getUserDeposit(userId, req.params.txnId);
+    if (!deposit) {
+      return res.status(404).json(createErrorResponse(404, 'Deposit not found'));
+    }
+
+    const amount = parseFloat(deposit.amount) || 0;
+    if (String(deposit.approved) !== '0') {
+      return res.status(200).json(createSuccessResponse('Deposit already processed', {
+        deposit: { id: deposit.txn_id, amount, status: formatTransactionStatus(deposit) }
+      }));
+    }
+
+    const provider = getPaymentProvider(deposit.payment_gateway);
+    const verification = await provider.verifyPayment({ reference: deposit.txn_id, payload: req.body || {} });
+    const result = await applyDepositResult({ transactionId: deposit.id, txnId: deposit.txn_id, amount }, verification.status);
+    logInfo('Wallet top-up verified', { userId, txnId: deposit.txn_id, status: result.status });
+
+    if (result.status === 'failed') {
+      return res.status(402).json(createErrorResponse(402, 'Payment failed', { deposit: result }));
+    }
+
+    return res.status(200).json(createSuccessResponse(
+      result.status === 'pending' ? 'Top-up awaiting payment' : 'Wallet topped up successfully',
+      { deposit: result }
+    ));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(createErrorResponse(error.statusCode, error.message));
+    }
+    logError('Error confirming wallet top-up:', error);
+    return res.status(500).json(createErrorResponse(500, 'Failed to confirm top-up'));
+  }
+};
+
+// Export all functions at the end
+export {
+  getWallet,
+  getWalletTransactionsList,
+  postWalletTopup,
+  postWalletTopupConfirm
+};
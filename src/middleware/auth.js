@@ -1,6 +1,26 @@
 import jwt from 'jsonwebtoken';
 import { logError, createErrorResponse, isEncryptedId, decryptId } from '../utils/common.js';
 
+/**
+ * Verify an access token and resolve its user ID (24-char encrypted IDs are decrypted).
+ * Shared by authMiddleware and the realtime gateway so both accept exactly the same tokens.
+ * @param {string} token - JWT access token
+ * @returns {{ decoded: object, userId: number|string|null }} userId is null when it cannot be resolved
+ * @throws {Error} TokenExpiredError / JsonWebTokenError from jsonwebtoken
+ */
+const decodeAccessToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  let userId = decoded.id ?? decoded.userId;
+  if (typeof userId === 'string' && isEncryptedId(userId)) {
+    try {
+      userId = decryptId(userId);
+    } catch (e) {
+      userId = null;
+    }
+  }
+  return { decoded, userId: userId || null };
+};
+
 /**
  * JWT Authentication middleware
  * Validates JWT tokens and adds user info to request object
@@ -17,18 +37,9 @@ const authMiddleware = (req, res, next) => {
     // Extract token from header
     const token = authHeader.substring(7);
     
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    // Verify JWT token (decodes 24-char encoded id if present, else uses numeric id)
+    const { decoded, userId } = decodeAccessToken(token);
     console.log('decoded', decoded);
-    // Decode 24-char encoded id if present, else use numeric id
-    let userId = decoded.id ?? decoded.userId;
-    if (typeof userId === 'string' && isEncryptedId(userId)) {
-      try {
-        userId = decryptId(userId);
-      } catch (e) {
-        return res.status(401).json(createErrorResponse(401, 'Unauthorized access'));
-      }
-    }
     if (!userId) {
       return res.status(401).json(createErrorResponse(401, 'Unauthorized access'));
     }
@@ -154,6 +165,7 @@ const authenticatedOnlyMiddleware = (req, res, next) => {
 
 // Export all functions at the end
 export {
+  decodeAccessToken,
   authMiddleware,
   optionalAuthMiddleware,
   anonymousOnlyMiddleware,
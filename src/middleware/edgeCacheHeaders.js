@@ -1,6 +1,7 @@
 // Middleware to set CDN caching headers per route
 // - Controls CDN TTL via s-maxage
 // - Ensures per-user variations via Vary: X-User-Cache-Key
+// - Ensures per-country variations via Vary: CloudFront-Viewer-Country on geo-gated routes
 
 const routeCacheConfig = [
   // Products lists/details
@@ -17,7 +18,7 @@ const routeCacheConfig = [
   { pattern: /^\/user\/restrictions$/, ttlSeconds: Number(process.env.CF_TTL_USER_RESTRICTIONS || 1800), varyUser: true },
 
   // User profile by slug (within /user router)
-  { pattern: /^\/user\/[^/]+$/, ttlSeconds: Number(process.env.CF_TTL_USER_SLUG || 1800), varyUser: true },
+  { pattern: /^\/user\/[^/]+$/, ttlSeconds: Number(process.env.CF_TTL_USER_SLUG || 1800), varyUser: true, varyCountry: true },
 
   // Comments
   { pattern: /^\/user\/comments\/\d+$/, ttlSeconds: Number(process.env.CF_TTL_COMMENTS || 7200), varyUser: true },
@@ -25,7 +26,7 @@ const routeCacheConfig = [
 
   // Posts module specifics
   { pattern: /^\/posts\/create$/, ttlSeconds: Number(process.env.CF_TTL_POSTS_CREATE || 1800), varyUser: true },
-  { pattern: /^\/posts\/[^/]+\/\d+$/, ttlSeconds: Number(process.env.CF_TTL_POST_DETAIL || 3600), varyUser: true },
+  { pattern: /^\/posts\/[^/]+\/\d+$/, ttlSeconds: Number(process.env.CF_TTL_POST_DETAIL || 3600), varyUser: true, varyCountry: true },
 
   // Pages
   { pattern: /^\/pages\/[^/]+$/, ttlSeconds: Number(process.env.CF_TTL_PAGES_SLUG || 1800), varyUser: true },
@@ -78,6 +79,8 @@ const setEdgeCacheHeaders = (req, res, next) => {
   res.set('Cache-Control', `private, max-age=0, s-maxage=${matched.ttlSeconds}`);
   const varyHeaders = ['Accept-Encoding'];
   if (matched.varyUser) varyHeaders.push('X-User-Cache-Key');
+  // Geo-gated responses (creator blocked_countries) differ per viewer country
+  if (matched.varyCountry) varyHeaders.push('CloudFront-Viewer-Country');
   res.set('Vary', varyHeaders.join(', '));
   return next();
 };
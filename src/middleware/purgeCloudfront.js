@@ -93,6 +93,11 @@ function deriveInvalidationPaths(req) {
     items.add('/privacy/account/retrieve');
   }
 
+  // New passkeys are listed on the security settings screen
+  if (p.startsWith('/auth/passkey/register')) {
+    items.add('/privacy/security');
+  }
+
   // Pages
   if (p.startsWith('/pages') || p.startsWith('/p/')) {
     items.add('/pages/*');
@@ -109,7 +114,8 @@ export function purgeCloudfrontOnWrite() {
     res.on('finish', async () => {
       try {
         if (res.statusCode >= 200 && res.statusCode < 300) {
-          const paths = deriveInvalidationPaths(req);
+          // Handlers can name extra paths they know about (e.g. the creator of an unlocked post)
+          const paths = [...deriveInvalidationPaths(req), ...(res.locals.invalidationPaths || [])];
           if (paths.length > 0) {
             await invalidatePaths(paths);
           }
@@ -9,6 +9,8 @@ router.post('/signup', anonymousOnlyMiddleware, authController.register);
 router.post('/signup/verify', anonymousOnlyMiddleware, authController.verifyOtp);
 router.post('/login', anonymousOnlyMiddleware, authController.login);
 router.post('/login/verify', anonymousOnlyMiddleware, authController.loginVerify);
+router.post('/passkey/login/options', anonymousOnlyMiddleware, authController.passkeyLoginOptions);
+router.post('/passkey/login', anonymousOnlyMiddleware, authController.passkeyLogin);
 
 // Public forgot-password routes (Lambda allows without token)
 router.post('/forgot-password/otp', authController.forgotPasswordRequest);
@@ -18,12 +20,20 @@ router.post('/reset-password', authController.forgotPasswordReset);
 // Public routes
 router.post('/google', authController.googleSignin);
 router.post('/apple', authController.appleSignin);
+router.post('/2fa/verify', authController.twoFactorVerify);
 router.post('/init', authController.init);
+router.get('/login-alert/revoke', authController.loginAlertRevokeConfirm);
+router.post('/login-alert/revoke', authController.loginAlertRevoke);
 
 // Protected routes (authenticated user token required)
 router.post('/refresh', authController.refresh);
 router.post('/logout', authenticatedOnlyMiddleware, authController.logout);
 router.get('/validate', authenticatedOnlyMiddleware, authController.validate);
 router.get('/suspended', authenticatedOnlyMiddleware, authController.suspended);
+router.post('/passkey/register/options', authenticatedOnlyMiddleware, authController.passkeyRegisterOptions);
+router.post('/passkey/register', authenticatedOnlyMiddleware, authController.passkeyRegister);
+router.get('/linked-accounts', authenticatedOnlyMiddleware, authController.listLinkedAccounts);
+router.post('/linked-accounts/:provider', authenticatedOnlyMiddleware, authController.linkSocialAccount);
+router.delete('/linked-accounts/:provider', authenticatedOnlyMiddleware, authController.unlinkSocialAccount);
 
 export default router;
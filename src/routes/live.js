@@ -15,11 +15,23 @@ router.post('/create', authMiddleware, liveController.postLiveCreate);
 
 // Live management endpoints
 router.get('/go/:liveId', authMiddleware, setEdgeCacheHeaders, liveController.getLiveGo);
+router.post('/join/:liveId', authMiddleware, liveController.postLiveJoin);
 router.get('/edit/:liveId', authMiddleware, setEdgeCacheHeaders, liveController.getLiveEdit);
 router.delete('/delete/:id', authMiddleware, liveController.deleteLive);
 
+// Live session lifecycle endpoints
+router.post('/:liveId/start', authMiddleware, liveController.postLiveStart);
+router.post('/:liveId/heartbeat', authMiddleware, liveController.postLiveHeartbeat);
+router.post('/:liveId/end', authMiddleware, liveController.postLiveEnd);
+
+// Live booking endpoints
+router.get('/bookings', authMiddleware, liveController.getMyLiveBookings);
+router.post('/:liveId/book', authMiddleware, liveController.postLiveBook);
+router.delete('/:liveId/book', authMiddleware, liveController.deleteLiveBook);
+
 // Live settings endpoints
 router.put('/edit/tipmenu', authMiddleware, liveController.putLiveEditTipmenu);
 router.post('/goal', authMiddleware, liveController.postLiveGoal);
+router.post('/:liveId/tip', authMiddleware, liveController.postLiveTip);
 
 export default router;
@@ -6,22 +6,44 @@ import {
   getMessagesInbox,
   deleteMessage,
   deleteConversation,
+  markConversationAsRead,
+  getUnreadCount,
   getMessageUploadUrl,
   sendMessage,
   sendMassiveMessage,
-  getMessageById
+  getMessageById,
+  unlockMessage
 } from '../controllers/messageController.js';
+import {
+  createCampaign,
+  getCampaigns,
+  getCampaignAudience,
+  getCampaign,
+  cancelCampaign
+} from '../controllers/messageCampaignController.js';
 
 const router = express.Router();
 
 // Conversation routes
 router.get('/conversation', authMiddleware, getConversation);
 router.get('/conversation/search', authMiddleware, getConversationSearch);
+router.post('/conversation/:id/read', authMiddleware, markConversationAsRead);
+
+// Unread badge (before /:id so it is not taken for a user ID)
+router.get('/unread-count', authMiddleware, getUnreadCount);
+
+// Mass message campaigns (before /:id so "campaigns" is not taken for a user ID)
+router.get('/campaigns', authMiddleware, getCampaigns);
+router.post('/campaigns', authMiddleware, createCampaign);
+router.get('/campaigns/audience', authMiddleware, getCampaignAudience);
+router.get('/campaigns/:id', authMiddleware, getCampaign);
+router.post('/campaigns/:id/cancel', authMiddleware, cancelCampaign);
 
 // Message routes
 router.get('/:id', authMiddleware, getMessagesInbox);
 router.get('/:id/:username', authMiddleware, getMessagesInbox);
 router.get('/by-id/:messageId', authMiddleware, getMessageById);
+router.post('/:messageId/unlock', authMiddleware, unlockMessage);
 
 // Message management routes
 router.delete('/delete', authMiddleware, deleteMessage);
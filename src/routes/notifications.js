@@ -5,6 +5,10 @@ import setEdgeCacheHeaders from '../middleware/edgeCacheHeaders.js';
 
 const router = express.Router();
 
+// Signed link from digest emails; works without logging in
+router.get('/digest/unsubscribe', notificationsController.unsubscribeEmailDigest);
+router.post('/digest/unsubscribe', notificationsController.unsubscribeEmailDigest);
+
 router.use(authMiddleware);
 
 // Notification endpoints
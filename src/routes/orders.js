@@ -0,0 +1,15 @@
+import express from 'express';
+import * as ordersController from '../controllers/ordersController.js';
+import { authMiddleware } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', ordersController.getMyOrders);
+router.post('/', ordersController.createOrder);
+router.get('/:id', ordersController.getOrderById);
+router.post('/:id/cancel', ordersController.cancelOrder);
+router.get('/:id/download', ordersController.downloadOrder);
+
+export default router;
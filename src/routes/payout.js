@@ -16,6 +16,11 @@ router.delete('/delete', payoutController.deletePayoutMethod);
 router.get('/conversations', setEdgeCacheHeaders, payoutController.getPayoutConversations);
 router.post('/conversations/store', payoutController.storePayoutConversation);
 
+// Withdrawal endpoints
+router.post('/withdraw', payoutController.requestWithdrawal);
+router.get('/withdrawals', payoutController.getWithdrawalHistory);
+router.put('/withdrawals/:id/status', payoutController.updateWithdrawalStatus);
+
 // Upload endpoints
 router.get('/upload-url', setEdgeCacheHeaders, payoutController.getPayoutUploadUrl);
 
@@ -9,6 +9,10 @@ const router = express.Router();
 router.get('/create', authMiddleware, setEdgeCacheHeaders, postsController.getPostCreateData);
 router.post('/create', authMiddleware, postsController.createPost);
 router.get('/upload-url', authMiddleware, postsController.getPostUploadUrl);
+router.get('/scheduled', authMiddleware, postsController.getScheduledPosts);
+router.put('/scheduled/:id', authMiddleware, postsController.reschedulePost);
+router.delete('/scheduled/:id', authMiddleware, postsController.cancelScheduledPost);
+router.post('/:id/unlock', authMiddleware, postsController.unlockPost);
 router.get('/:username/:id', optionalAuthMiddleware, setEdgeCacheHeaders, postsController.getPostByUsernameAndId);
 
 export default router;
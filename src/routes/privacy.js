@@ -8,6 +8,9 @@ import {
   deleteAccount,
   deleteAccountWithOtp,
   clearSessions,
+  revokePasskey,
+  getSessions,
+  revokeSession,
   getAccountRetrieve,
   retrieveAccount
 } from '../controllers/privacyController.js';
@@ -18,6 +21,11 @@ const router = express.Router();
 router.get('/security', setEdgeCacheHeaders, authMiddleware, getPrivacySecurity);
 router.post('/security', authMiddleware, updatePrivacySecurity);
 router.post('/security/clear-sessions', authMiddleware, clearSessions);
+router.delete('/security/passkeys/:id', authMiddleware, revokePasskey);
+
+// Signed-in devices (not edge cached: every token refresh changes last_used_at)
+router.get('/sessions', authMiddleware, getSessions);
+router.delete('/sessions/:id', authMiddleware, revokeSession);
 
 // Account Deletion
 router.get('/account/delete', setEdgeCacheHeaders, authMiddleware, getAccountDeletionStatus);
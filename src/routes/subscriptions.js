@@ -0,0 +1,15 @@
+import express from 'express';
+import * as subscriptionController from '../controllers/subscriptionController.js';
+import { authMiddleware } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', subscriptionController.getMySubscriptions);
+router.post('/', subscriptionController.subscribe);
+router.get('/plans/:username', subscriptionController.getCreatorPlans);
+router.post('/:id/cancel', subscriptionController.cancelMySubscription);
+router.put('/:id/auto-renew', subscriptionController.updateAutoRenew);
+
+export default router;
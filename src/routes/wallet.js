@@ -0,0 +1,14 @@
+import express from 'express';
+import * as walletController from '../controllers/walletController.js';
+import { authMiddleware } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', walletController.getWallet);
+router.get('/transactions', walletController.getWalletTransactionsList);
+router.post('/topup', walletController.postWalletTopup);
+router.post('/topup/:txnId/confirm', walletController.postWalletTopupConfirm);
+
+export default router;
@@ -5,7 +5,9 @@ import { logInfo, logError } from './utils/common.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import http from 'http';
 import https from 'https';
+import { attachRealtimeGateway, closeRealtimeGateway } from './utils/realtime.js';
 
 // Load environment variables from api.env file
 dotenv.config({ path: path.join(process.cwd(), '.env') });
@@ -104,6 +106,9 @@ app.get('/docs', (req, res) => {
 });
 
 
+// HTTP server shared by Express and the WebSocket gateway
+const server = http.createServer(app);
+
 // Connect to database
 const startServer = async () => {
   try {
@@ -115,7 +120,7 @@ const startServer = async () => {
     // Start Express server
     if (NODE_ENV === 'prod') {
       // Production server (HTTP)
-      app.listen(PORT, () => {
+      server.listen(PORT, () => {
         logInfo(`🚀 Bingeme API Express server running on port ${PORT}`);
         logInfo(`🌍 Environment: ${NODE_ENV}`);
         logInfo(`🔗 API Base URL: ${PROTOCOL}://${HOST}`);
@@ -125,7 +130,7 @@ const startServer = async () => {
       });
     } else {
       // Development server (HTTP)
-      app.listen(PORT, () => {
+      server.listen(PORT, () => {
         logInfo(`🚀 Bingeme API Express server running on port ${PORT}`);
         logInfo(`🌍 Environment: ${NODE_ENV}`);
         logInfo(`🔗 API Base URL: ${PROTOCOL}://${HOST}`);
@@ -134,6 +139,9 @@ const startServer = async () => {
         logInfo(`🏥 Health check available at: ${PROTOCOL}://${HOST}/health`);
       });
     }
+
+    // Chat WebSocket gateway on the same port
+    await attachRealtimeGateway(server);
   } catch (error) {
     logError('Failed to start server:', error);
     process.exit(1);
@@ -143,12 +151,13 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logInfo('SIGTERM received, shutting down gracefully');
-  await redisClient.quit();
+  await closeRealtimeGateway();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logInfo('SIGINT received, shutting down gracefully');
+  await closeRealtimeGateway();
   process.exit(0);
 });
 
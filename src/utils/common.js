@@ -11,7 +11,7 @@ import winston from 'winston';
 import nodemailer from 'nodemailer';
 import axios from 'axios';
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, QueryCommand, BatchWriteCommand } from '@aws-sdk/lib-dynamodb';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
@@ -21,6 +21,7 @@ import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import timezone from 'dayjs/plugin/timezone.js';
 import { UAParser } from 'ua-parser-js';
+import { SUBSCRIPTION_ACCESS_CONDITION } from './subscription.js';
 
 // Configure dayjs plugins for timezone support
 dayjs.extend(utc);
@@ -54,6 +55,13 @@ const validateEnvironment = () => {
 // Validate environment on module load
 validateEnvironment();
 
+// How long a rotated refresh token is kept so a replay of it is still recognised as reuse
+const REFRESH_REUSE_DETECTION_SECONDS = Number(process.env.REFRESH_TOKEN_REUSE_DETECTION_DAYS || 7) * 24 * 60 * 60;
+
+// BatchWriteItem takes at most 25 requests; each batch is tried this many times while items stay unprocessed
+const SESSION_DELETE_BATCH_SIZE = 25;
+const SESSION_DELETE_ATTEMPTS = 3;
+
 // Initialize DynamoDB client for specific tables
 const ddbClient = new DynamoDBClient({ region: process.env.AWS_DEFAULT_REGION });
 const docClient = DynamoDBDocumentClient.from(ddbClient);
@@ -144,6 +152,22 @@ const getUserById = async (userId) => {
   }
 };
 
+/**
+ * Record that a user is using the app (sign-in or token refresh) in users.last_active_at.
+ * Written at most every few minutes, since apps refresh their tokens often.
+ */
+const markUserActive = async (userId) => {
+  try {
+    await pool.query(
+      `UPDATE users SET last_active_at = NOW()
+       WHERE id = ? AND (last_active_at IS NULL OR last_active_at < DATE_SUB(NOW(), INTERVAL 5 MINUTE))`,
+      [userId]
+    );
+  } catch (error) {
+    logError('Error marking user active:', { userId, error: error.message });
+  }
+};
+
 /**
  * Get user country
  */
@@ -221,6 +245,47 @@ const upsertFcmTokenRecord = async (userId, fcmToken, deviceInfo = {}) => {
   }
 };
 
+/**
+ * Get the FCM token records of a user (one per device)
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<{ fcm_token: string, device_info: string }>>} Token records
+ */
+const getFcmTokenRecords = async (userId) => {
+  try {
+    const tableName = `fcm-token-${process.env.NODE_ENV || 'dev'}`;
+    const result = await docClient.send(new QueryCommand({
+      TableName: tableName,
+      KeyConditionExpression: 'user_id = :userId',
+      ExpressionAttributeValues: { ':userId': userId }
+    }));
+    return (result.Items || []).filter(item => item.fcm_token);
+  } catch (error) {
+    logError('Error getting FCM token records:', { userId, error: error.message });
+    return [];
+  }
+};
+
+/**
+ * Delete an FCM token record that FCM rejected as invalid
+ * @param {number} userId - User ID
+ * @param {string} fcmToken - FCM token
+ * @returns {Promise<boolean>} True if deleted
+ */
+const deleteFcmTokenRecord = async (userId, fcmToken) => {
+  try {
+    const tableName = `fcm-token-${process.env.NODE_ENV || 'dev'}`;
+    await docClient.send(new DeleteCommand({
+      TableName: tableName,
+      Key: { user_id: userId, fcm_token: fcmToken }
+    }));
+    logInfo('FCM token record deleted:', { userId });
+    return true;
+  } catch (error) {
+    logError('Error deleting FCM token record:', { userId, error: error.message });
+    return false;
+  }
+};
+
 /**
  * Get subscribers list
  */
@@ -233,11 +298,11 @@ const getSubscribersList = async (userId, limit = 20, skip = 0) => {
         u.name,
         u.avatar,
         u.verified,
-        s.created_at as subscribed_at
-      FROM subscriptions s
-      JOIN users u ON s.subscriber_id = u.id
-      WHERE s.creator_id = ? AND s.status = 'active'
-      ORDER BY s.created_at DESC
+        subscriptions.created_at as subscribed_at
+      FROM subscriptions
+      JOIN users u ON subscriptions.subscriber_id = u.id
+      WHERE subscriptions.creator_id = ? AND ${SUBSCRIPTION_ACCESS_CONDITION}
+      ORDER BY subscriptions.created_at DESC
       LIMIT ? OFFSET ?
     `;
     
@@ -257,7 +322,7 @@ const getSubscribersCount = async (userId) => {
     const query = `
       SELECT COUNT(*) as count 
       FROM subscriptions 
-      WHERE creator_id = ? AND status = 'active'
+      WHERE creator_id = ? AND ${SUBSCRIPTION_ACCESS_CONDITION}
     `;
     
     const [result] = await pool.query(query, [userId]);
@@ -1085,47 +1150,6 @@ const getUserSalesList = async (userId, options = {}) => {
   }
 };
 
-/**
- * Update purchase status (delivered/rejected) for a creator's sale
- * Mirrors Lambda implementation and validations
- */
-const updatePurchaseStatus = async (userId, purchaseId, status) => {
-  if (!['delivered', 'rejected'].includes(status)) {
-    const error = new Error('Invalid status');
-    error.statusCode = 400;
-    throw error;
-  }
-
-  // Ensure purchase belongs to this creator and is pending
-  const [rows] = await pool.query(
-    `SELECT p.id, p.delivery_status, pr.user_id as owner_id
-     FROM purchases p
-     INNER JOIN products pr ON p.products_id = pr.id
-     WHERE p.id = ? AND pr.user_id = ? AND p.delivery_status = 'pending' AND p.status = 1
-     LIMIT 1`,
-    [purchaseId, userId]
-  );
-  if (!rows.length) {
-    const error = new Error('Purchase not found or not eligible for update');
-    error.statusCode = 404;
-    throw error;
-  }
-
-  const [result] = await pool.query(
-    `UPDATE purchases SET delivery_status = ?, updated_at = NOW() 
-     WHERE id = ? AND delivery_status = 'pending'`,
-    [status, purchaseId]
-  );
-  if (result.affectedRows === 0) {
-    const error = new Error('Purchase not found or already updated');
-    error.statusCode = 404;
-    throw error;
-  }
-
-  logInfo('Updated purchase delivery_status', { purchaseId, status });
-  return result;
-};
-
 /**
  * Safe decrypt ID - returns numeric ID or throws with message matching Lambda behavior
  */
@@ -1678,6 +1702,7 @@ const checkRateLimit = async (ip, route) => {
          '/auth/login': 10,      // 10 login attempts per minute
          '/auth/forgot-password/otp': 3, // 3 forgot password attempts per minute
          '/auth/refresh': 20,    // 20 token refresh per minute
+         '/auth/2fa/verify': 5,  // 5 two-factor code attempts per minute
          default: 30             // 30 requests per minute for other routes
        };
        
@@ -2025,12 +2050,14 @@ const createErrorResponse = (statusCode, error, details = null) => {
   const statusMessages = {
     400: 'Bad Request',
     401: 'Unauthorized',
+    402: 'Payment Required',
     403: 'Forbidden',
     404: 'Not Found',
     405: 'Method Not Allowed',
     409: 'Conflict',
     422: 'Unprocessable Entity',
     429: 'Too Many Requests',
+    451: 'Unavailable For Legal Reasons',
     500: 'Internal Server Error',
     502: 'Bad Gateway',
     503: 'Service Unavailable'
@@ -2057,6 +2084,23 @@ const createSuccessResponse = (message, data = null) => {
   };
 };
 
+// Page sizes for skip/limit list endpoints
+const PAGINATION_LIMITS = {
+  MIN: 1,
+  MAX: 50,
+  DEFAULT: 20
+};
+
+/**
+ * Read skip and limit from a list request's query, limit clamped to PAGINATION_LIMITS
+ * @param {object} query - req.query
+ * @returns {{ skip: number, limit: number }}
+ */
+const getPaginationParams = (query = {}) => ({
+  skip: Math.max(0, parseInt(query.skip) || 0),
+  limit: Math.min(PAGINATION_LIMITS.MAX, Math.max(PAGINATION_LIMITS.MIN, parseInt(query.limit) || PAGINATION_LIMITS.DEFAULT))
+});
+
 
 const verifyEmailOTP = async (identifier, otp) => {
   try {
@@ -2229,6 +2273,21 @@ const getDeviceInfo = (req) => {
   }
 };
 
+/**
+ * Approximate location of a request from the CloudFront viewer headers, e.g. "Mumbai, Maharashtra, IN"
+ * @param {object} req - Express request object
+ * @returns {string|null} Location, or null when the request did not come through CloudFront
+ */
+const getRequestLocation = (req) => {
+  const headers = req?.headers || {};
+  const parts = [
+    headers['cloudfront-viewer-city'],
+    headers['cloudfront-viewer-country-region-name'],
+    headers['cloudfront-viewer-country']
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
 /**
  * Convert local date/time in a given timezone to a UTC Date object
  * @param {string} date - YYYY-MM-DD
@@ -2351,7 +2410,9 @@ const generateRefreshToken = (payload) => {
     payload.id = encryptId(payload.id);
   }
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRES || '60d'
+    expiresIn: process.env.JWT_REFRESH_EXPIRES || '60d',
+    // Unique per token, so two tokens issued in the same second for one user never collide
+    jwtid: crypto.randomUUID()
   });
 };
 
@@ -2397,9 +2458,11 @@ const verifyToken = (token) => {
  * @param {string} anonymousId - Anonymous user ID (sort key)
  * @param {string} refreshToken - Refresh token (primary key)
  * @param {object} req - Express request object for device info
+ * @param {object} [options] - familyId: token family of a rotated token (a login starts a new family);
+ *   sessionStartedAt: when the family's login happened
  * @returns {Promise<boolean>} True if stored successfully
  */
-const storeRefreshToken = async (anonymousId, refreshToken, req) => {
+const storeRefreshToken = async (anonymousId, refreshToken, req, options = {}) => {
   try {
     const tableName = `sessions-${process.env.NODE_ENV || 'dev'}`;
     const now = Date.now();
@@ -2434,8 +2497,12 @@ const storeRefreshToken = async (anonymousId, refreshToken, req) => {
         deviceFingerprint: deviceInfo.deviceFingerprint,
         ipAddress: deviceInfo.ip,
         app: deviceInfo.appString,
+        location: getRequestLocation(req),
+        // Every refresh rotates the token; all tokens of one login share a family
+        familyId: options.familyId || crypto.randomUUID(),
+        sessionStartedAt: options.sessionStartedAt || new Date(now).toISOString(),
         // Timestamp
-        createdAt: new Date().toISOString()
+        createdAt: new Date(now).toISOString()
       }
     }));
 
@@ -2488,7 +2555,11 @@ const getRefreshToken = async (refreshToken, userId) => {
         createdAt: item.createdAt,
         deviceFingerprint: item.deviceFingerprint,
         ipAddress: item.ipAddress,
-        app: item.app || null
+        app: item.app || null,
+        familyId: item.familyId || null,
+        sessionStartedAt: item.sessionStartedAt || item.createdAt,
+        rotatedAt: item.rotatedAt || null,
+        replacedBy: item.replacedBy || null
       };
     }
     
@@ -2543,6 +2614,60 @@ const revokeRefreshToken = async (refreshToken, userId) => {
   }
 };
 
+/**
+ * Marks a refresh token as rotated. The record is kept for the reuse detection horizon
+ * (REFRESH_TOKEN_REUSE_DETECTION_DAYS), so a later replay can be recognised as reuse and the
+ * successor handed out again within the grace window; its TTL is cut to that horizon so rotated
+ * rows do not pile up for the full refresh lifetime.
+ * Tokens issued before families existed get the family of their successor, so a replay of one
+ * still revokes the login.
+ * @param {string} refreshToken - The rotated token
+ * @param {string} userId - User ID (sort key)
+ * @param {string} replacedBy - The token issued in its place
+ * @param {string} familyId - Token family of the successor
+ * @param {number} [expiresAt] - Current TTL in seconds; kept when it is sooner than the horizon
+ * @returns {Promise<boolean>} False when a concurrent request already rotated it
+ */
+const markRefreshTokenRotated = async (refreshToken, userId, replacedBy, familyId, expiresAt) => {
+  try {
+    const now = Date.now();
+    const horizon = Math.floor(now / 1000) + REFRESH_REUSE_DETECTION_SECONDS;
+    await docClient.send(new UpdateCommand({
+      TableName: `sessions-${process.env.NODE_ENV || 'dev'}`,
+      Key: { token: refreshToken, userId },
+      UpdateExpression: 'SET rotatedAt = :now, replacedBy = :next, familyId = if_not_exists(familyId, :family), expires_at = :expiresAt',
+      ConditionExpression: 'attribute_exists(#tokenAttr) AND attribute_not_exists(rotatedAt)',
+      ExpressionAttributeNames: { '#tokenAttr': 'token' },
+      ExpressionAttributeValues: {
+        ':now': new Date(now).toISOString(),
+        ':next': replacedBy,
+        ':family': familyId,
+        ':expiresAt': expiresAt ? Math.min(expiresAt, horizon) : horizon
+      }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      logError('Error marking refresh token rotated:', error);
+    }
+    return false;
+  }
+};
+
+/**
+ * Revokes every refresh token of a token family (all rotations of one login)
+ * @param {string} userId - User ID
+ * @param {string} familyId - Token family
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+const revokeRefreshTokenFamily = async (userId, familyId) => {
+  const sessions = await getUserSessionsWithDeviceInfo(userId, { includeRotated: true });
+  const family = sessions.filter(session => session.familyId === familyId);
+  const revoked = await revokeSessionsByTokens(family.map(session => session.token), userId);
+  logInfo('Refresh token family revoked:', { userId, familyId, revoked });
+  return revoked;
+};
+
 // =========================
 // Shared Auth Helper
 // =========================
@@ -2736,9 +2861,9 @@ const getWithdrawalSummary = async (userId) => {
   try {
     const query = `
       SELECT 
-        COALESCE(SUM(amount), 0) as total_withdrawn,
+        COALESCE(SUM(CASE WHEN status <> 'rejected' THEN amount ELSE 0 END), 0) as total_withdrawn,
         COUNT(*) as withdrawal_count,
-        COALESCE(SUM(CASE WHEN status = 'pending' THEN amount ELSE 0 END), 0) as pending_amount
+        COALESCE(SUM(CASE WHEN status IN ('pending', 'processing') THEN amount ELSE 0 END), 0) as pending_amount
       FROM withdrawals 
       WHERE user_id = ?
     `;
@@ -2894,7 +3019,9 @@ const getUsersBySearch = async (searchTermOrOptions, limit = 20, skip = 0) => {
         excludedUserIds = [],
         searchTerm = '',
         supportIds = [],
-        type = ''
+        type = '',
+        geoBlocking = false,
+        viewerCountryCode = null
       } = searchTermOrOptions;
 
       const where = [
@@ -2911,6 +3038,14 @@ const getUsersBySearch = async (searchTermOrOptions, limit = 20, skip = 0) => {
         where.push("verified_id = 'yes'");
       }
 
+      // Leave out creators who blocked the viewer's country, or any country when it is unknown
+      if (geoBlocking && viewerCountryCode) {
+        where.push("(blocked_countries IS NULL OR FIND_IN_SET(?, REPLACE(blocked_countries, ' ', '')) = 0)");
+        params.push(viewerCountryCode);
+      } else if (geoBlocking) {
+        where.push("(blocked_countries IS NULL OR blocked_countries = '')");
+      }
+
       const allExcluded = [...new Set([...(excludedUserIds || []), ...(supportIds || [])])];
       if (allExcluded.length > 0) {
         const placeholders = allExcluded.map(() => '?').join(',');
@@ -3258,28 +3393,43 @@ const decryptSensitiveData = (encryptedData) => {
 };
 
 /**
- * Sessions list and revoke by token
+ * Sessions list and revoke by token.
+ * Rotated refresh tokens are only kept for reuse detection and are left out unless includeRotated is set.
  */
-const getUserSessionsWithDeviceInfo = async (userId) => {
+const getUserSessionsWithDeviceInfo = async (userId, { includeRotated = false } = {}) => {
   try {
     const tableName = `sessions-${process.env.NODE_ENV || 'dev'}`;
-    const result = await docClient.send(new QueryCommand({
-      TableName: tableName,
-      KeyConditionExpression: 'userId = :userId',
-      ExpressionAttributeValues: { ':userId': userId }
-    }));
-    if (result.Items && result.Items.length > 0) {
-      return result.Items.map(item => ({
+    // token is the hash key, so look sessions up by user through the userId GSI.
+    // A query returns at most 1 MB, so follow LastEvaluatedKey until every page is read.
+    const items = [];
+    let ExclusiveStartKey;
+    do {
+      const result = await docClient.send(new QueryCommand({
+        TableName: tableName,
+        IndexName: process.env.SESSIONS_USER_INDEX || 'userId-index',
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': String(userId) },
+        ExclusiveStartKey
+      }));
+      items.push(...(result.Items || []));
+      ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    return items
+      .filter(item => includeRotated || !item.rotatedAt)
+      .map(item => ({
         token: item.token,
         userId: item.userId,
         deviceFingerprint: item.deviceFingerprint,
         ipAddress: item.ipAddress,
         app: item.app || null,
+        location: item.location || null,
+        familyId: item.familyId || null,
+        sessionStartedAt: item.sessionStartedAt || item.createdAt,
+        rotatedAt: item.rotatedAt || null,
         createdAt: item.createdAt,
         expiresAt: item.expires_at
       }));
-    }
-    return [];
   } catch (error) {
     logError('Error getting user sessions with device info:', error);
     return [];
@@ -3300,6 +3450,36 @@ const revokeSessionByToken = async (token, userId) => {
   }
 };
 
+/**
+ * Revoke many refresh tokens of one user, 25 deletes per BatchWriteItem request (the DynamoDB limit).
+ * Deletes DynamoDB leaves unprocessed (throttling) are retried with a short backoff.
+ * @param {Array<string>} tokens - Refresh tokens to delete
+ * @param {string} userId - User ID (sort key)
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+const revokeSessionsByTokens = async (tokens, userId) => {
+  const tableName = `sessions-${process.env.NODE_ENV || 'dev'}`;
+  let revoked = 0;
+  for (let start = 0; start < tokens.length; start += SESSION_DELETE_BATCH_SIZE) {
+    let requests = tokens.slice(start, start + SESSION_DELETE_BATCH_SIZE)
+      .map(token => ({ DeleteRequest: { Key: { token, userId } } }));
+    for (let attempt = 0; requests.length > 0 && attempt < SESSION_DELETE_ATTEMPTS; attempt += 1) {
+      if (attempt > 0) await new Promise(resolve => setTimeout(resolve, 100 * 2 ** attempt));
+      try {
+        const result = await docClient.send(new BatchWriteCommand({ RequestItems: { [tableName]: requests } }));
+        const unprocessed = result.UnprocessedItems?.[tableName] || [];
+        revoked += requests.length - unprocessed.length;
+        requests = unprocessed;
+      } catch (error) {
+        logError('Error revoking sessions in batch:', { userId, error: error.message });
+        break;
+      }
+    }
+    if (requests.length > 0) logError('Sessions left unrevoked:', { userId, count: requests.length });
+  }
+  return revoked;
+};
+
 // Export all functions at the end
 export {
   docClient,
@@ -3307,9 +3487,12 @@ export {
   getAdminSettings,
   getFile,
   getUserById,
+  markUserActive,
   getUserCountry,
   processCurrencySettings,
   upsertFcmTokenRecord,
+  getFcmTokenRecords,
+  deleteFcmTokenRecord,
   getSubscribersList,
   getSubscribersCount,
   getUserPostsList,
@@ -3344,7 +3527,6 @@ export {
   getStates,
   getGenderOptions,
   getUserSalesList,
-  updatePurchaseStatus,
   safeDecryptId,
   checkFreeVideoCallAccess,
   checkPaidVideoCallAccess,
@@ -3376,10 +3558,13 @@ export {
   createResponse,
   createErrorResponse,
   createSuccessResponse,
+  PAGINATION_LIMITS,
+  getPaginationParams,
   verifyEmailOTP,
   getWhatsAppTokenStatus,
   sendTelegramNotification,
   getDeviceInfo,
+  getRequestLocation,
   convertLocalToUTC,
   convertAnonymousToAuthenticated,
   generateAccessToken,
@@ -3391,6 +3576,8 @@ export {
   getRefreshToken,
   isRefreshTokenExpiringSoon,
   revokeRefreshToken,
+  markRefreshTokenRotated,
+  revokeRefreshTokenFamily,
   getAuthenticatedUserId,
   getCreatorGroups,
   getCreatorGroupName,
@@ -3425,6 +3612,7 @@ export {
   decryptSensitiveData,
   getUserSessionsWithDeviceInfo,
   revokeSessionByToken,
+  revokeSessionsByTokens,
   generateRoomId
 };
 
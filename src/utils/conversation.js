@@ -1,5 +1,6 @@
 import { pool } from '../config/database.js';
 import { logInfo, logError, generateRoomId } from './common.js';
+import { MESSAGE_STATUS } from './messages.js';
 
 /**
  * Standard API response payload builder (used by controllers)
@@ -83,7 +84,7 @@ const getUsersBySearch = async ({ excludedUserIds = [], searchTerm = '', support
 };
 
 /**
- * Get user inbox with media attachments
+ * Get user inbox with media attachments (count = unread messages in the row's conversation)
  */
 const getUserInboxWithMedia = async (userId, skip = 0, limit = 10) => {
   try {
@@ -105,18 +106,25 @@ const getUserInboxWithMedia = async (userId, skip = 0, limit = 10) => {
           CONCAT(mm.id, ':', mm.media_path, ':', mm.media_type, ':', mm.media_size)
           SEPARATOR '|'
         ) as media,
-        c.room_id
+        c.room_id,
+        COALESCE(unread.count, 0) as count
       FROM messages m
       LEFT JOIN media_messages mm ON m.id = mm.message_id AND mm.status != "deleted"
       LEFT JOIN conversations c ON m.conversations_id = c.id
+      LEFT JOIN (
+        SELECT conversations_id, COUNT(id) as count
+        FROM messages
+        WHERE to_user_id = ? AND status = ?
+        GROUP BY conversations_id
+      ) unread ON m.conversations_id = unread.conversations_id
       WHERE (m.from_user_id = ? OR m.to_user_id = ?) 
         AND m.status != "deleted"
-      GROUP BY m.id, m.from_user_id, m.to_user_id, m.message, m.created_at, m.status, m.tip, m.conversations_id, c.room_id
+      GROUP BY m.id, m.from_user_id, m.to_user_id, m.message, m.created_at, m.status, m.tip, m.conversations_id, c.room_id, unread.count
       ORDER BY m.created_at DESC
       LIMIT ? OFFSET ?
     `;
 
-    const [messages] = await pool.query(query, [userId, userId, limitNum, skipNum]);
+    const [messages] = await pool.query(query, [userId, MESSAGE_STATUS.UNREAD, userId, userId, limitNum, skipNum]);
 
     // Get total count
     const countQuery = `
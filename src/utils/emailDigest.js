@@ -0,0 +1,231 @@
+/**
+ * @file emailDigest.js
+ * @description Daily/weekly email digests for users who have not been active in the app
+ *
+ * Users choose the frequency (users.email_digest_frequency: daily or weekly) and can opt out with
+ * notify_email_digest = 'no', either from POST /notifications/settings or from the signed
+ * unsubscribe link in every digest. A digest covers what happened since the previous digest (or
+ * the user's last visit, if later): unseen notifications, new posts from creators they subscribe
+ * to, and unread messages. The digest worker (src/workers/emailDigestWorker.js) sends them.
+ *
+ * A user counts as active when they signed in or refreshed their tokens recently
+ * (users.last_active_at, see markUserActive) or had a realtime connection open (users.last_seen).
+ *
+ * FUNCTIONS:
+ * - createDigestUnsubscribeToken / verifyDigestUnsubscribeToken: Signed unsubscribe tokens
+ * - getDigestUnsubscribeUrl: Link placed in every digest
+ * - getDueDigestUsers: Users whose next digest is due
+ * - buildDigest: Gather the content of one user's digest
+ * - markDigestSent: Remember when a user's digest went out
+ * - unsubscribeFromDigest: Opt a user out of digests
+ *
+ * Database Tables: users, notifications, updates, subscriptions, messages
+ */
+
+import crypto from 'crypto';
+import { pool } from '../config/database.js';
+import { logInfo, getFile } from './common.js';
+import { fetchNotifications, countNotifications, generateNotificationMessage, getNotificationDestination } from './notification.js';
+import { countUnreadMessages } from './messages.js';
+import { SUBSCRIPTION_ACCESS_CONDITION } from './subscription.js';
+
+/**
+ * Digest frequencies (users.email_digest_frequency) and the hours between two digests
+ */
+const DIGEST_FREQUENCIES = {
+  daily: 24,
+  weekly: 24 * 7
+};
+
+// Users seen in the app this recently get no digest
+const INACTIVE_AFTER_HOURS = Number(process.env.EMAIL_DIGEST_INACTIVE_HOURS || 24);
+// The worker runs hourly, so a digest sent at 08:00:05 must be due again at 08:00 next time
+const DUE_SLACK_MINUTES = 30;
+const MAX_DIGEST_NOTIFICATIONS = 10;
+const MAX_DIGEST_POSTS = 5;
+
+/**
+ * HMAC of a user ID; the token needs no expiry, as unsubscribe links must keep working
+ */
+const signDigestUserId = (userId) => crypto
+  .createHmac('sha256', process.env.ENCRYPT_SECRET_ID)
+  .update(`email-digest:${userId}`)
+  .digest('base64url');
+
+/**
+ * Create the signed token of a user's unsubscribe link
+ * @param {number} userId - User ID
+ * @returns {string} Token
+ */
+const createDigestUnsubscribeToken = (userId) => `${userId}.${signDigestUserId(userId)}`;
+
+/**
+ * Verify an unsubscribe token
+ * @param {string} token - Token from the link
+ * @returns {number|null} User ID, or null when the token is malformed or forged
+ */
+const verifyDigestUnsubscribeToken = (token) => {
+  const [rawUserId, signature] = String(token || '').split('.');
+  const userId = Number(rawUserId);
+  if (!Number.isInteger(userId) || userId <= 0 || !signature) return null;
+
+  const expected = Buffer.from(signDigestUserId(userId));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+  return userId;
+};
+
+/**
+ * Link placed in every digest; GET opens it from the email, POST serves one-click unsubscribe
+ * @param {number} userId - User ID
+ * @returns {string} Absolute URL
+ */
+const getDigestUnsubscribeUrl = (userId) => {
+  const apiBase = (process.env.API_URL || 'https://api.bingeme.com').replace(/\/+$/, '');
+  return `${apiBase}/notifications/digest/unsubscribe?token=${encodeURIComponent(createDigestUnsubscribeToken(userId))}`;
+};
+
+/**
+ * Users whose next digest is due: opted in, inactive, and the last digest is a full period old
+ * @param {number} limit - Batch size
+ * @returns {Promise<Array>} User rows (id, email, name, username, frequency, last_active_at, last_seen, email_digest_sent_at)
+ */
+const getDueDigestUsers = async (limit = 200) => {
+  const [rows] = await pool.query(
+    `SELECT id, email, name, username, email_digest_frequency AS frequency, last_active_at, last_seen, email_digest_sent_at
+     FROM users
+     WHERE status = 'active' AND notify_email_digest = 'yes'
+       AND email IS NOT NULL AND email <> ''
+       AND (last_active_at IS NULL OR last_active_at < DATE_SUB(NOW(), INTERVAL ? HOUR))
+       AND (last_seen IS NULL OR last_seen < DATE_SUB(NOW(), INTERVAL ? HOUR))
+       AND (
+         email_digest_sent_at IS NULL
+         OR (email_digest_frequency = 'daily' AND email_digest_sent_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+         OR (email_digest_frequency = 'weekly' AND email_digest_sent_at < DATE_SUB(NOW(), INTERVAL ? MINUTE))
+       )
+     ORDER BY email_digest_sent_at IS NOT NULL, email_digest_sent_at ASC, id ASC
+     LIMIT ?`,
+    [
+      INACTIVE_AFTER_HOURS,
+      INACTIVE_AFTER_HOURS,
+      DIGEST_FREQUENCIES.daily * 60 - DUE_SLACK_MINUTES,
+      DIGEST_FREQUENCIES.weekly * 60 - DUE_SLACK_MINUTES,
+      limit
+    ]
+  );
+  return rows;
+};
+
+/**
+ * Start of the period a digest covers: one period back, or later if the user got a digest
+ * or visited the app since
+ */
+const getDigestSince = (user) => {
+  const hours = DIGEST_FREQUENCIES[user.frequency] || DIGEST_FREQUENCIES.weekly;
+  const candidates = [Date.now() - hours * 60 * 60 * 1000, user.email_digest_sent_at, user.last_active_at, user.last_seen]
+    .filter(Boolean)
+    .map(value => new Date(value).getTime());
+  return new Date(Math.max(...candidates));
+};
+
+/**
+ * New posts from creators the user currently subscribes to
+ * @returns {Promise<{ posts: Array, total: number }>}
+ */
+const getNewSubscribedPosts = async (userId, since) => {
+  const fromClause = `
+    FROM updates u
+    JOIN users c ON c.id = u.user_id
+    WHERE u.status = 'active' AND u.date > ?
+      AND u.user_id IN (
+        SELECT creator_id FROM subscriptions
+        WHERE subscriber_id = ? AND ${SUBSCRIPTION_ACCESS_CONDITION}
+      )`;
+
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total ${fromClause}`, [since, userId]);
+  if (Number(total) === 0) return { posts: [], total: 0 };
+
+  const [rows] = await pool.query(
+    `SELECT u.id, u.description, u.date, c.username, c.name, c.avatar ${fromClause}
+     ORDER BY u.date DESC
+     LIMIT ?`,
+    [since, userId, MAX_DIGEST_POSTS]
+  );
+  return { posts: rows, total: Number(total) };
+};
+
+/**
+ * Gather the content of one user's digest
+ * @param {object} user - Row from getDueDigestUsers
+ * @returns {Promise<object|null>} Template data, or null when there is nothing to report
+ */
+const buildDigest = async (user) => {
+  const since = getDigestSince(user);
+  const siteBase = (process.env.APP_URL || 'https://bingeme.com').replace(/\/+$/, '');
+
+  const [notifications, notificationsTotal, newPosts, unread] = await Promise.all([
+    fetchNotifications(user.id, MAX_DIGEST_NOTIFICATIONS, 0, null, { unseenOnly: true, since }),
+    countNotifications(user.id, null, { unseenOnly: true, since }),
+    getNewSubscribedPosts(user.id, since),
+    countUnreadMessages(user.id)
+  ]);
+
+  if (notificationsTotal === 0 && newPosts.total === 0 && unread.total === 0) return null;
+
+  return {
+    name: user.name || user.username,
+    frequency: user.frequency === 'daily' ? 'daily' : 'weekly',
+    period: user.frequency === 'daily' ? 'today' : 'this week',
+    notifications: notifications.map(row => ({
+      text: generateNotificationMessage(row),
+      link_text: getNotificationDestination(row)
+    })),
+    notifications_total: notificationsTotal,
+    more_notifications: Math.max(notificationsTotal - notifications.length, 0),
+    posts: newPosts.posts.map(post => ({
+      creator: post.name || post.username,
+      avatar: post.avatar ? getFile(`avatar/${post.avatar}`) : '',
+      description: post.description ? String(post.description).slice(0, 120) : '',
+      url: `${siteBase}/${post.username}/post/${post.id}`
+    })),
+    posts_total: newPosts.total,
+    more_posts: Math.max(newPosts.total - newPosts.posts.length, 0),
+    unread_messages: unread.total,
+    unread_conversations: unread.conversations,
+    notifications_url: `${siteBase}/notifications`,
+    messages_url: `${siteBase}/messages`,
+    settings_url: `${siteBase}/settings/notifications`,
+    unsubscribe_url: getDigestUnsubscribeUrl(user.id)
+  };
+};
+
+/**
+ * Remember when a user's digest went out (also when there was nothing to send)
+ * @param {number} userId - User ID
+ */
+const markDigestSent = async (userId) => {
+  await pool.query('UPDATE users SET email_digest_sent_at = NOW() WHERE id = ?', [userId]);
+};
+
+/**
+ * Opt a user out of digests
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} False when the user does not exist
+ */
+const unsubscribeFromDigest = async (userId) => {
+  const [result] = await pool.query("UPDATE users SET notify_email_digest = 'no' WHERE id = ?", [userId]);
+  if (result.affectedRows > 0) logInfo('User unsubscribed from email digests', { userId });
+  return result.affectedRows > 0;
+};
+
+// Export all functions at the end
+export {
+  DIGEST_FREQUENCIES,
+  createDigestUnsubscribeToken,
+  verifyDigestUnsubscribeToken,
+  getDigestUnsubscribeUrl,
+  getDueDigestUsers,
+  buildDigest,
+  markDigestSent,
+  unsubscribeFromDigest
+};
@@ -0,0 +1,135 @@
+/**
+ * @file fcm.js
+ * @description Firebase Cloud Messaging (HTTP v1 API) transport for push notifications
+ *
+ * Configuration:
+ * - FCM_PROJECT_ID: Firebase project; push is disabled without it
+ * - FCM_CLIENT_EMAIL / FCM_PRIVATE_KEY: Service account used to mint OAuth access tokens
+ * - FCM_ACCESS_TOKEN: Static bearer token instead of the service account (local stub endpoints)
+ * - FCM_API_URL / FCM_OAUTH_URL: Override the Google endpoints, e.g. FCM_API_URL=http://localhost:9099
+ *   to send to a local stub that implements POST /v1/projects/:project/messages:send
+ *
+ * FUNCTIONS:
+ * - isFcmConfigured: Check whether push delivery is configured
+ * - sendFcmMessage: Send one push to one device token
+ */
+
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { logInfo, logError } from './common.js';
+
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const REQUEST_TIMEOUT_MS = 10000;
+// Renew OAuth tokens this long before Google expires them
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+let cachedAccessToken = null;
+
+/**
+ * FCM settings from the environment
+ */
+const getFcmConfig = () => ({
+  projectId: process.env.FCM_PROJECT_ID,
+  clientEmail: process.env.FCM_CLIENT_EMAIL,
+  privateKey: process.env.FCM_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  staticToken: process.env.FCM_ACCESS_TOKEN,
+  apiUrl: (process.env.FCM_API_URL || 'https://fcm.googleapis.com').replace(/\/$/, ''),
+  oauthUrl: process.env.FCM_OAUTH_URL || 'https://oauth2.googleapis.com/token'
+});
+
+/**
+ * Check whether push delivery is configured
+ * @returns {boolean} True when a project and credentials are set
+ */
+const isFcmConfigured = () => {
+  const { projectId, clientEmail, privateKey, staticToken } = getFcmConfig();
+  return Boolean(projectId && (staticToken || (clientEmail && privateKey)));
+};
+
+/**
+ * OAuth access token for the FCM API, minted from the service account and cached until it expires
+ * @returns {Promise<string>} Bearer token
+ */
+const getFcmAccessToken = async () => {
+  const { clientEmail, privateKey, staticToken, oauthUrl } = getFcmConfig();
+  if (staticToken) return staticToken;
+
+  if (cachedAccessToken && cachedAccessToken.expiresAt > Date.now() + TOKEN_EXPIRY_MARGIN_MS) {
+    return cachedAccessToken.token;
+  }
+
+  const assertion = jwt.sign(
+    { iss: clientEmail, scope: FCM_SCOPE, aud: oauthUrl },
+    privateKey,
+    { algorithm: 'RS256', expiresIn: 3600 }
+  );
+  const { data } = await axios.post(
+    oauthUrl,
+    new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion }).toString(),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: REQUEST_TIMEOUT_MS }
+  );
+
+  cachedAccessToken = { token: data.access_token, expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000 };
+  logInfo('FCM access token refreshed');
+  return cachedAccessToken.token;
+};
+
+/**
+ * Whether an FCM error means the device token will never work again
+ * (app uninstalled, token rotated or malformed)
+ */
+const isInvalidTokenError = (status, fcmError = {}) => {
+  const errorCodes = (fcmError.details || []).map(detail => detail.errorCode).filter(Boolean);
+  if (errorCodes.includes('UNREGISTERED') || status === 404 || fcmError.status === 'NOT_FOUND') return true;
+  return status === 400 && /registration token/i.test(fcmError.message || '');
+};
+
+/**
+ * Send one push to one device token
+ * @param {string} token - FCM registration token
+ * @param {{ title: string, body: string, data?: object }} notification - Text and data payload
+ * @returns {Promise<{ success: boolean, invalidToken?: boolean, error?: string }>}
+ */
+const sendFcmMessage = async (token, { title, body, data = {} }) => {
+  const { projectId, apiUrl } = getFcmConfig();
+
+  try {
+    const accessToken = await getFcmAccessToken();
+    // FCM data values must be strings
+    const stringData = Object.fromEntries(
+      Object.entries(data).filter(([, value]) => value !== null && value !== undefined).map(([key, value]) => [key, String(value)])
+    );
+
+    await axios.post(
+      `${apiUrl}/v1/projects/${projectId}/messages:send`,
+      {
+        message: {
+          token,
+          notification: { title, body },
+          data: stringData,
+          android: { priority: 'high' },
+          apns: { payload: { aps: { sound: 'default' } } }
+        }
+      },
+      {
+        headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+        timeout: REQUEST_TIMEOUT_MS
+      }
+    );
+    return { success: true };
+  } catch (error) {
+    const status = error.response?.status;
+    const fcmError = error.response?.data?.error || {};
+    return {
+      success: false,
+      invalidToken: isInvalidTokenError(status, fcmError),
+      error: fcmError.message || error.message
+    };
+  }
+};
+
+// Export all functions at the end
+export {
+  isFcmConfigured,
+  sendFcmMessage
+};
@@ -0,0 +1,111 @@
+/**
+ * @file geoBlocking.js
+ * @description Viewer-country gating of creator content
+ *
+ * Creators list ISO country codes in users.blocked_countries (POST /creator/block-countries).
+ * Viewers from those countries get a 451 response for the creator's profile, posts, products
+ * and lives, and the creator is left out of their search results. The creator always sees
+ * their own content. When the block list cannot be checked the content is treated as blocked.
+ *
+ * The viewer country comes only from the CloudFront-Viewer-Country header, which our CloudFront
+ * distribution derives from the client IP. A client-sent CF-IPCountry and the user's own
+ * countries_id (editable in their settings) are not trusted. Without the header the country is
+ * unknown, and creators with a block list are treated as blocked.
+ *
+ * FUNCTIONS:
+ * - getViewerCountryCode: Resolve the ISO country code of the requesting viewer
+ * - parseBlockedCountries: Turn a blocked_countries value into a list of codes
+ * - isCreatorGeoBlocked: Check whether a creator's content is blocked for the viewer
+ * - sendGeoBlockedResponse: Send the standard 451 response
+ *
+ * Database Tables: users
+ */
+
+import { pool } from '../config/database.js';
+import { logInfo, logError, createErrorResponse } from './common.js';
+
+/**
+ * Edge header carrying the viewer country (Express lower-cases names)
+ */
+const COUNTRY_HEADER = 'cloudfront-viewer-country';
+
+/**
+ * Resolve the viewer's ISO country code from the edge header, cached on the request
+ * @param {Object} req - Express request object
+ * @returns {string|null} Upper-case ISO 3166-1 alpha-2 code, or null when unknown
+ */
+const getViewerCountryCode = (req) => {
+  if (req && req.viewerCountryCode !== undefined) return req.viewerCountryCode;
+
+  const header = String(req?.headers?.[COUNTRY_HEADER] || '').trim().toUpperCase();
+  // CloudFront sends XX when it cannot map the IP to a country
+  const code = /^[A-Z]{2}$/.test(header) && header !== 'XX' ? header : null;
+  if (req) req.viewerCountryCode = code;
+  return code;
+};
+
+/**
+ * Turn a users.blocked_countries value into a list of codes
+ * @param {string|null} value - Comma separated country codes
+ * @returns {string[]} Upper-case country codes
+ */
+const parseBlockedCountries = (value) => {
+  if (!value) return [];
+  return String(value).split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+};
+
+/**
+ * Check whether a creator's content is blocked for the requesting viewer.
+ * Loads blocked_countries when the creator row was selected without it.
+ * @param {Object} req - Express request object
+ * @param {Object} creator - Creator row (id, optionally blocked_countries)
+ * @param {number|null} [viewerId] - Authenticated viewer ID
+ * @returns {Promise<boolean>} True when the viewer's country is blocked, or when the check fails
+ */
+const isCreatorGeoBlocked = async (req, creator, viewerId = null) => {
+  if (!creator?.id || (viewerId && Number(viewerId) === Number(creator.id))) return false;
+
+  try {
+    let blockedCountries = creator.blocked_countries;
+    if (blockedCountries === undefined) {
+      const [rows] = await pool.query('SELECT blocked_countries FROM users WHERE id = ?', [creator.id]);
+      blockedCountries = rows[0]?.blocked_countries;
+    }
+
+    const blocked = parseBlockedCountries(blockedCountries);
+    if (blocked.length === 0) return false;
+
+    const countryCode = getViewerCountryCode(req);
+    if (!countryCode) {
+      // Fail closed: without a trusted country the block cannot be ruled out
+      logInfo('Creator content geo-blocked, viewer country unknown', { creatorId: creator.id, viewerId });
+      return true;
+    }
+    if (blocked.includes(countryCode)) {
+      logInfo('Creator content geo-blocked', { creatorId: creator.id, viewerId, countryCode });
+      return true;
+    }
+    return false;
+  } catch (error) {
+    // Fail closed: a DB outage must not lift a creator's country block
+    logError('Error checking creator geo block, treating content as blocked:', { creatorId: creator.id, viewerId, error: error.message });
+    return true;
+  }
+};
+
+/**
+ * Send the standard response for geo-blocked creator content
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendGeoBlockedResponse = (res) => res.status(451).json(
+  createErrorResponse(451, 'This creator is not available in your country')
+);
+
+// Export all functions at the end
+export {
+  getViewerCountryCode,
+  parseBlockedCountries,
+  isCreatorGeoBlocked,
+  sendGeoBlockedResponse
+};
@@ -0,0 +1,158 @@
+/**
+ * @file linkedAccounts.js
+ * @description Google/Apple accounts linked to a user for social sign-in
+ *
+ * Links are stored in user_linked_accounts, at most one per provider per user. Accounts linked
+ * before the table existed only have users.oauth_provider/oauth_uid, which is still read as a link.
+ * Unlinking leaves a marker in user_unlinked_accounts so a later social sign-in that only matches
+ * the account by email does not link the provider again; linking it from settings clears the marker.
+ *
+ * FUNCTIONS:
+ * - getLinkedAccounts: Providers linked to a user
+ * - findUserIdByLinkedAccount: User signed in by a provider account
+ * - saveLinkedAccount: Link a provider account to a user
+ * - unlinkAccount: Remove a provider link
+ * - isAccountUnlinked: Whether the user unlinked a provider and has not linked it again
+ * - getLoginMethods: Ways a user can sign in, to check an unlink leaves one
+ *
+ * Database Tables: user_linked_accounts, user_unlinked_accounts, users, user_passkeys
+ */
+
+import { pool } from '../config/database.js';
+import { logInfo } from './common.js';
+
+const LINKED_ACCOUNT_PROVIDERS = ['google', 'apple'];
+
+/**
+ * Providers linked to a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Rows (provider, provider_uid, email, created_at)
+ */
+const getLinkedAccounts = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT provider, provider_uid, email, created_at FROM user_linked_accounts WHERE user_id = ? ORDER BY created_at',
+    [userId]
+  );
+  const [users] = await pool.query('SELECT oauth_provider, oauth_uid FROM users WHERE id = ?', [userId]);
+  const legacy = users[0];
+  if (legacy && LINKED_ACCOUNT_PROVIDERS.includes(legacy.oauth_provider) && legacy.oauth_uid &&
+      !rows.some(row => row.provider === legacy.oauth_provider)) {
+    rows.push({ provider: legacy.oauth_provider, provider_uid: legacy.oauth_uid, email: null, created_at: null });
+  }
+  return rows;
+};
+
+/**
+ * User signed in by a provider account
+ * @param {string} provider - google or apple
+ * @param {string} providerUid - Subject (sub) of the provider's ID token
+ * @returns {Promise<number|null>} User ID, or null when the account is not linked
+ */
+const findUserIdByLinkedAccount = async (provider, providerUid) => {
+  const [rows] = await pool.query(
+    'SELECT user_id FROM user_linked_accounts WHERE provider = ? AND provider_uid = ? LIMIT 1',
+    [provider, providerUid]
+  );
+  if (rows.length > 0) return rows[0].user_id;
+
+  const [users] = await pool.query(
+    'SELECT id FROM users WHERE oauth_provider = ? AND oauth_uid = ? LIMIT 1',
+    [provider, providerUid]
+  );
+  return users.length > 0 ? users[0].id : null;
+};
+
+/**
+ * Link a provider account to a user; a user already linked to that provider keeps the existing link
+ * @param {number} userId - User ID
+ * @param {string} provider - google or apple
+ * @param {string} providerUid - Subject (sub) of the provider's ID token
+ * @param {string|null} email - Email of the provider account
+ * @returns {Promise<boolean>} True if a new link was stored
+ */
+const saveLinkedAccount = async (userId, provider, providerUid, email = null) => {
+  const [result] = await pool.query(
+    `INSERT IGNORE INTO user_linked_accounts (user_id, provider, provider_uid, email, created_at)
+     VALUES (?, ?, ?, ?, NOW())`,
+    [userId, provider, providerUid, email]
+  );
+  if (result.affectedRows === 0) return false;
+
+  await pool.query('DELETE FROM user_unlinked_accounts WHERE user_id = ? AND provider = ?', [userId, provider]);
+  logInfo('Social account linked', { userId, provider });
+  return true;
+};
+
+/**
+ * Remove a provider link, including the legacy users.oauth_* columns
+ * @param {number} userId - User ID
+ * @param {string} provider - google or apple
+ * @returns {Promise<boolean>} True if a link was removed
+ */
+const unlinkAccount = async (userId, provider) => {
+  const [deleted] = await pool.query(
+    'DELETE FROM user_linked_accounts WHERE user_id = ? AND provider = ?',
+    [userId, provider]
+  );
+  const [cleared] = await pool.query(
+    `UPDATE users SET oauth_provider = '', oauth_uid = '', updated_at = NOW() WHERE id = ? AND oauth_provider = ?`,
+    [userId, provider]
+  );
+  const removed = deleted.affectedRows > 0 || cleared.affectedRows > 0;
+  if (removed) {
+    await pool.query(
+      `INSERT INTO user_unlinked_accounts (user_id, provider, unlinked_at) VALUES (?, ?, NOW())
+       ON DUPLICATE KEY UPDATE unlinked_at = NOW()`,
+      [userId, provider]
+    );
+    logInfo('Social account unlinked', { userId, provider });
+  }
+  return removed;
+};
+
+/**
+ * Whether the user unlinked a provider and has not linked it again
+ * @param {number} userId - User ID
+ * @param {string} provider - google or apple
+ * @returns {Promise<boolean>} True if the provider must not be linked by a sign-in
+ */
+const isAccountUnlinked = async (userId, provider) => {
+  const [rows] = await pool.query(
+    'SELECT 1 FROM user_unlinked_accounts WHERE user_id = ? AND provider = ? LIMIT 1',
+    [userId, provider]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Ways a user can sign in
+ * @param {number} userId - User ID
+ * @returns {Promise<object|null>} { password, phone, passkeys, providers }, or null when the user does not exist
+ */
+const getLoginMethods = async (userId) => {
+  const [users] = await pool.query('SELECT password, mobile, mobile_verified FROM users WHERE id = ?', [userId]);
+  const user = users[0];
+  if (!user) return null;
+
+  const [passkeys] = await pool.query('SELECT COUNT(*) AS total FROM user_passkeys WHERE user_id = ?', [userId]);
+  const linked = await getLinkedAccounts(userId);
+  const mobileVerified = user.mobile_verified === '1' || user.mobile_verified === 1 || user.mobile_verified === 'yes';
+
+  return {
+    password: Boolean(user.password),
+    phone: Boolean(user.mobile) && mobileVerified,
+    passkeys: Number(passkeys[0].total) > 0,
+    providers: linked.map(account => account.provider)
+  };
+};
+
+// Export all functions at the end
+export {
+  LINKED_ACCOUNT_PROVIDERS,
+  getLinkedAccounts,
+  findUserIdByLinkedAccount,
+  saveLinkedAccount,
+  unlinkAccount,
+  isAccountUnlinked,
+  getLoginMethods
+};
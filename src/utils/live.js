@@ -1,10 +1,23 @@
 import { getDB } from '../config/database.js';
 import { logError, logInfo } from './common.js';
+import { getActiveSubscriberIds } from './subscription.js';
 import { DynamoDBClient, PutItemCommand, GetItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
 import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
 import dotenv from 'dotenv';
 dotenv.config();
 
+/**
+ * Live stream status constants (live_streamings.status)
+ */
+const LIVE_STREAM_STATUS = {
+  SCHEDULED: '0',     // Scheduled - can be deleted
+  COMPLETED: '1',     // Completed - cannot be deleted
+  DELETED: '2',       // Already deleted - cannot be deleted
+  EXPIRED: '3',       // Expired - cannot be deleted
+  UNCLOSED_LIVE: '4', // Unclosed Live - cannot be deleted
+  REFUNDED: '5'       // Refunded - cannot be deleted
+};
+
 // Initialize DynamoDB client
 const ddbClient = new DynamoDBClient({ region: process.env.AWS_DEFAULT_REGION });
 const docClient = DynamoDBDocumentClient.from(ddbClient);
@@ -34,16 +47,12 @@ const getExternalUserIds = async (creatorId) => {
     const pool = getDB();
     // Get followers
     const [followers] = await pool.query('SELECT user_id FROM follow WHERE creator_id = ? AND follow = 1', [creatorId]);
-    // Get subscribers
-    const [subscribers] = await pool.query(`
-      SELECT s.user_id FROM plans p
-      JOIN subscriptions s ON s.stripe_price = p.name
-      WHERE p.user_id = ?
-    `, [creatorId]);
+    // Get subscribers who currently have access
+    const subscriberIds = await getActiveSubscriberIds(creatorId);
     // Merge and deduplicate
     const ids = [
       ...followers.map(f => String(f.user_id)),
-      ...subscribers.map(s => String(s.user_id))
+      ...subscriberIds.map(id => String(id))
     ];
     return Array.from(new Set(ids));
 };
@@ -57,7 +66,8 @@ function dynamoGoalToObject(item) {
     goal_name: item.goal_name.S,
     coins: Number(item.coins.N),
     tips_received: Number(item.tips_received.N),
-    percentage: Number(item.percentage.N)
+    percentage: Number(item.percentage.N),
+    completed: Boolean(item.completed?.BOOL)
   };
 }
 
@@ -190,7 +200,7 @@ const getLiveTotalEarnings = async (liveId) => {
   try {
     const pool = getDB();
     const [rows] = await pool.query(
-      'SELECT SUM(earning_net_user_coins) as total FROM transactions WHERE (live_id = ? OR ref_id = ?) AND type IN ("live_tip", "tipmenu", "live")',
+      'SELECT SUM(earning_net_user_coins) as total FROM transactions WHERE (live_id = ? OR ref_id = ?) AND type IN ("live_tip", "tipmenu", "live") AND approved != "2"',
       [liveId, liveId]
     );
     return rows[0]?.total || 0;
@@ -200,6 +210,107 @@ const getLiveTotalEarnings = async (liveId) => {
   }
 };
 
+/**
+ * Atomically add a tip to a live goal's progress in DynamoDB and mark it completed once reached.
+ * Creates the goal record first (via upsertLiveGoalDynamo) when it does not exist yet.
+ * @param {object} goal - Active goal from getActiveLiveGoal ({ goal_id, name, price })
+ * @param {number} liveId - Live stream ID
+ * @param {number} amount - Tip amount in coins
+ * @returns {Promise<object|null>} Updated goal ({ ...goal fields, justCompleted }) or null on error
+ */
+const incrementLiveGoalTips = async (goal, liveId, amount) => {
+  const TableName = `live-goals-${process.env.NODE_ENV || 'dev'}`;
+  try {
+    const existing = await upsertLiveGoalDynamo({
+      goal_id: goal.goal_id,
+      live_id: liveId,
+      goal_name: goal.name,
+      coins: goal.price
+    });
+    if (!existing) return null;
+
+    const Key = { goal_id: { S: String(goal.goal_id) } };
+    const { Attributes } = await docClient.send(new UpdateItemCommand({
+      TableName,
+      Key,
+      UpdateExpression: 'ADD tips_received :amount',
+      ExpressionAttributeValues: { ':amount': { N: String(amount) } },
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    const coins = Number(Attributes.coins.N) || 0;
+    const tipsReceived = Number(Attributes.tips_received.N) || 0;
+    const percentage = coins > 0 ? Math.floor((tipsReceived / coins) * 100) : 0;
+    const reached = coins > 0 && tipsReceived >= coins;
+
+    // Tips only ever add, so the percentage only moves up: a write computed from an older total
+    // landing after a newer one is dropped instead of rolling the progress back
+    try {
+      await docClient.send(new UpdateItemCommand({
+        TableName,
+        Key,
+        UpdateExpression: 'SET percentage = :percentage',
+        ConditionExpression: 'attribute_not_exists(percentage) OR percentage < :percentage',
+        ExpressionAttributeValues: { ':percentage': { N: String(percentage) } }
+      }));
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+    }
+
+    // Only the tip that crosses the target flips completed, so the creator is told once
+    let justCompleted = false;
+    if (reached && !Attributes.completed?.BOOL) {
+      try {
+        await docClient.send(new UpdateItemCommand({
+          TableName,
+          Key,
+          UpdateExpression: 'SET completed = :completed, completed_at = :completedAt',
+          ConditionExpression: 'attribute_not_exists(completed) OR completed = :notCompleted',
+          ExpressionAttributeValues: {
+            ':completed': { BOOL: true },
+            ':notCompleted': { BOOL: false },
+            ':completedAt': { S: new Date().toISOString() }
+          }
+        }));
+        justCompleted = true;
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') throw error;
+      }
+    }
+
+    logInfo('[incrementLiveGoalTips] Goal progress updated', { goalId: goal.goal_id, tipsReceived, percentage, justCompleted });
+    return {
+      ...dynamoGoalToObject(Attributes),
+      percentage,
+      completed: reached,
+      justCompleted
+    };
+  } catch (error) {
+    logError('[incrementLiveGoalTips] DynamoDB error', error);
+    return null;
+  }
+};
+
+/**
+ * Get a single active tipping menu item of a live stream
+ * @param {number} liveId - Live stream ID
+ * @param {number} tipmenuId - Tipping menu item ID
+ * @returns {Promise<object|null>} { id, name, price } or null
+ */
+const getLiveTippingMenuItem = async (liveId, tipmenuId) => {
+  try {
+    const pool = getDB();
+    const [rows] = await pool.query(
+      'SELECT id, activity_name as name, coins as price FROM live_tipping_menus WHERE id = ? AND live_streamings_id = ? AND active = "1"',
+      [tipmenuId, liveId]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    logError('getLiveTippingMenuItem error:', error);
+    return null;
+  }
+};
+
 /**
  * Get bookings count for a live stream
  * @param {number} liveId
@@ -228,7 +339,7 @@ const getLiveTipEarnings = async (liveId) => {
   try {
     const pool = getDB();
     const [rows] = await pool.query(
-      'SELECT SUM(earning_net_user_coins) as tip FROM transactions WHERE (live_id = ? OR ref_id = ?) AND type IN ("live_tip", "tipmenu")',
+      'SELECT SUM(earning_net_user_coins) as tip FROM transactions WHERE (live_id = ? OR ref_id = ?) AND type IN ("live_tip", "tipmenu") AND approved != "2"',
       [liveId, liveId]
     );
     return rows[0]?.tip || 0;
@@ -487,6 +598,389 @@ const updateCreatorJoined = async (liveId) => {
   }
 };
 
+/**
+ * Check whether a user has pre-booked a live stream
+ * @param {number} liveId - Live stream ID
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True if a booking exists
+ */
+const hasLivePrebook = async (liveId, userId) => {
+  try {
+    const pool = getDB();
+    const [rows] = await pool.query(
+      'SELECT id FROM live_prebooks WHERE live_id = ? AND user_id = ? LIMIT 1',
+      [liveId, userId]
+    );
+    return rows.length > 0;
+  } catch (error) {
+    logError('hasLivePrebook error:', error);
+    return false;
+  }
+};
+
+/**
+ * Register a viewer in live_online_users (refreshes updated_at on rejoin).
+ * Relies on the unique key (live_streamings_id, user_id), so concurrent joins keep one row.
+ * @param {number} liveId - Live stream ID
+ * @param {number} userId - Viewer user ID
+ * @returns {Promise<void>}
+ */
+const registerLiveViewer = async (liveId, userId) => {
+  const pool = getDB();
+  await pool.query(
+    `INSERT INTO live_online_users (live_streamings_id, user_id, created_at, updated_at) VALUES (?, ?, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE updated_at = NOW()`,
+    [liveId, userId]
+  );
+};
+
+/**
+ * Minutes without a creator heartbeat after which a started live is treated as abandoned
+ */
+const LIVE_HEARTBEAT_TIMEOUT_MINUTES = parseInt(process.env.LIVE_HEARTBEAT_TIMEOUT_MINUTES, 10) || 5;
+
+/**
+ * Mark a live stream as started (sets started_at once, refreshes the heartbeat)
+ * @param {number} liveId - Live stream ID
+ * @returns {Promise<void>}
+ */
+const markLiveStarted = async (liveId) => {
+  const pool = getDB();
+  await pool.query(
+    'UPDATE live_streamings SET creator_joined = 1, started_at = COALESCE(started_at, NOW()), last_heartbeat_at = NOW(), updated_at = NOW() WHERE id = ?',
+    [liveId]
+  );
+};
+
+/**
+ * Refresh the creator heartbeat of a running live stream
+ * @param {number} liveId - Live stream ID
+ * @returns {Promise<void>}
+ */
+const touchLiveHeartbeat = async (liveId) => {
+  const pool = getDB();
+  await pool.query('UPDATE live_streamings SET last_heartbeat_at = NOW() WHERE id = ?', [liveId]);
+};
+
+/**
+ * Check whether a started live has missed heartbeats for longer than the timeout
+ * @param {object} live - live_streamings row
+ * @returns {boolean} True if the live is abandoned
+ */
+const isLiveAbandoned = (live) => {
+  if (!live?.started_at || String(live.status) !== LIVE_STREAM_STATUS.SCHEDULED) return false;
+  const lastSeen = new Date(live.last_heartbeat_at || live.started_at).getTime();
+  return Date.now() - lastSeen > LIVE_HEARTBEAT_TIMEOUT_MINUTES * 60 * 1000;
+};
+
+/**
+ * Build the end-of-session summary for a live stream
+ * @param {object} live - live_streamings row
+ * @returns {Promise<object>} Summary with earnings, bookings, viewers and goal progress
+ */
+const buildLiveSummary = async (live) => {
+  const liveId = live.id;
+  const totalEarnings = Number(await getLiveTotalEarnings(liveId)) || 0;
+  const tipEarnings = Number(await getLiveTipEarnings(liveId)) || 0;
+  const bookings = Number(await getLiveBookingsCount(liveId)) || 0;
+  const viewersCount = Number(await getLiveViewersCount(liveId)) || 0;
+
+  // Goal progress lives in DynamoDB; upsert without tips_received only reads it back
+  let goal = null;
+  const activeGoal = await getActiveLiveGoal(liveId);
+  if (activeGoal && activeGoal.name && activeGoal.price) {
+    const dynamoGoal = await upsertLiveGoalDynamo({
+      goal_id: activeGoal.goal_id,
+      live_id: liveId,
+      goal_name: activeGoal.name,
+      coins: activeGoal.price
+    });
+    const tipsReceived = dynamoGoal?.tips_received || 0;
+    const price = Number(activeGoal.price) || 0;
+    goal = {
+      name: activeGoal.name,
+      price,
+      tips_received: tipsReceived,
+      percentage: Math.min(dynamoGoal?.percentage || 0, 100),
+      completed: price > 0 && tipsReceived >= price
+    };
+  }
+
+  const startedAt = live.started_at ? new Date(live.started_at) : null;
+  const endedAt = live.ended_at ? new Date(live.ended_at) : new Date();
+  const durationMinutes = startedAt ? Math.max(0, Math.round((endedAt - startedAt) / 60000)) : 0;
+
+  return {
+    startedAt,
+    endedAt,
+    durationMinutes,
+    earnings: {
+      total: totalEarnings,
+      tip: tipEarnings,
+      bookings: Math.max(0, Math.round((totalEarnings - tipEarnings) * 100) / 100)
+    },
+    bookings,
+    viewersCount,
+    goal
+  };
+};
+
+/**
+ * Persist a live summary for the creator dashboard (one row per live)
+ * @param {object} live - live_streamings row
+ * @param {object} summary - Summary from buildLiveSummary
+ * @returns {Promise<void>}
+ */
+const saveLiveSummary = async (live, summary) => {
+  const pool = getDB();
+  const { goal } = summary;
+  await pool.query(
+    `INSERT INTO live_summaries (
+      live_id, user_id, status, started_at, ended_at, duration_minutes, total_earnings, tip_earnings,
+      bookings_count, viewers_count, goal_name, goal_coins, goal_tips_received, goal_percentage, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+    ON DUPLICATE KEY UPDATE
+      status = VALUES(status), ended_at = VALUES(ended_at), duration_minutes = VALUES(duration_minutes),
+      total_earnings = VALUES(total_earnings), tip_earnings = VALUES(tip_earnings), bookings_count = VALUES(bookings_count),
+      viewers_count = VALUES(viewers_count), goal_name = VALUES(goal_name), goal_coins = VALUES(goal_coins),
+      goal_tips_received = VALUES(goal_tips_received), goal_percentage = VALUES(goal_percentage), updated_at = NOW()`,
+    [
+      live.id, live.user_id, live.status, summary.startedAt, summary.endedAt, summary.durationMinutes,
+      summary.earnings.total, summary.earnings.tip, summary.bookings, summary.viewersCount,
+      goal?.name || null, goal?.price || 0, goal?.tips_received || 0, goal?.percentage || 0
+    ]
+  );
+};
+
+/**
+ * Get the persisted summary of a live stream, in the same shape as buildLiveSummary
+ * @param {number} liveId - Live stream ID
+ * @returns {Promise<object|null>} Summary or null if none was saved
+ */
+const getLiveSummary = async (liveId) => {
+  try {
+    const pool = getDB();
+    const [rows] = await pool.query('SELECT * FROM live_summaries WHERE live_id = ?', [liveId]);
+    const row = rows[0];
+    if (!row) return null;
+
+    const total = Number(row.total_earnings) || 0;
+    const tip = Number(row.tip_earnings) || 0;
+    const goalCoins = Number(row.goal_coins) || 0;
+    const goalTips = Number(row.goal_tips_received) || 0;
+    return {
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      durationMinutes: row.duration_minutes,
+      earnings: { total, tip, bookings: Math.max(0, Math.round((total - tip) * 100) / 100) },
+      bookings: row.bookings_count,
+      viewersCount: row.viewers_count,
+      goal: row.goal_name ? {
+        name: row.goal_name,
+        price: goalCoins,
+        tips_received: goalTips,
+        percentage: Number(row.goal_percentage) || 0,
+        completed: goalCoins > 0 && goalTips >= goalCoins
+      } : null
+    };
+  } catch (error) {
+    logError('getLiveSummary error:', error);
+    return null;
+  }
+};
+
+/**
+ * Close a running live stream: set final status and ended_at, then build and persist the summary.
+ * Only the call whose UPDATE closes the live saves the summary. A call that loses the race (end call
+ * racing the heartbeat sweep) re-reads the row and gets the status and summary the winner left.
+ * @param {object} live - live_streamings row
+ * @param {string} status - Final status (LIVE_STREAM_STATUS.COMPLETED or UNCLOSED_LIVE)
+ * @returns {Promise<{ closed: boolean, status: string, summary: object }>} Final status of the row and
+ *   the summary from buildLiveSummary; closed is false when a concurrent call closed it first
+ */
+const closeLiveSession = async (live, status) => {
+  const pool = getDB();
+  // Abandoned lives end at their last heartbeat rather than when they were swept
+  const endedAt = status === LIVE_STREAM_STATUS.UNCLOSED_LIVE && live.last_heartbeat_at ? new Date(live.last_heartbeat_at) : new Date();
+  const [result] = await pool.query(
+    'UPDATE live_streamings SET status = ?, ended_at = ?, updated_at = NOW() WHERE id = ? AND status = ?',
+    [status, endedAt, live.id, LIVE_STREAM_STATUS.SCHEDULED]
+  );
+
+  if (result.affectedRows === 0) {
+    const current = { ...live, ...await getLiveStreamings(live.id) };
+    // The winner may still be building its summary; build the same one from the closed row
+    const summary = await getLiveSummary(live.id) || await buildLiveSummary(current);
+    logInfo('[closeLiveSession] Live already closed', { liveId: live.id, status: current.status });
+    return { closed: false, status: String(current.status), summary };
+  }
+
+  const closedLive = { ...live, status, ended_at: endedAt };
+  const summary = await buildLiveSummary(closedLive);
+  await saveLiveSummary(closedLive, summary);
+  logInfo('[closeLiveSession] Live session closed', { liveId: live.id, status, durationMinutes: summary.durationMinutes });
+  return { closed: true, status, summary };
+};
+
+/**
+ * Close every started live whose creator stopped sending heartbeats
+ * @returns {Promise<number>} Number of lives closed
+ */
+const closeAbandonedLives = async () => {
+  const pool = getDB();
+  const [lives] = await pool.query(
+    `SELECT * FROM live_streamings
+     WHERE status = ? AND started_at IS NOT NULL
+       AND COALESCE(last_heartbeat_at, started_at) < NOW() - INTERVAL ? MINUTE`,
+    [LIVE_STREAM_STATUS.SCHEDULED, LIVE_HEARTBEAT_TIMEOUT_MINUTES]
+  );
+  for (const live of lives) {
+    try {
+      await closeLiveSession(live, LIVE_STREAM_STATUS.UNCLOSED_LIVE);
+    } catch (error) {
+      logError('[closeAbandonedLives] Failed to close live:', { liveId: live.id, error: error.message });
+    }
+  }
+  return lives.length;
+};
+
+/**
+ * Minutes before date_time at which booked fans get a reminder
+ */
+const LIVE_BOOKING_REMINDER_MINUTES = parseInt(process.env.LIVE_BOOKING_REMINDER_MINUTES, 10) || 15;
+
+/**
+ * Get a user's booking for a live stream
+ * @param {number} liveId - Live stream ID
+ * @param {number} userId - User ID
+ * @param {object} [conn] - Optional DB connection (locks the row when given)
+ * @returns {Promise<object|null>} live_prebooks row or null
+ */
+const getLivePrebook = async (liveId, userId, conn = null) => {
+  const db = conn || getDB();
+  const [rows] = await db.query(
+    `SELECT * FROM live_prebooks WHERE live_id = ? AND user_id = ? LIMIT 1${conn ? ' FOR UPDATE' : ''}`,
+    [liveId, userId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Lock a live stream row and count its bookings (serialises concurrent bookings)
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} liveId - Live stream ID
+ * @returns {Promise<number>} Current bookings count
+ */
+const lockLiveBookings = async (conn, liveId) => {
+  await conn.query('SELECT id FROM live_streamings WHERE id = ? FOR UPDATE', [liveId]);
+  const [rows] = await conn.query('SELECT COUNT(*) as bookings FROM live_prebooks WHERE live_id = ?', [liveId]);
+  return Number(rows[0]?.bookings) || 0;
+};
+
+/**
+ * Insert a live booking
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {object} data - { liveId, userId, amount, transactionId }
+ * @returns {Promise<number>} Inserted booking ID
+ */
+const createLivePrebook = async (conn, { liveId, userId, amount = 0, transactionId = null }) => {
+  const [result] = await conn.query(
+    'INSERT INTO live_prebooks (live_id, user_id, amount, transaction_id, reminder_sent, created_at) VALUES (?, ?, ?, ?, 0, NOW())',
+    [liveId, userId, amount, transactionId]
+  );
+  return result.insertId;
+};
+
+/**
+ * Delete a live booking
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} prebookId - Booking ID
+ */
+const deleteLivePrebook = async (conn, prebookId) => {
+  await conn.query('DELETE FROM live_prebooks WHERE id = ?', [prebookId]);
+};
+
+/**
+ * Get all bookings of a live stream with their payment's approved flag, locked for refund processing
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} liveId - Live stream ID
+ * @returns {Promise<Array>} live_prebooks rows plus transaction_approved ('2' = already refunded)
+ */
+const getLivePrebooksForUpdate = async (conn, liveId) => {
+  const [rows] = await conn.query(
+    `SELECT lp.*, t.approved AS transaction_approved
+     FROM live_prebooks lp
+     LEFT JOIN transactions t ON t.id = lp.transaction_id
+     WHERE lp.live_id = ? FOR UPDATE`,
+    [liveId]
+  );
+  return rows;
+};
+
+/**
+ * Get a fan's bookings with live and creator details
+ * @param {number} userId - Fan user ID
+ * @param {object} options - { skip, limit, upcoming }
+ * @returns {Promise<{ bookings: Array, total: number }>}
+ */
+const getUserLivePrebooks = async (userId, { skip = 0, limit = 20, upcoming = false } = {}) => {
+  try {
+    const pool = getDB();
+    const upcomingFilter = upcoming ? 'AND ls.status = "0"' : '';
+    const [rows] = await pool.query(
+      `SELECT lp.id, lp.live_id, lp.amount, lp.created_at as booked_at,
+              ls.name, ls.price, ls.status, ls.type, ls.duration, ls.creator_joined,
+              DATE_FORMAT(ls.date_time, '%Y-%m-%d %H:%i:%s') as date_time,
+              u.username, u.name as creator_name
+       FROM live_prebooks lp
+       JOIN live_streamings ls ON ls.id = lp.live_id
+       JOIN users u ON u.id = ls.user_id
+       WHERE lp.user_id = ? ${upcomingFilter}
+       ORDER BY ls.date_time DESC
+       LIMIT ? OFFSET ?`,
+      [userId, limit, skip]
+    );
+    const [countRows] = await pool.query(
+      `SELECT COUNT(*) as total FROM live_prebooks lp
+       JOIN live_streamings ls ON ls.id = lp.live_id
+       WHERE lp.user_id = ? ${upcomingFilter}`,
+      [userId]
+    );
+    return { bookings: rows, total: Number(countRows[0]?.total) || 0 };
+  } catch (error) {
+    logError('getUserLivePrebooks error:', error);
+    return { bookings: [], total: 0 };
+  }
+};
+
+/**
+ * Get bookings whose live starts within the reminder window and were not reminded yet
+ * @returns {Promise<Array>} Rows with booking, live and creator info
+ */
+const getDueLiveBookingReminders = async () => {
+  const pool = getDB();
+  const [rows] = await pool.query(
+    `SELECT lp.id, lp.user_id, lp.live_id, ls.user_id as creator_id, ls.name,
+            DATE_FORMAT(ls.date_time, '%Y-%m-%d %H:%i:%s') as date_time
+     FROM live_prebooks lp
+     JOIN live_streamings ls ON ls.id = lp.live_id
+     WHERE lp.reminder_sent = 0 AND ls.status = "0"
+       AND ls.date_time BETWEEN NOW() AND NOW() + INTERVAL ? MINUTE`,
+    [LIVE_BOOKING_REMINDER_MINUTES]
+  );
+  return rows;
+};
+
+/**
+ * Flag bookings as reminded
+ * @param {number[]} ids - Booking IDs
+ */
+const markLivePrebooksReminded = async (ids) => {
+  if (ids.length === 0) return;
+  const pool = getDB();
+  await pool.query('UPDATE live_prebooks SET reminder_sent = 1 WHERE id IN (?)', [ids]);
+};
+
 export { 
   getLatestLiveTippingMenu, 
   getExternalUserIds, 
@@ -508,5 +1002,28 @@ export {
   createLiveGoal, 
   createEmptyLiveGoal, 
   deactivateLiveGoals, 
-  updateCreatorJoined 
+  updateCreatorJoined, 
+  hasLivePrebook, 
+  registerLiveViewer, 
+  LIVE_STREAM_STATUS, 
+  LIVE_HEARTBEAT_TIMEOUT_MINUTES, 
+  markLiveStarted, 
+  touchLiveHeartbeat, 
+  isLiveAbandoned, 
+  buildLiveSummary, 
+  saveLiveSummary, 
+  getLiveSummary, 
+  closeLiveSession, 
+  closeAbandonedLives, 
+  incrementLiveGoalTips, 
+  getLiveTippingMenuItem, 
+  LIVE_BOOKING_REMINDER_MINUTES, 
+  getLivePrebook, 
+  lockLiveBookings, 
+  createLivePrebook, 
+  deleteLivePrebook, 
+  getLivePrebooksForUpdate, 
+  getUserLivePrebooks, 
+  getDueLiveBookingReminders, 
+  markLivePrebooksReminded 
 };
@@ -0,0 +1,287 @@
+/**
+ * @file loginSecurity.js
+ * @description Account lockout after failed logins, and alerts for sign-ins from a new device or country
+ *
+ * Failed password/2FA attempts are counted per account (users.failed_login_count) on top of the
+ * per-IP auth limiter, so credential stuffing spread over many IPs still hits a wall. Each failure
+ * past LOCKOUT_STEPS[0] locks the account for longer; a successful sign-in resets the counter and
+ * a quiet day lets it decay.
+ *
+ * Every successful sign-in is remembered per user by device (browser, OS and model; the IP is left
+ * out, unlike getDeviceInfo's fingerprint) and by country (the CloudFront viewer country header). A
+ * sign-in from a device or country not seen before is emailed, or sent on WhatsApp when the account
+ * has no email, with a signed "this wasn't me" link that signs the account out everywhere. The very
+ * first recorded sign-in of an account raises no alert.
+ *
+ * A link works once: using it stores its issue time in users.login_alert_used_at, which also spends
+ * every link issued before it.
+ *
+ * FUNCTIONS:
+ * - getAccountLockout: Seconds until a locked account can sign in again
+ * - recordFailedLogin: Count a failed attempt and lock the account when a step is reached
+ * - recordSuccessfulLogin: Reset the counter and check the sign-in for a new device/country
+ * - createLoginAlertToken: Signed, expiring "this wasn't me" token
+ * - verifyLoginAlertToken: User of an unused token, without spending it
+ * - consumeLoginAlertToken: Spend a token, returning its user
+ * - getLoginAlertRevokeUrl: Link placed in login alerts
+ *
+ * Database Tables: users, user_known_devices, security_events
+ */
+
+import crypto from 'crypto';
+import { pool } from '../config/database.js';
+import { logInfo, logError, getDeviceInfo, markUserActive } from './common.js';
+import { sendLoginAlertEmail } from './mail.js';
+import { sendWhatsAppLoginAlert } from './whatsapp.js';
+import { SECURITY_EVENTS, logSecurityEvent } from './securityEvents.js';
+
+/**
+ * Lockout per number of consecutive failures; past the last step every failure locks for its duration
+ */
+const LOCKOUT_STEPS = [
+  { attempts: 5, minutes: 1 },
+  { attempts: 10, minutes: 5 },
+  { attempts: 15, minutes: 15 },
+  { attempts: 20, minutes: 60 }
+];
+// Failures older than this no longer count
+const FAILED_LOGIN_WINDOW_HOURS = 24;
+const LOGIN_ALERT_LINK_DAYS = 7;
+// Edge header carrying the viewer's ISO country code (Express lower-cases names)
+const COUNTRY_HEADER = 'cloudfront-viewer-country';
+
+/**
+ * Seconds until a locked account can sign in again
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} 0 when the account is not locked
+ */
+const getAccountLockout = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT GREATEST(TIMESTAMPDIFF(SECOND, NOW(), locked_until), 0) AS seconds FROM users WHERE id = ? AND locked_until IS NOT NULL',
+    [userId]
+  );
+  return rows.length > 0 ? Number(rows[0].seconds) : 0;
+};
+
+/**
+ * Count a failed sign-in attempt and lock the account when a lockout step is reached
+ * @param {number} userId - User ID
+ * @param {object} req - Request that failed, for the security log
+ * @returns {Promise<object>} { attempts, lockedForSeconds }
+ */
+const recordFailedLogin = async (userId, req) => {
+  // SET runs left to right: the count is reset against the previous failed_login_at
+  await pool.query(
+    `UPDATE users SET
+       failed_login_count = IF(failed_login_at IS NULL OR failed_login_at < DATE_SUB(NOW(), INTERVAL ? HOUR), 1, failed_login_count + 1),
+       failed_login_at = NOW()
+     WHERE id = ?`,
+    [FAILED_LOGIN_WINDOW_HOURS, userId]
+  );
+  const [rows] = await pool.query('SELECT failed_login_count FROM users WHERE id = ?', [userId]);
+  const attempts = Number(rows[0]?.failed_login_count || 0);
+
+  const step = [...LOCKOUT_STEPS].reverse().find(candidate => attempts >= candidate.attempts);
+  if (!step) return { attempts, lockedForSeconds: 0 };
+
+  await pool.query(
+    'UPDATE users SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?',
+    [step.minutes, userId]
+  );
+  if (LOCKOUT_STEPS.some(candidate => candidate.attempts === attempts)) {
+    await logSecurityEvent(userId, SECURITY_EVENTS.ACCOUNT_LOCKED, req, { attempts, minutes: step.minutes });
+  }
+  return { attempts, lockedForSeconds: step.minutes * 60 };
+};
+
+/**
+ * Clear the failed-attempt counter and any lockout
+ * @param {number} userId - User ID
+ */
+const resetFailedLogins = async (userId) => {
+  await pool.query(
+    `UPDATE users SET failed_login_count = 0, failed_login_at = NULL, locked_until = NULL
+     WHERE id = ? AND (failed_login_count > 0 OR locked_until IS NOT NULL)`,
+    [userId]
+  );
+};
+
+/**
+ * Stable key of the signing-in device: browser, OS and model without versions or IP,
+ * so browser updates and network changes do not look like a new device
+ */
+const getDeviceKey = (device) => crypto
+  .createHash('sha256')
+  .update([device.browser, device.os, device.device, device.deviceType].join('|'))
+  .digest('hex');
+
+/**
+ * Human-readable device name for alerts, e.g. "Chrome on Windows"
+ */
+const describeDevice = (device) => {
+  const browser = device.browser || 'Unknown browser';
+  const os = [device.os, device.device].filter(Boolean).join(' ');
+  return os ? `${browser} on ${os}` : browser;
+};
+
+/**
+ * HMAC of a user ID and the alert's issue time
+ */
+const signLoginAlert = (userId, issuedAt) => crypto
+  .createHmac('sha256', process.env.ENCRYPT_SECRET_ID)
+  .update(`login-alert:${userId}:${issuedAt}`)
+  .digest('base64url');
+
+/**
+ * Create the signed token of a "this wasn't me" link
+ * @param {number} userId - User ID
+ * @returns {string} Token
+ */
+const createLoginAlertToken = (userId) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  return `${userId}.${issuedAt}.${signLoginAlert(userId, issuedAt)}`;
+};
+
+/**
+ * Check the signature and age of a "this wasn't me" token
+ * @returns {object|null} { userId, issuedAt }, or null when the token is malformed, forged or expired
+ */
+const parseLoginAlertToken = (token) => {
+  const [rawUserId, rawIssuedAt, signature] = String(token || '').split('.');
+  const userId = Number(rawUserId);
+  const issuedAt = Number(rawIssuedAt);
+  if (!Number.isInteger(userId) || userId <= 0 || !Number.isInteger(issuedAt) || !signature) return null;
+  if (Date.now() / 1000 - issuedAt > LOGIN_ALERT_LINK_DAYS * 24 * 60 * 60) return null;
+
+  const expected = Buffer.from(signLoginAlert(userId, issuedAt));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+  return { userId, issuedAt };
+};
+
+/**
+ * Verify a "this wasn't me" token without spending it
+ * @param {string} token - Token from the link
+ * @returns {Promise<number|null>} User ID, or null when the token is invalid, expired or already used
+ */
+const verifyLoginAlertToken = async (token) => {
+  const parsed = parseLoginAlertToken(token);
+  if (!parsed) return null;
+
+  const [rows] = await pool.query(
+    'SELECT id FROM users WHERE id = ? AND (login_alert_used_at IS NULL OR login_alert_used_at < FROM_UNIXTIME(?))',
+    [parsed.userId, parsed.issuedAt]
+  );
+  return rows.length > 0 ? parsed.userId : null;
+};
+
+/**
+ * Spend a "this wasn't me" token; of two concurrent requests with the same token only one gets the user
+ * @param {string} token - Token from the link
+ * @returns {Promise<number|null>} User ID, or null when the token is invalid, expired or already used
+ */
+const consumeLoginAlertToken = async (token) => {
+  const parsed = parseLoginAlertToken(token);
+  if (!parsed) return null;
+
+  const [result] = await pool.query(
+    `UPDATE users SET login_alert_used_at = FROM_UNIXTIME(?)
+     WHERE id = ? AND (login_alert_used_at IS NULL OR login_alert_used_at < FROM_UNIXTIME(?))`,
+    [parsed.issuedAt, parsed.userId, parsed.issuedAt]
+  );
+  return result.affectedRows > 0 ? parsed.userId : null;
+};
+
+/**
+ * Link placed in login alerts; GET opens a confirmation page whose form POSTs the token back
+ * @param {number} userId - User ID
+ * @returns {string} Absolute URL
+ */
+const getLoginAlertRevokeUrl = (userId) => {
+  const apiBase = (process.env.API_URL || 'https://api.bingeme.com').replace(/\/+$/, '');
+  return `${apiBase}/auth/login-alert/revoke?token=${encodeURIComponent(createLoginAlertToken(userId))}`;
+};
+
+/**
+ * Send the new sign-in alert by email, or by WhatsApp when the account has no email
+ */
+const sendLoginAlert = async (user, alert) => {
+  if (user.email) return sendLoginAlertEmail(user.email, alert);
+  if (user.mobile) return sendWhatsAppLoginAlert(user.mobile, alert);
+  logInfo('Login alert skipped, no email or mobile', { userId: user.id });
+  return false;
+};
+
+/**
+ * Remember the device and country of a sign-in and alert the user when either is new
+ * @param {object} user - Signed-in user row (id, name, username, email, mobile)
+ * @param {object} req - Sign-in request
+ * @param {string} method - Sign-in method, e.g. password, otp, google, apple, passkey
+ */
+const checkNewLogin = async (user, req, method) => {
+  const device = getDeviceInfo(req);
+  const deviceKey = getDeviceKey(device);
+  // getUserCountry only tells IN from US, which would hide sign-ins from every other country
+  // Empty rather than NULL so the (user_id, device_key, country) unique key still matches
+  const country = String(req?.headers?.[COUNTRY_HEADER] || '').trim().toUpperCase();
+
+  const [known] = await pool.query(
+    'SELECT device_key, country FROM user_known_devices WHERE user_id = ?',
+    [user.id]
+  );
+  await pool.query(
+    `INSERT INTO user_known_devices (user_id, device_key, device_fingerprint, device_name, country, ip_address, first_seen_at, last_seen_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE device_fingerprint = VALUES(device_fingerprint), ip_address = VALUES(ip_address), last_seen_at = NOW()`,
+    [user.id, deviceKey, device.deviceFingerprint, describeDevice(device), country, device.ip]
+  );
+
+  if (known.length === 0) return;
+  const newDevice = !known.some(row => row.device_key === deviceKey);
+  // Without the header (request not through CloudFront) the country is unknown, not new
+  const newCountry = Boolean(country) && !known.some(row => row.country === country);
+  if (!newDevice && !newCountry) return;
+
+  await logSecurityEvent(user.id, SECURITY_EVENTS.NEW_LOGIN_LOCATION, req, { method, newDevice, newCountry, country });
+  const sent = await sendLoginAlert(user, {
+    name: user.name || user.username,
+    device: describeDevice(device),
+    country: country || 'Unknown',
+    ip: device.ip,
+    method,
+    time: new Date().toUTCString(),
+    revoke_url: getLoginAlertRevokeUrl(user.id)
+  });
+  logInfo('Login alert', { userId: user.id, newDevice, newCountry, sent });
+};
+
+/**
+ * Bookkeeping for a successful sign-in: resets the failed-attempt counter, records the activity
+ * and checks for a new device/country. Never fails the sign-in; the alert is sent in the background.
+ * @param {object} user - Signed-in user row
+ * @param {object} req - Sign-in request
+ * @param {string} method - Sign-in method, e.g. password, otp, google, apple, passkey
+ */
+const recordSuccessfulLogin = async (user, req, method) => {
+  try {
+    await resetFailedLogins(user.id);
+  } catch (error) {
+    logError('Error resetting failed logins:', { userId: user.id, error: error.message });
+  }
+  await markUserActive(user.id);
+
+  checkNewLogin(user, req, method).catch(error => {
+    logError('Error checking for a new login device:', { userId: user.id, error: error.message });
+  });
+};
+
+// Export all functions at the end
+export {
+  getAccountLockout,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  createLoginAlertToken,
+  verifyLoginAlertToken,
+  consumeLoginAlertToken,
+  getLoginAlertRevokeUrl
+};
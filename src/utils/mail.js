@@ -1,6 +1,6 @@
 /**
  * @file mail.js
- * @description Email OTP sending utility for Bingeme API Express.js
+ * @description Email sending utilities for Bingeme API Express.js (OTP, contact form, notification digests)
  */
 
 import nodemailer from 'nodemailer';
@@ -194,8 +194,91 @@ const sendContactMessageEmail = async (contactData) => {
   }
 };
 
+/**
+ * Send a notification digest email
+ * @param {string} email - Recipient address
+ * @param {object} digest - Template data from buildDigest (utils/emailDigest.js)
+ * @returns {Promise<boolean>} True if sent successfully
+ */
+const sendDigestEmail = async (email, digest) => {
+  try {
+    const transporter = createTransporter();
+    const fromName = process.env.MAIL_FROM_NAME;
+    const fromEmail = process.env.MAIL_FROM_ADDRESS;
+
+    const templatePath = path.join(__dirname, '../templates/digest_template.html');
+    const template = Handlebars.compile(fs.readFileSync(templatePath, 'utf8'));
+
+    const lines = [
+      `Hi ${digest.name}, here is what you missed ${digest.period} on BingeMe.`,
+      digest.notifications_total ? `${digest.notifications_total} new notification(s): ${digest.notifications_url}` : null,
+      digest.posts_total ? `${digest.posts_total} new post(s) from creators you follow` : null,
+      digest.unread_messages ? `${digest.unread_messages} unread message(s): ${digest.messages_url}` : null,
+      `Unsubscribe from these emails: ${digest.unsubscribe_url}`
+    ].filter(Boolean);
+
+    await transporter.sendMail({
+      from: `${fromName} <${fromEmail}>`,
+      to: email,
+      subject: digest.period === 'today' ? 'Your BingeMe daily summary' : 'Your BingeMe weekly summary',
+      text: lines.join('\n'),
+      html: template(digest),
+      headers: {
+        'List-Unsubscribe': `<${digest.unsubscribe_url}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+    logInfo('Digest email sent', { email, period: digest.period });
+    return true;
+  } catch (error) {
+    logError('Error sending digest email:', { email, error: error.message });
+    return false;
+  }
+};
+
+/**
+ * Send a new sign-in alert with the "this wasn't me" link
+ * @param {string} email - Recipient address
+ * @param {object} alert - Template data from checkNewLogin (utils/loginSecurity.js)
+ * @returns {Promise<boolean>} True if sent successfully
+ */
+const sendLoginAlertEmail = async (email, alert) => {
+  try {
+    const transporter = createTransporter();
+    const fromName = process.env.MAIL_FROM_NAME;
+    const fromEmail = process.env.MAIL_FROM_ADDRESS;
+
+    const templatePath = path.join(__dirname, '../templates/login_alert_template.html');
+    const template = Handlebars.compile(fs.readFileSync(templatePath, 'utf8'));
+
+    const lines = [
+      `Hi ${alert.name}, your BingeMe account was just signed in to from a new device or location.`,
+      `Device: ${alert.device}`,
+      `Country: ${alert.country}`,
+      `IP address: ${alert.ip}`,
+      `Time: ${alert.time}`,
+      `If this wasn't you, sign out of every device and then change your password: ${alert.revoke_url}`
+    ];
+
+    await transporter.sendMail({
+      from: `${fromName} <${fromEmail}>`,
+      to: email,
+      subject: 'New sign-in to your BingeMe account',
+      text: lines.join('\n'),
+      html: template(alert)
+    });
+    logInfo('Login alert email sent', { email });
+    return true;
+  } catch (error) {
+    logError('Error sending login alert email:', { email, error: error.message });
+    return false;
+  }
+};
+
 // Export all functions at the end
 export {
   sendEmailOTP,
-  sendContactMessageEmail
+  sendContactMessageEmail,
+  sendDigestEmail,
+  sendLoginAlertEmail
 };
\ No newline at end of file
@@ -18,6 +18,7 @@ const getUserMessagesById = async (userId, otherUserId, skip = 0, limit = 20) =>
         m.created_at,
         m.status,
         m.tip,
+        m.price,
         m.conversations_id,
         COUNT(mm.id) as media_count,
         GROUP_CONCAT(
@@ -29,7 +30,7 @@ const getUserMessagesById = async (userId, otherUserId, skip = 0, limit = 20) =>
       WHERE ((m.from_user_id = ? AND m.to_user_id = ?) 
          OR (m.from_user_id = ? AND m.to_user_id = ?))
         AND m.status != "deleted"
-      GROUP BY m.id, m.from_user_id, m.to_user_id, m.message, m.created_at, m.status, m.tip, m.conversations_id
+      GROUP BY m.id, m.from_user_id, m.to_user_id, m.message, m.created_at, m.status, m.tip, m.price, m.conversations_id
       ORDER BY m.created_at DESC
       LIMIT ? OFFSET ?
     `;
@@ -59,6 +60,7 @@ const getUserMessagesByUsername = async (userId, username, skip = 0, limit = 20)
         m.created_at,
         m.status,
         m.tip,
+        m.price,
         m.conversations_id,
         COUNT(mm.id) as media_count,
         GROUP_CONCAT(
@@ -72,7 +74,7 @@ const getUserMessagesByUsername = async (userId, username, skip = 0, limit = 20)
       )
       LEFT JOIN media_messages mm ON m.id = mm.message_id AND mm.status != "deleted"
       WHERE u.username = ? AND m.status != "deleted"
-      GROUP BY m.id, m.from_user_id, m.to_user_id, m.message, m.created_at, m.status, m.tip, m.conversations_id
+      GROUP BY m.id, m.from_user_id, m.to_user_id, m.message, m.created_at, m.status, m.tip, m.price, m.conversations_id
       ORDER BY m.created_at DESC
       LIMIT ? OFFSET ?
     `;
@@ -148,6 +150,7 @@ const getMessageById = async (messageId) => {
         m.created_at,
         m.status,
         m.tip,
+        m.price,
         m.conversations_id,
         COUNT(mm.id) as media_count,
         GROUP_CONCAT(
@@ -157,7 +160,7 @@ const getMessageById = async (messageId) => {
       FROM messages m
       LEFT JOIN media_messages mm ON m.id = mm.message_id AND mm.status != "deleted"
       WHERE m.id = ? AND m.status != "deleted"
-      GROUP BY m.id, m.from_user_id, m.to_user_id, m.message, m.created_at, m.status, m.tip, m.conversations_id
+      GROUP BY m.id, m.from_user_id, m.to_user_id, m.message, m.created_at, m.status, m.tip, m.price, m.conversations_id
     `;
 
     const [rows] = await pool.query(query, [messageId]);
@@ -317,6 +320,7 @@ const getMessageByIdWithDetails = async (messageId) => {
         m.created_at,
         m.status,
         m.tip,
+        m.price,
         m.conversations_id,
         u1.username as from_username,
         u1.name as from_name,
@@ -336,7 +340,7 @@ const getMessageByIdWithDetails = async (messageId) => {
       LEFT JOIN users u2 ON m.to_user_id = u2.id
       LEFT JOIN media_messages mm ON m.id = mm.message_id AND mm.status != "deleted"
       WHERE m.id = ? AND m.status != "deleted"
-      GROUP BY m.id, m.from_user_id, m.to_user_id, m.message, m.created_at, m.status, m.tip, m.conversations_id, u1.username, u1.name, u1.avatar, u1.verified_id, u2.username, u2.name, u2.avatar, u2.verified_id
+      GROUP BY m.id, m.from_user_id, m.to_user_id, m.message, m.created_at, m.status, m.tip, m.price, m.conversations_id, u1.username, u1.name, u1.avatar, u1.verified_id, u2.username, u2.name, u2.avatar, u2.verified_id
     `;
 
     const [rows] = await pool.query(query, [messageId]);
@@ -347,8 +351,239 @@ const getMessageByIdWithDetails = async (messageId) => {
   }
 };
 
+/**
+ * Get the messages out of a list that were sent to a user (used for delivery receipts)
+ * @param {number} userId - Recipient user ID
+ * @param {Array<number>} messageIds - Message IDs reported by the client
+ * @returns {Promise<Array<object>>} Rows with id, from_user_id and conversations_id
+ */
+const getReceivedMessages = async (userId, messageIds = []) => {
+  try {
+    if (!userId || !messageIds.length) return [];
+    const placeholders = messageIds.map(() => '?').join(',');
+    const query = `
+      SELECT id, from_user_id, conversations_id FROM messages
+      WHERE id IN (${placeholders}) AND to_user_id = ? AND status != "deleted"
+    `;
+    const [rows] = await pool.query(query, [...messageIds, userId]);
+    return rows;
+  } catch (error) {
+    logError('Error getting received messages:', error);
+    return [];
+  }
+};
+
+/**
+ * Get the IDs of messages a user has purchased (pay-per-view)
+ * @param {number} userId - Buyer user ID
+ * @param {Array<number>} messageIds - Message IDs to check
+ * @returns {Promise<Set<number>>} Set of purchased message IDs
+ */
+const getPurchasedMessageIds = async (userId, messageIds = []) => {
+  try {
+    if (!userId || !messageIds.length) return new Set();
+    const placeholders = messageIds.map(() => '?').join(',');
+    const query = `
+      SELECT messages_id FROM pay_per_views 
+      WHERE user_id = ? AND messages_id IN (${placeholders}) AND status = 1
+    `;
+    const [rows] = await pool.query(query, [userId, ...messageIds]);
+    return new Set(rows.map(({ messages_id }) => Number(messages_id)));
+  } catch (error) {
+    logError('Error getting purchased message IDs:', error);
+    return new Set();
+  }
+};
+
+/**
+ * Hide media of priced messages the viewer has not bought.
+ * The sender always sees their own media; the recipient only after purchase.
+ * @param {Array<object>} messages - Message rows (need id, from_user_id, price, media)
+ * @param {number} viewerId - Authenticated user ID
+ * @returns {Promise<Array<object>>} Messages with locked flag and media stripped when locked
+ */
+const applyMessagePaywall = async (messages = [], viewerId) => {
+  const pricedIncomingIds = messages
+    .filter(({ from_user_id, price }) => Number(from_user_id) !== Number(viewerId) && parseFloat(price) > 0)
+    .map(({ id }) => Number(id));
+  const purchasedIds = await getPurchasedMessageIds(viewerId, pricedIncomingIds);
+
+  return messages.map(message => {
+    const locked = pricedIncomingIds.includes(Number(message.id)) && !purchasedIds.has(Number(message.id));
+    return locked ? { ...message, media: null, locked: true } : { ...message, locked: false };
+  });
+};
+
+/**
+ * Record a message purchase (pay_per_views row)
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} userId - Buyer user ID
+ * @param {number} messageId - Message ID
+ * @returns {Promise<number>} Inserted pay_per_views ID
+ */
+const createMessagePurchase = async (conn, userId, messageId) => {
+  const [result] = await conn.query(
+    'INSERT INTO pay_per_views (user_id, updates_id, messages_id, status, created_at) VALUES (?, 0, ?, 1, NOW())',
+    [userId, messageId]
+  );
+  return result.insertId;
+};
+
+/**
+ * Check inside a transaction whether a message was already bought (locks the row range)
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} userId - Buyer user ID
+ * @param {number} messageId - Message ID
+ * @returns {Promise<boolean>} True when already purchased
+ */
+const hasPurchasedMessage = async (conn, userId, messageId) => {
+  const [rows] = await conn.query(
+    'SELECT id FROM pay_per_views WHERE user_id = ? AND messages_id = ? AND status = 1 LIMIT 1 FOR UPDATE',
+    [userId, messageId]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * messages.status values used for read state ('deleted' rows are never counted)
+ */
+const MESSAGE_STATUS = {
+  UNREAD: 'new',
+  READ: 'readed',
+  DELETED: 'deleted'
+};
+
+/**
+ * Mark the messages a user received in a conversation as read
+ * @param {number} conversationId - Conversation ID
+ * @param {number} userId - Reader (recipient) user ID
+ * @param {number|null} [upToMessageId] - Only mark messages up to this ID (defaults to all)
+ * @returns {Promise<{ markedCount: number, lastReadMessageId: number|null }>}
+ */
+const markConversationRead = async (conversationId, userId, upToMessageId = null) => {
+  const upToClause = upToMessageId ? 'AND id <= ?' : '';
+  const params = [MESSAGE_STATUS.READ, conversationId, userId, MESSAGE_STATUS.UNREAD, ...(upToMessageId ? [upToMessageId] : [])];
+  const [result] = await pool.query(
+    `UPDATE messages SET status = ? WHERE conversations_id = ? AND to_user_id = ? AND status = ? ${upToClause}`,
+    params
+  );
+
+  const [rows] = await pool.query(
+    'SELECT MAX(id) as last_read_id FROM messages WHERE conversations_id = ? AND to_user_id = ? AND status = ?',
+    [conversationId, userId, MESSAGE_STATUS.READ]
+  );
+
+  logInfo('Marked conversation as read', { conversationId, userId, markedCount: result.affectedRows });
+  return { markedCount: result.affectedRows, lastReadMessageId: rows[0]?.last_read_id || null };
+};
+
+/**
+ * Count a user's unread messages in one conversation
+ * @param {number} conversationId - Conversation ID
+ * @param {number} userId - Recipient user ID
+ * @returns {Promise<number>} Unread message count
+ */
+const countConversationUnread = async (conversationId, userId) => {
+  const [rows] = await pool.query(
+    'SELECT COUNT(*) as count FROM messages WHERE conversations_id = ? AND to_user_id = ? AND status = ?',
+    [conversationId, userId, MESSAGE_STATUS.UNREAD]
+  );
+  return Number(rows[0]?.count) || 0;
+};
+
+/**
+ * Count all unread messages of a user and the conversations they are in
+ * @param {number} userId - Recipient user ID
+ * @returns {Promise<{ total: number, conversations: number }>}
+ */
+const countUnreadMessages = async (userId) => {
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) as total, COUNT(DISTINCT conversations_id) as conversations
+     FROM messages WHERE to_user_id = ? AND status = ?`,
+    [userId, MESSAGE_STATUS.UNREAD]
+  );
+  return { total: Number(rows[0]?.total) || 0, conversations: Number(rows[0]?.conversations) || 0 };
+};
+
+/**
+ * Soft delete a message with its media and notifications.
+ * Deleted messages drop out of unread counts; the conversation is closed once it has no messages left.
+ * @param {number} messageId - Message ID
+ * @returns {Promise<{ success: boolean, conversationId?: number, error?: string }>}
+ */
+const deleteMessageById = async (messageId) => {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query('SELECT conversations_id FROM messages WHERE id = ? FOR UPDATE', [messageId]);
+    const conversationId = rows[0]?.conversations_id;
+
+    await conn.query('UPDATE messages SET status = ? WHERE id = ?', [MESSAGE_STATUS.DELETED, messageId]);
+    await conn.query('UPDATE media_messages SET status = ? WHERE message_id = ?', [MESSAGE_STATUS.DELETED, messageId]);
+    await conn.query('DELETE FROM notifications WHERE message_id = ?', [messageId]);
+
+    if (conversationId) {
+      const [[{ remaining }]] = await conn.query(
+        'SELECT COUNT(*) as remaining FROM messages WHERE conversations_id = ? AND status != ?',
+        [conversationId, MESSAGE_STATUS.DELETED]
+      );
+      if (Number(remaining) === 0) {
+        await conn.query('UPDATE conversations SET active = 0 WHERE id = ?', [conversationId]);
+      }
+    }
+
+    await conn.commit();
+    logInfo(`Deleted message ${messageId}`);
+    return { success: true, conversationId };
+  } catch (error) {
+    await conn.rollback();
+    logError('Error deleting message:', error);
+    return { success: false, error: error.message };
+  } finally {
+    conn.release();
+  }
+};
+
+/**
+ * Soft delete every message of a conversation (with media and notifications) and close it
+ * @param {number} conversationId - Conversation ID
+ * @returns {Promise<{ success: boolean, deletedMessagesCount?: number, error?: string }>}
+ */
+const deleteConversationById = async (conversationId) => {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      'SELECT id FROM messages WHERE conversations_id = ? AND status != ? FOR UPDATE',
+      [conversationId, MESSAGE_STATUS.DELETED]
+    );
+    const messageIds = rows.map(({ id }) => id);
+
+    if (messageIds.length > 0) {
+      const placeholders = messageIds.map(() => '?').join(',');
+      await conn.query(`UPDATE messages SET status = ? WHERE id IN (${placeholders})`, [MESSAGE_STATUS.DELETED, ...messageIds]);
+      await conn.query(`UPDATE media_messages SET status = ? WHERE message_id IN (${placeholders})`, [MESSAGE_STATUS.DELETED, ...messageIds]);
+      await conn.query(`DELETE FROM notifications WHERE message_id IN (${placeholders})`, messageIds);
+    }
+    await conn.query('UPDATE conversations SET active = 0 WHERE id = ?', [conversationId]);
+
+    await conn.commit();
+    logInfo(`Deleted conversation ${conversationId}`, { deletedMessagesCount: messageIds.length });
+    return { success: true, deletedMessagesCount: messageIds.length };
+  } catch (error) {
+    await conn.rollback();
+    logError('Error deleting conversation:', error);
+    return { success: false, error: error.message };
+  } finally {
+    conn.release();
+  }
+};
+
 // Export all functions at the end
 export {
+  MESSAGE_STATUS,
   getUserMessagesById,
   getUserMessagesByUsername,
   formatMessagesByDate,
@@ -364,5 +599,15 @@ export {
   setConversationInactive,
   updateConversationTimestamp,
   getLatestMessageTime,
-  getMessageByIdWithDetails
+  getMessageByIdWithDetails,
+  getReceivedMessages,
+  getPurchasedMessageIds,
+  applyMessagePaywall,
+  createMessagePurchase,
+  hasPurchasedMessage,
+  markConversationRead,
+  countConversationUnread,
+  countUnreadMessages,
+  deleteMessageById,
+  deleteConversationById
 };
\ No newline at end of file
@@ -1,11 +1,13 @@
 /**
  * @file my_updates.js
  * @description My updates utilities for Bingeme API Express.js
- * Provides functions for handling user updates, media, comments, likes, and tags
+ * Provides functions for handling user updates, media, comments, likes, and tags,
+ * and the paywall that blurs locked post media for viewers who have not bought or subscribed
  */
 
 import { getDB } from '../config/database.js';
 import { logInfo, logError, encryptId, formatRelativeTime, getFile, getCommentLikesCount } from './common.js';
+import { getSubscribedCreatorIds } from './subscription.js';
 
 /**
  * Get media files for multiple updates
@@ -403,6 +405,56 @@ const applyPostQueryFilters = (updates, sort) => {
   return updates;
 };
 
+/**
+ * Get the IDs of posts a user has purchased (pay-per-view)
+ * @param {number} userId - Buyer user ID
+ * @param {Array<number>} updateIds - Post IDs to check
+ * @returns {Promise<Set<number>>} Set of purchased post IDs
+ */
+const getPurchasedUpdateIds = async (userId, updateIds = []) => {
+  try {
+    if (!userId || !updateIds.length) return new Set();
+    const placeholders = updateIds.map(() => '?').join(',');
+    const [rows] = await getDB().query(`
+      SELECT updates_id FROM pay_per_views 
+      WHERE user_id = ? AND updates_id IN (${placeholders}) AND status = 1
+    `, [userId, ...updateIds]);
+    return new Set(rows.map(({ updates_id }) => Number(updates_id)));
+  } catch (error) {
+    logError('Error getting purchased update IDs:', error);
+    return new Set();
+  }
+};
+
+/**
+ * Blur the media of locked posts the viewer cannot open.
+ * The owner always sees their media; paid posts need a purchase and subscribers-only posts a
+ * subscription that grants access (same rules as getUpdateDetails in postsController).
+ * @param {Array<object>} updates - Post rows (need id, user_id, locked, price)
+ * @param {object} mediaByUpdate - Media grouped by post ID (getMediaForUpdates)
+ * @param {number|null} viewerId - Authenticated user ID
+ * @returns {Promise<object>} Media grouped by post ID, locked entries reduced to { type, blurred: true }
+ */
+const applyPostPaywall = async (updates = [], mediaByUpdate = {}, viewerId = null) => {
+  const lockedUpdates = updates.filter(({ user_id, locked }) => locked === 'yes' && Number(user_id) !== Number(viewerId));
+  if (!lockedUpdates.length) return mediaByUpdate;
+
+  const paidIds = lockedUpdates.filter(({ price }) => parseFloat(price) > 0).map(({ id }) => Number(id));
+  const purchasedIds = await getPurchasedUpdateIds(viewerId, paidIds);
+
+  const creatorIds = [...new Set(lockedUpdates.filter(({ price }) => !(parseFloat(price) > 0)).map(({ user_id }) => Number(user_id)))];
+  const subscribedCreators = await getSubscribedCreatorIds(viewerId, creatorIds);
+
+  const result = { ...mediaByUpdate };
+  lockedUpdates.forEach(({ id, user_id, price }) => {
+    const unlocked = parseFloat(price) > 0 ? purchasedIds.has(Number(id)) : subscribedCreators.has(Number(user_id));
+    if (!unlocked && result[id]) {
+      result[id] = result[id].map(({ type }) => ({ type, blurred: true }));
+    }
+  });
+  return result;
+};
+
 // Export all functions at the end
 export {
   getMediaForUpdates,
@@ -413,5 +465,7 @@ export {
   getOrderByClause,
   extractQueryParameters,
   executeUpdatesQueries,
-  applyPostQueryFilters
+  applyPostQueryFilters,
+  getPurchasedUpdateIds,
+  applyPostPaywall
 };
\ No newline at end of file
@@ -7,6 +7,8 @@
  *   - Fetching notifications with complex joins and filtering
  *   - Counting notifications for pagination
  *   - Marking notifications as seen
+ *   - Rendering notification text (shared by the API list and push notifications)
+ *   - Push delivery through FCM when a notification is created
  *
  *   Flow:
  *   1. Execute complex SQL queries with multiple table joins
@@ -19,10 +21,307 @@
  *   - Flexible filtering system for different notification types
  *   - Efficient pagination with proper indexing
  *   - Transaction-safe database operations
+ *   - Pushes honour the recipient's notify_* flags; tokens FCM rejects are pruned
  */
 
 import { pool } from '../config/database.js';
-import { logInfo, logError } from './common.js';
+import { logInfo, logError, getFcmTokenRecords, deleteFcmTokenRecord } from './common.js';
+import { isFcmConfigured, sendFcmMessage } from './fcm.js';
+
+// ============================================================================
+// NOTIFICATION TEXT
+// ============================================================================
+
+/**
+ * Get notification destination description based on type and data
+ */
+const getNotificationDestination = (notification) => {
+  try {
+    const { type } = notification;
+    const typeStr = String(type);
+
+    const linkTextGroups = {
+      'Profile': ['1', '41', '42'],
+      'View Post': ['2', '3', '4', '7', '8', '9', '16', '25', '39'],
+      'Payments Received': ['5', '12'],
+      'View Message': ['6', '10'],
+      'View Referrals': ['11'],
+      'Subscribe Now': ['13'],
+      'Watch Live': ['14', '34', '35', '40'],
+      'View Sales': ['15'],
+      'View Wallet': ['17', '18'],
+      'Live Bookings': ['19'],
+      'Payment History': ['20'],
+      'View Ticket': ['21'],
+      'View Tickets': ['22'],
+      'View Verification': ['23'],
+      'View Payouts': ['24'],
+      'View Order': ['26', '27'],
+      'View Products': ['28'],
+      'View Orders': ['29', '30', '31', '32'],
+      'View Messages': ['33'],
+      'View Subscriptions': ['36', '38'],
+      'Top Up Wallet': ['37']
+    };
+
+    const linkTextMap = {};
+    Object.entries(linkTextGroups).forEach(([linkText, typeIds]) => {
+      typeIds.forEach(typeId => {
+        linkTextMap[typeId] = linkText;
+      });
+    });
+
+    return linkTextMap[typeStr] || 'View Notification';
+  } catch (error) {
+    return 'View Notification';
+  }
+};
+
+/**
+ * Truncate text to specified length with ellipsis
+ */
+const truncateText = (text, limit = 20) => {
+  if (!text) return '';
+  return text.length > limit ? `${text.substring(0, limit)}...` : text;
+};
+
+/**
+ * Get display name from user data with fallback logic
+ */
+const getDisplayName = (name, username) => {
+  return truncateText(name || username, 20);
+};
+
+/**
+ * Parse notifications.extra_data (JSON column or JSON string)
+ */
+const parseExtraData = (extraData) => {
+  if (!extraData) return {};
+  if (typeof extraData === 'object') return extraData;
+  try {
+    return JSON.parse(extraData) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Type 24 messages for withdrawal status changes (extra_data.withdrawal_status)
+ */
+const WITHDRAWAL_STATUS_MESSAGES = {
+  pending: 'Your withdrawal request has been received',
+  processing: 'Your withdrawal is being processed',
+  paid: 'Your withdrawal has been paid',
+  rejected: 'Your withdrawal has been rejected and the amount returned to your balance'
+};
+
+/**
+ * Generate notification message based on type and data
+ */
+const generateNotificationMessage = (notification) => {
+  try {
+    const { 
+      type, 
+      username, 
+      name, 
+      description, 
+      message, 
+      productName, 
+      live_stream_name, 
+      live_stream_datetime,
+      extra_data
+    } = notification;
+
+    const displayName = getDisplayName(name, username);
+    const typeStr = String(type);
+
+    const messageTemplates = {
+      '1': () => `${displayName} has subscribed to your content`,
+      '2': () => `${displayName} likes your post ${truncateText(description, 50)}`,
+      '3': () => `${displayName} commented on your post ${truncateText(description, 50)}`,
+      '4': () => `${displayName} liked your comment in ${truncateText(description, 50)}`,
+      '5': () => `${displayName} he sent you a tip`,
+      '6': () => `${displayName} has bought your message ${truncateText(message, 50)}`,
+      '7': () => `${displayName} has bought your post ${truncateText(description, 50)}`,
+      '8': () => `Your post has been approved ${truncateText(description, 50)}`,
+      '9': () => `Your video has been processed successfully (Post) ${truncateText(description, 50)}`,
+      '10': () => `Your video has been processed successfully (Message) ${truncateText(message, 50)}`,
+      '11': () => `One of your referrals has made a transaction`,
+      '12': () => `Payment received for subscription renewal from ${displayName}`,
+      '13': () => `${displayName} has changed your subscription to paid. Subscribe now!`,
+      '14': () => `${displayName} is streaming live`,
+      '15': () => `${displayName} has bought your item ${truncateText(productName, 50)}`,
+      '16': () => `${displayName} has mentioned you in ${truncateText(description, 50)}`,
+      '17': () => `Your deposit has processed successfully`,
+      '18': () => `Your deposit has failed`,
+      '19': () => `${displayName} has pre-booked your live event`,
+      '20': () => `Live pre-book for ${username} has been refunded successfully`,
+      '21': () => `${displayName} sent a new ticket`,
+      '22': () => `${displayName} created a new ticket`,
+      '23': () => `${displayName} sent a verification request`,
+      '24': () => WITHDRAWAL_STATUS_MESSAGES[parseExtraData(extra_data).withdrawal_status] || `${displayName} sent a payout conversation`,
+      '25': () => `Your content has been disabled due to ${truncateText(description, 50)}. View post`,
+      '26': () => `Your purchase of ${productName || 'product'} has been rejected by the creator and amount refunded. Payment history`,
+      '27': () => `Order placed by ${displayName} has been cancelled and amount refunded successfully. View order`,
+      '28': () => `Order placed by ${displayName} has been delivered and amount credited successfully. View order`,
+      '29': () => `${displayName} has placed an order`,
+      '30': () => `Error response while creating order in Shiprocket. Check error logs`,
+      '31': () => `Error response while cancelling Shiprocket shipment. Check error logs`,
+      '32': () => `Error response while cancelling Shiprocket order. Check error logs`,
+      '33': () => `Missed call from ${displayName}`,
+      '34': () => `${displayName} has rescheduled the live stream`,
+      '35': () => `${displayName} is going live: ${live_stream_name || 'Live Stream'} @ ${live_stream_datetime}`,
+      '36': () => `Your subscription to ${displayName} has been renewed`,
+      '37': () => `Renewal payment for your subscription to ${displayName} failed. Top up your wallet to keep access`,
+      '38': () => `Your subscription to ${displayName} has expired`,
+      '39': () => `${displayName} published a new post ${truncateText(description, 50)}`,
+      '40': () => `Reminder: your booked live ${live_stream_name || 'Live Stream'} by ${displayName} starts @ ${live_stream_datetime}`,
+      '41': () => `Renewal payment from ${displayName} failed. Their subscription stays active while they top up`,
+      '42': () => `${displayName}'s subscription to you has expired`
+    };
+
+    return messageTemplates[typeStr]?.() || `New notification from ${displayName}`;
+  } catch (error) {
+    return 'New notification received';
+  }
+};
+
+// ============================================================================
+// PUSH DELIVERY
+// ============================================================================
+
+/**
+ * users.notify_* flag that must be 'yes' for a notification type to push; other types always push
+ */
+const PUSH_SETTING_BY_TYPE = {
+  '1': 'notify_new_subscriber',
+  '2': 'notify_liked_post',
+  '3': 'notify_commented_post',
+  '4': 'notify_liked_comment',
+  '5': 'notify_new_tip',
+  '6': 'notify_new_ppv',
+  '7': 'notify_new_ppv'
+};
+
+// Pushes sent at the same time, and pushes allowed to wait for a slot before new ones are dropped
+const PUSH_CONCURRENCY = Number(process.env.PUSH_CONCURRENCY || 10);
+const PUSH_QUEUE_LIMIT = Number(process.env.PUSH_QUEUE_LIMIT || 1000);
+
+// Pushes still being sent, so short-lived processes can wait for them before exiting
+const pendingPushes = new Set();
+// Pushes waiting for a free slot
+const pushQueue = [];
+
+/**
+ * Load what generateNotificationMessage needs: sender name, post description, message text
+ * @param {Object} notificationData - createNotification input
+ * @returns {Promise<Object>} Row shaped like fetchNotifications output
+ */
+const loadPushContext = async ({ from_user_id, post_id, message_id, extra_data }) => {
+  const [[sender]] = await pool.query('SELECT name, username FROM users WHERE id = ?', [from_user_id]);
+  const [[post]] = post_id
+    ? await pool.query('SELECT description FROM updates WHERE id = ?', [post_id])
+    : [[]];
+  const [[message]] = message_id
+    ? await pool.query('SELECT message FROM messages WHERE id = ?', [message_id])
+    : [[]];
+  const extra = parseExtraData(extra_data);
+
+  return {
+    ...extra,
+    username: sender?.username,
+    name: sender?.name,
+    description: post?.description,
+    message: message?.message,
+    extra_data: extra
+  };
+};
+
+/**
+ * Send a created notification as a push to every device of the recipient
+ * @param {number} notificationId - notifications ID
+ * @param {Object} notificationData - createNotification input
+ * @returns {Promise<{ sent: number, failed: number, pruned: number }|null>} Null when skipped
+ */
+const dispatchPushNotification = async (notificationId, notificationData) => {
+  const { user_id, type, post_id = null, message_id = null, live_id = null } = notificationData;
+  if (!isFcmConfigured()) return null;
+
+  const [[recipient]] = await pool.query(
+    `SELECT ${[...new Set(Object.values(PUSH_SETTING_BY_TYPE))].join(', ')} FROM users WHERE id = ?`,
+    [user_id]
+  );
+  const setting = PUSH_SETTING_BY_TYPE[String(type)];
+  if (!recipient || (setting && recipient[setting] !== 'yes')) return null;
+
+  const tokens = await getFcmTokenRecords(user_id);
+  if (tokens.length === 0) return null;
+
+  const context = { ...await loadPushContext(notificationData), type };
+  const payload = {
+    title: process.env.APP_NAME || 'BingeMe',
+    body: generateNotificationMessage(context),
+    data: { notification_id: notificationId, type, link: getNotificationDestination(context), post_id, message_id, live_id }
+  };
+
+  const counts = { sent: 0, failed: 0, pruned: 0 };
+  for (const { fcm_token: token } of tokens) {
+    const result = await sendFcmMessage(token, payload);
+    if (result.success) {
+      counts.sent += 1;
+      continue;
+    }
+    counts.failed += 1;
+    if (result.invalidToken && await deleteFcmTokenRecord(user_id, token)) {
+      counts.pruned += 1;
+    } else if (!result.invalidToken) {
+      logError('Push notification failed', { notificationId, userId: user_id, error: result.error });
+    }
+  }
+
+  logInfo('Push notification dispatched', { notificationId, userId: user_id, type, ...counts });
+  return counts;
+};
+
+/**
+ * Start queued pushes while fewer than PUSH_CONCURRENCY are in flight
+ */
+const drainPushQueue = () => {
+  while (pendingPushes.size < PUSH_CONCURRENCY && pushQueue.length > 0) {
+    const { notificationId, notificationData } = pushQueue.shift();
+    const push = dispatchPushNotification(notificationId, notificationData)
+      .catch(error => logError('Error dispatching push notification', { notificationId, error: error.message }))
+      .finally(() => {
+        pendingPushes.delete(push);
+        drainPushQueue();
+      });
+    pendingPushes.add(push);
+  }
+};
+
+/**
+ * Send a push in the background; failures are logged and never reach the caller.
+ * The notification itself is already stored, so a push is dropped when the queue is full.
+ */
+const queuePushNotification = (notificationId, notificationData) => {
+  if (pushQueue.length >= PUSH_QUEUE_LIMIT) {
+    logError('Push queue full, push dropped', { notificationId, queued: pushQueue.length });
+    return;
+  }
+  pushQueue.push({ notificationId, notificationData });
+  drainPushQueue();
+};
+
+/**
+ * Wait for pushes in flight and queued (workers call this before exiting)
+ * @returns {Promise<void>}
+ */
+const flushPushNotifications = async () => {
+  while (pendingPushes.size > 0) {
+    await Promise.allSettled([...pendingPushes]);
+  }
+};
+
 
 // ============================================================================
 // DATABASE OPERATIONS
@@ -34,9 +333,10 @@ import { logInfo, logError } from './common.js';
  * @param {number} limit - Number of notifications to fetch
  * @param {number} skip - Number of notifications to skip (for pagination)
  * @param {Array<string>} [filterTypes] - Array of notification types to filter by
+ * @param {{ unseenOnly?: boolean, since?: Date|null }} [options] - Only unseen and/or newer notifications
  * @returns {Promise<Array>} Array of notification rows with all related data
  */
-const fetchNotifications = async (userId, limit, skip, filterTypes = null) => {
+const fetchNotifications = async (userId, limit, skip, filterTypes = null, { unseenOnly = false, since = null } = {}) => {
   try {
     // Base query with all necessary joins for comprehensive notification data
     const baseQuery = `
@@ -70,6 +370,12 @@ const fetchNotifications = async (userId, limit, skip, filterTypes = null) => {
       query += ` AND n.type IN (${placeholders})`;
       params.push(...filterTypes);
     }
+
+    if (unseenOnly) query += ` AND n.seen = 0`;
+    if (since) {
+      query += ` AND n.created_at > ?`;
+      params.push(since);
+    }
     
     // Add ordering and pagination
     query += ` ORDER BY n.created_at DESC LIMIT ? OFFSET ?`;
@@ -96,9 +402,10 @@ const fetchNotifications = async (userId, limit, skip, filterTypes = null) => {
  * Count total notifications for a user with optional filtering
  * @param {number} userId - The destination user ID
  * @param {Array<string>} [filterTypes] - Array of notification types to filter by
+ * @param {{ unseenOnly?: boolean, since?: Date|null }} [options] - Only unseen and/or newer notifications
  * @returns {Promise<number>} Total count of notifications
  */
-const countNotifications = async (userId, filterTypes = null) => {
+const countNotifications = async (userId, filterTypes = null, { unseenOnly = false, since = null } = {}) => {
   try {
     let query = `SELECT COUNT(*) as total FROM notifications WHERE user_id = ?`;
     const params = [userId];
@@ -109,6 +416,12 @@ const countNotifications = async (userId, filterTypes = null) => {
       query += ` AND type IN (${placeholders})`;
       params.push(...filterTypes);
     }
+
+    if (unseenOnly) query += ` AND seen = 0`;
+    if (since) {
+      query += ` AND created_at > ?`;
+      params.push(since);
+    }
     
     const [result] = await pool.query(query, params);
     const total = result[0].total;
@@ -199,6 +512,8 @@ const createNotification = async (notificationData) => {
       from_user_id, 
       type 
     });
+
+    queuePushNotification(notificationId, notificationData);
     
     return notificationId;
     
@@ -335,7 +650,12 @@ const updateNotificationSettings = async (userId, settings) => {
   }
 };
 
+// Export all functions at the end
 export {
+  generateNotificationMessage,
+  getNotificationDestination,
+  dispatchPushNotification,
+  flushPushNotifications,
   fetchNotifications,
   countNotifications,
   markNotificationsAsSeen,
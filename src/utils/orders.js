@@ -0,0 +1,256 @@
+/**
+ * @file orders.js
+ * @description Database utility functions for buyer-side product orders
+ *
+ * Orders are rows in `purchases`. Digital products are delivered at checkout and the
+ * creator is paid straight away; custom and physical products stay `pending` with the
+ * creator share held until the creator delivers (released) or rejects (refunded).
+ *
+ * FUNCTIONS:
+ * - getProductForPurchase: Load an active product that can be bought
+ * - createPurchase: Insert a purchases row
+ * - getUserOrders: List a buyer's orders with product and creator info
+ * - getUserOrderById: Get a single order of a buyer
+ * - getPurchaseForUpdate: Lock a purchase with its product for a status change
+ * - setPurchaseDeliveryStatus: Update purchases.delivery_status
+ * - settleCreatorPurchase: Deliver (release funds) or reject (refund) a pending order as the creator
+ * - getOrderDownloadFiles: List the downloadable S3 keys of a purchased product
+ * - countOrderDownloads: Count logged downloads of an order
+ * - logOrderDownload: Insert a purchase_downloads audit row
+ *
+ * Database Tables: products, purchases, media_products, users, transactions, purchase_downloads
+ */
+
+import { pool } from '../config/database.js';
+import { logInfo, logError } from './common.js';
+import { walletError, releaseHeldPayment, refundWalletPayment } from './wallet.js';
+
+/**
+ * Product types delivered immediately at checkout
+ */
+const INSTANT_DELIVERY_TYPES = ['digital', 'digital_products'];
+
+/**
+ * Get an active product with its owner for checkout
+ * @param {number} productId - Product ID
+ * @returns {Promise<object|null>} Product row or null
+ */
+const getProductForPurchase = async (productId) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, user_id, name, type, price, delivery_time, description, file, status
+       FROM products WHERE id = ? AND status = '1'`,
+      [productId]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    logError('Error getting product for purchase:', error);
+    return null;
+  }
+};
+
+/**
+ * Insert a purchases row
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {object} data - { userId, productId, transactionId, deliveryStatus, description }
+ * @returns {Promise<number>} Purchase ID
+ */
+const createPurchase = async (conn, { userId, productId, transactionId, deliveryStatus, description = null }) => {
+  const [result] = await conn.query(
+    `INSERT INTO purchases (transactions_id, user_id, products_id, delivery_status, description_custom_content, status, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, 1, NOW(), NOW())`,
+    [transactionId, userId, productId, deliveryStatus, description]
+  );
+  return result.insertId;
+};
+
+/**
+ * Shared SELECT for buyer order queries
+ */
+const ORDER_SELECT = `
+  SELECT p.id, p.transactions_id, p.delivery_status, p.description_custom_content, p.created_at, p.updated_at,
+         pr.id as product_id, pr.name as product_name, pr.type as product_type, pr.price as product_price,
+         pr.delivery_time, t.amount as amount_paid,
+         u.username as creator_username, u.name as creator_name,
+         mp.name as image
+  FROM purchases p
+  INNER JOIN products pr ON p.products_id = pr.id
+  INNER JOIN users u ON pr.user_id = u.id
+  LEFT JOIN transactions t ON t.id = p.transactions_id
+  LEFT JOIN media_products mp ON mp.products_id = pr.id
+    AND mp.id = (SELECT MIN(id) FROM media_products WHERE products_id = pr.id)
+`;
+
+/**
+ * List a buyer's orders
+ * @param {number} userId - Buyer ID
+ * @param {object} options - { skip, limit, status } where status is a delivery_status or 'all'
+ * @returns {Promise<{ orders: Array, totalOrders: number }>}
+ */
+const getUserOrders = async (userId, { skip = 0, limit = 20, status = 'all' } = {}) => {
+  let where = 'WHERE p.user_id = ? AND p.status = 1';
+  const params = [userId];
+  if (status && status !== 'all') {
+    where += ' AND p.delivery_status = ?';
+    params.push(status);
+  }
+
+  try {
+    const [countRows] = await pool.query(`SELECT COUNT(*) as total FROM purchases p ${where}`, params);
+    const [orders] = await pool.query(
+      `${ORDER_SELECT} ${where} ORDER BY p.id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, skip]
+    );
+    return { orders, totalOrders: countRows[0]?.total || 0 };
+  } catch (error) {
+    logError('Error getting user orders:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single order of a buyer
+ * @param {number} userId - Buyer ID
+ * @param {number} purchaseId - Purchase ID
+ * @returns {Promise<object|null>} Order row or null
+ */
+const getUserOrderById = async (userId, purchaseId) => {
+  try {
+    const [rows] = await pool.query(`${ORDER_SELECT} WHERE p.id = ? AND p.user_id = ? AND p.status = 1`, [purchaseId, userId]);
+    return rows[0] || null;
+  } catch (error) {
+    logError('Error getting user order:', error);
+    return null;
+  }
+};
+
+/**
+ * Lock a purchase together with its product owner for a status change
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} purchaseId - Purchase ID
+ * @returns {Promise<object|null>} Purchase row (with owner_id, product_name) or null
+ */
+const getPurchaseForUpdate = async (conn, purchaseId) => {
+  const [rows] = await conn.query(
+    `SELECT p.*, pr.user_id as owner_id, pr.name as product_name, pr.type as product_type
+     FROM purchases p
+     INNER JOIN products pr ON p.products_id = pr.id
+     WHERE p.id = ? AND p.status = 1
+     FOR UPDATE`,
+    [purchaseId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Update the delivery status of a purchase
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} purchaseId - Purchase ID
+ * @param {string} status - pending, delivered, rejected or cancelled
+ */
+const setPurchaseDeliveryStatus = async (conn, purchaseId, status) => {
+  await conn.query('UPDATE purchases SET delivery_status = ?, updated_at = NOW() WHERE id = ?', [status, purchaseId]);
+};
+
+/**
+ * Deliver or reject a pending order as its creator, moving the held payment accordingly.
+ * Delivered orders release the creator share; rejected orders refund the buyer.
+ * Orders placed before wallet checkout have no transactions_id and only change status.
+ * @param {number} creatorId - Creator (product owner) ID
+ * @param {number} purchaseId - Purchase ID
+ * @param {string} status - 'delivered' or 'rejected'
+ * @returns {Promise<object>} { purchaseId, buyerId, productName, status, amount }
+ * @throws {Error} statusCode 400 for an invalid status, 404 when not found or not pending
+ */
+const settleCreatorPurchase = async (creatorId, purchaseId, status) => {
+  if (!['delivered', 'rejected'].includes(status)) {
+    throw walletError(400, 'Invalid status');
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const purchase = await getPurchaseForUpdate(conn, purchaseId);
+    if (!purchase || purchase.owner_id !== creatorId || purchase.delivery_status !== 'pending') {
+      throw walletError(404, 'Purchase not found or not eligible for update');
+    }
+
+    await setPurchaseDeliveryStatus(conn, purchaseId, status);
+
+    let amount = 0;
+    if (purchase.transactions_id) {
+      amount = status === 'delivered'
+        ? await releaseHeldPayment(conn, purchase.transactions_id)
+        : (await refundWalletPayment(conn, purchase.transactions_id)).amount;
+    }
+
+    await conn.commit();
+    conn.release();
+
+    logInfo('Updated purchase delivery_status', { purchaseId, status, amount });
+    return { purchaseId, buyerId: purchase.user_id, productName: purchase.product_name, status, amount };
+  } catch (error) {
+    await conn.rollback();
+    conn.release();
+    throw error;
+  }
+};
+
+/**
+ * List the downloadable files of a product as S3 keys.
+ * Only products.file is delivered: media_products rows are the shop gallery (previews and
+ * cover images), so a product without a file has nothing to download.
+ * @param {number} productId - Product ID
+ * @returns {Promise<Array<{ key: string, fileName: string }>>} Empty when the product has no file
+ */
+const getOrderDownloadFiles = async (productId) => {
+  const [productRows] = await pool.query('SELECT file FROM products WHERE id = ?', [productId]);
+  const name = productRows[0]?.file;
+  if (!name) return [];
+
+  return [{
+    key: `uploads/shop/${name.replace(/^uploads\/shop\//, '')}`,
+    fileName: name.split('/').pop()
+  }];
+};
+
+/**
+ * Count logged downloads of an order
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} purchaseId - Purchase ID
+ * @returns {Promise<number>} Downloads so far
+ */
+const countOrderDownloads = async (conn, purchaseId) => {
+  const [rows] = await conn.query('SELECT COUNT(*) as total FROM purchase_downloads WHERE purchase_id = ?', [purchaseId]);
+  return Number(rows[0]?.total) || 0;
+};
+
+/**
+ * Insert a download audit row
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {object} data - { purchaseId, userId, ip, userAgent }
+ * @returns {Promise<number>} Inserted row ID
+ */
+const logOrderDownload = async (conn, { purchaseId, userId, ip, userAgent }) => {
+  const [result] = await conn.query(
+    'INSERT INTO purchase_downloads (purchase_id, user_id, ip_address, user_agent, created_at) VALUES (?, ?, ?, ?, NOW())',
+    [purchaseId, userId, ip, userAgent]
+  );
+  return result.insertId;
+};
+
+// Export all functions at the end
+export {
+  INSTANT_DELIVERY_TYPES,
+  getProductForPurchase,
+  createPurchase,
+  getUserOrders,
+  getUserOrderById,
+  getPurchaseForUpdate,
+  setPurchaseDeliveryStatus,
+  settleCreatorPurchase,
+  getOrderDownloadFiles,
+  countOrderDownloads,
+  logOrderDownload
+};
@@ -0,0 +1,409 @@
+/**
+ * @file passkeys.js
+ * @description WebAuthn passkeys: registration and assertion verification plus credential storage
+ *
+ * Only what passkeys need is implemented, with Node's crypto (no WebAuthn library):
+ * - Attestation is requested as 'none' and the attestation statement is not checked, so any
+ *   platform or roaming authenticator can register; the credential key comes from authData.
+ * - Supported algorithms: ES256/ES384/ES512, RS256 and EdDSA (Ed25519).
+ * - Challenges are stateless: random bytes, an expiry and an HMAC binding them to the ceremony
+ *   and user. The controller burns each one in the challenge store (consumeChallengeIfFresh)
+ *   so a signed response cannot be replayed within its lifetime.
+ *
+ * Configuration:
+ * - WEBAUTHN_RP_ID: Relying party ID, the site's registrable domain (default bingeme.com)
+ * - WEBAUTHN_RP_NAME: Name shown by the authenticator (default BingeMe)
+ * - WEBAUTHN_ORIGINS: Comma-separated allowed origins, including app origins such as
+ *   android:apk-key-hash:... (default https://<rp id>)
+ *
+ * FUNCTIONS:
+ * - getRelyingParty: RP ID, name and allowed origins
+ * - createPasskeyChallenge / verifyPasskeyChallenge: Signed ceremony challenges
+ * - verifyRegistrationResponse: Check navigator.credentials.create() output
+ * - verifyAuthenticationResponse: Check navigator.credentials.get() output against a stored passkey
+ * - getUserPasskeys / getPasskeyByCredentialId: Stored credentials
+ * - savePasskey / updatePasskeyUsage / deletePasskey: Credential persistence
+ *
+ * Database Tables: user_passkeys
+ */
+
+import crypto from 'crypto';
+import { pool } from '../config/database.js';
+import { logInfo } from './common.js';
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const CHALLENGE_NONCE_BYTES = 16;
+const HMAC_BYTES = 32;
+
+// authenticatorData flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_DATA = 0x40;
+
+/**
+ * COSE algorithms accepted for new passkeys, in order of preference
+ */
+const SUPPORTED_ALGORITHMS = [-7, -8, -257, -35, -36];
+
+/**
+ * Hash passed to crypto.verify per COSE algorithm (null: EdDSA hashes internally)
+ */
+const ALGORITHM_HASHES = { '-7': 'sha256', '-35': 'sha384', '-36': 'sha512', '-257': 'sha256', '-8': null };
+
+const EC_CURVES = { 1: 'P-256', 2: 'P-384', 3: 'P-521' };
+
+/**
+ * Error raised when a client response fails verification; the message is safe to return
+ */
+const passkeyError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+/**
+ * RP ID, name and allowed origins
+ * @returns {{ id: string, name: string, origins: string[] }}
+ */
+const getRelyingParty = () => {
+  const id = process.env.WEBAUTHN_RP_ID || 'bingeme.com';
+  const origins = (process.env.WEBAUTHN_ORIGINS || `https://${id}`)
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+  return { id, name: process.env.WEBAUTHN_RP_NAME || 'BingeMe', origins };
+};
+
+const toBuffer = (value) => Buffer.from(String(value || ''), 'base64url');
+
+/**
+ * Decode one CBOR item (RFC 8949), enough for attestation objects and COSE keys
+ * @returns {[any, number]} Value and offset after it
+ */
+const decodeCbor = (buffer, offset = 0) => {
+  if (offset >= buffer.length) throw passkeyError('Malformed CBOR data');
+  const initial = buffer[offset];
+  const majorType = initial >> 5;
+  const info = initial & 31;
+  let pos = offset + 1;
+
+  let length = info;
+  if (info === 24) { length = buffer.readUInt8(pos); pos += 1; }
+  else if (info === 25) { length = buffer.readUInt16BE(pos); pos += 2; }
+  else if (info === 26) { length = buffer.readUInt32BE(pos); pos += 4; }
+  else if (info === 27) { length = Number(buffer.readBigUInt64BE(pos)); pos += 8; }
+  else if (info > 27) throw passkeyError('Unsupported CBOR encoding');
+
+  switch (majorType) {
+    case 0: return [length, pos];
+    case 1: return [-1 - length, pos];
+    case 2:
+      if (pos + length > buffer.length) throw passkeyError('Malformed CBOR data');
+      return [buffer.subarray(pos, pos + length), pos + length];
+    case 3:
+      if (pos + length > buffer.length) throw passkeyError('Malformed CBOR data');
+      return [buffer.toString('utf8', pos, pos + length), pos + length];
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const [item, next] = decodeCbor(buffer, pos);
+        items.push(item);
+        pos = next;
+      }
+      return [items, pos];
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const [key, afterKey] = decodeCbor(buffer, pos);
+        const [value, afterValue] = decodeCbor(buffer, afterKey);
+        map.set(key, value);
+        pos = afterValue;
+      }
+      return [map, pos];
+    }
+    case 7:
+      if (info === 20) return [false, pos];
+      if (info === 21) return [true, pos];
+      if (info === 22) return [null, pos];
+      throw passkeyError('Unsupported CBOR value');
+    default:
+      throw passkeyError('Unsupported CBOR value');
+  }
+};
+
+/**
+ * Split authenticatorData into its fields (and the attested credential, when present)
+ */
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) throw passkeyError('Invalid authenticator data');
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (parsed.flags & FLAG_ATTESTED_DATA) {
+    if (authData.length < 55) throw passkeyError('Invalid authenticator data');
+    const aaguid = authData.subarray(37, 53).toString('hex');
+    const idLength = authData.readUInt16BE(53);
+    const credentialId = authData.subarray(55, 55 + idLength);
+    const [coseKey] = decodeCbor(authData, 55 + idLength);
+    parsed.aaguid = aaguid.replace(/(.{8})(.{4})(.{4})(.{4})(.{12})/, '$1-$2-$3-$4-$5');
+    parsed.credentialId = credentialId;
+    parsed.coseKey = coseKey;
+  }
+  return parsed;
+};
+
+/**
+ * Convert a COSE public key to a SPKI PEM
+ * @returns {{ publicKey: string, algorithm: number }}
+ */
+const coseKeyToPem = (coseKey) => {
+  if (!(coseKey instanceof Map)) throw passkeyError('Invalid credential public key');
+  const kty = coseKey.get(1);
+  const algorithm = coseKey.get(3);
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) throw passkeyError('Unsupported passkey algorithm');
+
+  const b64 = (value) => Buffer.from(value).toString('base64url');
+  let jwk;
+  if (kty === 2 && EC_CURVES[coseKey.get(-1)]) {
+    jwk = { kty: 'EC', crv: EC_CURVES[coseKey.get(-1)], x: b64(coseKey.get(-2)), y: b64(coseKey.get(-3)) };
+  } else if (kty === 3) {
+    jwk = { kty: 'RSA', n: b64(coseKey.get(-1)), e: b64(coseKey.get(-2)) };
+  } else if (kty === 1 && coseKey.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: b64(coseKey.get(-2)) };
+  } else {
+    throw passkeyError('Unsupported passkey key type');
+  }
+
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+  return { publicKey, algorithm };
+};
+
+const signChallenge = (purpose, userId, nonce, expiresAt) => crypto
+  .createHmac('sha256', process.env.ENCRYPT_SECRET_ID)
+  .update(`webauthn:${purpose}:${userId || ''}:${nonce.toString('hex')}:${expiresAt}`)
+  .digest();
+
+/**
+ * Create a ceremony challenge: nonce, expiry (unix seconds) and HMAC, base64url encoded
+ * @param {'register'|'login'} purpose - Ceremony
+ * @param {number|null} userId - User registering a passkey; null for sign-in
+ * @returns {string} Challenge for the client options
+ */
+const createPasskeyChallenge = (purpose, userId = null) => {
+  const nonce = crypto.randomBytes(CHALLENGE_NONCE_BYTES);
+  const expiresAt = Math.floor(Date.now() / 1000) + CHALLENGE_TTL_SECONDS;
+  const expiry = Buffer.alloc(4);
+  expiry.writeUInt32BE(expiresAt);
+  return Buffer.concat([nonce, expiry, signChallenge(purpose, userId, nonce, expiresAt)]).toString('base64url');
+};
+
+/**
+ * Check that a challenge was issued by us for this ceremony and user and has not expired
+ * @returns {boolean}
+ */
+const verifyPasskeyChallenge = (challenge, purpose, userId = null) => {
+  const raw = toBuffer(challenge);
+  if (raw.length !== CHALLENGE_NONCE_BYTES + 4 + HMAC_BYTES) return false;
+  const nonce = raw.subarray(0, CHALLENGE_NONCE_BYTES);
+  const expiresAt = raw.readUInt32BE(CHALLENGE_NONCE_BYTES);
+  const expected = signChallenge(purpose, userId, nonce, expiresAt);
+  if (!crypto.timingSafeEqual(expected, raw.subarray(CHALLENGE_NONCE_BYTES + 4))) return false;
+  return expiresAt >= Math.floor(Date.now() / 1000);
+};
+
+/**
+ * Parse clientDataJSON and check its type, challenge and origin
+ * @returns {{ clientData: object, clientDataHash: Buffer }}
+ */
+const verifyClientData = (clientDataJSON, type, purpose, userId) => {
+  const raw = toBuffer(clientDataJSON);
+  let clientData;
+  try {
+    clientData = JSON.parse(raw.toString('utf8'));
+  } catch {
+    throw passkeyError('Invalid clientDataJSON');
+  }
+
+  if (clientData.type !== type) throw passkeyError('Unexpected WebAuthn ceremony type');
+  if (!verifyPasskeyChallenge(clientData.challenge, purpose, userId)) throw passkeyError('Passkey challenge expired or invalid');
+  if (!getRelyingParty().origins.includes(clientData.origin)) throw passkeyError('Passkey origin not allowed');
+
+  return { clientData, clientDataHash: crypto.createHash('sha256').update(raw).digest() };
+};
+
+/**
+ * Check the RP ID hash and user presence of authenticatorData
+ */
+const verifyAuthenticatorFlags = (authData) => {
+  const rpIdHash = crypto.createHash('sha256').update(getRelyingParty().id).digest();
+  if (!crypto.timingSafeEqual(rpIdHash, authData.rpIdHash)) throw passkeyError('Passkey was created for another site');
+  if (!(authData.flags & FLAG_USER_PRESENT)) throw passkeyError('User presence is required');
+};
+
+/**
+ * Check navigator.credentials.create() output for a registration challenge of this user
+ * @param {object} credential - PublicKeyCredential JSON ({ id, rawId, response: { clientDataJSON, attestationObject, transports } })
+ * @param {number} userId - User registering the passkey
+ * @returns {{ credentialId: string, publicKey: string, algorithm: number, signCount: number, aaguid: string,
+ *   backedUp: boolean, transports: string[], challenge: string }}
+ */
+const verifyRegistrationResponse = (credential, userId) => {
+  const response = credential?.response || {};
+  if (!credential?.id || !response.clientDataJSON || !response.attestationObject) {
+    throw passkeyError('id, response.clientDataJSON and response.attestationObject are required');
+  }
+
+  const { clientData } = verifyClientData(response.clientDataJSON, 'webauthn.create', 'register', userId);
+
+  const [attestation] = decodeCbor(toBuffer(response.attestationObject));
+  const rawAuthData = attestation instanceof Map ? attestation.get('authData') : null;
+  if (!Buffer.isBuffer(rawAuthData)) throw passkeyError('Invalid attestation object');
+
+  const authData = parseAuthenticatorData(rawAuthData);
+  verifyAuthenticatorFlags(authData);
+  if (!authData.credentialId) throw passkeyError('Attested credential data is missing');
+
+  const credentialId = authData.credentialId.toString('base64url');
+  if (credentialId !== credential.id) throw passkeyError('Credential ID mismatch');
+
+  const { publicKey, algorithm } = coseKeyToPem(authData.coseKey);
+  return {
+    credentialId,
+    publicKey,
+    algorithm,
+    signCount: authData.signCount,
+    aaguid: authData.aaguid,
+    backedUp: Boolean(authData.flags & FLAG_BACKED_UP),
+    transports: Array.isArray(response.transports) ? response.transports.filter(t => typeof t === 'string') : [],
+    challenge: clientData.challenge
+  };
+};
+
+/**
+ * Check navigator.credentials.get() output against the stored passkey it names
+ * @param {object} credential - PublicKeyCredential JSON ({ id, response: { clientDataJSON, authenticatorData, signature, userHandle } })
+ * @param {object} passkey - Row from getPasskeyByCredentialId
+ * @returns {{ signCount: number, userVerified: boolean, backedUp: boolean, challenge: string }}
+ */
+const verifyAuthenticationResponse = (credential, passkey) => {
+  const response = credential?.response || {};
+  if (!response.clientDataJSON || !response.authenticatorData || !response.signature) {
+    throw passkeyError('response.clientDataJSON, response.authenticatorData and response.signature are required');
+  }
+
+  const { clientData, clientDataHash } = verifyClientData(response.clientDataJSON, 'webauthn.get', 'login', null);
+
+  const rawAuthData = toBuffer(response.authenticatorData);
+  const authData = parseAuthenticatorData(rawAuthData);
+  verifyAuthenticatorFlags(authData);
+
+  if (response.userHandle && toBuffer(response.userHandle).toString('utf8') !== passkey.user_handle) {
+    throw passkeyError('Passkey does not belong to this account');
+  }
+
+  const algorithm = Number(passkey.algorithm);
+  const signedData = Buffer.concat([rawAuthData, clientDataHash]);
+  let valid = false;
+  try {
+    valid = crypto.verify(ALGORITHM_HASHES[algorithm], signedData, passkey.public_key, toBuffer(response.signature));
+  } catch {
+    // Malformed signature encoding
+  }
+  if (!valid) throw passkeyError('Invalid passkey signature');
+
+  // A counter that does not move forward points at a cloned authenticator (synced passkeys always send 0)
+  const storedCount = Number(passkey.sign_count) || 0;
+  if ((authData.signCount > 0 || storedCount > 0) && authData.signCount <= storedCount) {
+    throw passkeyError('Passkey signature counter did not increase');
+  }
+
+  return {
+    signCount: authData.signCount,
+    userVerified: Boolean(authData.flags & FLAG_USER_VERIFIED),
+    backedUp: Boolean(authData.flags & FLAG_BACKED_UP),
+    challenge: clientData.challenge
+  };
+};
+
+/**
+ * Passkeys of a user, newest first
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>}
+ */
+const getUserPasskeys = async (userId) => {
+  const [rows] = await pool.query(
+    `SELECT id, credential_id, name, transports, aaguid, backed_up, created_at, last_used_at
+     FROM user_passkeys WHERE user_id = ?
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return rows;
+};
+
+/**
+ * Stored passkey of a credential ID
+ * @param {string} credentialId - base64url credential ID
+ * @returns {Promise<object|null>}
+ */
+const getPasskeyByCredentialId = async (credentialId) => {
+  const [rows] = await pool.query('SELECT * FROM user_passkeys WHERE credential_id = ?', [String(credentialId)]);
+  return rows[0] || null;
+};
+
+/**
+ * Store a verified passkey
+ * @param {number} userId - Owner
+ * @param {object} passkey - Result of verifyRegistrationResponse, plus userHandle and name
+ * @returns {Promise<number|null>} New row ID, or null when the credential is already registered
+ */
+const savePasskey = async (userId, { credentialId, publicKey, algorithm, signCount, aaguid, backedUp, transports, userHandle, name }) => {
+  const [result] = await pool.query(
+    `INSERT IGNORE INTO user_passkeys
+       (user_id, credential_id, public_key, algorithm, sign_count, user_handle, aaguid, backed_up, transports, name, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [userId, credentialId, publicKey, algorithm, signCount, userHandle, aaguid, backedUp ? 1 : 0, transports.join(','), name]
+  );
+  if (result.affectedRows === 0) return null;
+  logInfo('Passkey registered', { userId, passkeyId: result.insertId });
+  return result.insertId;
+};
+
+/**
+ * Record a successful sign-in with a passkey
+ * @param {number} passkeyId - Row ID
+ * @param {{ signCount: number, backedUp: boolean }} usage - From verifyAuthenticationResponse
+ */
+const updatePasskeyUsage = async (passkeyId, { signCount, backedUp }) => {
+  await pool.query(
+    'UPDATE user_passkeys SET sign_count = ?, backed_up = ?, last_used_at = NOW() WHERE id = ?',
+    [signCount, backedUp ? 1 : 0, passkeyId]
+  );
+};
+
+/**
+ * Revoke one of a user's passkeys
+ * @param {number} userId - Owner
+ * @param {number} passkeyId - Row ID
+ * @returns {Promise<boolean>} False when the passkey does not exist or belongs to someone else
+ */
+const deletePasskey = async (userId, passkeyId) => {
+  const [result] = await pool.query('DELETE FROM user_passkeys WHERE id = ? AND user_id = ?', [passkeyId, userId]);
+  if (result.affectedRows > 0) logInfo('Passkey revoked', { userId, passkeyId });
+  return result.affectedRows > 0;
+};
+
+// Export all functions at the end
+export {
+  SUPPORTED_ALGORITHMS,
+  getRelyingParty,
+  createPasskeyChallenge,
+  verifyPasskeyChallenge,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+  getUserPasskeys,
+  getPasskeyByCredentialId,
+  savePasskey,
+  updatePasskeyUsage,
+  deletePasskey
+};
@@ -0,0 +1,103 @@
+/**
+ * @file paymentProviders.js
+ * @description Pluggable payment providers used for wallet top-ups
+ *
+ * A provider is a plain object with:
+ * - name: Identifier stored in transactions.payment_gateway
+ * - createPayment({ reference, userId, amount, currency, metadata }):
+ *     Start a payment. Resolves { status, providerReference, checkoutUrl }.
+ * - verifyPayment({ reference, payload }):
+ *     Check a payment started earlier (after a redirect or callback). Resolves { status, providerReference }.
+ * `status` is always one of PAYMENT_STATUS. `reference` is our transactions.txn_id.
+ *
+ * The active provider comes from PAYMENT_PROVIDER. The `fake` provider settles payments
+ * locally without any network call and is meant for development and testing only; it is
+ * only ever used when PAYMENT_PROVIDER=fake is set explicitly.
+ *
+ * FUNCTIONS:
+ * - registerPaymentProvider: Add or replace a provider in the registry
+ * - getPaymentProvider: Resolve a provider by name (defaults to PAYMENT_PROVIDER)
+ * - isFakePaymentProviderEnabled: Whether PAYMENT_PROVIDER explicitly selects the fake provider
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { logInfo } from './common.js';
+import { walletError } from './wallet.js';
+
+/**
+ * Payment outcomes reported by providers
+ */
+const PAYMENT_STATUS = {
+  COMPLETED: 'completed',
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+/**
+ * Local provider that never leaves the process.
+ * Pass metadata.simulate (createPayment) or payload.simulate (verifyPayment) as
+ * 'completed', 'pending' or 'failed' to choose the outcome; defaults to completed.
+ */
+const fakePaymentProvider = {
+  name: 'fake',
+
+  createPayment: async ({ reference, amount, metadata = {} }) => {
+    const status = Object.values(PAYMENT_STATUS).includes(metadata.simulate) ? metadata.simulate : PAYMENT_STATUS.COMPLETED;
+    logInfo('Fake payment created', { reference, amount, status });
+    return {
+      status,
+      providerReference: `fake_${uuidv4()}`,
+      checkoutUrl: status === PAYMENT_STATUS.PENDING ? `/wallet/topup/${reference}/confirm` : null
+    };
+  },
+
+  verifyPayment: async ({ reference, payload = {} }) => {
+    const status = Object.values(PAYMENT_STATUS).includes(payload.simulate) ? payload.simulate : PAYMENT_STATUS.COMPLETED;
+    logInfo('Fake payment verified', { reference, status });
+    return { status, providerReference: payload.provider_reference || `fake_${uuidv4()}` };
+  }
+};
+
+const providers = new Map([[fakePaymentProvider.name, fakePaymentProvider]]);
+
+/**
+ * Add or replace a payment provider
+ * @param {object} provider - Provider implementing name, createPayment and verifyPayment
+ */
+const registerPaymentProvider = (provider) => {
+  if (!provider?.name || typeof provider.createPayment !== 'function' || typeof provider.verifyPayment !== 'function') {
+    throw new Error('Payment provider must implement name, createPayment and verifyPayment');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Whether PAYMENT_PROVIDER explicitly selects the fake provider
+ * @returns {boolean}
+ */
+const isFakePaymentProviderEnabled = () => process.env.PAYMENT_PROVIDER === fakePaymentProvider.name;
+
+/**
+ * Resolve a payment provider.
+ * The fake provider is refused unless PAYMENT_PROVIDER explicitly selects it, in every environment.
+ * @param {string} [name] - Provider name, defaults to PAYMENT_PROVIDER
+ * @returns {object} Provider
+ * @throws {Error} statusCode 503 when no usable provider is configured
+ */
+const getPaymentProvider = (name) => {
+  const providerName = name || process.env.PAYMENT_PROVIDER;
+  const provider = providerName ? providers.get(providerName) : null;
+
+  if (!provider || (provider === fakePaymentProvider && !isFakePaymentProviderEnabled())) {
+    throw walletError(503, 'Wallet top-up is not available');
+  }
+  return provider;
+};
+
+// Export all functions at the end
+export {
+  PAYMENT_STATUS,
+  registerPaymentProvider,
+  getPaymentProvider,
+  isFakePaymentProviderEnabled
+};
@@ -217,7 +217,28 @@ const storePayoutConversation = async (conversationData) => {
 };
 
 /**
- * Get payout history for user
+ * Withdrawal request statuses, in lifecycle order.
+ * pending -> processing -> paid; pending/processing -> rejected (held funds are returned)
+ */
+const WITHDRAWAL_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  PAID: 'paid',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Allowed status transitions per current status
+ */
+const WITHDRAWAL_TRANSITIONS = {
+  [WITHDRAWAL_STATUS.PENDING]: [WITHDRAWAL_STATUS.PROCESSING, WITHDRAWAL_STATUS.REJECTED],
+  [WITHDRAWAL_STATUS.PROCESSING]: [WITHDRAWAL_STATUS.PAID, WITHDRAWAL_STATUS.REJECTED],
+  [WITHDRAWAL_STATUS.PAID]: [],
+  [WITHDRAWAL_STATUS.REJECTED]: []
+};
+
+/**
+ * Get payout (withdrawal) history for user
  */
 const getPayoutHistory = async (userId, skip = 0, limit = 10) => {
   try {
@@ -230,10 +251,10 @@ const getPayoutHistory = async (userId, skip = 0, limit = 10) => {
         user_id,
         amount,
         status,
-        payment_method,
+        gateway as payment_method,
         created_at,
         processed_at
-      FROM payouts 
+      FROM withdrawals 
       WHERE user_id = ?
       ORDER BY created_at DESC
       LIMIT ? OFFSET ?
@@ -248,26 +269,41 @@ const getPayoutHistory = async (userId, skip = 0, limit = 10) => {
 };
 
 /**
- * Create payout request
+ * Get a single withdrawal request, optionally locking it (pass a transaction connection)
  */
-const createPayoutRequest = async (payoutData) => {
+const getPayoutRequestById = async (payoutId, conn = pool, forUpdate = false) => {
+  const [rows] = await conn.query(
+    `SELECT id, user_id, amount, gateway, status, created_at, processed_at
+     FROM withdrawals
+     WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [payoutId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Create payout (withdrawal) request
+ */
+const createPayoutRequest = async (payoutData, conn = pool) => {
   try {
     const { 
       user_id, 
       amount, 
       payment_method, 
-      status = 'pending' 
+      account = '',
+      status = WITHDRAWAL_STATUS.PENDING 
     } = payoutData;
     
     const query = `
-      INSERT INTO payouts (user_id, amount, payment_method, status, created_at) 
-      VALUES (?, ?, ?, ?, NOW())
+      INSERT INTO withdrawals (user_id, amount, gateway, account, status, created_at, updated_at) 
+      VALUES (?, ?, ?, ?, ?, NOW(), NOW())
     `;
     
-    const [result] = await pool.query(query, [
+    const [result] = await conn.query(query, [
       user_id, 
       amount, 
       payment_method, 
+      account,
       status
     ]);
     
@@ -280,17 +316,17 @@ const createPayoutRequest = async (payoutData) => {
 };
 
 /**
- * Update payout status
+ * Update payout (withdrawal) status
  */
-const updatePayoutStatus = async (payoutId, status, processedAt = null) => {
+const updatePayoutStatus = async (payoutId, status, processedAt = null, conn = pool) => {
   try {
     const query = `
-      UPDATE payouts 
-      SET status = ?, processed_at = ? 
+      UPDATE withdrawals 
+      SET status = ?, processed_at = ?, updated_at = NOW() 
       WHERE id = ?
     `;
     
-    await pool.query(query, [status, processedAt, payoutId]);
+    await conn.query(query, [status, processedAt, payoutId]);
     logInfo(`Updated payout status: ${payoutId} -> ${status}`);
   } catch (error) {
     logError('Error updating payout status:', error);
@@ -298,6 +334,28 @@ const updatePayoutStatus = async (payoutId, status, processedAt = null) => {
   }
 };
 
+/**
+ * Hold withdrawal funds by debiting the creator balance (reference_type 'withdrawal', reference_id is the withdrawal ID)
+ */
+const holdPayoutFunds = async (conn, userId, amount, payoutId) => {
+  await conn.query(
+    `INSERT INTO user_balance (user_id, role, type, amount, reference_type, reference_id, created_at)
+     VALUES (?, 'creator', 'debit', ?, 'withdrawal', ?, NOW())`,
+    [userId, amount, payoutId]
+  );
+};
+
+/**
+ * Return held funds of a rejected withdrawal to the creator balance
+ */
+const releasePayoutFunds = async (conn, userId, amount, payoutId) => {
+  await conn.query(
+    `INSERT INTO user_balance (user_id, role, type, amount, reference_type, reference_id, created_at)
+     VALUES (?, 'creator', 'credit', ?, 'withdrawal', ?, NOW())`,
+    [userId, amount, payoutId]
+  );
+};
+
 /**
  * Delete user payout method by clearing all payment-related fields
  * Mirrors Lambda behavior: sets payment_gateway, bank, paypal_account to empty strings
@@ -322,8 +380,13 @@ export {
   sanitizePayoutData,
   getPayoutConversations,
   storePayoutConversation,
+  WITHDRAWAL_STATUS,
+  WITHDRAWAL_TRANSITIONS,
   getPayoutHistory,
+  getPayoutRequestById,
   createPayoutRequest,
   updatePayoutStatus,
+  holdPayoutFunds,
+  releasePayoutFunds,
   deleteUserPayoutMethod
 };
\ No newline at end of file
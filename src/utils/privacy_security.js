@@ -1,5 +1,7 @@
+import crypto from 'crypto';
+import { UAParser } from 'ua-parser-js';
 import { pool } from '../config/database.js';
-import { logInfo, logError, generateOTP, verifyEmailOTP } from './common.js';
+import { logInfo, logError, generateOTP, verifyEmailOTP, getUserSessionsWithDeviceInfo, revokeSessionsByTokens } from './common.js';
 
 /**
  * Fetch privacy and security details for user
@@ -35,16 +37,20 @@ const fetchPrivacySecurityDetails = async (userId) => {
  */
 const updatePrivacySecurityDetails = async (userId, settings) => {
   try {
-    const { privacy_settings, security_settings } = settings;
-    
+    // Only overwrite the groups that were sent
+    const updates = ['privacy_settings', 'security_settings'].filter(column => settings[column] !== undefined);
+    if (updates.length === 0) return true;
+
     const query = `
       UPDATE users 
-      SET privacy_settings = ?, security_settings = ?, updated_at = NOW() 
+      SET ${updates.map(column => `${column} = ?`).join(', ')}, updated_at = NOW() 
       WHERE id = ? AND status != "deleted"
     `;
     
-    await pool.query(query, [privacy_settings, security_settings, userId]);
+    const values = updates.map(column => JSON.stringify(settings[column]));
+    const [result] = await pool.query(query, [...values, userId]);
     logInfo(`Updated privacy security details for user: ${userId}`);
+    return result.affectedRows > 0;
   } catch (error) {
     logError('Error updating privacy security details:', error);
     throw error;
@@ -155,24 +161,98 @@ const reactivateUserAccount = async (userId) => {
 };
 
 /**
- * Clear user sessions
+ * Clear user sessions: MySQL sessions rows and all DynamoDB refresh tokens
+ * @returns {Promise<object>} { success, mysqlDeleted, dynamoDeleted, totalDeleted }
  */
 const clearUserSessions = async (userId) => {
   try {
     // Clear from sessions table (if using MySQL)
     const sessionsQuery = `DELETE FROM sessions WHERE user_id = ?`;
-    await pool.query(sessionsQuery, [userId]);
-    
-    // Clear from DynamoDB sessions table
-    // This would be handled by the common.js functions
-    
-    logInfo(`Cleared sessions for user: ${userId}`);
+    const [result] = await pool.query(sessionsQuery, [userId]);
+    const mysqlDeleted = result.affectedRows;
+
+    // Revoke every refresh token in the DynamoDB sessions table, rotated ones included
+    const sessions = await getUserSessionsWithDeviceInfo(userId, { includeRotated: true });
+    const dynamoDeleted = await revokeSessionsByTokens(sessions.map(session => session.token), String(userId));
+
+    logInfo(`Cleared sessions for user: ${userId}`, { mysqlDeleted, dynamoDeleted });
+    return {
+      success: dynamoDeleted === sessions.length,
+      mysqlDeleted,
+      dynamoDeleted,
+      totalDeleted: mysqlDeleted + dynamoDeleted
+    };
   } catch (error) {
     logError('Error clearing user sessions:', error);
     throw error;
   }
 };
 
+/**
+ * ID of a session as shown to the user: its refresh token family, which stays the same across
+ * rotations. Tokens issued before families existed fall back to a hash of the token.
+ */
+const getSessionId = (session) => session.familyId ||
+  crypto.createHash('sha256').update(session.token).digest('hex').slice(0, 32);
+
+/**
+ * List a user's signed-in sessions (one per refresh token family), current session first
+ * @param {number} userId - User ID
+ * @param {string|null} currentSessionId - sid claim of the request's access token
+ * @returns {Promise<Array>} Sessions with device, app, IP, location and timestamps
+ */
+const getUserSessionList = async (userId, currentSessionId = null) => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const sessions = (await getUserSessionsWithDeviceInfo(userId))
+    // DynamoDB TTL deletes expired items late
+    .filter(session => !session.expiresAt || session.expiresAt > nowSeconds);
+
+  // Rotation leaves one live token per family; keep the newest should a concurrent refresh leave two
+  const byId = new Map();
+  for (const session of sessions) {
+    const id = getSessionId(session);
+    const known = byId.get(id);
+    if (!known || String(session.createdAt) > String(known.createdAt)) byId.set(id, session);
+  }
+
+  return [...byId.entries()]
+    .map(([id, session]) => {
+      const ua = new UAParser(session.app || '').getResult();
+      return {
+        id,
+        device: {
+          browser: ua.browser.name || null,
+          os: [ua.os.name, ua.os.version].filter(Boolean).join(' ') || null,
+          model: [ua.device.vendor, ua.device.model].filter(Boolean).join(' ') || null,
+          type: ua.device.type || 'desktop'
+        },
+        app: session.app,
+        ip_address: session.ipAddress || null,
+        location: session.location,
+        signed_in_at: session.sessionStartedAt || null,
+        // Every refresh stores a new token, so the live token was created when the session was last used
+        last_used_at: session.createdAt || null,
+        expires_at: session.expiresAt ? new Date(session.expiresAt * 1000).toISOString() : null,
+        current: Boolean(currentSessionId) && id === currentSessionId
+      };
+    })
+    .sort((a, b) => (b.current - a.current) || String(b.last_used_at).localeCompare(String(a.last_used_at)));
+};
+
+/**
+ * Revoke one session: every refresh token of its family, rotated ones included
+ * @param {number} userId - User ID
+ * @param {string} sessionId - Session ID from getUserSessionList
+ * @returns {Promise<number>} Number of tokens revoked (0 when the session does not exist)
+ */
+const revokeUserSession = async (userId, sessionId) => {
+  const sessions = await getUserSessionsWithDeviceInfo(userId, { includeRotated: true });
+  const tokens = sessions.filter(session => getSessionId(session) === sessionId).map(session => session.token);
+  const count = await revokeSessionsByTokens(tokens, String(userId));
+  if (count > 0) logInfo('Session revoked', { userId, sessionId, tokens: count });
+  return count;
+};
+
 // Export all functions at the end
 export {
   fetchPrivacySecurityDetails,
@@ -182,5 +262,7 @@ export {
   softDeleteUserAccount,
   getAccountRetrieveInfo,
   reactivateUserAccount,
-  clearUserSessions
+  clearUserSessions,
+  getUserSessionList,
+  revokeUserSession
 };
\ No newline at end of file
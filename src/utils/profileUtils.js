@@ -8,6 +8,7 @@
 import { pool, getDB } from '../config/database.js';
 import { RtcTokenBuilder, Role as RtcRole } from '../agora/RtcTokenBuilder2.js';
 import { getAdminSettings, logInfo, logError } from './common.js';
+import { SUBSCRIPTION_ACCESS_CONDITION } from './subscription.js';
 
 /**
  * Get user by ID or username with specific columns
@@ -58,12 +59,10 @@ const getTotalSubscribers = async (userId) => {
   try {
     const db = await getDB();
     const [rows] = await db.execute(
-      `SELECT COUNT(*) as count 
-       FROM subscriptions s 
-       JOIN plans p ON s.stripe_price = p.name
-       WHERE p.user_id = ? 
-       AND p.status = "1"
-       AND ((s.cancelled = 'no' AND s.ends_at > NOW()) OR (s.free = 'yes' AND s.cancelled = 'no'))`,
+      `SELECT COUNT(DISTINCT subscriber_id) as count
+       FROM subscriptions
+       WHERE creator_id = ?
+       AND ${SUBSCRIPTION_ACCESS_CONDITION}`,
       [userId]
     );
     return rows[0]?.count || 0;
@@ -177,8 +176,8 @@ const getProfileStats = async (userId) => {
     );
     
     const [subscribersCount] = await pool.query(
-      `SELECT COUNT(*) as count FROM subscriptions 
-       WHERE creator_id = ? AND status = 'active'`,
+      `SELECT COUNT(DISTINCT subscriber_id) as count FROM subscriptions 
+       WHERE creator_id = ? AND ${SUBSCRIPTION_ACCESS_CONDITION}`,
       [userId]
     );
     
@@ -246,28 +245,6 @@ const generateAgoraToken = async (userId, channelName, role = 1) => {
   }
 };
 
-/**
- * Check if user is subscribed to creator
- * @param {number} userId - The user ID
- * @param {number} creatorId - The creator ID
- * @returns {Promise<boolean>} Subscription status
- */
-const isUserSubscribed = async (userId, creatorId) => {
-  try {
-    const [rows] = await pool.query(
-      `SELECT id FROM subscriptions 
-       WHERE subscriber_id = ? AND creator_id = ? AND status = 'active'`,
-      [userId, creatorId]
-    );
-    
-    return rows.length > 0;
-    
-  } catch (error) {
-    logError('Error checking subscription status', error);
-    return false;
-  }
-};
-
 /**
  * Get user's subscription details
  * @param {number} userId - The user ID
@@ -278,7 +255,8 @@ const getSubscriptionDetails = async (userId, creatorId) => {
   try {
     const [rows] = await pool.query(
       `SELECT * FROM subscriptions 
-       WHERE subscriber_id = ? AND creator_id = ? AND status = 'active'`,
+       WHERE subscriber_id = ? AND creator_id = ? AND ${SUBSCRIPTION_ACCESS_CONDITION}
+       ORDER BY id DESC LIMIT 1`,
       [userId, creatorId]
     );
     
@@ -600,7 +578,6 @@ export {
   updateSubscriptionSettings,
   getProfileStats,
   generateAgoraToken,
-  isUserSubscribed,
   getSubscriptionDetails,
   updateProfileInfo,
   getProfileCompleteness,
@@ -0,0 +1,561 @@
+/**
+ * @file realtime.js
+ * @description WebSocket gateway for chat (attached to the HTTP server in server.js)
+ *
+ * Clients connect to REALTIME_PATH (default /ws) with the same access token used for the REST API,
+ * either as `?token=<jwt>` or an `Authorization: Bearer <jwt>` header. Anonymous tokens are refused.
+ *
+ * Every frame is JSON: { "event": string, "data": object }.
+ * Client -> server:
+ * - conversation:join / conversation:leave { conversation_id }
+ * - typing { conversation_id, is_typing }
+ * - message:delivered { message_ids }
+ * - message:read { conversation_id, message_id } (persisted like POST /messages/conversation/:id/read)
+ * - ping
+ * Server -> client:
+ * - message:new, typing, message:delivered, message:read, unread:count, presence, conversation:joined, pong, error
+ *
+ * With REDIS_HOST set, events are fanned out to every API instance over Redis pub/sub and
+ * presence is counted in Redis; otherwise the gateway only serves sockets of this process.
+ *
+ * FUNCTIONS:
+ * - attachRealtimeGateway: Attach the WebSocket server to an HTTP server
+ * - connectRealtimePublisher: Publish-only Redis connection for workers
+ * - closeRealtimeGateway: Close all sockets and the Redis clients
+ * - emitToUsers: Push an event to every socket of the given users
+ * - emitToConversation: Push an event to the sockets that joined a conversation
+ * - emitUnreadCount: Push a user's unread message total to their sockets
+ * - emitConversationRead: Send a read receipt to the other member and refresh the reader's badge
+ * - isUserOnline: Check whether a user has at least one open socket
+ *
+ * Database Tables: conversations, messages, users
+ */
+
+import crypto from 'crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+import { pool } from '../config/database.js';
+import { connectRedis, closeRedis } from '../config/redis.js';
+import { decodeAccessToken } from '../middleware/auth.js';
+import { logInfo, logError } from './common.js';
+import { getConversationById, getReceivedMessages, markConversationRead, countUnreadMessages } from './messages.js';
+
+const REALTIME_PATH = process.env.REALTIME_PATH || '/ws';
+const REDIS_CHANNEL = 'realtime:events';
+const PRESENCE_KEY_PREFIX = 'realtime:presence:';
+const PRESENCE_TTL_SECONDS = 90;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+/**
+ * Events sent to clients
+ */
+const REALTIME_EVENTS = {
+  MESSAGE_NEW: 'message:new',
+  MESSAGE_DELIVERED: 'message:delivered',
+  MESSAGE_READ: 'message:read',
+  UNREAD_COUNT: 'unread:count',
+  TYPING: 'typing',
+  PRESENCE: 'presence',
+  CONVERSATION_JOINED: 'conversation:joined',
+  PONG: 'pong',
+  ERROR: 'error'
+};
+
+// Identifies this process so it can ignore its own Redis messages (already delivered locally)
+const instanceId = crypto.randomUUID();
+
+let wss = null;
+let heartbeatTimer = null;
+let publisher = null;
+let subscriber = null;
+
+const userSockets = new Map();        // userId -> Set<WebSocket>
+const conversationRooms = new Map();  // conversationId -> Set<WebSocket>
+const presenceWatchers = new Map();   // userId -> Set<WebSocket> (sockets in a room with that user)
+
+/**
+ * Add a socket to a Map<key, Set<WebSocket>>
+ */
+const addToGroup = (groups, key, ws) => {
+  if (!groups.has(key)) groups.set(key, new Set());
+  groups.get(key).add(ws);
+};
+
+/**
+ * Remove a socket from a Map<key, Set<WebSocket>>, dropping empty sets
+ */
+const removeFromGroup = (groups, key, ws) => {
+  const group = groups.get(key);
+  if (!group) return;
+  group.delete(ws);
+  if (group.size === 0) groups.delete(key);
+};
+
+/**
+ * Send one frame to a socket if it is still open
+ */
+const sendToSocket = (ws, event, data = {}) => {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({ event, data }));
+};
+
+/**
+ * Deliver an event to the sockets of this process
+ * @param {{ type: string, ids: Array<number> }} target - users, conversation or watchers
+ * @param {number|null} exceptUserId - User whose sockets are skipped (usually the sender)
+ */
+const deliverLocally = ({ type, ids }, event, data, exceptUserId = null) => {
+  const groups = { users: userSockets, conversation: conversationRooms, watchers: presenceWatchers }[type];
+  if (!groups) return;
+
+  ids.forEach(id => {
+    groups.get(Number(id))?.forEach(ws => {
+      if (exceptUserId && ws.userId === Number(exceptUserId)) return;
+      sendToSocket(ws, event, data);
+    });
+  });
+};
+
+/**
+ * Deliver an event here and on every other instance
+ */
+const dispatch = (target, event, data, exceptUserId = null) => {
+  deliverLocally(target, event, data, exceptUserId);
+  if (!publisher?.isOpen) return;
+
+  publisher.publish(REDIS_CHANNEL, JSON.stringify({ origin: instanceId, target, event, data, exceptUserId }))
+    .catch(error => logError('[realtime] Failed to publish event:', { event, error: error.message }));
+};
+
+/**
+ * Handle an event published by another instance
+ */
+const handleRedisMessage = (raw) => {
+  try {
+    const { origin, target, event, data, exceptUserId } = JSON.parse(raw);
+    if (origin === instanceId) return;
+    deliverLocally(target, event, data, exceptUserId);
+  } catch (error) {
+    logError('[realtime] Invalid Redis event:', { error: error.message });
+  }
+};
+
+/**
+ * Push an event to every socket of the given users
+ * @param {Array<number>} userIds - Recipient user IDs
+ * @param {string} event - Event name (see REALTIME_EVENTS)
+ * @param {object} data - Event payload
+ */
+const emitToUsers = (userIds, event, data) => {
+  const ids = [...new Set(userIds.map(Number).filter(Boolean))];
+  if (!ids.length) return;
+  dispatch({ type: 'users', ids }, event, data);
+};
+
+/**
+ * Push an event to the sockets that joined a conversation
+ * @param {number} conversationId - Conversation ID
+ * @param {string} event - Event name (see REALTIME_EVENTS)
+ * @param {object} data - Event payload
+ * @param {number|null} [exceptUserId] - Skip this user's sockets
+ */
+const emitToConversation = (conversationId, event, data, exceptUserId = null) => {
+  dispatch({ type: 'conversation', ids: [Number(conversationId)] }, event, data, exceptUserId);
+};
+
+/**
+ * Push a user's unread message total to their sockets
+ * @param {number} userId - User ID
+ */
+const emitUnreadCount = async (userId) => {
+  try {
+    const { total, conversations } = await countUnreadMessages(userId);
+    emitToUsers([userId], REALTIME_EVENTS.UNREAD_COUNT, { total, conversations });
+  } catch (error) {
+    logError('[realtime] Failed to push unread count:', { userId, error: error.message });
+  }
+};
+
+/**
+ * Send a read receipt to the other member of a conversation and refresh the reader's badge
+ * @param {{ conversationId: number, readerId: number, otherUserId: number, lastReadMessageId: number|null }} read
+ */
+const emitConversationRead = async ({ conversationId, readerId, otherUserId, lastReadMessageId }) => {
+  if (lastReadMessageId) {
+    emitToUsers([otherUserId], REALTIME_EVENTS.MESSAGE_READ, {
+      conversation_id: conversationId,
+      message_id: lastReadMessageId,
+      user_id: readerId,
+      read_at: new Date().toISOString()
+    });
+  }
+  await emitUnreadCount(readerId);
+};
+
+/**
+ * Check whether a user has at least one open socket on any instance
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} True when online
+ */
+const isUserOnline = async (userId) => {
+  if (userSockets.has(Number(userId))) return true;
+  if (!publisher?.isOpen) return false;
+  try {
+    return Number(await publisher.get(`${PRESENCE_KEY_PREFIX}${userId}`)) > 0;
+  } catch (error) {
+    logError('[realtime] Failed to read presence:', { userId, error: error.message });
+    return false;
+  }
+};
+
+/**
+ * Record a new socket for a user; announces the user online on their first socket
+ */
+const markOnline = async (userId) => {
+  let connections = userSockets.get(userId)?.size || 0;
+  if (publisher?.isOpen) {
+    try {
+      const key = `${PRESENCE_KEY_PREFIX}${userId}`;
+      connections = await publisher.incr(key);
+      await publisher.expire(key, PRESENCE_TTL_SECONDS);
+    } catch (error) {
+      logError('[realtime] Failed to update presence:', { userId, error: error.message });
+    }
+  }
+  if (connections === 1) {
+    dispatch({ type: 'watchers', ids: [userId] }, REALTIME_EVENTS.PRESENCE, { user_id: userId, online: true });
+  }
+};
+
+/**
+ * Forget a closed socket; announces the user offline and stores last_seen when it was the last one
+ */
+const markOffline = async (userId) => {
+  let connections = userSockets.get(userId)?.size || 0;
+  if (publisher?.isOpen) {
+    try {
+      const key = `${PRESENCE_KEY_PREFIX}${userId}`;
+      connections = await publisher.decr(key);
+      if (connections <= 0) await publisher.del(key);
+    } catch (error) {
+      logError('[realtime] Failed to update presence:', { userId, error: error.message });
+    }
+  }
+  if (connections > 0) return;
+
+  const lastSeen = new Date();
+  try {
+    await pool.query('UPDATE users SET last_seen = ? WHERE id = ?', [lastSeen, userId]);
+  } catch (error) {
+    logError('[realtime] Failed to store last_seen:', { userId, error: error.message });
+  }
+  dispatch({ type: 'watchers', ids: [userId] }, REALTIME_EVENTS.PRESENCE, { user_id: userId, online: false, last_seen: lastSeen.toISOString() });
+};
+
+/**
+ * Load a conversation the socket's user belongs to
+ * @returns {Promise<{ conversation: object, otherUserId: number }|null>}
+ */
+const getMemberConversation = async (ws, conversationId) => {
+  const id = parseInt(conversationId);
+  if (!id || id <= 0) return null;
+  const conversation = await getConversationById(id);
+  if (!conversation) return null;
+
+  const members = [Number(conversation.user1_id), Number(conversation.user2_id)];
+  if (!members.includes(ws.userId)) return null;
+  return { conversation, otherUserId: members.find(memberId => memberId !== ws.userId) ?? ws.userId };
+};
+
+/**
+ * conversation:join - Subscribe to a conversation's typing/read events and the other member's presence
+ */
+const handleJoin = async (ws, { conversation_id }) => {
+  const membership = await getMemberConversation(ws, conversation_id);
+  if (!membership) {
+    return sendToSocket(ws, REALTIME_EVENTS.ERROR, { message: 'Conversation not found', conversation_id });
+  }
+
+  const { conversation, otherUserId } = membership;
+  addToGroup(conversationRooms, conversation.id, ws);
+  addToGroup(presenceWatchers, otherUserId, ws);
+  ws.conversations.set(conversation.id, otherUserId);
+
+  sendToSocket(ws, REALTIME_EVENTS.CONVERSATION_JOINED, {
+    conversation_id: conversation.id,
+    user_id: otherUserId,
+    online: await isUserOnline(otherUserId)
+  });
+};
+
+/**
+ * conversation:leave - Stop receiving a conversation's room events
+ */
+const handleLeave = (ws, { conversation_id }) => {
+  const conversationId = parseInt(conversation_id);
+  const otherUserId = ws.conversations.get(conversationId);
+  if (otherUserId === undefined) return;
+
+  ws.conversations.delete(conversationId);
+  removeFromGroup(conversationRooms, conversationId, ws);
+  if (![...ws.conversations.values()].includes(otherUserId)) {
+    removeFromGroup(presenceWatchers, otherUserId, ws);
+  }
+};
+
+/**
+ * typing - Relay a typing indicator to the rest of a joined conversation
+ */
+const handleTyping = (ws, { conversation_id, is_typing }) => {
+  const conversationId = parseInt(conversation_id);
+  if (!ws.conversations.has(conversationId)) {
+    return sendToSocket(ws, REALTIME_EVENTS.ERROR, { message: 'Join the conversation first', conversation_id });
+  }
+  emitToConversation(conversationId, REALTIME_EVENTS.TYPING, {
+    conversation_id: conversationId,
+    user_id: ws.userId,
+    is_typing: is_typing !== false
+  }, ws.userId);
+};
+
+/**
+ * message:delivered - Tell the senders that messages reached this user's device
+ */
+const handleDelivered = async (ws, { message_ids }) => {
+  const ids = (Array.isArray(message_ids) ? message_ids : [message_ids])
+    .map(id => parseInt(id))
+    .filter(id => id > 0)
+    .slice(0, 100);
+  const messages = await getReceivedMessages(ws.userId, ids);
+  if (!messages.length) return;
+
+  const deliveredAt = new Date().toISOString();
+  const bySender = new Map();
+  messages.forEach(({ id, from_user_id, conversations_id }) => {
+    const key = `${from_user_id}:${conversations_id}`;
+    if (!bySender.has(key)) bySender.set(key, { senderId: Number(from_user_id), conversationId: Number(conversations_id), ids: [] });
+    bySender.get(key).ids.push(Number(id));
+  });
+
+  bySender.forEach(({ senderId, conversationId, ids: deliveredIds }) => {
+    emitToUsers([senderId], REALTIME_EVENTS.MESSAGE_DELIVERED, {
+      conversation_id: conversationId,
+      message_ids: deliveredIds,
+      user_id: ws.userId,
+      delivered_at: deliveredAt
+    });
+  });
+};
+
+/**
+ * message:read - Mark a conversation read up to a message and tell the other member
+ */
+const handleRead = async (ws, { conversation_id, message_id }) => {
+  const membership = await getMemberConversation(ws, conversation_id);
+  if (!membership) {
+    return sendToSocket(ws, REALTIME_EVENTS.ERROR, { message: 'Conversation not found', conversation_id });
+  }
+
+  const conversationId = membership.conversation.id;
+  const { lastReadMessageId } = await markConversationRead(conversationId, ws.userId, parseInt(message_id) || null);
+  await emitConversationRead({ conversationId, readerId: ws.userId, otherUserId: membership.otherUserId, lastReadMessageId });
+};
+
+const HANDLERS = {
+  'conversation:join': handleJoin,
+  'conversation:leave': handleLeave,
+  typing: handleTyping,
+  'message:delivered': handleDelivered,
+  'message:read': handleRead,
+  ping: (ws) => sendToSocket(ws, REALTIME_EVENTS.PONG, { time: Date.now() })
+};
+
+/**
+ * Parse and route one client frame
+ */
+const handleFrame = async (ws, raw) => {
+  let frame;
+  try {
+    frame = JSON.parse(raw.toString());
+  } catch (error) {
+    return sendToSocket(ws, REALTIME_EVENTS.ERROR, { message: 'Invalid JSON' });
+  }
+
+  const handler = HANDLERS[frame?.event];
+  if (!handler) {
+    return sendToSocket(ws, REALTIME_EVENTS.ERROR, { message: 'Unknown event', event: frame?.event });
+  }
+
+  try {
+    await handler(ws, frame.data || {});
+  } catch (error) {
+    logError('[realtime] Event handler failed:', { event: frame.event, userId: ws.userId, error: error.message });
+    sendToSocket(ws, REALTIME_EVENTS.ERROR, { message: 'Internal server error', event: frame.event });
+  }
+};
+
+/**
+ * Authenticate an upgrade request exactly like authMiddleware (token from header or query)
+ * @returns {number|null} User ID or null when the token is missing, invalid or anonymous
+ */
+const authenticateUpgrade = (req) => {
+  const authHeader = req.headers.authorization;
+  const url = new URL(req.url, 'http://localhost');
+  const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : url.searchParams.get('token');
+  if (!token) return null;
+
+  try {
+    const { decoded, userId } = decodeAccessToken(token);
+    if (!userId || decoded.isAnonymous === true || decoded.role === 'anonymous') return null;
+    return Number(userId) || null;
+  } catch (error) {
+    logInfo('[realtime] Rejected socket token', { reason: error.name });
+    return null;
+  }
+};
+
+/**
+ * Refuse an upgrade with a plain HTTP response
+ */
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Set up a freshly authenticated socket
+ */
+const handleConnection = (ws, userId) => {
+  ws.userId = userId;
+  ws.isAlive = true;
+  ws.conversations = new Map(); // conversationId -> other member's user ID
+
+  addToGroup(userSockets, userId, ws);
+  markOnline(userId);
+  logInfo('[realtime] Socket connected', { userId, sockets: userSockets.get(userId).size });
+
+  ws.on('pong', () => { ws.isAlive = true; });
+  ws.on('message', (raw) => handleFrame(ws, raw));
+  ws.on('error', (error) => logError('[realtime] Socket error:', { userId, error: error.message }));
+  ws.on('close', () => {
+    removeFromGroup(userSockets, userId, ws);
+    ws.conversations.forEach((otherUserId, conversationId) => {
+      removeFromGroup(conversationRooms, conversationId, ws);
+      removeFromGroup(presenceWatchers, otherUserId, ws);
+    });
+    markOffline(userId);
+  });
+};
+
+/**
+ * Ping every socket, drop the ones that missed the previous ping and refresh presence TTLs
+ */
+const heartbeat = () => {
+  wss?.clients.forEach(ws => {
+    if (!ws.isAlive) return ws.terminate();
+    ws.isAlive = false;
+    ws.ping();
+  });
+
+  if (!publisher?.isOpen) return;
+  userSockets.forEach((sockets, userId) => {
+    publisher.expire(`${PRESENCE_KEY_PREFIX}${userId}`, PRESENCE_TTL_SECONDS)
+      .catch(error => logError('[realtime] Failed to refresh presence:', { userId, error: error.message }));
+  });
+};
+
+/**
+ * Connect the Redis publisher/subscriber pair used for fan-out (only when REDIS_HOST is set)
+ * @param {{ subscribe?: boolean }} [options] - subscribe: false for processes that only publish
+ */
+const connectFanout = async ({ subscribe = true } = {}) => {
+  if (!process.env.REDIS_HOST) {
+    logInfo('[realtime] REDIS_HOST not set, events stay on this instance');
+    return;
+  }
+
+  try {
+    publisher = await connectRedis();
+    if (!publisher || !subscribe) return;
+    subscriber = publisher.duplicate();
+    subscriber.on('error', (error) => logError('[realtime] Redis subscriber error:', error));
+    await subscriber.connect();
+    await subscriber.subscribe(REDIS_CHANNEL, handleRedisMessage);
+    logInfo('[realtime] Redis fan-out enabled', { channel: REDIS_CHANNEL });
+  } catch (error) {
+    logError('[realtime] Redis fan-out unavailable, events stay on this instance:', error);
+    publisher = null;
+    subscriber = null;
+  }
+};
+
+/**
+ * Attach the WebSocket gateway to an HTTP server
+ * @param {import('http').Server} server - Server created in server.js
+ * @returns {Promise<WebSocketServer>} The WebSocket server
+ */
+const attachRealtimeGateway = async (server) => {
+  if (wss) return wss;
+
+  wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+  wss.on('connection', handleConnection);
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== REALTIME_PATH) return rejectUpgrade(socket, 404, 'Not Found');
+
+    const userId = authenticateUpgrade(req);
+    if (!userId) return rejectUpgrade(socket, 401, 'Unauthorized');
+
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, userId));
+  });
+
+  heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+  await connectFanout();
+  logInfo('[realtime] WebSocket gateway attached', { path: REALTIME_PATH });
+  return wss;
+};
+
+/**
+ * Let a process without sockets (e.g. a worker) push events through the API instances.
+ * Without REDIS_HOST events are dropped, as nobody is connected to this process.
+ */
+const connectRealtimePublisher = async () => {
+  if (!publisher) await connectFanout({ subscribe: false });
+};
+
+/**
+ * Close all sockets and the Redis clients
+ */
+const closeRealtimeGateway = async () => {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+
+  if (wss) {
+    wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+    await new Promise(resolve => wss.close(resolve));
+    wss = null;
+  }
+
+  try {
+    if (subscriber?.isOpen) await subscriber.quit();
+    await closeRedis();
+  } catch (error) {
+    logError('[realtime] Failed to close Redis clients:', error);
+  }
+  subscriber = null;
+  publisher = null;
+};
+
+// Export all functions at the end
+export {
+  REALTIME_EVENTS,
+  attachRealtimeGateway,
+  connectRealtimePublisher,
+  closeRealtimeGateway,
+  emitToUsers,
+  emitToConversation,
+  emitUnreadCount,
+  emitConversationRead,
+  isUserOnline
+};
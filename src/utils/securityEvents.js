@@ -0,0 +1,55 @@
+/**
+ * @file securityEvents.js
+ * @description Security event log for account protection (token reuse, lockouts, suspicious logins)
+ *
+ * Events are written to the application log and to the security_events table, so support can
+ * review what happened to an account. Writing an event never fails the request that raised it.
+ *
+ * FUNCTIONS:
+ * - logSecurityEvent: Record one security event for a user
+ *
+ * Database Tables: security_events
+ */
+
+import { pool } from '../config/database.js';
+import { logInfo, logError, getDeviceInfo } from './common.js';
+
+/**
+ * Security event types (security_events.event_type)
+ */
+const SECURITY_EVENTS = {
+  REFRESH_TOKEN_REUSE: 'refresh_token_reuse',
+  ACCOUNT_LOCKED: 'account_locked',
+  NEW_LOGIN_LOCATION: 'new_login_location',
+  LOGIN_DISPUTED: 'login_disputed',
+  SOCIAL_ACCOUNT_LINKED: 'social_account_linked',
+  SOCIAL_ACCOUNT_UNLINKED: 'social_account_unlinked'
+};
+
+/**
+ * Record one security event for a user
+ * @param {number|string} userId - Affected user
+ * @param {string} type - One of SECURITY_EVENTS
+ * @param {object} [req] - Request that raised it, for IP and app
+ * @param {object} [details] - Extra context stored as JSON
+ */
+const logSecurityEvent = async (userId, type, req = null, details = {}) => {
+  const device = req ? getDeviceInfo(req) : null;
+  logInfo('Security event', { userId, type, ip: device?.ip, ...details });
+
+  try {
+    await pool.query(
+      `INSERT INTO security_events (user_id, event_type, ip_address, app, details, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [userId, type, device?.ip || null, device?.appString || null, JSON.stringify(details)]
+    );
+  } catch (error) {
+    logError('Error saving security event:', { userId, type, error: error.message });
+  }
+};
+
+// Export all functions at the end
+export {
+  SECURITY_EVENTS,
+  logSecurityEvent
+};
@@ -1,21 +1,42 @@
 import { pool } from '../config/database.js';
 import { logInfo, logError } from './common.js';
+import { findOrCreateConversation } from './conversation.js';
+import { getMessageByIdWithDetails, applyMessagePaywall } from './messages.js';
+import { emitToUsers, emitUnreadCount, REALTIME_EVENTS } from './realtime.js';
 
 /**
- * Save message media
+ * media_messages.media_type by file extension
  */
-const saveMessageMedia = async (messageId, mediaData) => {
+const getMessageMediaType = (path) => {
+  const fileExt = path.split('.').pop()?.toLowerCase();
+  if (['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'heic', 'avif'].includes(fileExt)) return 'image';
+  if (['mp4', 'mov', 'avi', 'mkv', 'webm', 'mpeg', '3gp'].includes(fileExt)) return 'video';
+  if (['mp3', 'wav', 'm4a', 'aac', 'ogg', 'flac'].includes(fileExt)) return 'audio';
+  return 'file';
+};
+
+/**
+ * Save message media (one media_messages row per uploaded file, using the WebP copy of converted images)
+ * @param {{ media: string[], convertedMedia: string[], message_id: number }} mediaData - Output of processMediaFiles
+ * @returns {Promise<{ mediaId: number[] }>} Inserted media_messages IDs
+ */
+const saveMessageMedia = async ({ media = [], convertedMedia = [], message_id }) => {
   try {
-    const { media_path, media_type, media_size } = mediaData;
-    
     const query = `
       INSERT INTO media_messages (message_id, media_path, media_type, media_size, created_at) 
       VALUES (?, ?, ?, ?, NOW())
     `;
-    
-    const [result] = await pool.query(query, [messageId, media_path, media_type, media_size]);
-    logInfo(`Saved message media: ${result.insertId}`);
-    return result.insertId;
+
+    const mediaId = [];
+    for (const path of media) {
+      const webpPath = path.replace(/\.[^.]+$/, '.webp');
+      const storedPath = convertedMedia.includes(webpPath) ? webpPath : path;
+      const [result] = await pool.query(query, [message_id, storedPath, getMessageMediaType(storedPath), 0]);
+      mediaId.push(result.insertId);
+    }
+
+    logInfo('Saved message media', { messageId: message_id, count: mediaId.length });
+    return { mediaId };
   } catch (error) {
     logError('Error saving message media:', error);
     throw error;
@@ -24,6 +45,7 @@ const saveMessageMedia = async (messageId, mediaData) => {
 
 /**
  * Save message
+ * @returns {Promise<{ messageId: number }>} Inserted message ID
  */
 const saveMessage = async (messageData) => {
   try {
@@ -31,14 +53,16 @@ const saveMessage = async (messageData) => {
       from_user_id, 
       to_user_id, 
       message, 
-      conversations_id, 
-      status = 'sent',
-      tip = 0 
+      conversation_id,
+      conversations_id = conversation_id, 
+      status = 'new',
+      tip = 0,
+      price = 0
     } = messageData;
     
     const query = `
-      INSERT INTO messages (from_user_id, to_user_id, message, conversations_id, status, tip, created_at) 
-      VALUES (?, ?, ?, ?, ?, ?, NOW())
+      INSERT INTO messages (from_user_id, to_user_id, message, conversations_id, status, tip, price, created_at) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
     `;
     
     const [result] = await pool.query(query, [
@@ -47,11 +71,12 @@ const saveMessage = async (messageData) => {
       message, 
       conversations_id, 
       status, 
-      tip
+      tip,
+      price || 0
     ]);
     
     logInfo(`Saved message: ${result.insertId}`);
-    return result.insertId;
+    return { messageId: result.insertId };
   } catch (error) {
     logError('Error saving message:', error);
     throw error;
@@ -72,9 +97,85 @@ const deleteMessage = async (messageId) => {
   }
 };
 
+/**
+ * Push a saved message to the recipient's open sockets (media locked until bought) and,
+ * optionally, to the sender's other devices. Never fails the request.
+ */
+const pushNewMessage = async (messageId, recipientId, { echoToSender = true } = {}) => {
+  try {
+    const message = await getMessageByIdWithDetails(messageId);
+    if (!message) return;
+
+    const [recipientView] = await applyMessagePaywall([message], recipientId);
+    emitToUsers([recipientId], REALTIME_EVENTS.MESSAGE_NEW, { conversation_id: message.conversations_id, message: recipientView });
+    await emitUnreadCount(recipientId);
+    if (echoToSender) {
+      emitToUsers([message.from_user_id], REALTIME_EVENTS.MESSAGE_NEW, { conversation_id: message.conversations_id, message: { ...message, locked: false } });
+    }
+  } catch (error) {
+    logError('Failed to push new message:', { messageId, recipientId, error: error.message });
+  }
+};
+
+/**
+ * Process a single subscriber for massive message sending
+ */
+const processSubscriber = async (subscriberId, { creatorId, message, price, media, processedMedia, expiresAtTimestamp }) => {
+  try {
+    // Find or create conversation between creator and subscriber
+    const conversationId = await findOrCreateConversation(creatorId, subscriberId);
+    
+    // Create new message in database
+    const messageResult = await saveMessage({
+      conversation_id: conversationId,
+      from_user_id: creatorId,
+      to_user_id: subscriberId,
+      message,
+      price,
+      format: media.length > 0 ? media[0].split('.').pop() : '',
+      size: media.length > 0 ? '0' : '',
+      expires_at: expiresAtTimestamp
+    });
+    
+    const { messageId } = messageResult;
+    if (!messageId) throw new Error('Message ID was not generated');
+    
+    let mediaIds = [];
+    if (processedMedia.original.length > 0 || processedMedia.converted.length > 0) {
+      try {
+        const mediaResult = await saveMessageMedia({
+          media: processedMedia.original,
+          convertedMedia: processedMedia.converted,
+          message_id: messageId,
+          conversation_id: conversationId,
+          userId: creatorId
+        });
+        
+        if (mediaResult.mediaId && mediaResult.mediaId.length > 0) {
+          mediaIds = mediaResult.mediaId;
+        }
+      } catch (error) {
+        logError('Media save failed for subscriber:', { subscriberId, messageId, error: error.message });
+        await pushNewMessage(messageId, subscriberId, { echoToSender: false });
+        return { success: true, messageId, mediaIds, error: 'Media save failed' };
+      }
+    }
+    
+    logInfo('Message sent successfully to subscriber:', { subscriberId, messageId, conversationId });
+    await pushNewMessage(messageId, subscriberId, { echoToSender: false });
+    return { success: true, messageId, mediaIds };
+    
+  } catch (error) {
+    logError('Failed to process subscriber:', { subscriberId, error: error.message });
+    return { success: false, error: error.message };
+  }
+};
+
 // Export all functions at the end
 export {
   saveMessageMedia,
   saveMessage,
-  deleteMessage
+  deleteMessage,
+  pushNewMessage,
+  processSubscriber
 };
\ No newline at end of file
@@ -11,14 +11,63 @@
  * - updateSubscriptionPlan: Update or create subscription plan
  * - updateSubscriptionMessage: Update subscription welcome message
  * - updateUserFreeSubscription: Update user's free subscription status
+ * - isUserSubscribed: Check whether a fan currently has access to a creator
+ * - getSubscribedCreatorIds: Which of several creators a fan currently has access to
+ * - createSubscription: Insert a subscription (optionally inside a DB transaction)
+ * - cancelSubscription: Cancel a subscription (paid access runs until ends_at)
+ * - getSubscriptionPeriodEnd: Compute the end of a billing period for an interval
+ * - getCreatorPlanByInterval: Get a creator's enabled plan for an interval
+ * - getCurrentSubscription: Get a fan's current subscription to a creator
+ * - lockCurrentSubscription: Lock the fan and get their current subscription inside a transaction
+ * - createFreeSubscription: Subscribe to a free creator unless already subscribed (checked under lock)
+ * - createSubscriptionPayment: Insert a subscription_payments row
+ * - getSubscriberSubscriptions: List a fan's subscriptions with creator and plan info
+ * - getSubscriberSubscriptionById: Get one subscription of a fan
+ * - setSubscriptionAutoRenew: Turn auto-renew on or off (resuming a cancelled period)
+ * - getDueSubscriptionRenewals: List auto-renewing subscriptions whose period ended and are due a charge
+ * - getEndedSubscriptions: List subscriptions that ended without auto-renew
+ * - lockDueSubscription: Lock a subscription inside a transaction if it is still due for renewal
+ * - extendSubscriptionPeriod: Move a renewed subscription to its next period
+ * - scheduleSubscriptionRetry: Record a failed renewal attempt and when to retry
+ * - expireSubscription: Mark a subscription expired
+ * - getActiveSubscriberIds: List the IDs of fans who currently have access to a creator
  * 
- * Database Tables: plans, subscription_messages, users, admin_settings
+ * Database Tables: plans, subscription_messages, users, admin_settings, subscriptions, subscription_payments
  * 
  */
 
 import { pool, getDB } from '../config/database.js';
+import dayjs from 'dayjs';
 import { logError, logInfo } from './common.js';
 
+/**
+ * Length of one billing period per plan interval
+ */
+const SUBSCRIPTION_PERIODS = {
+  weekly: { amount: 1, unit: 'week' },
+  monthly: { amount: 1, unit: 'month' },
+  quarterly: { amount: 3, unit: 'month' },
+  biannually: { amount: 6, unit: 'month' },
+  yearly: { amount: 1, unit: 'year' }
+};
+
+/**
+ * Days after ends_at during which failed renewals are retried before the subscription expires
+ */
+const SUBSCRIPTION_RENEWAL_GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_RENEWAL_GRACE_DAYS, 10) || 3;
+
+/**
+ * Hours between renewal attempts while in the grace period
+ */
+const SUBSCRIPTION_RENEWAL_RETRY_HOURS = parseInt(process.env.SUBSCRIPTION_RENEWAL_RETRY_HOURS, 10) || 24;
+
+/**
+ * SQL condition for subscriptions rows that grant access to a creator: active, or cancelled with
+ * paid time left. Columns are qualified with the table name, so queries using it must not alias
+ * subscriptions (a subquery over an aliased outer subscriptions still resolves to its own rows).
+ */
+const SUBSCRIPTION_ACCESS_CONDITION = '(subscriptions.status = "active" OR (subscriptions.status = "cancelled" AND subscriptions.ends_at > NOW()))';
+
 const getAdminSettings = async () => {
   try {
     const [rows] = await pool.query('SELECT min_subscription_amount, max_subscription_amount, fee_commission FROM admin_settings LIMIT 1');
@@ -194,7 +243,7 @@ const deleteSubscriptionPlan = async (planId, userId) => {
 const getSubscriptionStats = async (userId) => {
   try {
     const [totalSubscribers] = await pool.query(
-      'SELECT COUNT(*) as count FROM subscriptions WHERE creator_id = ? AND status = "active"',
+      `SELECT COUNT(DISTINCT subscriber_id) as count FROM subscriptions WHERE creator_id = ? AND ${SUBSCRIPTION_ACCESS_CONDITION}`,
       [userId]
     );
     
@@ -224,7 +273,8 @@ const getSubscriptionStats = async (userId) => {
 };
 
 /**
- * Check if user is subscribed to a creator
+ * Check if user is subscribed to a creator.
+ * Cancelled paid subscriptions keep access until the end of the period already paid for.
  * @param {number} subscriberId - The subscriber user ID
  * @param {number} creatorId - The creator user ID
  * @returns {Promise<boolean>} True if subscribed, false otherwise
@@ -232,7 +282,9 @@ const getSubscriptionStats = async (userId) => {
 const isUserSubscribed = async (subscriberId, creatorId) => {
   try {
     const [rows] = await pool.query(
-      'SELECT id FROM subscriptions WHERE subscriber_id = ? AND creator_id = ? AND status = "active"',
+      `SELECT id FROM subscriptions
+       WHERE subscriber_id = ? AND creator_id = ?
+         AND ${SUBSCRIPTION_ACCESS_CONDITION}`,
       [subscriberId, creatorId]
     );
     
@@ -243,22 +295,46 @@ const isUserSubscribed = async (subscriberId, creatorId) => {
   }
 };
 
+/**
+ * Which of several creators a fan currently has access to (same rule as isUserSubscribed, one query)
+ * @param {number} subscriberId - The subscriber user ID
+ * @param {Array<number>} creatorIds - Creator user IDs to check
+ * @returns {Promise<Set<number>>} IDs of the creators the fan is subscribed to
+ */
+const getSubscribedCreatorIds = async (subscriberId, creatorIds = []) => {
+  try {
+    if (!subscriberId || !creatorIds.length) return new Set();
+    const [rows] = await pool.query(
+      `SELECT DISTINCT creator_id FROM subscriptions
+       WHERE subscriber_id = ? AND creator_id IN (?)
+         AND ${SUBSCRIPTION_ACCESS_CONDITION}`,
+      [subscriberId, creatorIds]
+    );
+    return new Set(rows.map(({ creator_id }) => Number(creator_id)));
+  } catch (error) {
+    logError('Error checking subscriptions:', { error: error.message, subscriberId });
+    return new Set();
+  }
+};
+
 /**
  * Create a new subscription
  * @param {number} subscriberId - The subscriber user ID
  * @param {number} creatorId - The creator user ID
- * @param {number} planId - The plan ID
+ * @param {number|null} planId - The plan ID (null for free subscriptions)
  * @param {string} status - The subscription status
+ * @param {object} [options] - { conn, interval, endsAt, autoRenew, free }; pass conn to insert inside a DB transaction
  * @returns {Promise<number|null>} Subscription ID or null if failed
  */
-const createSubscription = async (subscriberId, creatorId, planId, status = 'active') => {
+const createSubscription = async (subscriberId, creatorId, planId, status = 'active', options = {}) => {
+  const { conn = pool, interval = null, endsAt = null, autoRenew = false, free = 'no' } = options;
   try {
     const query = `
-      INSERT INTO subscriptions (subscriber_id, creator_id, plan_id, status, created_at)
-      VALUES (?, ?, ?, ?, NOW())
+      INSERT INTO subscriptions (subscriber_id, creator_id, plan_id, status, \`interval\`, ends_at, auto_renew, free, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
     `;
     
-    const [result] = await pool.query(query, [subscriberId, creatorId, planId, status]);
+    const [result] = await conn.query(query, [subscriberId, creatorId, planId, status, interval, endsAt, autoRenew ? 1 : 0, free]);
     
     logInfo('Subscription created successfully', { 
       subscriptionId: result.insertId, 
@@ -276,14 +352,15 @@ const createSubscription = async (subscriberId, creatorId, planId, status = 'act
 };
 
 /**
- * Cancel a subscription
+ * Cancel a subscription. Auto-renew is switched off; a paid subscription still
+ * grants access until its ends_at (see isUserSubscribed).
  * @param {number} subscriptionId - The subscription ID
  * @param {number} subscriberId - The subscriber user ID (for security)
  * @returns {Promise<boolean>} True if successful, false otherwise
  */
 const cancelSubscription = async (subscriptionId, subscriberId) => {
   try {
-    const query = 'UPDATE subscriptions SET status = "cancelled", updated_at = NOW() WHERE id = ? AND subscriber_id = ?';
+    const query = 'UPDATE subscriptions SET status = "cancelled", auto_renew = 0, updated_at = NOW() WHERE id = ? AND subscriber_id = ? AND status = "active"';
     const [result] = await pool.query(query, [subscriptionId, subscriberId]);
     
     if (result.affectedRows > 0) {
@@ -329,6 +406,311 @@ const cancelSubscriptions = async (userId, creatorId, planNames) => {
   }
 };
 
+/**
+ * Compute the end of one billing period
+ * @param {string} interval - Plan interval (weekly, monthly, quarterly, biannually, yearly)
+ * @param {Date|string} [from] - Period start, defaults to now
+ * @returns {Date|null} Period end, or null for an unknown interval
+ */
+const getSubscriptionPeriodEnd = (interval, from = new Date()) => {
+  const period = SUBSCRIPTION_PERIODS[interval];
+  if (!period) return null;
+  return dayjs(from).add(period.amount, period.unit).toDate();
+};
+
+/**
+ * Get a creator's enabled, priced plan for an interval
+ * @param {number} creatorId - The creator user ID
+ * @param {string} interval - Plan interval
+ * @returns {Promise<object|null>} Plan row or null
+ */
+const getCreatorPlanByInterval = async (creatorId, interval) => {
+  try {
+    const [rows] = await pool.query(
+      'SELECT * FROM plans WHERE user_id = ? AND `interval` = ? AND status = "1" AND price > 0',
+      [creatorId, interval]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    logError('Error getting creator plan by interval:', { error: error.message, creatorId, interval });
+    return null;
+  }
+};
+
+/**
+ * Get a fan's current subscription to a creator: active, or cancelled with paid time left
+ * @param {number} subscriberId - The subscriber user ID
+ * @param {number} creatorId - The creator user ID
+ * @returns {Promise<object|null>} Subscription row or null
+ */
+const getCurrentSubscription = async (subscriberId, creatorId) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT * FROM subscriptions
+       WHERE subscriber_id = ? AND creator_id = ?
+         AND ${SUBSCRIPTION_ACCESS_CONDITION}
+       ORDER BY id DESC LIMIT 1`,
+      [subscriberId, creatorId]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    logError('Error getting current subscription:', { error: error.message, subscriberId, creatorId });
+    return null;
+  }
+};
+
+/**
+ * Get a fan's current subscription to a creator inside a transaction, locking the fan's users row
+ * first so concurrent subscribe requests of the same fan run one after the other
+ * (subscriptions keeps history rows, so no unique key can refuse the second one)
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} subscriberId - The subscriber user ID
+ * @param {number} creatorId - The creator user ID
+ * @returns {Promise<object|null>} Subscription row or null
+ */
+const lockCurrentSubscription = async (conn, subscriberId, creatorId) => {
+  await conn.query('SELECT id FROM users WHERE id = ? FOR UPDATE', [subscriberId]);
+  const [rows] = await conn.query(
+    `SELECT * FROM subscriptions
+     WHERE subscriber_id = ? AND creator_id = ? AND ${SUBSCRIPTION_ACCESS_CONDITION}
+     ORDER BY id DESC LIMIT 1 FOR UPDATE`,
+    [subscriberId, creatorId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Subscribe a fan to a creator who offers free subscription, unless the fan is already subscribed
+ * @param {number} subscriberId - The subscriber user ID
+ * @param {number} creatorId - The creator user ID
+ * @returns {Promise<number|null>} Subscription ID, or null when the fan already has a current subscription
+ * @throws {Error} When the subscription cannot be stored
+ */
+const createFreeSubscription = async (subscriberId, creatorId) => {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    let subscriptionId = null;
+    if (!await lockCurrentSubscription(conn, subscriberId, creatorId)) {
+      subscriptionId = await createSubscription(subscriberId, creatorId, null, 'active', { conn, free: 'yes' });
+      if (!subscriptionId) throw new Error('Failed to create subscription');
+    }
+
+    await conn.commit();
+    conn.release();
+    return subscriptionId;
+  } catch (error) {
+    await conn.rollback();
+    conn.release();
+    throw error;
+  }
+};
+
+/**
+ * Insert a subscription_payments row
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {object} data - { subscriptionId, subscriberId, creatorId, transactionId, amount, periodStart, periodEnd, status }
+ * @returns {Promise<number>} Payment ID
+ */
+const createSubscriptionPayment = async (conn, { subscriptionId, subscriberId, creatorId, transactionId = null, amount, periodStart = null, periodEnd = null, status = 'completed' }) => {
+  const [result] = await conn.query(
+    `INSERT INTO subscription_payments (subscription_id, subscriber_id, creator_id, transaction_id, amount, status, period_start, period_end, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [subscriptionId, subscriberId, creatorId, transactionId, amount, status, periodStart, periodEnd]
+  );
+  return result.insertId;
+};
+
+/**
+ * Shared SELECT for a fan's subscriptions
+ */
+const SUBSCRIBER_SUBSCRIPTION_SELECT = `
+  SELECT s.id, s.creator_id, s.plan_id, s.status, s.\`interval\`, s.ends_at, s.auto_renew, s.free, s.created_at,
+         p.price, u.username as creator_username, u.name as creator_name, u.avatar as creator_avatar
+  FROM subscriptions s
+  INNER JOIN users u ON u.id = s.creator_id
+  LEFT JOIN plans p ON p.id = s.plan_id
+`;
+
+/**
+ * List a fan's subscriptions
+ * @param {number} subscriberId - The subscriber user ID
+ * @param {object} options - { skip, limit, status } where status is active, cancelled, expired or all
+ * @returns {Promise<{ subscriptions: Array, total: number }>}
+ */
+const getSubscriberSubscriptions = async (subscriberId, { skip = 0, limit = 20, status = 'all' } = {}) => {
+  let where = 'WHERE s.subscriber_id = ?';
+  const params = [subscriberId];
+  if (status && status !== 'all') {
+    where += ' AND s.status = ?';
+    params.push(status);
+  }
+
+  try {
+    const [countRows] = await pool.query(`SELECT COUNT(*) as total FROM subscriptions s ${where}`, params);
+    const [subscriptions] = await pool.query(
+      `${SUBSCRIBER_SUBSCRIPTION_SELECT} ${where} ORDER BY s.id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, skip]
+    );
+    return { subscriptions, total: countRows[0]?.total || 0 };
+  } catch (error) {
+    logError('Error getting subscriber subscriptions:', { error: error.message, subscriberId, status });
+    throw error;
+  }
+};
+
+/**
+ * Get one subscription of a fan
+ * @param {number} subscriberId - The subscriber user ID
+ * @param {number} subscriptionId - The subscription ID
+ * @returns {Promise<object|null>} Subscription row or null
+ */
+const getSubscriberSubscriptionById = async (subscriberId, subscriptionId) => {
+  try {
+    const [rows] = await pool.query(`${SUBSCRIBER_SUBSCRIPTION_SELECT} WHERE s.id = ? AND s.subscriber_id = ?`, [subscriptionId, subscriberId]);
+    return rows[0] || null;
+  } catch (error) {
+    logError('Error getting subscriber subscription:', { error: error.message, subscriberId, subscriptionId });
+    return null;
+  }
+};
+
+/**
+ * Turn auto-renew on or off for a paid subscription.
+ * Turning it on for a cancelled subscription that still has paid time resumes it.
+ * @param {number} subscriptionId - The subscription ID
+ * @param {number} subscriberId - The subscriber user ID (for security)
+ * @param {boolean} autoRenew - New auto-renew value
+ * @returns {Promise<boolean>} True if a subscription was updated
+ */
+const setSubscriptionAutoRenew = async (subscriptionId, subscriberId, autoRenew) => {
+  try {
+    const query = autoRenew
+      ? `UPDATE subscriptions SET auto_renew = 1, status = "active", updated_at = NOW()
+         WHERE id = ? AND subscriber_id = ? AND free = "no"
+           AND ${SUBSCRIPTION_ACCESS_CONDITION}`
+      : `UPDATE subscriptions SET auto_renew = 0, updated_at = NOW()
+         WHERE id = ? AND subscriber_id = ? AND free = "no" AND status = "active"`;
+    const [result] = await pool.query(query, [subscriptionId, subscriberId]);
+
+    logInfo('Subscription auto-renew updated', { subscriptionId, subscriberId, autoRenew, affectedRows: result.affectedRows });
+    return result.affectedRows > 0;
+  } catch (error) {
+    logError('Error updating subscription auto-renew:', { error: error.message, subscriptionId, subscriberId, autoRenew });
+    return false;
+  }
+};
+
+/**
+ * List auto-renewing paid subscriptions whose period has ended and whose next attempt is due
+ * @param {number} [limit] - Maximum rows per pass
+ * @returns {Promise<Array>} Subscription rows with plan price/status and grace_ends_at
+ */
+const getDueSubscriptionRenewals = async (limit = 500) => {
+  const [rows] = await pool.query(
+    `SELECT s.*, p.price, p.status as plan_status,
+            s.ends_at + INTERVAL ? DAY as grace_ends_at
+     FROM subscriptions s
+     LEFT JOIN plans p ON p.id = s.plan_id
+     WHERE s.status = "active" AND s.free = "no" AND s.auto_renew = 1
+       AND s.ends_at <= NOW()
+       AND (s.next_retry_at IS NULL OR s.next_retry_at <= NOW())
+     ORDER BY s.ends_at ASC
+     LIMIT ?`,
+    [SUBSCRIPTION_RENEWAL_GRACE_DAYS, limit]
+  );
+  return rows;
+};
+
+/**
+ * List paid subscriptions whose period ended and that will not renew
+ * (cancelled, or active with auto-renew off)
+ * @param {number} [limit] - Maximum rows per pass
+ * @returns {Promise<Array>} Subscription rows
+ */
+const getEndedSubscriptions = async (limit = 500) => {
+  const [rows] = await pool.query(
+    `SELECT * FROM subscriptions
+     WHERE free = "no" AND ends_at <= NOW()
+       AND (status = "cancelled" OR (status = "active" AND auto_renew = 0))
+     ORDER BY ends_at ASC
+     LIMIT ?`,
+    [limit]
+  );
+  return rows;
+};
+
+/**
+ * Lock a subscription if it is still due for renewal, so concurrent passes cannot charge twice
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} subscriptionId - The subscription ID
+ * @returns {Promise<object|null>} Locked row, or null when no longer due
+ */
+const lockDueSubscription = async (conn, subscriptionId) => {
+  const [rows] = await conn.query(
+    `SELECT * FROM subscriptions
+     WHERE id = ? AND status = "active" AND auto_renew = 1 AND ends_at <= NOW()
+     FOR UPDATE`,
+    [subscriptionId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Move a renewed subscription to its next period and clear retry state
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} subscriptionId - The subscription ID
+ * @param {Date} endsAt - New period end
+ */
+const extendSubscriptionPeriod = async (conn, subscriptionId, endsAt) => {
+  await conn.query(
+    `UPDATE subscriptions SET ends_at = ?, renewal_attempts = 0, next_retry_at = NULL, updated_at = NOW() WHERE id = ?`,
+    [endsAt, subscriptionId]
+  );
+};
+
+/**
+ * Record a failed renewal attempt
+ * @param {number} subscriptionId - The subscription ID
+ * @param {Date} nextRetryAt - When to try again
+ */
+const scheduleSubscriptionRetry = async (subscriptionId, nextRetryAt) => {
+  await pool.query(
+    `UPDATE subscriptions SET renewal_attempts = renewal_attempts + 1, next_retry_at = ?, updated_at = NOW() WHERE id = ?`,
+    [nextRetryAt, subscriptionId]
+  );
+};
+
+/**
+ * Mark a subscription expired
+ * @param {number} subscriptionId - The subscription ID
+ * @returns {Promise<boolean>} True if the row changed
+ */
+const expireSubscription = async (subscriptionId) => {
+  const [result] = await pool.query(
+    `UPDATE subscriptions SET status = "expired", auto_renew = 0, next_retry_at = NULL, updated_at = NOW()
+     WHERE id = ? AND status IN ("active", "cancelled")`,
+    [subscriptionId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * List the IDs of fans who currently have access to a creator (same rule as isUserSubscribed)
+ * @param {number} creatorId - Creator user ID
+ * @returns {Promise<number[]>} Subscriber user IDs
+ */
+const getActiveSubscriberIds = async (creatorId) => {
+  const [rows] = await pool.query(
+    `SELECT DISTINCT subscriber_id FROM subscriptions
+     WHERE creator_id = ?
+       AND ${SUBSCRIPTION_ACCESS_CONDITION}`,
+    [creatorId]
+  );
+  return rows.map(row => row.subscriber_id);
+};
+
 // Export all functions at the end
 export {
   getAdminSettings,
@@ -341,7 +723,28 @@ export {
   deleteSubscriptionPlan,
   getSubscriptionStats,
   isUserSubscribed,
+  getSubscribedCreatorIds,
   createSubscription,
   cancelSubscription,
-  cancelSubscriptions
+  cancelSubscriptions,
+  SUBSCRIPTION_PERIODS,
+  getSubscriptionPeriodEnd,
+  getCreatorPlanByInterval,
+  getCurrentSubscription,
+  lockCurrentSubscription,
+  createFreeSubscription,
+  createSubscriptionPayment,
+  getSubscriberSubscriptions,
+  getSubscriberSubscriptionById,
+  setSubscriptionAutoRenew,
+  SUBSCRIPTION_RENEWAL_GRACE_DAYS,
+  SUBSCRIPTION_RENEWAL_RETRY_HOURS,
+  SUBSCRIPTION_ACCESS_CONDITION,
+  getDueSubscriptionRenewals,
+  getEndedSubscriptions,
+  lockDueSubscription,
+  extendSubscriptionPeriod,
+  scheduleSubscriptionRetry,
+  expireSubscription,
+  getActiveSubscriberIds
 };
\ No newline at end of file
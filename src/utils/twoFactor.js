@@ -0,0 +1,410 @@
+/**
+ * @file twoFactor.js
+ * @description TOTP two-factor authentication (RFC 6238) with single-use backup codes
+ *
+ * Users enrol from POST /privacy/security: a secret is generated and returned as an otpauth:// URI
+ * (rendered as a QR code by the apps), then confirmed with a first code, which also issues the
+ * backup codes. Once enabled, every login (password, OTP, Google, Apple) stops before issuing tokens
+ * and returns a short-lived challenge that POST /auth/2fa/verify exchanges for tokens.
+ *
+ * Secrets are stored AES-256-GCM encrypted; backup codes are stored as SHA-256 hashes and burnt on use.
+ * A TOTP code is accepted once: the last used time step is remembered so a sniffed code cannot be replayed.
+ *
+ * FUNCTIONS:
+ * - verifyTotp: Check a code against a secret
+ * - buildOtpauthUri: Authenticator app enrolment URI
+ * - getTwoFactorStatus / isTwoFactorEnabled: Enrolment state of a user
+ * - startTwoFactorEnrolment: Generate a pending secret
+ * - confirmTwoFactorEnrolment: Enable 2FA with a first code and issue backup codes
+ * - verifyTwoFactorCode: Check a TOTP or backup code of an enabled user
+ * - regenerateBackupCodes: Replace all backup codes
+ * - disableTwoFactor: Remove the secret and backup codes
+ * - createTwoFactorChallenge / verifyTwoFactorChallenge: Login challenge tokens
+ *
+ * Database Tables: user_two_factor, user_two_factor_backup_codes
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { pool } from '../config/database.js';
+import { logInfo } from './common.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept the previous and next step to absorb clock drift on the phone
+const TOTP_WINDOW = 1;
+const SECRET_BYTES = 20;
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+/**
+ * Encode bytes as unpadded base32 (the format authenticator apps expect)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+/**
+ * Decode a base32 secret; spaces, padding and case are ignored
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * HOTP value of one counter (RFC 4226)
+ */
+const generateHotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [now] - Time in ms, for tests
+ * @returns {number|null} Matched time step, or null when the code is wrong
+ */
+const verifyTotp = (secret, code, now = Date.now()) => {
+  const cleanCode = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(cleanCode)) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    const expected = Buffer.from(generateHotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(cleanCode))) return step;
+  }
+  return null;
+};
+
+/**
+ * Authenticator app enrolment URI (encode it as a QR code, or let the user copy the secret)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Label shown in the app, usually the email or username
+ * @returns {string} otpauth://totp/... URI
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || 'BingeMe';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * AES-256-GCM key for stored secrets
+ */
+const getSecretKey = () => crypto.createHash('sha256').update(`two-factor:${process.env.ENCRYPT_SECRET_ID}`).digest();
+
+/**
+ * Encrypt a secret for storage as iv.tag.ciphertext (base64url)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getSecretKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a stored secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = String(stored).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getSecretKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Backup codes are compared without dashes, spaces or case
+ */
+const normalizeBackupCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+/**
+ * Random backup codes formatted as XXXX-XXXX
+ */
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const code = base32Encode(crypto.randomBytes(5));
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+});
+
+/**
+ * Enrolment row of a user
+ */
+const getTwoFactorRow = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT user_id, secret, confirmed_at, last_used_step FROM user_two_factor WHERE user_id = ?',
+    [userId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Enrolment state of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<{ enabled: boolean, pending: boolean, enabled_at: string|null, backup_codes_remaining: number }>}
+ */
+const getTwoFactorStatus = async (userId) => {
+  const row = await getTwoFactorRow(userId);
+  if (!row) return { enabled: false, pending: false, enabled_at: null, backup_codes_remaining: 0 };
+
+  const [[{ remaining }]] = await pool.query(
+    'SELECT COUNT(*) AS remaining FROM user_two_factor_backup_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  return {
+    enabled: Boolean(row.confirmed_at),
+    pending: !row.confirmed_at,
+    enabled_at: row.confirmed_at ? new Date(row.confirmed_at).toISOString() : null,
+    backup_codes_remaining: row.confirmed_at ? Number(remaining) : 0
+  };
+};
+
+/**
+ * Whether logins of a user need a second factor
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorEnabled = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT 1 FROM user_two_factor WHERE user_id = ? AND confirmed_at IS NOT NULL',
+    [userId]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Generate a pending secret; it replaces any earlier unconfirmed one
+ * @param {number} userId - User ID (must not have 2FA enabled)
+ * @param {string} accountName - Label for the authenticator app
+ * @returns {Promise<{ secret: string, otpauth_uri: string }>}
+ */
+const startTwoFactorEnrolment = async (userId, accountName) => {
+  const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+  await pool.query(
+    `INSERT INTO user_two_factor (user_id, secret, confirmed_at, last_used_step, created_at, updated_at)
+     VALUES (?, ?, NULL, NULL, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE secret = VALUES(secret), last_used_step = NULL, updated_at = NOW()`,
+    [userId, encryptSecret(secret)]
+  );
+  return { secret, otpauth_uri: buildOtpauthUri(secret, accountName) };
+};
+
+/**
+ * Replace all backup codes of a user inside the caller's transaction
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} userId - User ID
+ * @returns {Promise<string[]>} The new codes
+ */
+const replaceBackupCodes = async (conn, userId) => {
+  const codes = generateBackupCodes();
+  await conn.query('DELETE FROM user_two_factor_backup_codes WHERE user_id = ?', [userId]);
+  await conn.query(
+    'INSERT INTO user_two_factor_backup_codes (user_id, code_hash, created_at) VALUES ?',
+    [codes.map(code => [userId, hashBackupCode(code), new Date()])]
+  );
+  return codes;
+};
+
+/**
+ * Replace all backup codes of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<string[]>} The new codes, shown to the user once
+ */
+const regenerateBackupCodes = async (userId) => {
+  let codes;
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    codes = await replaceBackupCodes(conn, userId);
+    await conn.commit();
+  } catch (error) {
+    if (conn) await conn.rollback().catch(() => {});
+    throw error;
+  } finally {
+    if (conn) conn.release();
+  }
+  return codes;
+};
+
+/**
+ * Remember the time step of an accepted code; fails when that step (or a later one) was already used
+ */
+const consumeTotpStep = async (userId, step) => {
+  const [result] = await pool.query(
+    `UPDATE user_two_factor SET last_used_step = ?, updated_at = NOW()
+     WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+    [step, userId, step]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Enable 2FA with a first code from the authenticator app and issue backup codes
+ * @param {number} userId - User ID with a pending enrolment
+ * @param {string} code - TOTP code
+ * @returns {Promise<string[]|null>} Backup codes, or null when the code is wrong or nothing is pending
+ */
+const confirmTwoFactorEnrolment = async (userId, code) => {
+  const row = await getTwoFactorRow(userId);
+  if (!row || row.confirmed_at) return null;
+
+  const step = verifyTotp(decryptSecret(row.secret), code);
+  if (step === null || !await consumeTotpStep(userId, step)) return null;
+
+  // Enabling and issuing the backup codes land together, so 2FA is never on without them
+  let backupCodes;
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    await conn.query('UPDATE user_two_factor SET confirmed_at = NOW(), updated_at = NOW() WHERE user_id = ?', [userId]);
+    backupCodes = await replaceBackupCodes(conn, userId);
+    await conn.commit();
+  } catch (error) {
+    if (conn) await conn.rollback().catch(() => {});
+    throw error;
+  } finally {
+    if (conn) conn.release();
+  }
+  logInfo('Two-factor authentication enabled', { userId });
+  return backupCodes;
+};
+
+/**
+ * Check a TOTP or backup code of a user with 2FA enabled; both are single use
+ * @param {number} userId - User ID
+ * @param {{ code?: string, backupCode?: string }} input - One of the two
+ * @returns {Promise<'totp'|'backup_code'|null>} Method that matched, or null
+ */
+const verifyTwoFactorCode = async (userId, { code, backupCode } = {}) => {
+  const row = await getTwoFactorRow(userId);
+  if (!row || !row.confirmed_at) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(row.secret), code);
+    return step !== null && await consumeTotpStep(userId, step) ? 'totp' : null;
+  }
+
+  if (backupCode && normalizeBackupCode(backupCode)) {
+    const [result] = await pool.query(
+      `UPDATE user_two_factor_backup_codes SET used_at = NOW()
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+       LIMIT 1`,
+      [userId, hashBackupCode(backupCode)]
+    );
+    if (result.affectedRows === 0) return null;
+    logInfo('Two-factor backup code used', { userId });
+    return 'backup_code';
+  }
+  return null;
+};
+
+/**
+ * Remove the secret and backup codes of a user
+ * @param {number} userId - User ID
+ */
+const disableTwoFactor = async (userId) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM user_two_factor_backup_codes WHERE user_id = ?', [userId]);
+    await conn.query('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+    await conn.commit();
+  } catch (error) {
+    if (conn) await conn.rollback().catch(() => {});
+    throw error;
+  } finally {
+    if (conn) conn.release();
+  }
+  logInfo('Two-factor authentication disabled', { userId });
+};
+
+/**
+ * Signing key of challenge tokens; derived so a challenge can never pass as an access token
+ */
+const getChallengeKey = () => crypto.createHmac('sha256', process.env.JWT_ACCESS_SECRET).update('two-factor-challenge').digest();
+
+/**
+ * Short-lived token proving the first factor passed, exchanged at POST /auth/2fa/verify
+ * @param {number} userId - User ID
+ * @param {string} method - First factor used (password, otp, google, apple)
+ * @returns {{ challenge: string, expiresIn: number }}
+ */
+const createTwoFactorChallenge = (userId, method) => ({
+  challenge: jwt.sign({ sub: String(userId), method }, getChallengeKey(), { expiresIn: CHALLENGE_TTL_SECONDS }),
+  expiresIn: CHALLENGE_TTL_SECONDS
+});
+
+/**
+ * Verify a login challenge token
+ * @param {string} challenge - Token from createTwoFactorChallenge
+ * @returns {{ userId: number, method: string }|null} Null when invalid or expired
+ */
+const verifyTwoFactorChallenge = (challenge) => {
+  try {
+    const decoded = jwt.verify(String(challenge || ''), getChallengeKey());
+    const userId = parseInt(decoded.sub, 10);
+    return userId ? { userId, method: decoded.method } : null;
+  } catch {
+    return null;
+  }
+};
+
+// Export all functions at the end
+export {
+  verifyTotp,
+  buildOtpauthUri,
+  getTwoFactorStatus,
+  isTwoFactorEnabled,
+  startTwoFactorEnrolment,
+  confirmTwoFactorEnrolment,
+  verifyTwoFactorCode,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge
+};
@@ -135,9 +135,15 @@ const getUpdateById = async (updateId) => {
   }
 };
 
+/**
+ * Format a Date as a UTC MySQL DATETIME string
+ */
+const toUtcDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
 /**
  * Save a new post/update to the database (parity with Lambda)
- * Handles tags, media, scheduling and expiry
+ * Handles tags, media, scheduling and expiry.
+ * With publish_at the post is stored as 'scheduled' and published by the scheduled posts worker.
  */
 const savePost = async (postData) => {
   try {
@@ -151,6 +157,7 @@ const savePost = async (postData) => {
       scheduled_date,
       scheduled_time,
       expired_at,
+      publish_at = null,
       userId
     } = postData;
 
@@ -195,8 +202,8 @@ const savePost = async (postData) => {
       INSERT INTO updates (
         image, video, description, user_id, date, token_id, locked, 
         music, file, img_type, fixed_post, price, video_embed, 
-        file_name, file_size, status, expired_at, expiry_post_notification, is_utc
-      ) VALUES (?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        file_name, file_size, status, expired_at, expiry_post_notification, is_utc, scheduled_at
+      ) VALUES (?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       '',
       '',
@@ -212,14 +219,15 @@ const savePost = async (postData) => {
       '',
       '',
       '0',
-      'active',
+      publish_at ? 'scheduled' : 'active',
       expiredAt,
       0,
-      '1'
+      '1',
+      publish_at ? toUtcDateTime(publish_at) : null
     ]);
 
     const postId = result.insertId;
-    logInfo('Post saved successfully:', { postId, userId });
+    logInfo('Post saved successfully:', { postId, userId, scheduled: !!publish_at });
 
     if (tags && tags.trim()) {
       await processTags(postId, tags);
@@ -439,9 +447,172 @@ const validatePostInput = (data) => {
       }
     }
   }
+  if ((data.publish_date && !data.publish_time) || (!data.publish_date && data.publish_time)) {
+    errors.push('Both publish_date and publish_time must be provided together to schedule publishing');
+  }
+  if (data.publish_date && (typeof data.publish_date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(data.publish_date))) {
+    errors.push('publish_date must be in YYYY-MM-DD format');
+  }
+  if (data.publish_time && (typeof data.publish_time !== 'string' || !/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(data.publish_time))) {
+    errors.push('publish_time must be in HH:MM format');
+  }
   return { success: errors.length === 0, errors };
 };
 
+/**
+ * Columns returned for scheduled posts
+ */
+const SCHEDULED_POST_COLUMNS = `
+  id, user_id, description, locked, price,
+  DATE_FORMAT(scheduled_at, '%Y-%m-%d %H:%i:%s') as scheduled_at,
+  DATE_FORMAT(expired_at, '%Y-%m-%d %H:%i:%s') as expired_at,
+  date
+`;
+
+/**
+ * Get a creator's scheduled posts, next to publish first
+ */
+const getScheduledPosts = async (userId, skip = 0, limit = 10) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT ${SCHEDULED_POST_COLUMNS}
+       FROM updates
+       WHERE user_id = ? AND status = 'scheduled'
+       ORDER BY scheduled_at ASC
+       LIMIT ? OFFSET ?`,
+      [userId, parseInt(limit) || 10, parseInt(skip) || 0]
+    );
+    return rows;
+  } catch (error) {
+    logError('Error getting scheduled posts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count a creator's scheduled posts
+ */
+const getScheduledPostsCount = async (userId) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) as total FROM updates WHERE user_id = ? AND status = 'scheduled'`,
+      [userId]
+    );
+    return rows[0]?.total || 0;
+  } catch (error) {
+    logError('Error counting scheduled posts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get one scheduled post of a creator
+ */
+const getScheduledPostById = async (postId, userId) => {
+  const [rows] = await pool.query(
+    `SELECT ${SCHEDULED_POST_COLUMNS}
+     FROM updates
+     WHERE id = ? AND user_id = ? AND status = 'scheduled'`,
+    [postId, userId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Move a scheduled post to a new publish time
+ * @returns {Promise<boolean>} False when the post is no longer scheduled
+ */
+const rescheduleScheduledPost = async (postId, userId, publishAt) => {
+  const [result] = await pool.query(
+    `UPDATE updates SET scheduled_at = ? WHERE id = ? AND user_id = ? AND status = 'scheduled'`,
+    [toUtcDateTime(publishAt), postId, userId]
+  );
+  logInfo('Scheduled post rescheduled:', { postId, userId, publishAt, affectedRows: result.affectedRows });
+  return result.affectedRows > 0;
+};
+
+/**
+ * Cancel a scheduled post (soft disabled, like a deleted post)
+ * @returns {Promise<boolean>} False when the post is no longer scheduled
+ */
+const cancelScheduledPost = async (postId, userId) => {
+  const [result] = await pool.query(
+    `UPDATE updates SET status = 'disabled', scheduled_at = NULL WHERE id = ? AND user_id = ? AND status = 'scheduled'`,
+    [postId, userId]
+  );
+  logInfo('Scheduled post cancelled:', { postId, userId, affectedRows: result.affectedRows });
+  return result.affectedRows > 0;
+};
+
+/**
+ * List scheduled posts whose publish time has passed, with their creator
+ */
+const getDueScheduledPosts = async (limit = 100) => {
+  const [rows] = await pool.query(
+    `SELECT u.id, u.user_id, u.description, u.scheduled_at,
+            usr.username, usr.name
+     FROM updates u
+     JOIN users usr ON usr.id = u.user_id
+     WHERE u.status = 'scheduled' AND u.scheduled_at <= NOW()
+     ORDER BY u.scheduled_at ASC
+     LIMIT ?`,
+    [limit]
+  );
+  return rows;
+};
+
+/**
+ * Publish a due scheduled post; the post date becomes the publish time so it tops the feeds
+ * @returns {Promise<boolean>} False when it was published, rescheduled or cancelled meanwhile
+ */
+const publishScheduledPost = async (postId) => {
+  const [result] = await pool.query(
+    `UPDATE updates SET status = 'active', date = NOW()
+     WHERE id = ? AND status = 'scheduled' AND scheduled_at <= NOW()`,
+    [postId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Get an active, unexpired post that can be bought
+ */
+const getPurchasablePost = async (postId) => {
+  const [rows] = await pool.query(
+    `SELECT id, user_id, locked, price, description
+     FROM updates
+     WHERE id = ? AND status = 'active' AND (expired_at IS NULL OR expired_at >= NOW())`,
+    [postId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Record a post purchase (pay_per_views row)
+ * @param {object} conn - DB connection (inside a transaction)
+ * @returns {Promise<number>} Inserted pay_per_views ID
+ */
+const createPostPurchase = async (conn, userId, postId) => {
+  const [result] = await conn.query(
+    'INSERT INTO pay_per_views (user_id, updates_id, messages_id, status, created_at) VALUES (?, ?, 0, 1, NOW())',
+    [userId, postId]
+  );
+  return result.insertId;
+};
+
+/**
+ * Check inside a transaction whether a post was already bought (locks the row range)
+ * @param {object} conn - DB connection (inside a transaction)
+ * @returns {Promise<boolean>} True when already purchased
+ */
+const hasPurchasedPost = async (conn, userId, postId) => {
+  const [rows] = await conn.query(
+    'SELECT id FROM pay_per_views WHERE user_id = ? AND updates_id = ? AND status = 1 LIMIT 1 FOR UPDATE',
+    [userId, postId]
+  );
+  return rows.length > 0;
+};
+
 // Export all functions at the end
 export {
   getUserUpdatesList,
@@ -453,5 +624,15 @@ export {
   savePost,
   processTags,
   processMedia,
-  validatePostInput
+  validatePostInput,
+  getScheduledPosts,
+  getScheduledPostsCount,
+  getScheduledPostById,
+  rescheduleScheduledPost,
+  cancelScheduledPost,
+  getDueScheduledPosts,
+  publishScheduledPost,
+  getPurchasablePost,
+  createPostPurchase,
+  hasPurchasedPost
 };
\ No newline at end of file
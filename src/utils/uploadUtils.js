@@ -26,6 +26,9 @@
  *     Determine MIME types → Generate unique S3 keys → Create pre-signed URLs →
  *     Return structured response with metadata
  * 
+ *   Downloads:
+ *     generateDownloadUrl issues short-lived pre-signed GET URLs (e.g., digital product delivery)
+ * 
  *   Key Features:
  *     - Automatic MIME type detection from file extensions
  *     - Configurable S3 path structure (flat vs. folder organization)
@@ -39,7 +42,7 @@
  *     - Messages: uploads/messages/{folder}/{userId}{uuid}.{ext} (with folder organization)  
  */
 
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { v4 as uuidv4 } from 'uuid';
 import { createErrorResponse, createSuccessResponse, logInfo, logError } from './common.js';
@@ -82,6 +85,7 @@ const MIME_TYPES = {
 // Configuration constants
 const UPLOAD_CONFIG = {
   EXPIRY_SECONDS: 1200, // 20 minutes
+  DOWNLOAD_EXPIRY_SECONDS: 300, // 5 minutes
   DEFAULT_MIME_TYPE: 'application/octet-stream'
 };
 
@@ -349,8 +353,34 @@ const processUploadRequest = async (req, options) => {
   }
 };
 
+/**
+ * Generates a short-lived pre-signed URL for downloading a single S3 object
+ * @param {string} key - S3 object key (e.g., 'uploads/shop/123abc.zip')
+ * @param {object} [options] - Optional settings
+ * @param {string} [options.fileName] - Filename suggested to the browser (Content-Disposition)
+ * @param {number} [options.expiresIn] - URL lifetime in seconds (defaults to DOWNLOAD_EXPIRY_SECONDS)
+ * @returns {Promise<object>} Object containing downloadUrl, key and expiresIn
+ * @throws {Error} If the key is missing or S3 is not configured
+ */
+const generateDownloadUrl = async (key, { fileName = null, expiresIn = UPLOAD_CONFIG.DOWNLOAD_EXPIRY_SECONDS } = {}) => {
+  if (!key) throw new Error('Missing S3 key for download URL generation');
+
+  const { bucketName, region } = getS3Config();
+  if (!bucketName) throw new Error('S3 bucket not configured');
+
+  const command = new GetObjectCommand({
+    Bucket: bucketName,
+    Key: key,
+    ...(fileName && { ResponseContentDisposition: `attachment; filename="${fileName.replace(/"/g, '')}"` })
+  });
+
+  const downloadUrl = await getSignedUrl(createS3Client(region), command, { expiresIn });
+
+  return { downloadUrl, key, expiresIn };
+};
+
 // =========================
 // Module Exports
 // =========================
 
-export { processUploadRequest };
\ No newline at end of file
+export { processUploadRequest, generateDownloadUrl };
\ No newline at end of file
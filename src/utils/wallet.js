@@ -0,0 +1,502 @@
+/**
+ * @file wallet.js
+ * @description Database utility functions for wallet payments
+ *
+ * This module provides the shared money-movement path used whenever a fan pays a
+ * creator from their wallet (PPV messages, tips, bookings, products, subscriptions).
+ * Every payment runs inside a single MySQL transaction so the wallet debit, the
+ * transactions row and the creator earning are written together or not at all.
+ *
+ * FUNCTIONS:
+ * - getWalletBalance: Read a user's current wallet balance
+ * - calculateEarnings: Split an amount between creator and platform
+ * - debitWallet: Conditionally debit a wallet (fails on insufficient funds)
+ * - creditWallet: Credit a wallet (refunds, deposits)
+ * - recordTransaction: Insert a transactions row
+ * - creditCreatorEarnings: Insert creator_earnings and user_balance credit rows
+ * - processWalletPayment: Run a complete wallet payment in one DB transaction
+ * - releaseHeldPayment: Credit the creator for a payment that was held (e.g. until delivery)
+ * - refundWalletPayment: Refund a wallet payment and reverse the creator earning
+ * - getWalletSummary: Wallet balance, pending amounts and creator balance for GET /wallet
+ * - getWalletTransactions: Page through a user's wallet transactions, optionally by type
+ * - createPendingDeposit: Insert a pending 'deposit' transactions row for a top-up
+ * - getUserDeposit: Get a top-up of a user by txn_id
+ * - settleDeposit: Credit (completed) or close (failed) a pending top-up
+ *
+ * Database Tables: users, transactions, creator_earnings, user_balance, admin_settings
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { pool } from '../config/database.js';
+import { logInfo, logError, getAdminSettings, getUserBalance } from './common.js';
+
+/**
+ * Transaction types written to transactions.type
+ * Live types match the values read by getLiveTotalEarnings/getLiveTipEarnings.
+ */
+const TRANSACTION_TYPES = {
+  PPV: 'ppv',
+  TIP: 'tip',
+  LIVE: 'live',
+  LIVE_TIP: 'live_tip',
+  TIPMENU: 'tipmenu',
+  SUBSCRIPTION: 'subscription',
+  PRODUCT: 'purchase',
+  REFUND: 'refund',
+  DEPOSIT: 'deposit'
+};
+
+/**
+ * Build an error carrying an HTTP status code, which controllers map to the response status
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const walletError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get the current wallet balance of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Wallet balance
+ */
+const getWalletBalance = async (userId) => {
+  try {
+    const [rows] = await pool.query('SELECT wallet FROM users WHERE id = ?', [userId]);
+    return parseFloat(rows[0]?.wallet) || 0;
+  } catch (error) {
+    logError('Error getting wallet balance:', error);
+    return 0;
+  }
+};
+
+/**
+ * Split an amount between creator and platform.
+ * Uses the creator's custom_fee when set, otherwise admin fee_commission.
+ * @param {object} creator - Creator row (needs custom_fee)
+ * @param {number} amount - Gross amount
+ * @param {object} adminSettings - Admin settings map
+ * @returns {{ percentage: number, earningNetUser: number, earningNetAdmin: number }}
+ */
+const calculateEarnings = (creator, amount, adminSettings = {}) => {
+  const userCustomFee = Number(creator?.custom_fee || 0);
+  const adminFeeCommission = Number(adminSettings?.fee_commission || 0);
+  const feePercentage = userCustomFee > 0 ? userCustomFee : adminFeeCommission;
+  const earningNetAdmin = Math.round(amount * feePercentage) / 100;
+  const earningNetUser = Math.round((amount - earningNetAdmin) * 100) / 100;
+  return { percentage: feePercentage, earningNetUser, earningNetAdmin };
+};
+
+/**
+ * Debit a wallet only when it holds enough funds
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} userId - User ID
+ * @param {number} amount - Amount to debit
+ * @returns {Promise<boolean>} True when debited, false on insufficient balance
+ */
+const debitWallet = async (conn, userId, amount) => {
+  const [result] = await conn.query(
+    'UPDATE users SET wallet = wallet - ? WHERE id = ? AND wallet >= ?',
+    [amount, userId, amount]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Credit a wallet
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} userId - User ID
+ * @param {number} amount - Amount to credit
+ */
+const creditWallet = async (conn, userId, amount) => {
+  await conn.query('UPDATE users SET wallet = wallet + ? WHERE id = ?', [amount, userId]);
+};
+
+/**
+ * Insert a transactions row
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {object} data - Transaction data
+ * @returns {Promise<{ transactionId: number, txnId: string }>}
+ */
+const recordTransaction = async (conn, data) => {
+  const {
+    userId,
+    creatorId,
+    amount,
+    earningNetUser = 0,
+    earningNetAdmin = 0,
+    percentage = 0,
+    type,
+    refId = null,
+    liveId = null,
+    paymentGateway = 'Wallet',
+    approved = '1'
+  } = data;
+  const txnId = `wallet_${uuidv4()}`;
+
+  const [result] = await conn.query(
+    `INSERT INTO transactions (
+      txn_id, user_id, subscribed, amount, earning_net_user, earning_net_user_coins, earning_net_admin,
+      payment_gateway, type, approved, percentage_applied, ref_id, live_id, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+    [
+      txnId, userId, creatorId, amount, earningNetUser, earningNetUser, earningNetAdmin,
+      paymentGateway, type, approved, `${percentage}%`, refId, liveId
+    ]
+  );
+  return { transactionId: result.insertId, txnId };
+};
+
+/**
+ * Credit the creator side of a payment
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {object} data - { creatorId, amount, type, transactionId }
+ */
+const creditCreatorEarnings = async (conn, { creatorId, amount, type, transactionId }) => {
+  await conn.query(
+    `INSERT INTO creator_earnings (user_id, transaction_id, type, amount, status, created_at)
+     VALUES (?, ?, ?, ?, 'completed', NOW())`,
+    [creatorId, transactionId, type, amount]
+  );
+  await conn.query(
+    `INSERT INTO user_balance (user_id, role, type, amount, reference_type, reference_id, created_at)
+     VALUES (?, 'creator', 'credit', ?, 'transaction', ?, NOW())`,
+    [creatorId, amount, transactionId]
+  );
+};
+
+/**
+ * Run a complete wallet payment from a fan to a creator in one DB transaction.
+ *
+ * Flow: run the caller's onBeforeDebit hook (e.g. claim a pay_per_views row) -> debit payer wallet
+ * -> insert transactions row -> credit creator earnings -> run the caller's onBeforeCommit hook -> commit.
+ * Any failure rolls everything back.
+ *
+ * @param {object} params
+ * @param {number} params.payerId - Paying user ID
+ * @param {object} params.creator - Creator user row (id, custom_fee)
+ * @param {number} params.amount - Gross amount to charge
+ * @param {string} params.type - One of TRANSACTION_TYPES
+ * @param {number|null} [params.refId] - Referenced entity ID (message, update, live, purchase...)
+ * @param {number|null} [params.liveId] - Live stream ID for live payments
+ * @param {boolean} [params.holdEarnings] - Keep the creator share pending (approved = '0') until releaseHeldPayment
+ * @param {Function|null} [params.onBeforeDebit] - async (conn) => void, runs first inside the transaction;
+ *   throw (e.g. 409 already purchased) to stop the payment before any money moves
+ * @param {Function|null} [params.onBeforeCommit] - async (conn, payment) => any, runs inside the transaction
+ * @returns {Promise<object>} { transactionId, txnId, amount, earningNetUser, earningNetAdmin, result }
+ * @throws {Error} statusCode 402 on insufficient balance, or the hook's error
+ */
+const processWalletPayment = async ({ payerId, creator, amount, type, refId = null, liveId = null, holdEarnings = false, onBeforeDebit = null, onBeforeCommit = null }) => {
+  const chargeAmount = parseFloat(amount);
+  if (!chargeAmount || chargeAmount <= 0) {
+    throw walletError(400, 'Invalid payment amount');
+  }
+
+  const adminSettings = await getAdminSettings();
+  const { percentage, earningNetUser, earningNetAdmin } = calculateEarnings(creator, chargeAmount, adminSettings);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    if (onBeforeDebit) {
+      await onBeforeDebit(conn);
+    }
+
+    const debited = await debitWallet(conn, payerId, chargeAmount);
+    if (!debited) {
+      throw walletError(402, 'Insufficient wallet balance');
+    }
+
+    const { transactionId, txnId } = await recordTransaction(conn, {
+      userId: payerId,
+      creatorId: creator.id,
+      amount: chargeAmount,
+      earningNetUser,
+      earningNetAdmin,
+      percentage,
+      type,
+      refId,
+      liveId,
+      approved: holdEarnings ? '0' : '1'
+    });
+
+    if (!holdEarnings) {
+      await creditCreatorEarnings(conn, { creatorId: creator.id, amount: earningNetUser, type, transactionId });
+    }
+
+    const payment = { transactionId, txnId, amount: chargeAmount, earningNetUser, earningNetAdmin };
+    const result = onBeforeCommit ? await onBeforeCommit(conn, payment) : null;
+
+    await conn.commit();
+    conn.release();
+
+    logInfo('Wallet payment processed', { payerId, creatorId: creator.id, amount: chargeAmount, type, refId, transactionId, holdEarnings });
+    return { ...payment, result };
+  } catch (error) {
+    await conn.rollback();
+    conn.release();
+    if (!error.statusCode) {
+      logError('Wallet payment failed:', error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release a held payment to the creator inside the caller's DB transaction
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} transactionId - ID of the held transactions row
+ * @returns {Promise<number>} Amount credited to the creator
+ * @throws {Error} statusCode 404 if missing, 409 if not held
+ */
+const releaseHeldPayment = async (conn, transactionId) => {
+  const [rows] = await conn.query('SELECT * FROM transactions WHERE id = ? FOR UPDATE', [transactionId]);
+  const held = rows[0];
+  if (!held) {
+    throw walletError(404, 'Transaction not found');
+  }
+  if (String(held.approved) !== '0') {
+    throw walletError(409, 'Transaction is not on hold');
+  }
+
+  const earningNetUser = parseFloat(held.earning_net_user) || 0;
+  await conn.query('UPDATE transactions SET approved = "1", updated_at = NOW() WHERE id = ?', [transactionId]);
+  await creditCreatorEarnings(conn, { creatorId: held.subscribed, amount: earningNetUser, type: held.type, transactionId });
+
+  logInfo('Held wallet payment released', { transactionId, creatorId: held.subscribed, amount: earningNetUser });
+  return earningNetUser;
+};
+
+/**
+ * Refund a wallet payment inside the caller's DB transaction.
+ *
+ * Credits the payer back, marks the original transactions row refunded (approved = '2'),
+ * reverses the creator earning (unless it was still held) and records a 'refund' transactions row.
+ *
+ * @param {object} conn - DB connection (inside a transaction)
+ * @param {number} transactionId - ID of the original transactions row
+ * @returns {Promise<object>} { transactionId, txnId, amount, userId, creatorId }
+ * @throws {Error} statusCode 404 if missing, 409 if already refunded
+ */
+const refundWalletPayment = async (conn, transactionId) => {
+  const [rows] = await conn.query('SELECT * FROM transactions WHERE id = ? FOR UPDATE', [transactionId]);
+  const original = rows[0];
+  if (!original) {
+    throw walletError(404, 'Transaction not found');
+  }
+  if (String(original.approved) === '2') {
+    throw walletError(409, 'Transaction already refunded');
+  }
+
+  const amount = parseFloat(original.amount) || 0;
+  const earningNetUser = parseFloat(original.earning_net_user) || 0;
+
+  // Held payments never reached the creator, so there is nothing to reverse
+  const wasCredited = String(original.approved) === '1';
+
+  await creditWallet(conn, original.user_id, amount);
+  await conn.query('UPDATE transactions SET approved = "2", updated_at = NOW() WHERE id = ?', [transactionId]);
+  await conn.query('UPDATE creator_earnings SET status = "refunded" WHERE transaction_id = ?', [transactionId]);
+  if (wasCredited && earningNetUser > 0) {
+    await conn.query(
+      `INSERT INTO user_balance (user_id, role, type, amount, reference_type, reference_id, created_at)
+       VALUES (?, 'creator', 'debit', ?, 'transaction', ?, NOW())`,
+      [original.subscribed, earningNetUser, transactionId]
+    );
+  }
+
+  const refund = await recordTransaction(conn, {
+    userId: original.user_id,
+    creatorId: original.subscribed,
+    amount,
+    type: TRANSACTION_TYPES.REFUND,
+    refId: transactionId,
+    liveId: original.live_id
+  });
+
+  logInfo('Wallet payment refunded', { transactionId, refundTransactionId: refund.transactionId, amount });
+  return { ...refund, amount, userId: original.user_id, creatorId: original.subscribed };
+};
+
+/**
+ * Wallet transaction filters accepted by GET /wallet/transactions, mapped to transactions.type values
+ */
+const WALLET_TRANSACTION_FILTERS = {
+  tip: [TRANSACTION_TYPES.LIVE_TIP, TRANSACTION_TYPES.TIPMENU],
+  ppv: [TRANSACTION_TYPES.PPV],
+  subscription: [TRANSACTION_TYPES.SUBSCRIPTION],
+  product: [TRANSACTION_TYPES.PRODUCT],
+  live: [TRANSACTION_TYPES.LIVE, TRANSACTION_TYPES.LIVE_TIP, TRANSACTION_TYPES.TIPMENU],
+  refund: [TRANSACTION_TYPES.REFUND],
+  deposit: [TRANSACTION_TYPES.DEPOSIT]
+};
+
+/**
+ * Get the wallet overview of a user.
+ * Pending covers top-ups awaiting the provider and payments held until delivery.
+ * Creator balance comes from user_balance via getUserBalance.
+ * @param {number} userId - User ID
+ * @returns {Promise<object>} { balance, pending: { deposits, held, total }, creatorBalance }
+ */
+const getWalletSummary = async (userId) => {
+  const [balance, creatorBalance, [rows]] = await Promise.all([
+    getWalletBalance(userId),
+    getUserBalance(userId, 'creator'),
+    pool.query(
+      `SELECT
+        COALESCE(SUM(CASE WHEN type = ? THEN amount ELSE 0 END), 0) as deposits,
+        COALESCE(SUM(CASE WHEN type <> ? THEN amount ELSE 0 END), 0) as held
+       FROM transactions
+       WHERE user_id = ? AND approved = '0'`,
+      [TRANSACTION_TYPES.DEPOSIT, TRANSACTION_TYPES.DEPOSIT, userId]
+    )
+  ]);
+
+  const deposits = parseFloat(rows[0]?.deposits) || 0;
+  const held = parseFloat(rows[0]?.held) || 0;
+  return {
+    balance,
+    pending: { deposits, held, total: Math.round((deposits + held) * 100) / 100 },
+    creatorBalance: parseFloat(creatorBalance.balance) || 0
+  };
+};
+
+/**
+ * Page through the transactions paid or received into a user's wallet
+ * @param {number} userId - User ID
+ * @param {object} options - { skip, limit, type } where type is a WALLET_TRANSACTION_FILTERS key or 'all'
+ * @returns {Promise<{ transactions: Array, total: number }>}
+ */
+const getWalletTransactions = async (userId, { skip = 0, limit = 20, type = 'all' } = {}) => {
+  let where = 'WHERE t.user_id = ?';
+  const params = [userId];
+  if (type && type !== 'all') {
+    where += ' AND t.type IN (?)';
+    params.push(WALLET_TRANSACTION_FILTERS[type]);
+  }
+
+  try {
+    const [countRows] = await pool.query(`SELECT COUNT(*) as total FROM transactions t ${where}`, params);
+    const [transactions] = await pool.query(
+      `SELECT t.id, t.txn_id, t.type, t.amount, t.approved, t.payment_gateway, t.ref_id, t.created_at,
+              u.username as creator_username, u.name as creator_name
+       FROM transactions t
+       LEFT JOIN users u ON u.id = t.subscribed AND t.subscribed <> t.user_id
+       ${where}
+       ORDER BY t.id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, skip]
+    );
+    return { transactions, total: countRows[0]?.total || 0 };
+  } catch (error) {
+    logError('Error getting wallet transactions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Insert a pending top-up. The wallet is only credited by settleDeposit.
+ * @param {number} userId - User ID
+ * @param {number} amount - Top-up amount
+ * @param {string} gateway - Payment provider name
+ * @returns {Promise<{ transactionId: number, txnId: string }>}
+ */
+const createPendingDeposit = async (userId, amount, gateway) => recordTransaction(pool, {
+  userId,
+  creatorId: userId,
+  amount,
+  type: TRANSACTION_TYPES.DEPOSIT,
+  paymentGateway: gateway,
+  approved: '0'
+});
+
+/**
+ * Get a top-up of a user by its public txn_id
+ * @param {number} userId - User ID
+ * @param {string} txnId - transactions.txn_id
+ * @returns {Promise<object|null>} Transaction row or null
+ */
+const getUserDeposit = async (userId, txnId) => {
+  try {
+    const [rows] = await pool.query(
+      'SELECT * FROM transactions WHERE txn_id = ? AND user_id = ? AND type = ?',
+      [txnId, userId, TRANSACTION_TYPES.DEPOSIT]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    logError('Error getting deposit:', error);
+    return null;
+  }
+};
+
+/**
+ * Settle a pending top-up. Completed top-ups credit the wallet (approved = '1');
+ * failed ones are closed without a credit (approved = '2'). Already settled top-ups
+ * are left untouched, so provider callbacks can safely be repeated.
+ * @param {number} transactionId - ID of the deposit transactions row
+ * @param {boolean} succeeded - Whether the provider captured the payment
+ * @returns {Promise<object>} { transactionId, txnId, userId, amount, approved, settled }
+ * @throws {Error} statusCode 404 if the deposit does not exist
+ */
+const settleDeposit = async (transactionId, succeeded) => {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      'SELECT * FROM transactions WHERE id = ? AND type = ? FOR UPDATE',
+      [transactionId, TRANSACTION_TYPES.DEPOSIT]
+    );
+    const deposit = rows[0];
+    if (!deposit) {
+      throw walletError(404, 'Deposit not found');
+    }
+
+    const amount = parseFloat(deposit.amount) || 0;
+    let approved = String(deposit.approved);
+    const settled = approved === '0';
+    if (settled) {
+      approved = succeeded ? '1' : '2';
+      if (succeeded) {
+        await creditWallet(conn, deposit.user_id, amount);
+      }
+      await conn.query('UPDATE transactions SET approved = ?, updated_at = NOW() WHERE id = ?', [approved, transactionId]);
+    }
+
+    await conn.commit();
+    conn.release();
+
+    if (settled) {
+      logInfo('Wallet deposit settled', { transactionId, userId: deposit.user_id, amount, succeeded });
+    }
+    return { transactionId, txnId: deposit.txn_id, userId: deposit.user_id, amount, approved, settled };
+  } catch (error) {
+    await conn.rollback();
+    conn.release();
+    throw error;
+  }
+};
+
+// Export all functions at the end
+export {
+  TRANSACTION_TYPES,
+  walletError,
+  getWalletBalance,
+  calculateEarnings,
+  debitWallet,
+  creditWallet,
+  recordTransaction,
+  creditCreatorEarnings,
+  processWalletPayment,
+  releaseHeldPayment,
+  refundWalletPayment,
+  WALLET_TRANSACTION_FILTERS,
+  getWalletSummary,
+  getWalletTransactions,
+  createPendingDeposit,
+  getUserDeposit,
+  settleDeposit
+};
@@ -243,7 +243,78 @@ const sendWhatsAppOTP = async (phone, countryCode, otp) => {
   }
 };
 
+/**
+ * Send a new sign-in alert via WhatsApp (accounts without an email)
+ * The WHATSAPP_LOGIN_ALERT_TEMPLATE template takes the device and country as body parameters and
+ * the "this wasn't me" token as the suffix of its URL button (base URL: API_URL/auth/login-alert/revoke?token=)
+ * @param {string} mobile - Mobile number with country code, as stored in users.mobile
+ * @param {object} alert - Alert data from checkNewLogin (utils/loginSecurity.js)
+ * @returns {Promise<boolean>} True if sent successfully
+ */
+const sendWhatsAppLoginAlert = async (mobile, alert) => {
+  try {
+    const url = process.env.WHATSAPP_API_URL;
+    const template = process.env.WHATSAPP_LOGIN_ALERT_TEMPLATE;
+    if (!url || !template) {
+      logError('WhatsApp login alert config missing:', { url: !!url, template: !!template });
+      return false;
+    }
+
+    const accessToken = await getWhatsAppAccessToken();
+    if (!accessToken) {
+      logError('WhatsApp login alert: no access token available');
+      return false;
+    }
+
+    const token = new URL(alert.revoke_url).searchParams.get('token');
+    const response = await axios.post(url, {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: mobile,
+      type: 'template',
+      template: {
+        name: template,
+        language: { code: 'en' },
+        components: [
+          {
+            type: 'body',
+            parameters: [
+              { type: 'text', text: alert.device },
+              { type: 'text', text: alert.country }
+            ]
+          },
+          {
+            type: 'button',
+            sub_type: 'url',
+            index: '0',
+            parameters: [{ type: 'text', text: token }]
+          }
+        ]
+      }
+    }, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    });
+
+    logInfo('WhatsApp login alert sent', { mobile, messageId: response.data?.messages?.[0]?.id });
+    return true;
+  } catch (error) {
+    logError('WhatsApp login alert error:', {
+      mobile,
+      status: error.response?.status,
+      data: error.response?.data,
+      error: error.message
+    });
+    await sendTelegramNotification(`WhatsApp Login Alert Error\nPhone: ${mobile}\nStatus: ${error.response?.status || 'n/a'}\nError: ${error.message}`);
+    return false;
+  }
+};
+
 // Export all functions at the end
 export {
-  sendWhatsAppOTP
+  sendWhatsAppOTP,
+  sendWhatsAppLoginAlert
 };
\ No newline at end of file
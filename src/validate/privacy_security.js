@@ -38,11 +38,12 @@ const validateSecuritySettings = (securitySettings) => {
     return { isValid: false, errors };
   }
   
-  const validKeys = ['two_factor_enabled', 'login_notifications', 'session_timeout'];
+  // Two-factor authentication is managed through the two_factor action instead
+  const validKeys = ['login_notifications', 'session_timeout'];
   
   for (const key of validKeys) {
     if (securitySettings[key] !== undefined) {
-      if (key === 'two_factor_enabled' || key === 'login_notifications') {
+      if (key === 'login_notifications') {
         if (typeof securitySettings[key] !== 'boolean') {
           errors.push(`${key} must be a boolean`);
         }
@@ -107,6 +108,35 @@ const validateAccountDeletionOTPRequest = (requestData) => {
   return { isValid: errors.length === 0, errors };
 };
 
+/**
+ * Validate a two-factor authentication action
+ * (setup, enable with a code, disable or regenerate_backup_codes with a code or backup code)
+ */
+const validateTwoFactorAction = (twoFactor) => {
+  const errors = [];
+  if (!twoFactor || typeof twoFactor !== 'object') {
+    return { isValid: false, errors: ['two_factor must be an object'] };
+  }
+  const { action, code, backup_code } = twoFactor;
+  const validActions = ['setup', 'enable', 'disable', 'regenerate_backup_codes'];
+  if (!validActions.includes(action)) {
+    errors.push(`action must be one of: ${validActions.join(', ')}`);
+  }
+  if (code !== undefined && (typeof code !== 'string' || !/^\d{6}$/.test(code.replace(/\s/g, '')))) {
+    errors.push('code must be 6 digits');
+  }
+  if (backup_code !== undefined && typeof backup_code !== 'string') {
+    errors.push('backup_code must be a string');
+  }
+  if (action === 'enable' && !code) {
+    errors.push('code from the authenticator app is required');
+  }
+  if ((action === 'disable' || action === 'regenerate_backup_codes') && !code && !backup_code) {
+    errors.push('code or backup_code is required');
+  }
+  return { isValid: errors.length === 0, errors };
+};
+
 /**
  * Validate combined privacy and security update request
  */
@@ -115,7 +145,7 @@ const validatePrivacySecurityUpdateRequest = (requestData) => {
   if (!requestData || typeof requestData !== 'object') {
     return { isValid: false, errors: ['Request data must be an object'] };
   }
-  const { privacy_settings, security_settings } = requestData;
+  const { privacy_settings, security_settings, two_factor } = requestData;
   if (privacy_settings !== undefined) {
     const r = validatePrivacySettings(privacy_settings);
     if (!r.isValid) errors.push(...r.errors.map(e => `privacy: ${e}`));
@@ -124,8 +154,12 @@ const validatePrivacySecurityUpdateRequest = (requestData) => {
     const r = validateSecuritySettings(security_settings);
     if (!r.isValid) errors.push(...r.errors.map(e => `security: ${e}`));
   }
-  if (privacy_settings === undefined && security_settings === undefined) {
-    errors.push('At least one of privacy_settings or security_settings must be provided');
+  if (two_factor !== undefined) {
+    const r = validateTwoFactorAction(two_factor);
+    if (!r.isValid) errors.push(...r.errors.map(e => `two_factor: ${e}`));
+  }
+  if (privacy_settings === undefined && security_settings === undefined && two_factor === undefined) {
+    errors.push('At least one of privacy_settings, security_settings or two_factor must be provided');
   }
   return { isValid: errors.length === 0, errors };
 };
@@ -136,5 +170,6 @@ export {
   validateSecuritySettings,
   validateAccountDeletionRequest,
   validateAccountDeletionOTPRequest,
+  validateTwoFactorAction,
   validatePrivacySecurityUpdateRequest
 };
\ No newline at end of file
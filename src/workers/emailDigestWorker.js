@@ -0,0 +1,91 @@
+/**
+ * @file emailDigestWorker.js
+ * @description Daily/weekly notification digest emails, run by PM2 (see ecosystem.config.js)
+ *
+ * Each run performs one pass and exits; PM2 cron_restart schedules the next pass (hourly).
+ * For every opted-in user who has been away from the app and whose previous digest is a full
+ * day/week old, it emails unseen notifications, new posts from subscribed creators and unread
+ * messages (see utils/emailDigest.js). Users with nothing new get no email, but their digest
+ * clock still moves on. Failed sends are retried on the next pass.
+ *
+ * Database Tables: users, notifications, updates, subscriptions, messages
+ */
+
+import 'dotenv/config';
+import { closeDB } from '../config/database.js';
+import { logInfo, logError } from '../utils/common.js';
+import { sendDigestEmail } from '../utils/mail.js';
+import { getDueDigestUsers, buildDigest, markDigestSent } from '../utils/emailDigest.js';
+
+const BATCH_SIZE = Number(process.env.EMAIL_DIGEST_BATCH_SIZE || 200);
+// Stay under the hourly cron interval
+const PASS_DURATION_MS = Number(process.env.EMAIL_DIGEST_PASS_MINUTES || 50) * 60 * 1000;
+
+/**
+ * Build and send one user's digest
+ * @returns {Promise<string>} Outcome: sent, empty or failed
+ */
+const sendUserDigest = async (user) => {
+  const digest = await buildDigest(user);
+  if (!digest) {
+    await markDigestSent(user.id);
+    return 'empty';
+  }
+
+  if (!await sendDigestEmail(user.email, digest)) return 'failed';
+  await markDigestSent(user.id);
+  return 'sent';
+};
+
+/**
+ * Send all due digests, batch by batch, until none are due or the pass runs out of time
+ * @returns {Promise<object>} Count per outcome
+ */
+const sendDueDigests = async () => {
+  const deadline = Date.now() + PASS_DURATION_MS;
+  const counts = { sent: 0, empty: 0, failed: 0 };
+  // Users that failed this pass stay due; skip them instead of fetching them again
+  const attempted = new Set();
+
+  while (Date.now() < deadline) {
+    const users = (await getDueDigestUsers(BATCH_SIZE + attempted.size)).filter(user => !attempted.has(user.id));
+    if (users.length === 0) break;
+
+    let delivered = 0;
+    for (const user of users.slice(0, BATCH_SIZE)) {
+      if (Date.now() >= deadline) break;
+      attempted.add(user.id);
+      try {
+        const outcome = await sendUserDigest(user);
+        counts[outcome] += 1;
+        if (outcome !== 'failed') delivered += 1;
+      } catch (error) {
+        counts.failed += 1;
+        logError('[emailDigestWorker] Digest failed:', { userId: user.id, error: error.message });
+      }
+    }
+
+    // A batch where everything failed points at the mail server; leave the rest for the next pass
+    if (delivered === 0) break;
+  }
+  return counts;
+};
+
+/**
+ * Run one pass of the digest job
+ */
+const runEmailDigestWorker = async () => {
+  let exitCode = 0;
+  try {
+    const counts = await sendDueDigests();
+    logInfo('[emailDigestWorker] Pass completed', counts);
+  } catch (error) {
+    logError('[emailDigestWorker] Pass failed:', error);
+    exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+  process.exit(exitCode);
+};
+
+runEmailDigestWorker();
@@ -0,0 +1,64 @@
+/**
+ * @file liveWorker.js
+ * @description Periodic live stream jobs, run by PM2 (see ecosystem.config.js)
+ *
+ * Each run performs one pass and exits; PM2 cron_restart schedules the next pass.
+ * - Reminds fans who booked a live that starts within LIVE_BOOKING_REMINDER_MINUTES (notification type 40)
+ * - Closes started lives whose creator stopped sending heartbeats
+ *
+ * Database Tables: live_prebooks, live_streamings, live_summaries, notifications
+ */
+
+import 'dotenv/config';
+import { closeDB } from '../config/database.js';
+import { logInfo, logError } from '../utils/common.js';
+import { createNotification, flushPushNotifications } from '../utils/notification.js';
+import { getDueLiveBookingReminders, markLivePrebooksReminded, closeAbandonedLives } from '../utils/live.js';
+
+/**
+ * Send reminder notifications for bookings whose live starts soon
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendLiveBookingReminders = async () => {
+  const reminders = await getDueLiveBookingReminders();
+  const remindedIds = [];
+
+  for (const reminder of reminders) {
+    try {
+      await createNotification({
+        user_id: reminder.user_id,
+        from_user_id: reminder.creator_id,
+        type: '40',
+        live_id: reminder.live_id,
+        extra_data: { live_stream_name: reminder.name, live_stream_datetime: reminder.date_time }
+      });
+      remindedIds.push(reminder.id);
+    } catch (error) {
+      logError('[liveWorker] Failed to send booking reminder:', { prebookId: reminder.id, error: error.message });
+    }
+  }
+
+  await markLivePrebooksReminded(remindedIds);
+  return remindedIds.length;
+};
+
+/**
+ * Run one pass of all live jobs
+ */
+const runLiveWorker = async () => {
+  let exitCode = 0;
+  try {
+    const reminders = await sendLiveBookingReminders();
+    const closedLives = await closeAbandonedLives();
+    logInfo('[liveWorker] Pass completed', { reminders, closedLives });
+  } catch (error) {
+    logError('[liveWorker] Pass failed:', error);
+    exitCode = 1;
+  } finally {
+    await flushPushNotifications();
+    await closeDB();
+  }
+  process.exit(exitCode);
+};
+
+runLiveWorker();
@@ -0,0 +1,146 @@
+/**
+ * @file messageCampaignWorker.js
+ * @description Mass message campaign delivery job, run by PM2 (see ecosystem.config.js)
+ *
+ * Each run performs one pass and exits; PM2 cron_restart schedules the next pass.
+ * For every running campaign and every scheduled campaign that is due:
+ * - Snapshots the audience segment into message_campaign_recipients on the first pass
+ * - Delivers pending recipients in batches, checking the time before every recipient so the pass
+ *   stops within MESSAGE_CAMPAIGN_PASS_SECONDS; the next pass resumes where this one stopped
+ * - Stops at the next batch once the creator cancels, and completes the campaign when
+ *   nobody is left to message
+ * Recipients claimed but not reached before the deadline (or by a killed pass) go back to 'pending'.
+ *
+ * Database Tables: message_campaigns, message_campaign_recipients, messages, media_messages, conversations
+ */
+
+import 'dotenv/config';
+import { closeDB } from '../config/database.js';
+import { logInfo, logError } from '../utils/common.js';
+import { processSubscriber } from '../utils/send_message.js';
+import { connectRealtimePublisher, closeRealtimeGateway } from '../utils/realtime.js';
+import {
+  CAMPAIGN_STATUS,
+  getDueCampaigns,
+  getCreatorCampaignById,
+  startCampaign,
+  claimPendingRecipients,
+  requeueClaimedRecipients,
+  completeRecipient,
+  refreshCampaignProgress
+} from '../utils/messageCampaigns.js';
+
+const BATCH_SIZE = Number(process.env.MESSAGE_CAMPAIGN_BATCH_SIZE || 100);
+// Stay under the one minute cron interval so PM2 never restarts a pass mid-batch
+const PASS_DURATION_MS = Number(process.env.MESSAGE_CAMPAIGN_PASS_SECONDS || 50) * 1000;
+
+/**
+ * Message payload shared by every recipient of a campaign
+ */
+const getCampaignPayload = (campaign) => {
+  let media = campaign.media || null;
+  if (typeof media === 'string') media = JSON.parse(media);
+
+  return {
+    creatorId: campaign.user_id,
+    message: campaign.message || '',
+    price: parseFloat(campaign.price) || 0,
+    media: media?.files || [],
+    processedMedia: { original: media?.original || [], converted: media?.converted || [] }
+  };
+};
+
+/**
+ * Deliver one campaign until it is done, cancelled or the pass deadline is reached
+ * @returns {Promise<object>} Sent/failed counts of this pass and the campaign progress
+ */
+const deliverCampaign = async (campaign, deadline) => {
+  const counts = { sent: 0, failed: 0 };
+
+  if (!await startCampaign(campaign)) {
+    return { ...counts, skipped: true };
+  }
+
+  const interrupted = await requeueClaimedRecipients(campaign.id);
+  if (interrupted > 0) {
+    logInfo('[messageCampaignWorker] Requeued interrupted deliveries', { campaignId: campaign.id, interrupted });
+  }
+
+  const payload = getCampaignPayload(campaign);
+
+  while (Date.now() < deadline) {
+    // The creator may cancel while the campaign is running
+    const current = await getCreatorCampaignById(campaign.user_id, campaign.id);
+    if (current?.status !== CAMPAIGN_STATUS.RUNNING) break;
+
+    const recipients = await claimPendingRecipients(campaign.id, BATCH_SIZE);
+    if (recipients.length === 0) break;
+
+    for (const recipient of recipients) {
+      if (Date.now() >= deadline) break;
+      const result = await processSubscriber(recipient.user_id, payload);
+      await completeRecipient(recipient.id, {
+        messageId: result.success ? result.messageId : null,
+        error: result.success ? null : result.error
+      });
+      counts[result.success ? 'sent' : 'failed'] += 1;
+    }
+    await refreshCampaignProgress(campaign.id);
+  }
+
+  // Recipients of the last batch the deadline cut off are sent by the next pass (or cancelled with the campaign)
+  await requeueClaimedRecipients(campaign.id);
+
+  const progress = await refreshCampaignProgress(campaign.id);
+  if (progress.completed) {
+    logInfo('[messageCampaignWorker] Campaign completed', { campaignId: campaign.id, sent: progress.sent, failed: progress.failed });
+  }
+  return { ...counts, progress };
+};
+
+/**
+ * Deliver all due campaigns, oldest first
+ * @returns {Promise<object>} Counts for this pass
+ */
+const deliverDueCampaigns = async () => {
+  const deadline = Date.now() + PASS_DURATION_MS;
+  const counts = { campaigns: 0, sent: 0, failed: 0, errors: 0 };
+  const campaigns = await getDueCampaigns();
+
+  for (const campaign of campaigns) {
+    if (Date.now() >= deadline) break;
+    try {
+      const result = await deliverCampaign(campaign, deadline);
+      if (result.skipped) continue;
+      counts.campaigns += 1;
+      counts.sent += result.sent;
+      counts.failed += result.failed;
+    } catch (error) {
+      counts.errors += 1;
+      logError('[messageCampaignWorker] Campaign delivery failed:', { campaignId: campaign.id, error: error.message });
+    }
+  }
+  return counts;
+};
+
+/**
+ * Run one pass of the message campaign job
+ */
+const runMessageCampaignWorker = async () => {
+  let exitCode = 0;
+  try {
+    // Lets fans connected to any API instance see the messages arrive live
+    await connectRealtimePublisher();
+    const counts = await deliverDueCampaigns();
+    logInfo('[messageCampaignWorker] Pass completed', counts);
+  } catch (error) {
+    logError('[messageCampaignWorker] Pass failed:', error);
+    exitCode = 1;
+  } finally {
+    await closeRealtimeGateway();
+    await closeDB();
+  }
+  process.exit(exitCode);
+};
+
+runMessageCampaignWorker();
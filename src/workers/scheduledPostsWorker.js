@@ -0,0 +1,97 @@
+/**
+ * @file scheduledPostsWorker.js
+ * @description Scheduled post publishing job, run by PM2 (see ecosystem.config.js)
+ *
+ * Each run performs one pass and exits; PM2 cron_restart schedules the next pass.
+ * For every scheduled post whose publish time has passed:
+ * - Flips it to active (the post date becomes the publish time)
+ * - Purges the CloudFront paths that list or show it
+ * - Notifies the creator's current subscribers (notification type 39)
+ *
+ * Database Tables: updates, users, subscriptions, notifications
+ */
+
+import 'dotenv/config';
+import { closeDB } from '../config/database.js';
+import { logInfo, logError } from '../utils/common.js';
+import { createNotification, flushPushNotifications } from '../utils/notification.js';
+import { invalidatePaths } from '../utils/cloudfront.js';
+import { getDueScheduledPosts, publishScheduledPost } from '../utils/updates.js';
+import { getActiveSubscriberIds } from '../utils/subscription.js';
+
+const BATCH_SIZE = Number(process.env.SCHEDULED_POSTS_BATCH_SIZE || 100);
+
+/**
+ * CloudFront paths affected by a newly published post
+ */
+const getPostInvalidationPaths = (post) => [
+  '/posts*',
+  '/updates',
+  '/user/posts',
+  '/user/updates',
+  `/user/${post.username}`
+];
+
+/**
+ * Notify the creator's subscribers about a published post
+ * @returns {Promise<number>} Number of notifications sent
+ */
+const notifySubscribers = async (post) => {
+  const subscriberIds = await getActiveSubscriberIds(post.user_id);
+  let sent = 0;
+
+  for (const subscriberId of subscriberIds) {
+    try {
+      await createNotification({ user_id: subscriberId, from_user_id: post.user_id, type: '39', post_id: post.id });
+      sent += 1;
+    } catch (error) {
+      logError('[scheduledPostsWorker] Failed to notify subscriber:', { postId: post.id, subscriberId, error: error.message });
+    }
+  }
+  return sent;
+};
+
+/**
+ * Publish all due scheduled posts
+ * @returns {Promise<object>} Counts of published posts and notifications
+ */
+const publishDuePosts = async () => {
+  const counts = { published: 0, notified: 0, failed: 0 };
+  const posts = await getDueScheduledPosts(BATCH_SIZE);
+
+  for (const post of posts) {
+    try {
+      // Skip posts rescheduled or cancelled since they were listed
+      if (!await publishScheduledPost(post.id)) continue;
+      counts.published += 1;
+
+      await invalidatePaths(getPostInvalidationPaths(post));
+      counts.notified += await notifySubscribers(post);
+      logInfo('[scheduledPostsWorker] Post published', { postId: post.id, userId: post.user_id, scheduledAt: post.scheduled_at });
+    } catch (error) {
+      counts.failed += 1;
+      logError('[scheduledPostsWorker] Publishing failed:', { postId: post.id, error: error.message });
+    }
+  }
+  return counts;
+};
+
+/**
+ * Run one pass of the scheduled posts job
+ */
+const runScheduledPostsWorker = async () => {
+  let exitCode = 0;
+  try {
+    const counts = await publishDuePosts();
+    logInfo('[scheduledPostsWorker] Pass completed', counts);
+  } catch (error) {
+    logError('[scheduledPostsWorker] Pass failed:', error);
+    exitCode = 1;
+  } finally {
+    await flushPushNotifications();
+    await closeDB();
+  }
+  process.exit(exitCode);
+};
+
+runScheduledPostsWorker();
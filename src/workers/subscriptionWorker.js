@@ -0,0 +1,228 @@
+/**
+ * @file subscriptionWorker.js
+ * @description Subscription renewal and expiry job, run by PM2 (see ecosystem.config.js)
+ *
+ * Each run performs one pass and exits; PM2 cron_restart schedules the next pass.
+ * - Charges the wallet for auto-renewing subscriptions whose period ended (creator type 12, fan type 36)
+ * - On insufficient balance keeps access during SUBSCRIPTION_RENEWAL_GRACE_DAYS, retrying every
+ *   SUBSCRIPTION_RENEWAL_RETRY_HOURS (fan type 37, creator type 41 on the first failure), then expires the subscription
+ * - Expires paid subscriptions that ended without auto-renew (fan type 38, creator type 42)
+ * Every renewal attempt writes a subscription_payments row (completed or failed).
+ *
+ * Dry run: `node src/workers/subscriptionWorker.js --dry-run` (or SUBSCRIPTION_WORKER_DRY_RUN=true)
+ * logs what each subscription would go through without charging, writing or notifying.
+ *
+ * Database Tables: subscriptions, subscription_payments, plans, transactions, creator_earnings, notifications
+ */
+
+import 'dotenv/config';
+import dayjs from 'dayjs';
+import { pool, closeDB } from '../config/database.js';
+import { logInfo, logError, getUserById } from '../utils/common.js';
+import { createNotification, flushPushNotifications } from '../utils/notification.js';
+import { processWalletPayment, getWalletBalance, walletError, TRANSACTION_TYPES } from '../utils/wallet.js';
+import {
+  SUBSCRIPTION_RENEWAL_RETRY_HOURS,
+  getSubscriptionPeriodEnd,
+  getDueSubscriptionRenewals,
+  getEndedSubscriptions,
+  lockDueSubscription,
+  extendSubscriptionPeriod,
+  scheduleSubscriptionRetry,
+  expireSubscription,
+  createSubscriptionPayment
+} from '../utils/subscription.js';
+
+const DRY_RUN = process.argv.includes('--dry-run') || process.env.SUBSCRIPTION_WORKER_DRY_RUN === 'true';
+
+/**
+ * Send a notification without failing the pass
+ */
+const notify = async (data) => {
+  try {
+    await createNotification(data);
+  } catch (error) {
+    logError('[subscriptionWorker] Failed to send notification:', { userId: data.user_id, type: data.type, error: error.message });
+  }
+};
+
+/**
+ * Next billing period of a due subscription. Periods chain from the previous ends_at;
+ * if that is so far behind that the next period is already over, restart from now.
+ * @returns {{ periodStart: Date, periodEnd: Date }}
+ */
+const getNextPeriod = (subscription) => {
+  const now = new Date();
+  let periodStart = new Date(subscription.ends_at);
+  let periodEnd = getSubscriptionPeriodEnd(subscription.interval, periodStart);
+  if (periodEnd && periodEnd <= now) {
+    periodStart = now;
+    periodEnd = getSubscriptionPeriodEnd(subscription.interval, now);
+  }
+  return { periodStart, periodEnd };
+};
+
+/**
+ * Expire a subscription and tell the fan and the creator
+ * @returns {Promise<string>} 'expired'
+ */
+const expireAndNotify = async (subscription, reason) => {
+  if (await expireSubscription(subscription.id)) {
+    await notify({ user_id: subscription.subscriber_id, from_user_id: subscription.creator_id, type: '38', extra_data: { reason } });
+    await notify({ user_id: subscription.creator_id, from_user_id: subscription.subscriber_id, type: '42', extra_data: { reason } });
+    logInfo('[subscriptionWorker] Subscription expired', { subscriptionId: subscription.id, reason });
+  }
+  return 'expired';
+};
+
+/**
+ * Try to renew one due subscription
+ * @returns {Promise<string>} Outcome: renewed, retry, expired or skipped
+ */
+const renewSubscription = async (subscription) => {
+  const price = parseFloat(subscription.price) || 0;
+  const planAvailable = subscription.plan_id && String(subscription.plan_status) === '1' && price > 0;
+  const inGrace = new Date(subscription.grace_ends_at) > new Date();
+  const { periodStart, periodEnd } = getNextPeriod(subscription);
+
+  if (DRY_RUN) {
+    let outcome = 'expired';
+    if (planAvailable && periodEnd) {
+      const balance = await getWalletBalance(subscription.subscriber_id);
+      outcome = balance >= price ? 'renewed' : (inGrace ? 'retry' : 'expired');
+    }
+    logInfo('[subscriptionWorker] Dry run: renewal', { subscriptionId: subscription.id, subscriberId: subscription.subscriber_id, price, outcome });
+    return outcome;
+  }
+
+  if (!planAvailable || !periodEnd) {
+    return expireAndNotify(subscription, 'plan_unavailable');
+  }
+
+  const creator = await getUserById(subscription.creator_id);
+  if (!creator) {
+    return expireAndNotify(subscription, 'creator_unavailable');
+  }
+
+  try {
+    await processWalletPayment({
+      payerId: subscription.subscriber_id,
+      creator,
+      amount: price,
+      type: TRANSACTION_TYPES.SUBSCRIPTION,
+      refId: subscription.plan_id,
+      onBeforeCommit: async (conn, { transactionId, amount }) => {
+        if (!await lockDueSubscription(conn, subscription.id)) {
+          throw walletError(409, 'Subscription is no longer due for renewal');
+        }
+        await extendSubscriptionPeriod(conn, subscription.id, periodEnd);
+        await createSubscriptionPayment(conn, {
+          subscriptionId: subscription.id,
+          subscriberId: subscription.subscriber_id,
+          creatorId: subscription.creator_id,
+          transactionId,
+          amount,
+          periodStart,
+          periodEnd
+        });
+      }
+    });
+
+    await notify({ user_id: subscription.creator_id, from_user_id: subscription.subscriber_id, type: '12', tip_amount: price, extra_data: { amount: price } });
+    await notify({ user_id: subscription.subscriber_id, from_user_id: subscription.creator_id, type: '36', extra_data: { amount: price, ends_at: periodEnd } });
+    logInfo('[subscriptionWorker] Subscription renewed', { subscriptionId: subscription.id, amount: price, endsAt: periodEnd });
+    return 'renewed';
+  } catch (error) {
+    if (error.statusCode === 409) return 'skipped';
+    if (error.statusCode !== 402) throw error;
+  }
+
+  // Insufficient wallet balance
+  await createSubscriptionPayment(pool, {
+    subscriptionId: subscription.id,
+    subscriberId: subscription.subscriber_id,
+    creatorId: subscription.creator_id,
+    amount: price,
+    periodStart,
+    status: 'failed'
+  });
+
+  if (!inGrace) {
+    return expireAndNotify(subscription, 'payment_failed');
+  }
+
+  // Never schedule past the end of the grace period so the last attempt happens before expiry
+  const retryAt = dayjs().add(SUBSCRIPTION_RENEWAL_RETRY_HOURS, 'hour');
+  const graceEndsAt = dayjs(subscription.grace_ends_at);
+  await scheduleSubscriptionRetry(subscription.id, (retryAt.isAfter(graceEndsAt) ? graceEndsAt : retryAt).toDate());
+
+  if (Number(subscription.renewal_attempts) === 0) {
+    await notify({ user_id: subscription.subscriber_id, from_user_id: subscription.creator_id, type: '37', extra_data: { amount: price, grace_ends_at: subscription.grace_ends_at } });
+    await notify({ user_id: subscription.creator_id, from_user_id: subscription.subscriber_id, type: '41', extra_data: { amount: price, grace_ends_at: subscription.grace_ends_at } });
+  }
+  logInfo('[subscriptionWorker] Renewal payment failed, retry scheduled', { subscriptionId: subscription.id, attempts: Number(subscription.renewal_attempts) + 1 });
+  return 'retry';
+};
+
+/**
+ * Charge all due renewals
+ * @returns {Promise<object>} Count per outcome
+ */
+const processRenewals = async () => {
+  const counts = { renewed: 0, retry: 0, expired: 0, skipped: 0, failed: 0 };
+  const due = await getDueSubscriptionRenewals();
+
+  for (const subscription of due) {
+    try {
+      counts[await renewSubscription(subscription)] += 1;
+    } catch (error) {
+      counts.failed += 1;
+      logError('[subscriptionWorker] Renewal failed:', { subscriptionId: subscription.id, error: error.message });
+    }
+  }
+  return counts;
+};
+
+/**
+ * Expire subscriptions that ended without auto-renew
+ * @returns {Promise<number>} Number expired
+ */
+const processEndedSubscriptions = async () => {
+  const ended = await getEndedSubscriptions();
+  if (DRY_RUN) {
+    ended.forEach(subscription => logInfo('[subscriptionWorker] Dry run: expire', { subscriptionId: subscription.id, status: subscription.status }));
+    return ended.length;
+  }
+
+  let expired = 0;
+  for (const subscription of ended) {
+    try {
+      await expireAndNotify(subscription, subscription.status === 'cancelled' ? 'cancelled' : 'auto_renew_off');
+      expired += 1;
+    } catch (error) {
+      logError('[subscriptionWorker] Expiry failed:', { subscriptionId: subscription.id, error: error.message });
+    }
+  }
+  return expired;
+};
+
+/**
+ * Run one pass of the subscription jobs
+ */
+const runSubscriptionWorker = async () => {
+  let exitCode = 0;
+  try {
+    const renewals = await processRenewals();
+    const ended = await processEndedSubscriptions();
+    logInfo('[subscriptionWorker] Pass completed', { dryRun: DRY_RUN, renewals, ended });
+  } catch (error) {
+    logError('[subscriptionWorker] Pass failed:', error);
+    exitCode = 1;
+  } finally {
+    await flushPushNotifications();
+    await closeDB();
+  }
+  process.exit(exitCode);
+};
+
+runSubscriptionWorker();
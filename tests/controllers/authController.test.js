@@ -0,0 +1,198 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { useFakeSessions } from '../fixtures/sessions.js';
+import { createRequest, createResponse } from '../helpers/http.js';
+import { totpCode } from '../fixtures/totp.js';
+
+const db = useFakeDb();
+const sessions = useFakeSessions({ pageSize: 2 });
+
+let controller;
+let common;
+let twoFactor;
+beforeAll(async () => {
+  controller = await import('../../src/controllers/authController.js');
+  common = await import('../../src/utils/common.js');
+  twoFactor = await import('../../src/utils/twoFactor.js');
+});
+
+const USER_ID = '5';
+const DAY_SECONDS = 24 * 60 * 60;
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Sign in: a refresh token stored as the first of a new family
+ */
+const signIn = async (familyId = 'family-1') => {
+  const token = common.generateRefreshToken({ id: Number(USER_ID), role: 'user', isAnonymous: false });
+  await common.storeRefreshToken(USER_ID, token, createRequest(), { familyId });
+  return token;
+};
+
+const refresh = async (refreshToken) => {
+  const res = createResponse();
+  await controller.refresh(createRequest({ body: { refreshToken } }), res);
+  return res;
+};
+
+describe('refresh token rotation', () => {
+  test('rotates the token within its family and cuts the TTL of the rotated row', async () => {
+    const token = await signIn();
+
+    const res = await refresh(token);
+
+    expect(res.statusCode).toBe(200);
+    const successor = res.body.data.refreshToken;
+    expect(successor).not.toBe(token);
+    const rotated = sessions.items.get(token);
+    expect(rotated).toMatchObject({ replacedBy: successor, familyId: 'family-1', rotatedAt: expect.any(String) });
+    expect(rotated.expires_at).toBeLessThanOrEqual(nowSeconds() + 7 * DAY_SECONDS);
+    expect(rotated.expires_at).toBeGreaterThan(nowSeconds() + 6 * DAY_SECONDS);
+    expect(sessions.items.get(successor)).toMatchObject({ familyId: 'family-1', expires_at: expect.any(Number) });
+    expect(sessions.items.get(successor).rotatedAt).toBeUndefined();
+  });
+
+  test('keeps the TTL of a rotated token that expires before the reuse detection horizon', async () => {
+    const token = await signIn();
+    const expiresAt = nowSeconds() + DAY_SECONDS;
+    sessions.items.get(token).expires_at = expiresAt;
+
+    await refresh(token);
+
+    expect(sessions.items.get(token).expires_at).toBe(expiresAt);
+  });
+
+  test('hands out the same successor to a concurrent refresh within the grace window', async () => {
+    const token = await signIn();
+
+    const first = await refresh(token);
+    const second = await refresh(token);
+
+    expect(second.statusCode).toBe(200);
+    expect(second.body.data.refreshToken).toBe(first.body.data.refreshToken);
+    expect(sessions.byUser(USER_ID)).toHaveLength(2);
+  });
+
+  test('a replay after the grace window revokes the whole family across every page of sessions', async () => {
+    const token = await signIn();
+    const { body } = await refresh(token);
+    sessions.items.get(token).rotatedAt = new Date(Date.now() - 60 * 1000).toISOString();
+    // More rows of the same login than fit on one page of the userId index, and another login
+    for (let i = 0; i < 4; i += 1) sessions.put({ token: `old-${i}`, userId: USER_ID, familyId: 'family-1', rotatedAt: new Date().toISOString() });
+    sessions.put({ token: 'other-device', userId: USER_ID, familyId: 'family-2' });
+
+    const res = await refresh(token);
+
+    expect(res.statusCode).toBe(401);
+    expect(sessions.items.has(body.data.refreshToken)).toBe(false);
+    expect(sessions.byUser(USER_ID).map(item => item.token)).toEqual(['other-device']);
+    const [event] = db.find(/INSERT INTO security_events/);
+    expect(event.params.slice(0, 2)).toEqual([Number(USER_ID), 'refresh_token_reuse']);
+  });
+});
+
+describe('getUserSessionsWithDeviceInfo', () => {
+  test('reads every page of the userId index', async () => {
+    for (let i = 0; i < 5; i += 1) sessions.put({ token: `token-${i}`, userId: USER_ID, familyId: `family-${i}` });
+    sessions.put({ token: 'rotated', userId: USER_ID, familyId: 'family-0', rotatedAt: new Date().toISOString() });
+
+    const active = await common.getUserSessionsWithDeviceInfo(USER_ID);
+    const all = await common.getUserSessionsWithDeviceInfo(USER_ID, { includeRotated: true });
+
+    expect(active.map(session => session.token)).toEqual(['token-0', 'token-1', 'token-2', 'token-3', 'token-4']);
+    expect(all).toHaveLength(6);
+  });
+});
+
+describe('logout', () => {
+  test('revokes every token of the login, including rotated ones on later pages', async () => {
+    const token = await signIn();
+    for (let i = 0; i < 3; i += 1) sessions.put({ token: `old-${i}`, userId: USER_ID, familyId: 'family-1', rotatedAt: new Date().toISOString() });
+    sessions.put({ token: 'other-device', userId: USER_ID, familyId: 'family-2' });
+    const accessToken = common.generateAccessToken({ id: Number(USER_ID), role: 'user', isAnonymous: false });
+
+    const res = createResponse();
+    await controller.logout(createRequest({ body: { refreshToken: token }, headers: { authorization: `Bearer ${accessToken}` } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(sessions.byUser(USER_ID).map(item => item.token)).toEqual(['other-device']);
+  });
+});
+
+describe('twoFactorVerify', () => {
+  const USER = { id: Number(USER_ID), username: 'fan', name: 'Fan', email: 'fan@example.com', role: 'normal', verified_id: 'no', status: 'active' };
+
+  /**
+   * A user with 2FA enabled: returns the secret of their authenticator app
+   */
+  const enrol = async () => {
+    const { secret } = await twoFactor.startTwoFactorEnrolment(USER.id, USER.email);
+    const [{ params }] = db.find(/INSERT INTO user_two_factor \(/);
+    db.route(/FROM user_two_factor WHERE user_id = \?/, [{ user_id: USER.id, secret: params[1], confirmed_at: new Date(), last_used_step: null }])
+      .route(/SELECT \* FROM users WHERE id = \?/, [USER]);
+    return secret;
+  };
+
+  const verify = async (body) => {
+    const res = createResponse();
+    await controller.twoFactorVerify(createRequest({ body }), res);
+    return res;
+  };
+
+  const challenge = () => twoFactor.createTwoFactorChallenge(USER.id, 'password').challenge;
+
+  test('exchanges the challenge and a TOTP code for a login session', async () => {
+    const secret = await enrol();
+
+    const res = await verify({ challenge: challenge(), code: totpCode(secret) });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toMatchObject({ accessToken: expect.any(String), refreshToken: expect.any(String) });
+    expect(sessions.items.get(res.body.data.refreshToken)).toMatchObject({ userId: USER_ID });
+    expect(db.find(/UPDATE user_two_factor SET last_used_step/)).toHaveLength(1);
+  });
+
+  test('accepts a backup code instead of a TOTP code', async () => {
+    await enrol();
+    db.route(/UPDATE user_two_factor_backup_codes/, { affectedRows: 1 });
+
+    const res = await verify({ challenge: challenge(), backup_code: 'ABCD-2345' });
+
+    expect(res.statusCode).toBe(200);
+    expect(sessions.byUser(USER_ID)).toHaveLength(1);
+  });
+
+  test('rejects a replayed code and counts it as a failed login', async () => {
+    const secret = await enrol();
+    db.route(/UPDATE user_two_factor SET last_used_step/, { affectedRows: 0 });
+
+    const res = await verify({ challenge: challenge(), code: totpCode(secret) });
+
+    expect(res.statusCode).toBe(401);
+    expect(db.find(/UPDATE users SET\s+failed_login_count/)).toHaveLength(1);
+    expect(sessions.byUser(USER_ID)).toHaveLength(0);
+  });
+
+  test('refuses a token that is not a login challenge before checking the code', async () => {
+    const secret = await enrol();
+    const accessToken = common.generateAccessToken({ id: USER.id, role: 'user', isAnonymous: false });
+
+    const res = await verify({ challenge: accessToken, code: totpCode(secret) });
+
+    expect(res.statusCode).toBe(401);
+    expect(db.find(/FROM users WHERE id/)).toHaveLength(0);
+    expect(db.find(/user_two_factor SET/)).toHaveLength(0);
+  });
+
+  test('does not check codes while the account is locked', async () => {
+    const secret = await enrol();
+    db.route(/locked_until IS NOT NULL/, [{ seconds: 90 }]);
+
+    const res = await verify({ challenge: challenge(), code: totpCode(secret) });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBe('90');
+    expect(db.find(/user_two_factor SET/)).toHaveLength(0);
+    expect(sessions.byUser(USER_ID)).toHaveLength(0);
+  });
+});
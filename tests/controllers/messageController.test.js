@@ -0,0 +1,126 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { createRequest, createResponse } from '../helpers/http.js';
+import { routeWalletPayments } from '../fixtures/money.js';
+
+const db = useFakeDb();
+
+let controller;
+beforeAll(async () => {
+  controller = await import('../../src/controllers/messageController.js');
+});
+
+const BUYER_ID = 7;
+const CREATOR = { id: 3, username: 'creator', name: 'Creator', custom_fee: 0, notify_new_ppv: 'no', status: 'active' };
+const MESSAGE = {
+  id: 99,
+  from_user_id: CREATOR.id,
+  to_user_id: BUYER_ID,
+  message: 'Exclusive',
+  price: '5.00',
+  status: 'new',
+  created_at: '2025-08-27T09:18:32.000Z',
+  media: '1:messages/photo.jpg:image:1024',
+  media_count: 1
+};
+
+/**
+ * Fixture DB: the priced message, its creator and pay_per_views rows claimed by the buyer.
+ * claimedConcurrently: another request wrote the purchase after this one checked for it.
+ */
+const seed = ({ balance = 20, purchased = false, claimedConcurrently = false, message = MESSAGE } = {}) => {
+  const state = routeWalletPayments(db, { balance });
+  state.purchases = purchased ? [MESSAGE.id] : [];
+
+  db.route(/FROM messages m/, message ? [message] : [])
+    .route(/SELECT \* FROM users WHERE id = \?/, ([id]) => (Number(id) === CREATOR.id ? [CREATOR] : []))
+    .route(/INSERT INTO pay_per_views/, ([, messageId]) => {
+      if (claimedConcurrently || state.purchases.includes(messageId)) {
+        throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+      }
+      state.purchases.push(messageId);
+      return { insertId: 1, affectedRows: 1 };
+    })
+    .route(/FROM pay_per_views/, (params) => state.purchases
+      .filter(id => params.slice(1).includes(id))
+      .map(id => ({ id: 1, messages_id: id })));
+  return state;
+};
+
+const unlock = async (messageId = String(MESSAGE.id)) => {
+  const res = createResponse();
+  await controller.unlockMessage(createRequest({ userId: BUYER_ID, params: { messageId } }), res);
+  return res;
+};
+
+describe('unlockMessage', () => {
+  test('charges the buyer, credits the creator and returns the unlocked media', async () => {
+    const state = seed({ balance: 20 });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toMatchObject({ messageId: MESSAGE.id, amount: 5 });
+    const [unlocked] = Object.values(res.body.data.conversations).flat();
+    expect(unlocked).toMatchObject({ id: MESSAGE.id, locked: false, media: MESSAGE.media });
+
+    expect(state.wallet).toBe(15);
+    expect(state.purchases).toEqual([MESSAGE.id]);
+    expect(db.find(/INSERT INTO creator_earnings/)[0].params).toEqual([CREATOR.id, 500, 'ppv', 4]);
+    expect(db.connections[0].committed).toBe(true);
+  });
+
+  test('refuses a second purchase without charging again', async () => {
+    const state = seed({ balance: 20, purchased: true });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(409);
+    expect(state.wallet).toBe(20);
+    expect(db.find(/INSERT INTO transactions/)).toHaveLength(0);
+  });
+
+  test('a concurrent purchase that loses the unique key race is refused', async () => {
+    const state = seed({ balance: 20, claimedConcurrently: true });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(409);
+    expect(state.wallet).toBe(20);
+    expect(db.connections[0].rolledBack).toBe(true);
+  });
+
+  test('returns 402 and keeps the message locked when the wallet is short', async () => {
+    const state = seed({ balance: 2 });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(402);
+    expect(state.wallet).toBe(2);
+    expect(db.connections[0].rolledBack).toBe(true);
+  });
+
+  test('only the recipient can buy the message', async () => {
+    seed({ message: { ...MESSAGE, to_user_id: 8 } });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(403);
+    expect(db.connections).toHaveLength(0);
+  });
+
+  test('a free message cannot be bought', async () => {
+    seed({ message: { ...MESSAGE, price: '0.00' } });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(400);
+    expect(db.connections).toHaveLength(0);
+  });
+
+  test('rejects an invalid message ID', async () => {
+    const res = await unlock('abc');
+
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { createRequest, createResponse } from '../helpers/http.js';
+
+const db = useFakeDb();
+
+// Download URLs are signed locally; nothing is sent to S3
+Object.assign(process.env, { AWS_BUCKET_NAME: 'test-bucket', AWS_ACCESS_KEY_ID: 'test', AWS_SECRET_ACCESS_KEY: 'test' });
+
+let controller;
+let common;
+beforeAll(async () => {
+  controller = await import('../../src/controllers/ordersController.js');
+  common = await import('../../src/utils/common.js');
+});
+
+const BUYER_ID = 7;
+const PURCHASE = { id: 40, user_id: BUYER_ID, products_id: 12, status: 1, delivery_status: 'delivered', product_type: 'digital' };
+
+/**
+ * Fixture DB: a delivered digital order of a product with the given file and gallery images
+ */
+const seed = ({ file }) => {
+  db.route(/FROM purchases p\s+INNER JOIN products pr/, [PURCHASE])
+    .route(/SELECT file FROM products WHERE id = \?/, [{ file }])
+    .route(/FROM media_products/, [{ name: 'gallery-1.jpg' }, { name: 'gallery-2.jpg' }])
+    .route(/FROM purchase_downloads/, [{ total: 0 }]);
+};
+
+const download = async () => {
+  const res = createResponse();
+  await controller.downloadOrder(createRequest({ userId: BUYER_ID, params: { id: common.encryptId(PURCHASE.id) } }), res);
+  return res;
+};
+
+describe('downloadOrder', () => {
+  test('delivers the product file and logs the download', async () => {
+    seed({ file: 'pack.zip' });
+
+    const res = await download();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.files).toEqual([expect.objectContaining({ filename: 'pack.zip', url: expect.stringContaining('uploads/shop/pack.zip') })]);
+    expect(db.find(/INSERT INTO purchase_downloads/)).toHaveLength(1);
+    expect(db.connections[0].committed).toBe(true);
+  });
+
+  test('refuses an order whose product has no file instead of delivering its gallery images', async () => {
+    seed({ file: '' });
+
+    const res = await download();
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toMatch(/no downloadable file/);
+    expect(db.find(/FROM media_products/)).toHaveLength(0);
+    expect(db.find(/INSERT INTO purchase_downloads/)).toHaveLength(0);
+    expect(db.connections[0].rolledBack).toBe(true);
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { createRequest, createResponse } from '../helpers/http.js';
+
+const db = useFakeDb();
+
+let controller;
+let encryptId;
+beforeAll(async () => {
+  controller = await import('../../src/controllers/payoutController.js');
+  ({ encryptId } = await import('../../src/utils/common.js'));
+});
+
+const CREATOR_ID = 3;
+const ADMIN_ID = 1;
+
+/**
+ * Fixture DB: a creator with bank withdrawal settings, a user_balance ledger and withdrawals rows.
+ * The creator balance is the sum of the ledger, so holds and reversals show up in it.
+ */
+const seed = ({ credits = 200, withdrawals = [], minWithdrawal = '50', payoutMethod = true } = {}) => {
+  const state = {
+    ledger: [{ type: 'credit', amount: credits, reference_type: 'transaction' }],
+    withdrawals: withdrawals.map(row => ({ user_id: CREATOR_ID, gateway: 'bank', ...row })),
+    nextWithdrawalId: 900
+  };
+  const balance = () => state.ledger.reduce((sum, row) => sum + (row.type === 'credit' ? row.amount : -row.amount), 0);
+  state.balance = balance;
+
+  db.route(/FROM admin_settings/, [{ setting_key: 'amount_min_withdrawal', setting_value: minWithdrawal }])
+    .route(/FROM withdrawal_settings/, payoutMethod ? [{ withdrawal_method: 'bank', account_details: 'HDFC 1234' }] : [])
+    .route(/SELECT \* FROM users WHERE id = \?/, ([id]) => [{ id, role: Number(id) === ADMIN_ID ? 'admin' : 'normal' }])
+    .route(/FROM users\s+WHERE id = \?/, [{ id: CREATOR_ID, payment_gateway: '', bank: '' }])
+    .route(/SELECT id FROM users WHERE id = \? FOR UPDATE/, [{ id: CREATOR_ID }])
+    .route(/FROM user_balance/, () => {
+      const credit = state.ledger.filter(row => row.type === 'credit').reduce((sum, row) => sum + row.amount, 0);
+      return [{ credits: credit, debits: credit - balance() }];
+    })
+    .route(/INSERT INTO user_balance/, ([userId, amount, referenceId], sql) => {
+      state.ledger.push({ type: /'credit'/.test(sql) ? 'credit' : 'debit', amount, reference_type: 'withdrawal', reference_id: referenceId, userId });
+      return { affectedRows: 1 };
+    })
+    .route(/FROM withdrawals\s+WHERE user_id = \?/, () => [{
+      pending_amount: state.withdrawals
+        .filter(row => ['pending', 'processing'].includes(row.status))
+        .reduce((sum, row) => sum + row.amount, 0)
+    }])
+    .route(/FROM withdrawals\s+WHERE id = \?/, ([id]) => state.withdrawals.filter(row => row.id === id))
+    .route(/INSERT INTO withdrawals/, ([userId, amount, gateway, account, status]) => {
+      const id = state.nextWithdrawalId++;
+      state.withdrawals.push({ id, user_id: userId, amount, gateway, account, status });
+      return { insertId: id, affectedRows: 1 };
+    })
+    .route(/UPDATE withdrawals/, ([status, , id]) => {
+      state.withdrawals.find(row => row.id === id).status = status;
+      return { affectedRows: 1 };
+    });
+  return state;
+};
+
+const requestWithdrawal = async (amount) => {
+  const res = createResponse();
+  await controller.requestWithdrawal(createRequest({ userId: CREATOR_ID, body: { amount } }), res);
+  return res;
+};
+
+const updateStatus = async (withdrawalId, status, userId = ADMIN_ID) => {
+  const res = createResponse();
+  await controller.updateWithdrawalStatus(createRequest({ userId, params: { id: encryptId(withdrawalId) }, body: { status } }), res);
+  return res;
+};
+
+describe('requestWithdrawal', () => {
+  test('creates a pending withdrawal and holds the amount', async () => {
+    const state = seed({ credits: 200 });
+
+    const res = await requestWithdrawal(120);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.available_balance).toBe(80);
+    expect(res.body.data.withdrawal).toMatchObject({ amount: 120, status: 'pending', payment_method: 'bank' });
+    expect(state.withdrawals).toEqual([expect.objectContaining({ id: 900, amount: 120, status: 'pending', account: 'HDFC 1234' })]);
+    expect(state.ledger).toContainEqual(expect.objectContaining({ type: 'debit', amount: 120, reference_type: 'withdrawal', reference_id: 900 }));
+    expect(state.balance()).toBe(80);
+
+    const conn = db.connections[0];
+    expect(conn.committed).toBe(true);
+    expect(conn.released).toBe(true);
+    expect(db.find(/INSERT INTO withdrawals/)[0].source).toBe(conn);
+    expect(db.find(/INSERT INTO user_balance/)[0].source).toBe(conn);
+  });
+
+  test('sends notification type 24', async () => {
+    seed();
+
+    await requestWithdrawal(60);
+
+    const [notification] = db.find(/INSERT INTO notifications/);
+    expect(notification.params).toEqual(expect.arrayContaining([CREATOR_ID, '24']));
+  });
+
+  test('refuses more than the available balance', async () => {
+    const state = seed({ credits: 100 });
+
+    const res = await requestWithdrawal(150);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toEqual({ available_balance: 100 });
+    expect(state.withdrawals).toHaveLength(0);
+    expect(db.connections[0].rolledBack).toBe(true);
+  });
+
+  test('refuses an amount under the minimum', async () => {
+    seed({ minWithdrawal: '100' });
+
+    const res = await requestWithdrawal(60);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/Minimum withdrawal amount is 100/);
+    expect(db.connections).toHaveLength(0);
+  });
+
+  test('refuses a second withdrawal while one is in progress', async () => {
+    const state = seed({ withdrawals: [{ id: 800, amount: 60, status: 'processing' }] });
+
+    const res = await requestWithdrawal(60);
+
+    expect(res.statusCode).toBe(409);
+    expect(state.withdrawals).toHaveLength(1);
+  });
+
+  test('requires a payout method', async () => {
+    seed({ payoutMethod: false });
+
+    const res = await requestWithdrawal(60);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/payout method/);
+  });
+});
+
+describe('updateWithdrawalStatus', () => {
+  test('moves a pending withdrawal to processing and then paid', async () => {
+    const state = seed({ credits: 200, withdrawals: [{ id: 800, amount: 120, status: 'pending' }] });
+    state.ledger.push({ type: 'debit', amount: 120, reference_type: 'withdrawal', reference_id: 800 });
+
+    expect((await updateStatus(800, 'processing')).statusCode).toBe(200);
+    const res = await updateStatus(800, 'paid');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.withdrawal).toMatchObject({ status: 'paid', processed_at: expect.any(Date) });
+    expect(state.withdrawals[0].status).toBe('paid');
+    expect(state.balance()).toBe(80);
+  });
+
+  test('rejecting returns the held amount to the creator', async () => {
+    const state = seed({ credits: 200, withdrawals: [{ id: 800, amount: 120, status: 'processing' }] });
+    state.ledger.push({ type: 'debit', amount: 120, reference_type: 'withdrawal', reference_id: 800 });
+
+    const res = await updateStatus(800, 'rejected');
+
+    expect(res.statusCode).toBe(200);
+    expect(state.ledger).toContainEqual(expect.objectContaining({ type: 'credit', amount: 120, reference_type: 'withdrawal', reference_id: 800 }));
+    expect(state.balance()).toBe(200);
+    expect(db.connections[0].committed).toBe(true);
+  });
+
+  test('a paid withdrawal cannot be rejected', async () => {
+    const state = seed({ withdrawals: [{ id: 800, amount: 120, status: 'paid' }] });
+
+    const res = await updateStatus(800, 'rejected');
+
+    expect(res.statusCode).toBe(409);
+    expect(state.ledger.filter(row => row.type === 'credit')).toHaveLength(1);
+    expect(db.connections[0].rolledBack).toBe(true);
+  });
+
+  test('only administrators can update withdrawals', async () => {
+    seed({ withdrawals: [{ id: 800, amount: 120, status: 'pending' }] });
+
+    const res = await updateStatus(800, 'paid', CREATOR_ID);
+
+    expect(res.statusCode).toBe(403);
+    expect(db.connections).toHaveLength(0);
+  });
+
+  test('a withdrawal cannot be set back to pending', async () => {
+    seed({ withdrawals: [{ id: 800, amount: 120, status: 'processing' }] });
+
+    const res = await updateStatus(800, 'pending');
+
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { createRequest, createResponse } from '../helpers/http.js';
+import { routeWalletPayments } from '../fixtures/money.js';
+
+const db = useFakeDb();
+
+let controller;
+let myUpdates;
+beforeAll(async () => {
+  controller = await import('../../src/controllers/postsController.js');
+  myUpdates = await import('../../src/utils/my_updates.js');
+});
+
+const BUYER_ID = 7;
+const CREATOR = { id: 3, username: 'creator', name: 'Creator', custom_fee: 0, notify_new_ppv: 'no', blocked_countries: '', status: 'active' };
+const POST = { id: 55, user_id: CREATOR.id, locked: 'yes', price: '12.50', description: 'Behind the scenes' };
+
+/**
+ * Fixture DB: the paid post with one image, its creator and the buyer's pay_per_views rows.
+ * claimedConcurrently: another request wrote the purchase after this one checked for it.
+ */
+const seed = ({ balance = 50, purchased = false, claimedConcurrently = false, post = POST, restricted = [] } = {}) => {
+  const state = routeWalletPayments(db, { balance });
+  state.purchases = purchased ? [POST.id] : [];
+
+  db.route(/FROM updates/, post ? [post] : [])
+    .route(/SELECT \* FROM users WHERE id = \?/, ([id]) => (Number(id) === CREATOR.id ? [CREATOR] : []))
+    .route(/FROM restrictions/, restricted.map(id => ({ user_restricted: id })))
+    .route(/FROM media WHERE updates_id = \?/, [{ type: 'image', image: 'bts.jpg' }])
+    .route(/INSERT INTO pay_per_views/, ([, postId]) => {
+      if (claimedConcurrently || state.purchases.includes(postId)) {
+        throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+      }
+      state.purchases.push(postId);
+      return { insertId: 1, affectedRows: 1 };
+    })
+    .route(/FROM pay_per_views/, (params) => state.purchases
+      .filter(id => params.slice(1).includes(id))
+      .map(id => ({ id: 1, updates_id: id })))
+    .route(/FROM subscriptions/, []);
+  return state;
+};
+
+const unlock = async (id = String(POST.id)) => {
+  const res = createResponse();
+  await controller.unlockPost(createRequest({ userId: BUYER_ID, params: { id } }), res);
+  return res;
+};
+
+describe('unlockPost', () => {
+  test('charges the viewer, credits the creator and returns the full media', async () => {
+    const state = seed({ balance: 50 });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.amount).toBe(12.5);
+    expect(res.body.data.media).toEqual([{ type: 'image', url: expect.stringContaining('/updates/images/bts.jpg') }]);
+    expect(res.locals.invalidationPaths).toEqual(['/user/updates', '/updates', '/creator']);
+
+    expect(state.wallet).toBe(37.5);
+    expect(state.purchases).toEqual([POST.id]);
+    const [transaction] = db.find(/INSERT INTO transactions/);
+    expect(transaction.params).toEqual(expect.arrayContaining([BUYER_ID, CREATOR.id, 12.5, 'ppv', POST.id]));
+    expect(db.find(/INSERT INTO creator_earnings/)[0].params).toEqual([CREATOR.id, 500, 'ppv', 10]);
+    expect(db.connections[0].committed).toBe(true);
+  });
+
+  test('refuses a second purchase without charging again', async () => {
+    const state = seed({ balance: 50, purchased: true });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(409);
+    expect(state.wallet).toBe(50);
+    expect(db.find(/INSERT INTO transactions/)).toHaveLength(0);
+  });
+
+  test('a concurrent purchase that loses the unique key race is refused', async () => {
+    const state = seed({ balance: 50, claimedConcurrently: true });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(409);
+    expect(state.wallet).toBe(50);
+    expect(db.connections[0].rolledBack).toBe(true);
+  });
+
+  test('returns 402 when the wallet is short', async () => {
+    const state = seed({ balance: 10 });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(402);
+    expect(state.wallet).toBe(10);
+    expect(db.connections[0].rolledBack).toBe(true);
+  });
+
+  test('a post that is not for sale cannot be bought', async () => {
+    seed({ post: { ...POST, locked: 'no' } });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(400);
+    expect(db.connections).toHaveLength(0);
+  });
+
+  test('the creator cannot buy their own post', async () => {
+    seed({ post: { ...POST, user_id: BUYER_ID } });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('a viewer restricted by the creator cannot buy', async () => {
+    seed({ restricted: [CREATOR.id] });
+
+    const res = await unlock();
+
+    expect(res.statusCode).toBe(403);
+    expect(db.connections).toHaveLength(0);
+  });
+});
+
+describe('applyPostPaywall', () => {
+  const media = { [POST.id]: [{ type: 'image', url: 'https://cdn.example/bts.jpg' }] };
+
+  test('blurs a paid post for viewers who did not buy it', async () => {
+    seed();
+
+    const result = await myUpdates.applyPostPaywall([POST], media, BUYER_ID);
+
+    expect(result[POST.id]).toEqual([{ type: 'image', blurred: true }]);
+  });
+
+  test('shows a paid post to its purchaser', async () => {
+    seed({ purchased: true });
+
+    const result = await myUpdates.applyPostPaywall([POST], media, BUYER_ID);
+
+    expect(result[POST.id]).toEqual(media[POST.id]);
+  });
+
+  test('shows a paid post to its owner without a lookup', async () => {
+    seed();
+
+    const result = await myUpdates.applyPostPaywall([POST], media, CREATOR.id);
+
+    expect(result).toBe(media);
+    expect(db.queries).toHaveLength(0);
+  });
+
+  test('blurs a subscribers-only post for non-subscribers', async () => {
+    seed();
+
+    const result = await myUpdates.applyPostPaywall([{ ...POST, price: '0' }], media, BUYER_ID);
+
+    expect(result[POST.id]).toEqual([{ type: 'image', blurred: true }]);
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { createRequest, createResponse } from '../helpers/http.js';
+import { routeWalletPayments } from '../fixtures/money.js';
+
+const db = useFakeDb();
+
+let controller;
+let subscriptions;
+beforeAll(async () => {
+  controller = await import('../../src/controllers/subscriptionController.js');
+  subscriptions = await import('../../src/utils/subscription.js');
+});
+
+const FAN_ID = 7;
+const CREATOR = {
+  id: 3, username: 'creator', name: 'Creator', verified_id: 'yes', status: 'active', custom_fee: 0,
+  blocked_countries: '', free_subscription: 'no', notify_new_subscriber: 'no'
+};
+const PLAN = { id: 31, user_id: CREATOR.id, interval: 'monthly', price: '10.00', status: '1' };
+
+// Rows SUBSCRIPTION_ACCESS_CONDITION accepts
+const grantsAccess = ({ status, ends_at: endsAt }) => status === 'active' || (status === 'cancelled' && new Date(endsAt) > new Date());
+
+/**
+ * Fixture DB: a verified creator with a monthly plan and the fan's subscriptions rows.
+ * The current subscription is the latest row that grants access.
+ */
+const seed = ({ balance = 50, creator = CREATOR, current = null } = {}) => {
+  const state = routeWalletPayments(db, { balance });
+  state.subscriptions = current ? [{ id: 70, subscriber_id: FAN_ID, creator_id: creator.id, status: 'active', ...current }] : [];
+  state.payments = [];
+
+  db.route(/FROM users\s+WHERE username = \?/, [{ id: creator.id, username: creator.username, verified_id: creator.verified_id }])
+    .route(/SELECT \* FROM users WHERE id = \?/, [creator])
+    .route(/SELECT id FROM users WHERE id = \? FOR UPDATE/, ([id]) => [{ id }])
+    .route(/FROM plans WHERE user_id = \? AND `interval` = \?/, ([, interval]) => (interval === PLAN.interval ? [PLAN] : []))
+    .route(/SELECT \* FROM subscriptions/, () => state.subscriptions.filter(grantsAccess).slice(-1))
+    .route(/INSERT INTO subscriptions/, ([subscriberId, creatorId, planId, status, interval, endsAt, autoRenew, free]) => {
+      const id = 71 + state.subscriptions.length;
+      state.subscriptions.push({ id, subscriber_id: subscriberId, creator_id: creatorId, plan_id: planId, status, interval, ends_at: endsAt, auto_renew: autoRenew, free });
+      return { insertId: id, affectedRows: 1 };
+    })
+    .route(/INSERT INTO subscription_payments/, (params) => {
+      state.payments.push(params);
+      return { insertId: 900, affectedRows: 1 };
+    })
+    .route(/FROM subscriptions s\s+INNER JOIN users u/, ([id]) => state.subscriptions
+      .filter(row => row.id === id)
+      .map(row => ({ ...row, price: PLAN.price, creator_username: creator.username, creator_name: creator.name })));
+  return state;
+};
+
+const subscribe = async (body) => {
+  const res = createResponse();
+  await controller.subscribe(createRequest({ userId: FAN_ID, body }), res);
+  return res;
+};
+
+describe('subscribe', () => {
+  test('charges the plan and creates the subscription before the debit, in one transaction', async () => {
+    const state = seed({ balance: 50 });
+
+    const res = await subscribe({ username: 'creator', interval: 'monthly' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.subscription).toMatchObject({ status: 'active', interval: 'monthly', price: 10, auto_renew: true });
+    expect(state.wallet).toBe(40);
+    expect(state.subscriptions).toEqual([expect.objectContaining({ subscriber_id: FAN_ID, creator_id: CREATOR.id, plan_id: PLAN.id, status: 'active' })]);
+    expect(state.payments).toEqual([expect.arrayContaining([71, FAN_ID, CREATOR.id, 500, 10, 'completed'])]);
+
+    const [conn] = db.connections;
+    expect(conn.committed).toBe(true);
+    const order = [/SELECT id FROM users WHERE id = \? FOR UPDATE/, /SELECT \* FROM subscriptions/, /INSERT INTO subscriptions/, /wallet = wallet - \?/]
+      .map(pattern => db.queries.findIndex(query => query.source === conn && pattern.test(query.sql)));
+    expect(order.every(index => index >= 0)).toBe(true);
+    expect([...order].sort((a, b) => a - b)).toEqual(order);
+  });
+
+  test('a second request after the first committed is refused without a second charge', async () => {
+    const state = seed({ balance: 50 });
+
+    expect((await subscribe({ username: 'creator', interval: 'monthly' })).statusCode).toBe(201);
+    const res = await subscribe({ username: 'creator', interval: 'monthly' });
+
+    expect(res.statusCode).toBe(409);
+    expect(state.wallet).toBe(40);
+    expect(state.subscriptions).toHaveLength(1);
+    expect(db.connections[1].rolledBack).toBe(true);
+    expect(db.find(/INSERT INTO transactions/)).toHaveLength(1);
+  });
+
+  test('a fan with paid time left on a cancelled subscription is already subscribed', async () => {
+    const state = seed({ current: { status: 'cancelled', ends_at: '2099-01-01' } });
+
+    const res = await subscribe({ username: 'creator', interval: 'monthly' });
+
+    expect(res.statusCode).toBe(409);
+    expect(state.wallet).toBe(50);
+    const [check] = db.find(/SELECT \* FROM subscriptions/);
+    expect(check.sql).toContain(subscriptions.SUBSCRIPTION_ACCESS_CONDITION);
+    expect(check.sql).toMatch(/FOR UPDATE/);
+  });
+
+  test('returns 402 and keeps no subscription when the wallet is short', async () => {
+    const state = seed({ balance: 5 });
+
+    const res = await subscribe({ username: 'creator', interval: 'monthly' });
+
+    expect(res.statusCode).toBe(402);
+    expect(state.wallet).toBe(5);
+    expect(db.connections[0].rolledBack).toBe(true);
+    expect(db.connections[0].committed).toBe(false);
+    expect(db.find(/INSERT INTO subscription_payments/)).toHaveLength(0);
+  });
+
+  test('refuses an interval the creator has no plan for', async () => {
+    seed();
+
+    expect((await subscribe({ username: 'creator', interval: 'daily' })).statusCode).toBe(400);
+    expect((await subscribe({ username: 'creator', interval: 'yearly' })).statusCode).toBe(404);
+    expect(db.connections).toHaveLength(0);
+  });
+
+  test('subscribes to a free creator under the same lock', async () => {
+    const state = seed({ creator: { ...CREATOR, free_subscription: 'yes' } });
+
+    const res = await subscribe({ username: 'creator' });
+
+    expect(res.statusCode).toBe(201);
+    expect(state.wallet).toBe(50);
+    expect(state.subscriptions).toEqual([expect.objectContaining({ plan_id: null, free: 'yes' })]);
+    const [conn] = db.connections;
+    expect(conn.committed).toBe(true);
+    expect(db.find(/SELECT id FROM users WHERE id = \? FOR UPDATE/)[0].source).toBe(conn);
+    expect(db.find(/INSERT INTO subscriptions/)[0].source).toBe(conn);
+  });
+
+  test('refuses a second free subscription', async () => {
+    const state = seed({ creator: { ...CREATOR, free_subscription: 'yes' }, current: { free: 'yes' } });
+
+    const res = await subscribe({ username: 'creator' });
+
+    expect(res.statusCode).toBe(409);
+    expect(state.subscriptions).toHaveLength(1);
+  });
+
+  test('a creator cannot subscribe to themselves', async () => {
+    seed();
+
+    const res = createResponse();
+    await controller.subscribe(createRequest({ userId: CREATOR.id, body: { username: 'creator', interval: 'monthly' } }), res);
+
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('subscriber access', () => {
+  test('every access check uses the shared condition', async () => {
+    await subscriptions.isUserSubscribed(FAN_ID, CREATOR.id);
+    await subscriptions.getSubscribedCreatorIds(FAN_ID, [CREATOR.id]);
+    await subscriptions.getCurrentSubscription(FAN_ID, CREATOR.id);
+    await subscriptions.getActiveSubscriberIds(CREATOR.id);
+
+    expect(db.queries).toHaveLength(4);
+    db.queries.forEach(({ sql }) => expect(sql).toContain(subscriptions.SUBSCRIPTION_ACCESS_CONDITION));
+  });
+});
+
+describe('getMySubscriptions', () => {
+  test('clamps skip and limit to the pagination limits', async () => {
+    db.route(/SELECT COUNT\(\*\) as total FROM subscriptions/, [{ total: 500 }]);
+
+    const res = createResponse();
+    await controller.getMySubscriptions(createRequest({ userId: FAN_ID, query: { skip: '-10', limit: '100000' } }), res);
+
+    expect(res.statusCode).toBe(200);
+    const [list] = db.find(/LIMIT \? OFFSET \?/);
+    expect(list.params.slice(-2)).toEqual([50, 0]);
+    expect(res.body.data.pagination.next).toBe('/subscriptions?skip=50&limit=50&status=all');
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { createRequest, createResponse } from '../helpers/http.js';
+import { routeWalletPayments } from '../fixtures/money.js';
+
+const db = useFakeDb();
+
+let controller;
+beforeAll(async () => {
+  controller = await import('../../src/controllers/walletController.js');
+});
+
+const USER_ID = 7;
+
+const topup = async (body) => {
+  const res = createResponse();
+  await controller.postWalletTopup(createRequest({ userId: USER_ID, body }), res);
+  return res;
+};
+
+afterEach(() => {
+  delete process.env.PAYMENT_PROVIDER;
+});
+
+describe('postWalletTopup', () => {
+  beforeEach(() => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+  });
+
+  test('credits the wallet once the provider completes the payment', async () => {
+    const state = routeWalletPayments(db, { balance: 5 });
+
+    const res = await topup({ amount: 25 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.deposit).toMatchObject({ amount: 25, status: 'completed' });
+    expect(state.wallet).toBe(30);
+    expect(Object.values(state.transactions)).toEqual([expect.objectContaining({ type: 'deposit', approved: '1' })]);
+  });
+
+  test('keeps a pending top-up out of the wallet', async () => {
+    const state = routeWalletPayments(db, { balance: 5 });
+
+    const res = await topup({ amount: 25, simulate: 'pending' });
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body.data.deposit).toMatchObject({ status: 'pending', checkout_url: expect.stringMatching(/\/confirm$/) });
+    expect(state.wallet).toBe(5);
+  });
+
+  test('closes a failed top-up without a credit', async () => {
+    const state = routeWalletPayments(db, { balance: 5 });
+
+    const res = await topup({ amount: 25, simulate: 'failed' });
+
+    expect(res.statusCode).toBe(402);
+    expect(state.wallet).toBe(5);
+    expect(Object.values(state.transactions)[0].approved).toBe('2');
+  });
+
+  test('refuses amounts outside the deposit limits', async () => {
+    routeWalletPayments(db);
+
+    const res = await topup({ amount: 1 });
+
+    expect(res.statusCode).toBe(400);
+    expect(db.find(/INSERT INTO transactions/)).toHaveLength(0);
+  });
+
+  test('is unavailable when no payment provider is configured', async () => {
+    delete process.env.PAYMENT_PROVIDER;
+    const state = routeWalletPayments(db, { balance: 5 });
+
+    const res = await topup({ amount: 25 });
+
+    expect(res.statusCode).toBe(503);
+    expect(state.wallet).toBe(5);
+    expect(db.find(/INSERT INTO transactions/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * @file money.js
+ * @description Fake DB routes for the wallet money path (utils/wallet.js)
+ *
+ * State: { wallet, nextTransactionId, transactions } where wallet is the payer balance and
+ * transactions maps IDs to transactions rows (seeded or inserted) read back by refunds and settlements.
+ * admin_settings holds a 20% platform fee.
+ */
+
+const FEE_PERCENT = 20;
+
+/**
+ * Register the wallet routes on a fake DB and return their state
+ * @param {object} db - From createFakeDb
+ * @param {object} [options] - { balance, transactions }
+ */
+const routeWalletPayments = (db, { balance = 100, transactions = {} } = {}) => {
+  const state = { wallet: balance, nextTransactionId: 500, transactions: { ...transactions } };
+  db.route(/FROM admin_settings/, [{ setting_key: 'fee_commission', setting_value: String(FEE_PERCENT) }])
+    .route(/UPDATE users SET wallet = wallet - \?/, ([amount]) => {
+      if (state.wallet < amount) return { affectedRows: 0 };
+      state.wallet -= amount;
+      return { affectedRows: 1 };
+    })
+    .route(/UPDATE users SET wallet = wallet \+ \?/, ([amount]) => {
+      state.wallet += amount;
+      return { affectedRows: 1 };
+    })
+    .route(/INSERT INTO transactions/, ([txnId, userId, creatorId, amount, , , , gateway, type, approved]) => {
+      const id = state.nextTransactionId++;
+      state.transactions[id] = { id, txn_id: txnId, user_id: userId, subscribed: creatorId, amount, payment_gateway: gateway, type, approved };
+      return { insertId: id, affectedRows: 1 };
+    })
+    .route(/UPDATE transactions SET approved = \?/, ([approved, id]) => {
+      if (state.transactions[id]) state.transactions[id].approved = approved;
+      return { affectedRows: 1 };
+    })
+    .route(/SELECT \* FROM transactions WHERE id = \?/, ([id]) => (state.transactions[id] ? [state.transactions[id]] : []));
+  return state;
+};
+
+export { FEE_PERCENT, routeWalletPayments };
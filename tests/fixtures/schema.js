@@ -0,0 +1,86 @@
+/**
+ * @file schema.js
+ * @description MySQL tables and columns the fake DB accepts (tests/helpers/fakeDb.js)
+ *
+ * Only the tables the tested modules touch are listed. Legacy tables follow the columns the
+ * original queries use; tables added since follow the schema notes in README.md ("Import schema").
+ * Add a column here only when the real table has it.
+ */
+
+const SCHEMA = {
+  admin_settings: ['id', 'setting_key', 'setting_value'],
+  creator_earnings: ['id', 'user_id', 'transaction_id', 'type', 'amount', 'status', 'created_at'],
+  live_streamings: [
+    'id', 'user_id', 'channel', 'name', 'price', 'availability', 'type', 'duration', 'date_time', 'extended_mins',
+    'modify_user', 'status', 'number_of_reschedules', 'is_utc', 'creator_joined', 'started_at', 'last_heartbeat_at',
+    'ended_at', 'max_bookings', 'created_at', 'updated_at'
+  ],
+  live_summaries: [
+    'id', 'live_id', 'user_id', 'status', 'started_at', 'ended_at', 'duration_minutes', 'total_earnings', 'tip_earnings',
+    'bookings_count', 'viewers_count', 'goal_name', 'goal_coins', 'goal_tips_received', 'goal_percentage',
+    'created_at', 'updated_at'
+  ],
+  media: ['id', 'updates_id', 'user_id', 'type', 'image', 'video', 'music', 'file', 'video_embed', 'status', 'created_at'],
+  media_messages: ['id', 'message_id', 'media_path', 'media_type', 'media_size', 'status', 'created_at'],
+  message_campaign_recipients: ['id', 'campaign_id', 'user_id', 'status', 'message_id', 'error', 'processed_at', 'created_at'],
+  message_campaigns: [
+    'id', 'user_id', 'segment', 'segment_options', 'message', 'price', 'media', 'status', 'scheduled_at', 'started_at',
+    'completed_at', 'total_recipients', 'sent_count', 'failed_count', 'created_at', 'updated_at'
+  ],
+  messages: [
+    'id', 'conversations_id', 'from_user_id', 'to_user_id', 'message', 'price', 'tip', 'status',
+    'created_at', 'updated_at'
+  ],
+  media_products: ['id', 'products_id', 'name', 'media_extension', 'status', 'created_at', 'updated_at'],
+  notifications: [
+    'id', 'user_id', 'from_user_id', 'type', 'post_id', 'message_id', 'live_id', 'tip_amount',
+    'extra_data', 'read', 'created_at'
+  ],
+  pay_per_views: ['id', 'user_id', 'updates_id', 'messages_id', 'status', 'created_at'],
+  plans: ['id', 'user_id', 'name', 'price', 'interval', 'status', 'created_at', 'updated_at'],
+  products: [
+    'id', 'user_id', 'name', 'type', 'price', 'delivery_time', 'tags', 'description', 'file', 'status',
+    'created_at', 'updated_at'
+  ],
+  purchase_downloads: ['id', 'purchase_id', 'user_id', 'ip_address', 'user_agent', 'created_at'],
+  purchases: [
+    'id', 'transactions_id', 'user_id', 'products_id', 'delivery_status', 'description_custom_content', 'status',
+    'created_at', 'updated_at'
+  ],
+  restrictions: ['id', 'user_id', 'user_restricted', 'created_at'],
+  security_events: ['id', 'user_id', 'event_type', 'ip_address', 'app', 'details', 'created_at'],
+  sessions: ['id', 'user_id'],
+  subscriptions: [
+    'id', 'subscriber_id', 'creator_id', 'plan_id', 'status', 'interval', 'ends_at', 'auto_renew', 'free',
+    'renewal_attempts', 'next_retry_at', 'created_at', 'updated_at'
+  ],
+  subscription_payments: [
+    'id', 'subscription_id', 'subscriber_id', 'creator_id', 'transaction_id', 'amount', 'status', 'period_start',
+    'period_end', 'created_at'
+  ],
+  transactions: [
+    'id', 'txn_id', 'user_id', 'subscribed', 'amount', 'earning_net_user', 'earning_net_user_coins',
+    'earning_net_admin', 'payment_gateway', 'type', 'approved', 'percentage_applied', 'ref_id', 'live_id',
+    'created_at', 'updated_at'
+  ],
+  updates: [
+    'id', 'user_id', 'description', 'locked', 'price', 'status', 'expired_at', 'scheduled_date', 'date',
+    'created_at', 'updated_at'
+  ],
+  user_balance: ['id', 'user_id', 'role', 'type', 'amount', 'reference_type', 'reference_id', 'created_at'],
+  user_known_devices: [
+    'user_id', 'device_key', 'device_fingerprint', 'device_name', 'country', 'ip_address', 'first_seen_at', 'last_seen_at'
+  ],
+  user_two_factor: ['user_id', 'secret', 'confirmed_at', 'last_used_step', 'created_at', 'updated_at'],
+  user_two_factor_backup_codes: ['user_id', 'code_hash', 'used_at', 'created_at'],
+  users: [
+    'id', 'name', 'username', 'email', 'avatar', 'cover', 'verified_id', 'role', 'status', 'wallet',
+    'custom_fee', 'blocked_countries', 'countries_id', 'free_subscription', 'notify_new_ppv',
+    'notify_new_subscriber', 'payment_gateway', 'bank', 'story', 'date', 'last_active_at', 'failed_login_count',
+    'failed_login_at', 'locked_until', 'login_alert_used_at', 'created_at', 'updated_at'
+  ],
+  withdrawal_settings: ['id', 'user_id', 'withdrawal_method', 'account_details', 'is_active', 'created_at', 'updated_at'],
+  withdrawals: ['id', 'user_id', 'amount', 'gateway', 'account', 'status', 'processed_at', 'created_at', 'updated_at']
+};
+
+export { SCHEMA };
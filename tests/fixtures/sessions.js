@@ -0,0 +1,113 @@
+/**
+ * @file sessions.js
+ * @description In-memory DynamoDB sessions-{env} table (hash key token, sort key userId)
+ *
+ * Replaces DynamoDBDocumentClient#send for the calling test, so every document client the app
+ * creates reads and writes the same table. Queries on the userId index return pageSize items per
+ * page with LastEvaluatedKey, like a real query that hits the 1 MB limit. Requests for other
+ * tables answer with nothing. Every test starts with an empty table.
+ *
+ * Usage (at the top of a test file): const sessions = useFakeSessions();
+ */
+
+import { jest, beforeEach } from '@jest/globals';
+import {
+  DynamoDBDocumentClient, PutCommand, QueryCommand, UpdateCommand, DeleteCommand, BatchWriteCommand
+} from '@aws-sdk/lib-dynamodb';
+
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+
+/**
+ * Apply an UpdateExpression of `SET a = :a, b = if_not_exists(b, :b)` assignments
+ */
+const applySet = (item, { UpdateExpression, ExpressionAttributeValues: values = {} }) => {
+  const assignments = UpdateExpression.replace(/^\s*SET\s+/i, '').split(/,\s*(?![^(]*\))/);
+  for (const assignment of assignments) {
+    const [, name, ifNotExists, value] = assignment.trim().match(/^(\w+)\s*=\s*(if_not_exists\(\s*\w+\s*,\s*)?(:\w+)/);
+    if (!ifNotExists || item[name] === undefined) item[name] = values[value];
+  }
+};
+
+/**
+ * Fake the sessions table for the calling test
+ * @param {object} [options] - { pageSize } items per userId index page
+ * @returns {{ items: Map, send: Function, put: Function, byUser: Function }}
+ */
+const useFakeSessions = ({ pageSize = 2 } = {}) => {
+  const items = new Map();
+  const isSessions = (tableName) => /^sessions-/.test(tableName || '');
+
+  const handlers = [
+    [PutCommand, ({ Item }) => {
+      items.set(Item.token, { ...Item });
+      return {};
+    }],
+    [QueryCommand, ({ IndexName, ExpressionAttributeValues: values, ExclusiveStartKey }) => {
+      if (!IndexName) {
+        const item = items.get(values[':token']);
+        return { Items: item && item.userId === values[':userId'] ? [{ ...item }] : [] };
+      }
+      const matching = [...items.values()].filter(item => item.userId === values[':userId']);
+      const start = ExclusiveStartKey ? matching.findIndex(item => item.token === ExclusiveStartKey.token) + 1 : 0;
+      const page = matching.slice(start, start + pageSize);
+      const more = start + pageSize < matching.length;
+      return {
+        Items: page.map(item => ({ ...item })),
+        LastEvaluatedKey: more ? { token: page[page.length - 1].token, userId: values[':userId'] } : undefined
+      };
+    }],
+    [UpdateCommand, (input) => {
+      const item = items.get(input.Key.token);
+      const found = item && item.userId === input.Key.userId;
+      if (/attribute_exists\(#tokenAttr\)/.test(input.ConditionExpression || '') && !found) throw conditionFailed();
+      if (/attribute_not_exists\(rotatedAt\)/.test(input.ConditionExpression || '') && item?.rotatedAt) throw conditionFailed();
+      if (found) applySet(item, input);
+      return {};
+    }],
+    [DeleteCommand, ({ Key }) => {
+      if (items.get(Key.token)?.userId === Key.userId) items.delete(Key.token);
+      return {};
+    }],
+    [BatchWriteCommand, ({ RequestItems }) => {
+      for (const requests of Object.values(RequestItems)) {
+        if (requests.length > 25) throw new Error('Too many items requested for the BatchWriteItem call');
+        for (const { DeleteRequest: { Key } } of requests) {
+          if (items.get(Key.token)?.userId === Key.userId) items.delete(Key.token);
+        }
+      }
+      return { UnprocessedItems: {} };
+    }]
+  ];
+
+  const send = jest.spyOn(DynamoDBDocumentClient.prototype, 'send').mockImplementation(async (command) => {
+    const tableName = command.input.TableName || Object.keys(command.input.RequestItems || {})[0];
+    if (!isSessions(tableName)) return {};
+    const [, handler] = handlers.find(([Command]) => command instanceof Command) || [];
+    return handler ? handler(command.input) : {};
+  });
+  beforeEach(() => {
+    items.clear();
+    send.mockClear();
+  });
+
+  return {
+    items,
+    send,
+
+    /**
+     * Store a session row directly
+     */
+    put(item) {
+      items.set(item.token, { expires_at: Math.floor(Date.now() / 1000) + 60 * 24 * 60 * 60, createdAt: new Date().toISOString(), ...item });
+    },
+
+    /**
+     * Session rows of one user
+     */
+    byUser(userId) {
+      return [...items.values()].filter(item => item.userId === String(userId));
+    }
+  };
+};
+
+export { useFakeSessions };
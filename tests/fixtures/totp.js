@@ -0,0 +1,35 @@
+/**
+ * @file totp.js
+ * @description Authenticator app producing TOTP codes (RFC 6238, SHA-1, 6 digits, 30 s) for the 2FA tests
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 appendix B test key ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+/**
+ * Key bytes of a base32 secret
+ */
+const decodeSecret = (secret) => {
+  const bits = [...secret].map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0')).join('');
+  return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+};
+
+/**
+ * Code an authenticator app shows for a secret
+ * @param {string} secret - Base32 secret
+ * @param {number} [now] - Time in ms
+ * @returns {string} 6-digit code
+ */
+const totpCode = (secret, now = Date.now()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(now / 30000)));
+  const hmac = crypto.createHmac('sha1', decodeSecret(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+};
+
+export { RFC_SECRET, totpCode };
@@ -0,0 +1,140 @@
+/**
+ * @file webauthn.js
+ * @description Software authenticator producing WebAuthn fixtures for the passkey tests
+ *
+ * Builds what navigator.credentials.create()/get() return for a real authenticator: CBOR
+ * attestation objects with a COSE key, authenticatorData with the RP ID hash, flags and counter,
+ * and signatures over authenticatorData + SHA-256(clientDataJSON).
+ */
+
+import crypto from 'crypto';
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_DATA = 0x40;
+
+const b64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * CBOR head of a major type with its argument
+ */
+const cborHead = (majorType, value) => {
+  if (value < 24) return Buffer.from([(majorType << 5) | value]);
+  if (value < 0x100) return Buffer.from([(majorType << 5) | 24, value]);
+  const head = Buffer.alloc(3);
+  head[0] = (majorType << 5) | 25;
+  head.writeUInt16BE(value, 1);
+  return head;
+};
+
+/**
+ * Encode the CBOR subset used by attestation objects and COSE keys
+ */
+const encodeCbor = (value) => {
+  if (Number.isInteger(value)) return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+  if (Buffer.isBuffer(value)) return Buffer.concat([cborHead(2, value.length), value]);
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([cborHead(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const parts = [cborHead(5, value.size)];
+    for (const [key, item] of value) parts.push(encodeCbor(key), encodeCbor(item));
+    return Buffer.concat(parts);
+  }
+  throw new Error(`Cannot CBOR-encode ${typeof value}`);
+};
+
+/**
+ * COSE_Key of a public key: EC2 P-256 (ES256) or OKP Ed25519 (EdDSA)
+ */
+const toCoseKey = (publicKey, algorithm) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  if (algorithm === -7) {
+    return new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]]);
+  }
+  return new Map([[1, 1], [3, -8], [-1, 6], [-2, Buffer.from(jwk.x, 'base64url')]]);
+};
+
+const buildAuthenticatorData = ({ rpId, flags, signCount, attested = null }) => {
+  const header = Buffer.alloc(37);
+  crypto.createHash('sha256').update(rpId).digest().copy(header, 0);
+  header[32] = flags;
+  header.writeUInt32BE(signCount, 33);
+  if (!attested) return header;
+
+  const idLength = Buffer.alloc(2);
+  idLength.writeUInt16BE(attested.credentialId.length);
+  return Buffer.concat([header, Buffer.alloc(16), idLength, attested.credentialId, encodeCbor(attested.coseKey)]);
+};
+
+const buildClientData = (type, challenge, origin) => Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+/**
+ * Create a software authenticator holding one credential
+ * @param {object} [options] - { algorithm: -7 (ES256, default) or -8 (EdDSA), rpId, origin, userHandle }
+ */
+const createAuthenticator = ({ algorithm = -7, rpId = 'bingeme.com', origin = 'https://bingeme.com', userHandle = 'user-handle-1' } = {}) => {
+  const { publicKey, privateKey } = algorithm === -7
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('ed25519');
+  const credentialId = crypto.randomBytes(16);
+  let signCount = 0;
+
+  return {
+    credentialId: b64url(credentialId),
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+
+    /**
+     * navigator.credentials.create() output; overrides tweak the ceremony to build invalid fixtures
+     */
+    register(challenge, overrides = {}) {
+      const authData = buildAuthenticatorData({
+        rpId: overrides.rpId || rpId,
+        flags: overrides.flags ?? (FLAG_USER_PRESENT | FLAG_USER_VERIFIED | FLAG_BACKED_UP | FLAG_ATTESTED_DATA),
+        signCount,
+        attested: { credentialId, coseKey: toCoseKey(publicKey, algorithm) }
+      });
+      const attestationObject = encodeCbor(new Map([['fmt', 'none'], ['attStmt', new Map()], ['authData', authData]]));
+      return {
+        id: overrides.id || b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: b64url(buildClientData(overrides.type || 'webauthn.create', challenge, overrides.origin || origin)),
+          attestationObject: b64url(attestationObject),
+          transports: ['internal', 'hybrid']
+        }
+      };
+    },
+
+    /**
+     * navigator.credentials.get() output, signed with the credential's private key
+     */
+    authenticate(challenge, overrides = {}) {
+      signCount = overrides.signCount ?? signCount + 1;
+      const authData = buildAuthenticatorData({
+        rpId: overrides.rpId || rpId,
+        flags: overrides.flags ?? (FLAG_USER_PRESENT | FLAG_USER_VERIFIED),
+        signCount
+      });
+      const clientDataJSON = buildClientData(overrides.type || 'webauthn.get', challenge, overrides.origin || origin);
+      const signedData = Buffer.concat([authData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+      const signature = crypto.sign(algorithm === -7 ? 'sha256' : null, signedData, privateKey);
+      return {
+        id: b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: 'public-key',
+        response: {
+          clientDataJSON: b64url(clientDataJSON),
+          authenticatorData: b64url(authData),
+          signature: b64url(overrides.signature || signature),
+          userHandle: b64url(overrides.userHandle || userHandle)
+        }
+      };
+    }
+  };
+};
+
+export { createAuthenticator, FLAG_USER_PRESENT, FLAG_USER_VERIFIED };
@@ -0,0 +1,196 @@
+/**
+ * @file fakeDb.js
+ * @description In-memory stand-in for config/database.js in unit tests
+ *
+ * Queries are answered by routes registered per test: the first route whose pattern matches the
+ * SQL returns the mysql2 result (rows for SELECT, { affectedRows, insertId } for writes). Queries
+ * no route answers return no rows, or one affected row for writes. Every query is recorded with
+ * the connection that ran it, so tests can check what was written and whether it happened inside
+ * a committed transaction.
+ *
+ * Before a query is answered its tables and columns are checked against tests/fixtures/schema.js,
+ * so SQL naming a table or column the database does not have fails the test even when a route
+ * pattern matches it.
+ *
+ * Usage (at the top of a test file, before importing the module under test):
+ *   const db = useFakeDb();
+ */
+
+import { fileURLToPath } from 'url';
+import { jest, beforeEach, afterEach } from '@jest/globals';
+import { SCHEMA } from '../fixtures/schema.js';
+
+const DATABASE_MODULE = fileURLToPath(new URL('../../src/config/database.js', import.meta.url));
+
+// Words that can precede a comparison operator without being a column
+const SQL_WORDS = new Set([
+  'and', 'or', 'not', 'where', 'on', 'set', 'when', 'then', 'else', 'end', 'case', 'having', 'select',
+  'null', 'true', 'false', 'is', 'in', 'exists', 'interval', 'values', 'if', 'ifnull', 'coalesce',
+  'count', 'sum', 'max', 'min', 'now', 'date', 'day', 'hour', 'minute', 'second', 'week', 'month', 'year',
+  'distinct', 'as', 'by', 'limit', 'offset', 'between', 'like', 'desc', 'asc', 'current_timestamp'
+]);
+// Words that can follow a table name without being its alias
+const CLAUSE_WORDS = new Set([
+  'where', 'set', 'join', 'left', 'right', 'inner', 'outer', 'cross', 'on', 'order', 'group', 'limit',
+  'values', 'value', 'using', 'for', 'having', 'union', 'select', 'as', 'force', 'use', 'ignore'
+]);
+
+/**
+ * Strip string literals and comments so their text is not read as SQL
+ */
+const stripLiterals = (sql) => sql
+  .replace(/--[^\n]*/g, ' ')
+  .replace(/'(?:[^'\\]|\\.)*'/g, "''")
+  .replace(/"(?:[^"\\]|\\.)*"/g, '""');
+
+/**
+ * Tables a statement reads or writes, keyed by table name and alias
+ */
+const collectTables = (sql) => {
+  const tables = new Map();
+  const pattern = /(\bKEY\s+|\bFOR\s+)?\b(FROM|JOIN|INTO|UPDATE)\s+`?([a-z_][a-z0-9_]*)`?(?:\s+(?:AS\s+)?`?([a-z_][a-z0-9_]*)`?)?/gi;
+  for (const [, skip, , name, alias] of sql.matchAll(pattern)) {
+    if (skip) continue;
+    tables.set(name, name);
+    if (alias && !CLAUSE_WORDS.has(alias.toLowerCase())) tables.set(alias, name);
+  }
+  return tables;
+};
+
+/**
+ * Schema errors in one statement: unknown tables, and unknown columns where a statement names them
+ * (qualified references, INSERT column lists, SET assignments and comparisons)
+ */
+const checkSchema = (rawSql) => {
+  const sql = stripLiterals(rawSql);
+  const errors = [];
+  const tables = collectTables(sql);
+  for (const name of new Set(tables.values())) {
+    if (!SCHEMA[name]) errors.push(`unknown table ${name}`);
+  }
+  const known = [...new Set(tables.values())].filter(name => SCHEMA[name]);
+  const aliases = new Set([...sql.matchAll(/\bAS\s+`?([a-z_][a-z0-9_]*)`?/gi)].map(([, alias]) => alias));
+  const hasColumn = (table, column) => SCHEMA[table].includes(column);
+
+  for (const [, qualifier, column] of sql.matchAll(/(?<![\w.])`?([a-z_][a-z0-9_]*)`?\.`?([a-z_][a-z0-9_]*)`?/gi)) {
+    const table = tables.get(qualifier);
+    if (table && SCHEMA[table] && !hasColumn(table, column)) errors.push(`unknown column ${qualifier}.${column}`);
+  }
+
+  const unqualified = [];
+  const insert = sql.match(/\bINTO\s+`?([a-z_][a-z0-9_]*)`?\s*\(([^)]*)\)/i);
+  if (insert && SCHEMA[insert[1]]) {
+    for (const column of insert[2].split(',').map(part => part.trim().replace(/`/g, ''))) {
+      if (column && !hasColumn(insert[1], column)) errors.push(`unknown column ${insert[1]}.${column}`);
+    }
+  }
+  for (const [, column] of sql.matchAll(/(?<![\w.`])`?([a-z_][a-z0-9_]*)`?\s*(?:<=>|<>|!=|<=|>=|=|<|>|\bNOT\s+IN\b|\bIN\s*\(|\bIS\b|\bLIKE\b|\bBETWEEN\b)/gi)) {
+    unqualified.push(column);
+  }
+  for (const column of unqualified) {
+    if (SQL_WORDS.has(column.toLowerCase()) || aliases.has(column) || /^\d/.test(column)) continue;
+    if (known.length && !known.some(table => hasColumn(table, column))) {
+      errors.push(`unknown column ${column} in ${known.join(', ')}`);
+    }
+  }
+  return errors;
+};
+
+const createFakeDb = () => {
+  let routes = [];
+  const queries = [];
+  const connections = [];
+  const schemaErrors = [];
+
+  const run = async (source, sql, params = []) => {
+    queries.push({ source, sql, params });
+    const errors = checkSchema(sql);
+    if (errors.length) {
+      schemaErrors.push(...errors.map(error => `${error}\n    in: ${sql.replace(/\s+/g, ' ').trim()}`));
+      throw new Error(`fakeDb: ${errors.join('; ')}`);
+    }
+    const route = routes.find(candidate => candidate.pattern.test(sql));
+    if (!route) return /^\s*SELECT/i.test(sql) ? [[]] : [{ affectedRows: 1, insertId: 0 }];
+    const result = await route.handler(params, sql);
+    return [result];
+  };
+
+  const pool = {
+    query: jest.fn((sql, params) => run('pool', sql, params)),
+    execute: jest.fn((sql, params) => run('pool', sql, params)),
+    getConnection: jest.fn(async () => {
+      const conn = {
+        id: connections.length + 1,
+        committed: false,
+        rolledBack: false,
+        released: false
+      };
+      conn.query = jest.fn((sql, params) => run(conn, sql, params));
+      conn.execute = conn.query;
+      conn.beginTransaction = jest.fn(async () => {});
+      conn.commit = jest.fn(async () => { conn.committed = true; });
+      conn.rollback = jest.fn(async () => { conn.rolledBack = true; });
+      conn.release = jest.fn(() => { conn.released = true; });
+      connections.push(conn);
+      return conn;
+    })
+  };
+
+  return {
+    pool,
+    queries,
+    connections,
+    schemaErrors,
+
+    /**
+     * Answer queries matching pattern with handler(params, sql), or with a fixed result
+     */
+    route(pattern, handler) {
+      routes.push({ pattern, handler: typeof handler === 'function' ? handler : () => handler });
+      return this;
+    },
+
+    /**
+     * Queries whose SQL matches pattern
+     */
+    find(pattern) {
+      return queries.filter(query => pattern.test(query.sql));
+    },
+
+    reset() {
+      routes = [];
+      queries.length = 0;
+      connections.length = 0;
+      pool.query.mockClear();
+      pool.getConnection.mockClear();
+    },
+
+    module: {
+      pool,
+      getDB: () => pool,
+      createConnectionPool: () => pool,
+      connectDB: async () => pool,
+      closeDB: async () => {}
+    }
+  };
+};
+
+/**
+ * Replace config/database.js with a fake DB for the calling test file.
+ * Every test starts without routes or recorded queries, and fails if any of its queries named a
+ * table or column outside the schema.
+ */
+const useFakeDb = () => {
+  const db = createFakeDb();
+  jest.unstable_mockModule(DATABASE_MODULE, () => db.module);
+  beforeEach(() => db.reset());
+  afterEach(() => {
+    const errors = db.schemaErrors.splice(0);
+    if (errors.length) {
+      throw new Error(`SQL does not match tests/fixtures/schema.js:\n  ${errors.join('\n  ')}`);
+    }
+  });
+  return db;
+};
+
+export { createFakeDb, useFakeDb, checkSchema };
@@ -0,0 +1,30 @@
+import { describe, test, expect } from '@jest/globals';
+import { checkSchema } from './fakeDb.js';
+
+describe('checkSchema', () => {
+  test('accepts queries that match the schema', () => {
+    expect(checkSchema('SELECT id, wallet FROM users WHERE id = ? AND status != "deleted" FOR UPDATE')).toEqual([]);
+    expect(checkSchema(`INSERT INTO pay_per_views (user_id, updates_id, messages_id, status, created_at)
+      VALUES (?, ?, 0, 1, NOW())`)).toEqual([]);
+    expect(checkSchema(`SELECT m.id, u1.username AS from_username FROM messages m
+      LEFT JOIN users u1 ON m.from_user_id = u1.id WHERE m.id = ?`)).toEqual([]);
+    expect(checkSchema("UPDATE withdrawals SET status = ?, processed_at = NOW() WHERE id = ? AND status IN ('pending')")).toEqual([]);
+  });
+
+  test('reports unknown tables', () => {
+    expect(checkSchema('SELECT id FROM pay_per_view WHERE user_id = ?')).toEqual(['unknown table pay_per_view']);
+  });
+
+  test('reports unknown columns in comparisons, column lists and qualified references', () => {
+    expect(checkSchema('SELECT id FROM subscriptions WHERE user_id = ? AND creator_id = ?'))
+      .toEqual(['unknown column user_id in subscriptions']);
+    expect(checkSchema('INSERT INTO withdrawals (user_id, amount, method) VALUES (?, ?, ?)'))
+      .toEqual(['unknown column withdrawals.method']);
+    expect(checkSchema('SELECT u.id FROM users u JOIN messages m ON m.sender_id = u.id'))
+      .toEqual(['unknown column m.sender_id']);
+  });
+
+  test('ignores string literals and aliases', () => {
+    expect(checkSchema("SELECT COUNT(*) AS total FROM updates WHERE description = 'user_id = 1' HAVING total > 0")).toEqual([]);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * @file http.js
+ * @description Minimal Express request/response doubles for calling controllers directly
+ */
+
+/**
+ * Response double recording the status, headers and JSON body
+ */
+const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    locals: {},
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+/**
+ * Request double of an authenticated user
+ */
+const createRequest = ({ userId, params = {}, body = {}, query = {}, headers = {} } = {}) => ({
+  userId,
+  params,
+  body,
+  query,
+  headers,
+  ip: '127.0.0.1'
+});
+
+export { createRequest, createResponse };
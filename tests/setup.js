@@ -0,0 +1,17 @@
+/**
+ * @file setup.js
+ * @description Environment for unit tests: placeholder values for the variables utils/common.js
+ * requires at load time, and a quiet logger. No test talks to MySQL, DynamoDB or AWS.
+ */
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  JWT_ACCESS_SECRET: 'test-access-secret',
+  JWT_REFRESH_SECRET: 'test-refresh-secret',
+  AWS_DEFAULT_REGION: 'us-east-1',
+  DB_HOST: '127.0.0.1',
+  DB_USERNAME: 'test',
+  DB_PASSWORD: 'test',
+  DB_DATABASE: 'test',
+  ENCRYPT_SECRET_ID: 'test-encrypt-secret-0123456789abcdef'
+});
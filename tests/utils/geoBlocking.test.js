@@ -0,0 +1,47 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { createRequest } from '../helpers/http.js';
+
+const db = useFakeDb();
+
+let geo;
+beforeAll(async () => {
+  geo = await import('../../src/utils/geoBlocking.js');
+});
+
+const VIEWER_ID = 7;
+const CREATOR = { id: 3, blocked_countries: 'DE, fr' };
+
+const fromCountry = (country) => createRequest({ userId: VIEWER_ID, headers: country ? { 'cloudfront-viewer-country': country } : {} });
+
+describe('getViewerCountryCode', () => {
+  test('reads the country from the CloudFront header only', () => {
+    expect(geo.getViewerCountryCode(fromCountry('de'))).toBe('DE');
+    expect(geo.getViewerCountryCode(createRequest({ headers: { 'cf-ipcountry': 'US' } }))).toBeNull();
+    expect(geo.getViewerCountryCode(fromCountry('XX'))).toBeNull();
+    expect(geo.getViewerCountryCode(fromCountry('not-a-country'))).toBeNull();
+  });
+});
+
+describe('isCreatorGeoBlocked', () => {
+  test('blocks viewers from a blocked country', async () => {
+    expect(await geo.isCreatorGeoBlocked(fromCountry('FR'), CREATOR, VIEWER_ID)).toBe(true);
+    expect(await geo.isCreatorGeoBlocked(fromCountry('IN'), CREATOR, VIEWER_ID)).toBe(false);
+  });
+
+  test('never trusts the country on the viewer profile', async () => {
+    db.route(/FROM users/, [{ countries_id: 99, blocked_countries: CREATOR.blocked_countries }]);
+
+    expect(await geo.isCreatorGeoBlocked(fromCountry('DE'), { id: CREATOR.id }, VIEWER_ID)).toBe(true);
+    expect(db.queries.map(({ sql }) => sql)).toEqual(['SELECT blocked_countries FROM users WHERE id = ?']);
+  });
+
+  test('fails closed when the viewer country is unknown', async () => {
+    expect(await geo.isCreatorGeoBlocked(fromCountry(null), CREATOR, VIEWER_ID)).toBe(true);
+    expect(await geo.isCreatorGeoBlocked(fromCountry(null), { id: CREATOR.id, blocked_countries: '' }, VIEWER_ID)).toBe(false);
+  });
+
+  test('the creator always sees their own content', async () => {
+    expect(await geo.isCreatorGeoBlocked(fromCountry('DE'), CREATOR, CREATOR.id)).toBe(false);
+  });
+});
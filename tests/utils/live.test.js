@@ -0,0 +1,44 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+
+const db = useFakeDb();
+
+let live;
+beforeAll(async () => {
+  live = await import('../../src/utils/live.js');
+});
+
+const MINUTE = 60 * 1000;
+const RUNNING = { id: 60, user_id: 3, status: '0', started_at: new Date(Date.now() - 30 * MINUTE), last_heartbeat_at: new Date() };
+
+describe('isLiveAbandoned', () => {
+  test('is true only for a started, scheduled live without recent heartbeats', () => {
+    const stale = new Date(Date.now() - 60 * MINUTE);
+
+    expect(live.isLiveAbandoned({ ...RUNNING, last_heartbeat_at: stale })).toBe(true);
+    expect(live.isLiveAbandoned({ ...RUNNING, status: 0, last_heartbeat_at: stale })).toBe(true);
+    expect(live.isLiveAbandoned(RUNNING)).toBe(false);
+    expect(live.isLiveAbandoned({ ...RUNNING, status: live.LIVE_STREAM_STATUS.COMPLETED, last_heartbeat_at: stale })).toBe(false);
+    expect(live.isLiveAbandoned({ ...RUNNING, started_at: null })).toBe(false);
+  });
+});
+
+describe('closeLiveSession', () => {
+  test('a call that loses the race returns the status and summary the winner left', async () => {
+    db.route(/UPDATE live_streamings SET status = \?/, { affectedRows: 0 })
+      .route(/FROM live_streamings/, [{ ...RUNNING, status: live.LIVE_STREAM_STATUS.UNCLOSED_LIVE, ended_at: RUNNING.last_heartbeat_at }])
+      .route(/FROM live_summaries/, [{
+        live_id: 60, status: '4', started_at: RUNNING.started_at, ended_at: RUNNING.last_heartbeat_at, duration_minutes: 30,
+        total_earnings: '12.50', tip_earnings: '2.50', bookings_count: 2, viewers_count: 40, goal_name: null
+      }]);
+
+    const result = await live.closeLiveSession(RUNNING, live.LIVE_STREAM_STATUS.COMPLETED);
+
+    expect(result).toMatchObject({
+      closed: false,
+      status: live.LIVE_STREAM_STATUS.UNCLOSED_LIVE,
+      summary: { durationMinutes: 30, earnings: { total: 12.5, tip: 2.5, bookings: 10 }, viewersCount: 40 }
+    });
+    expect(db.find(/INSERT INTO live_summaries/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+
+const db = useFakeDb();
+
+let campaigns;
+let messages;
+beforeAll(async () => {
+  campaigns = await import('../../src/utils/messageCampaigns.js');
+  messages = await import('../../src/utils/messages.js');
+});
+
+const CAMPAIGN = { id: 90, user_id: 3, status: 'running', total_recipients: 4 };
+
+describe('getCampaignStats', () => {
+  test('counts opened messages by the read message status', async () => {
+    db.route(/AS opened/, [{ recipients: 4, delivered: 3, failed: 1, pending: 0, cancelled: 0, opened: 2 }])
+      .route(/AS unlocked/, [{ unlocked: 1, revenue: '5.00' }]);
+
+    await campaigns.getCampaignStats(CAMPAIGN);
+
+    const [stats] = db.find(/AS opened/);
+    expect(stats.sql).toMatch(/SUM\(m\.status = \?\) AS opened/);
+    expect(stats.params).toContain(messages.MESSAGE_STATUS.READ);
+  });
+});
+
+describe('requeueClaimedRecipients', () => {
+  /**
+   * Claimed rows of a campaign whose status the UPDATE's join reads
+   */
+  const seed = (campaignStatus) => {
+    const rows = [{ id: 1, status: 'sending' }, { id: 2, status: 'sending' }, { id: 3, status: 'sent' }];
+    db.route(/UPDATE message_campaign_recipients r\s+INNER JOIN message_campaigns c/, ([running, requeued, cancelled, , claimed]) => {
+      const claimedRows = rows.filter(row => row.status === claimed);
+      claimedRows.forEach(row => { row.status = campaignStatus === running ? requeued : cancelled; });
+      return { affectedRows: claimedRows.length };
+    });
+    return rows;
+  };
+
+  test('puts claimed rows of a running campaign back to pending', async () => {
+    const rows = seed('running');
+
+    expect(await campaigns.requeueClaimedRecipients(CAMPAIGN.id)).toBe(2);
+    expect(rows.map(row => row.status)).toEqual(['pending', 'pending', 'sent']);
+  });
+
+  test('cancels claimed rows of a campaign cancelled meanwhile', async () => {
+    const rows = seed('cancelled');
+
+    await campaigns.requeueClaimedRecipients(CAMPAIGN.id);
+
+    expect(rows.map(row => row.status)).toEqual(['cancelled', 'cancelled', 'sent']);
+  });
+});
@@ -0,0 +1,218 @@
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { createAuthenticator, FLAG_USER_VERIFIED } from '../fixtures/webauthn.js';
+
+process.env.WEBAUTHN_RP_ID = 'bingeme.com';
+process.env.WEBAUTHN_ORIGINS = 'https://bingeme.com';
+
+const db = useFakeDb();
+
+let passkeys;
+beforeAll(async () => {
+  passkeys = await import('../../src/utils/passkeys.js');
+});
+
+const USER_ID = 42;
+
+/**
+ * user_passkeys row as savePasskey stores it
+ */
+const storedPasskey = (authenticator, overrides = {}) => ({
+  id: 1,
+  user_id: USER_ID,
+  credential_id: authenticator.credentialId,
+  public_key: authenticator.publicKeyPem,
+  algorithm: -7,
+  sign_count: 0,
+  user_handle: 'user-handle-1',
+  ...overrides
+});
+
+describe('verifyRegistrationResponse', () => {
+  test('accepts an ES256 credential and returns its key', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('register', USER_ID);
+
+    const result = passkeys.verifyRegistrationResponse(authenticator.register(challenge), USER_ID);
+
+    expect(result).toMatchObject({
+      credentialId: authenticator.credentialId,
+      algorithm: -7,
+      signCount: 0,
+      backedUp: true,
+      transports: ['internal', 'hybrid'],
+      challenge
+    });
+    expect(result.publicKey).toBe(authenticator.publicKeyPem);
+  });
+
+  test('accepts an EdDSA credential', () => {
+    const authenticator = createAuthenticator({ algorithm: -8 });
+    const challenge = passkeys.createPasskeyChallenge('register', USER_ID);
+
+    expect(passkeys.verifyRegistrationResponse(authenticator.register(challenge), USER_ID).algorithm).toBe(-8);
+  });
+
+  test('rejects a challenge issued to another user', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('register', USER_ID + 1);
+
+    expect(() => passkeys.verifyRegistrationResponse(authenticator.register(challenge), USER_ID))
+      .toThrow('Passkey challenge expired or invalid');
+  });
+
+  test('rejects a sign-in challenge', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('login');
+
+    expect(() => passkeys.verifyRegistrationResponse(authenticator.register(challenge), USER_ID))
+      .toThrow('Passkey challenge expired or invalid');
+  });
+
+  test('rejects an expired challenge', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('register', USER_ID);
+    const credential = authenticator.register(challenge);
+
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 6 * 60 * 1000);
+    try {
+      expect(() => passkeys.verifyRegistrationResponse(credential, USER_ID)).toThrow('Passkey challenge expired or invalid');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('rejects an origin that is not allowed', () => {
+    const authenticator = createAuthenticator({ origin: 'https://evil.example' });
+    const challenge = passkeys.createPasskeyChallenge('register', USER_ID);
+
+    expect(() => passkeys.verifyRegistrationResponse(authenticator.register(challenge), USER_ID))
+      .toThrow('Passkey origin not allowed');
+  });
+
+  test('rejects a credential created for another site', () => {
+    const authenticator = createAuthenticator({ rpId: 'evil.example' });
+    const challenge = passkeys.createPasskeyChallenge('register', USER_ID);
+
+    expect(() => passkeys.verifyRegistrationResponse(authenticator.register(challenge), USER_ID))
+      .toThrow('Passkey was created for another site');
+  });
+
+  test('rejects a sign-in response sent as a registration', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('register', USER_ID);
+
+    expect(() => passkeys.verifyRegistrationResponse(authenticator.register(challenge, { type: 'webauthn.get' }), USER_ID))
+      .toThrow('Unexpected WebAuthn ceremony type');
+  });
+
+  test('rejects a credential ID that does not match the attested one', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('register', USER_ID);
+
+    expect(() => passkeys.verifyRegistrationResponse(authenticator.register(challenge, { id: 'c29tZW9uZS1lbHNl' }), USER_ID))
+      .toThrow('Credential ID mismatch');
+  });
+
+  test('requires user presence', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('register', USER_ID);
+    const credential = authenticator.register(challenge, { flags: 0x40 | FLAG_USER_VERIFIED });
+
+    expect(() => passkeys.verifyRegistrationResponse(credential, USER_ID)).toThrow('User presence is required');
+  });
+
+  test('rejects a response without an attestation object with a 400 error', () => {
+    let error;
+    try {
+      passkeys.verifyRegistrationResponse({ id: 'abc', response: { clientDataJSON: 'e30' } }, USER_ID);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.statusCode).toBe(400);
+  });
+});
+
+describe('verifyAuthenticationResponse', () => {
+  test('accepts a signature from the stored key', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('login');
+
+    const result = passkeys.verifyAuthenticationResponse(authenticator.authenticate(challenge), storedPasskey(authenticator));
+
+    expect(result).toEqual({ signCount: 1, userVerified: true, backedUp: false, challenge });
+  });
+
+  test('accepts an EdDSA signature', () => {
+    const authenticator = createAuthenticator({ algorithm: -8 });
+    const challenge = passkeys.createPasskeyChallenge('login');
+
+    const result = passkeys.verifyAuthenticationResponse(
+      authenticator.authenticate(challenge),
+      storedPasskey(authenticator, { algorithm: -8 })
+    );
+    expect(result.signCount).toBe(1);
+  });
+
+  test('accepts synced passkeys that always report a zero counter', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('login');
+
+    const result = passkeys.verifyAuthenticationResponse(authenticator.authenticate(challenge, { signCount: 0 }), storedPasskey(authenticator));
+    expect(result.signCount).toBe(0);
+  });
+
+  test('rejects a signature from another key', () => {
+    const authenticator = createAuthenticator();
+    const other = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('login');
+
+    expect(() => passkeys.verifyAuthenticationResponse(authenticator.authenticate(challenge), storedPasskey(other)))
+      .toThrow('Invalid passkey signature');
+  });
+
+  test('rejects a malformed signature', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('login');
+    const credential = authenticator.authenticate(challenge, { signature: Buffer.from('not a signature') });
+
+    expect(() => passkeys.verifyAuthenticationResponse(credential, storedPasskey(authenticator)))
+      .toThrow('Invalid passkey signature');
+  });
+
+  test('rejects a counter that did not move forward', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('login');
+    const credential = authenticator.authenticate(challenge, { signCount: 5 });
+
+    expect(() => passkeys.verifyAuthenticationResponse(credential, storedPasskey(authenticator, { sign_count: 5 })))
+      .toThrow('Passkey signature counter did not increase');
+  });
+
+  test('rejects a passkey of another account', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('login');
+    const credential = authenticator.authenticate(challenge, { userHandle: 'someone-else' });
+
+    expect(() => passkeys.verifyAuthenticationResponse(credential, storedPasskey(authenticator)))
+      .toThrow('Passkey does not belong to this account');
+  });
+
+  test('rejects a registration challenge', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('register', USER_ID);
+
+    expect(() => passkeys.verifyAuthenticationResponse(authenticator.authenticate(challenge), storedPasskey(authenticator)))
+      .toThrow('Passkey challenge expired or invalid');
+  });
+
+  test('rejects an origin that is not allowed', () => {
+    const authenticator = createAuthenticator();
+    const challenge = passkeys.createPasskeyChallenge('login');
+    const credential = authenticator.authenticate(challenge, { origin: 'https://evil.example' });
+
+    expect(() => passkeys.verifyAuthenticationResponse(credential, storedPasskey(authenticator)))
+      .toThrow('Passkey origin not allowed');
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, test, expect, beforeAll, afterEach } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+
+const db = useFakeDb();
+
+let providers;
+beforeAll(async () => {
+  providers = await import('../../src/utils/paymentProviders.js');
+});
+
+afterEach(() => {
+  delete process.env.PAYMENT_PROVIDER;
+});
+
+const stripeLike = {
+  name: 'stripe',
+  createPayment: async () => ({ status: 'pending', providerReference: 'pi_1', checkoutUrl: 'https://pay.example/1' }),
+  verifyPayment: async () => ({ status: 'completed', providerReference: 'pi_1' })
+};
+
+describe('getPaymentProvider', () => {
+  test('refuses top-ups when no provider is configured', () => {
+    expect(() => providers.getPaymentProvider()).toThrow(expect.objectContaining({ statusCode: 503 }));
+  });
+
+  test('never falls back to the fake provider', () => {
+    process.env.PAYMENT_PROVIDER = 'missing';
+    expect(() => providers.getPaymentProvider()).toThrow(expect.objectContaining({ statusCode: 503 }));
+    expect(() => providers.getPaymentProvider('fake')).toThrow(expect.objectContaining({ statusCode: 503 }));
+    expect(providers.isFakePaymentProviderEnabled()).toBe(false);
+  });
+
+  test('uses the fake provider only when PAYMENT_PROVIDER selects it', async () => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+
+    const provider = providers.getPaymentProvider();
+    expect(provider.name).toBe('fake');
+    expect(providers.isFakePaymentProviderEnabled()).toBe(true);
+
+    await expect(provider.createPayment({ reference: 'wallet_1', amount: 10, metadata: { simulate: 'failed' } }))
+      .resolves.toMatchObject({ status: providers.PAYMENT_STATUS.FAILED });
+    await expect(provider.createPayment({ reference: 'wallet_1', amount: 10, metadata: { simulate: 'pending' } }))
+      .resolves.toMatchObject({ status: providers.PAYMENT_STATUS.PENDING, checkoutUrl: '/wallet/topup/wallet_1/confirm' });
+  });
+
+  test('resolves a registered provider', () => {
+    providers.registerPaymentProvider(stripeLike);
+    process.env.PAYMENT_PROVIDER = 'stripe';
+    expect(providers.getPaymentProvider()).toBe(stripeLike);
+  });
+
+  test('rejects a provider without the interface', () => {
+    expect(() => providers.registerPaymentProvider({ name: 'broken' })).toThrow('Payment provider must implement');
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { BatchWriteCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { useFakeSessions } from '../fixtures/sessions.js';
+
+const db = useFakeDb();
+const sessions = useFakeSessions({ pageSize: 10 });
+
+let privacy;
+beforeAll(async () => {
+  privacy = await import('../../src/utils/privacy_security.js');
+});
+
+const USER_ID = '5';
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * One login: its live token plus rotated predecessors
+ */
+const putFamily = (familyId, rotated, { createdAt = new Date().toISOString() } = {}) => {
+  for (let i = 0; i < rotated; i += 1) {
+    sessions.put({ token: `${familyId}-old-${i}`, userId: USER_ID, familyId, rotatedAt: new Date().toISOString() });
+  }
+  sessions.put({ token: `${familyId}-live`, userId: USER_ID, familyId, createdAt, app: 'BingeMe/2.1 (iPhone; iOS 17.4)' });
+};
+
+const calls = (Command) => sessions.send.mock.calls.filter(([command]) => command instanceof Command);
+
+describe('getUserSessionList', () => {
+  test('lists one session per login from every page, newest first, without rotated or expired tokens', async () => {
+    putFamily('family-a', 12, { createdAt: new Date(Date.now() - HOUR_MS).toISOString() });
+    putFamily('family-b', 12);
+    sessions.put({ token: 'expired', userId: USER_ID, familyId: 'family-c', expires_at: Math.floor(Date.now() / 1000) - 60 });
+
+    const list = await privacy.getUserSessionList(USER_ID, 'family-a');
+
+    expect(calls(QueryCommand).length).toBeGreaterThan(1);
+    expect(list.map(session => [session.id, session.current])).toEqual([['family-a', true], ['family-b', false]]);
+  });
+});
+
+describe('revokeUserSession', () => {
+  test('deletes every token of the login in batches of 25', async () => {
+    putFamily('family-a', 29);
+    putFamily('family-b', 2);
+
+    const revoked = await privacy.revokeUserSession(USER_ID, 'family-a');
+
+    expect(revoked).toBe(30);
+    expect(calls(BatchWriteCommand).map(([command]) => Object.values(command.input.RequestItems)[0].length)).toEqual([25, 5]);
+    expect(sessions.byUser(USER_ID).every(item => item.familyId === 'family-b')).toBe(true);
+    expect(sessions.byUser(USER_ID)).toHaveLength(3);
+  });
+
+  test('retries deletes DynamoDB leaves unprocessed', async () => {
+    putFamily('family-a', 9);
+    const fakeSend = sessions.send.getMockImplementation();
+    let throttled = false;
+    // The first batch only gets through 6 deletes
+    sessions.send.mockImplementation(async (command) => {
+      if (!(command instanceof BatchWriteCommand) || throttled) return fakeSend(command);
+      throttled = true;
+      const [[table, requests]] = Object.entries(command.input.RequestItems);
+      await fakeSend(new BatchWriteCommand({ RequestItems: { [table]: requests.slice(0, 6) } }));
+      return { UnprocessedItems: { [table]: requests.slice(6) } };
+    });
+
+    try {
+      expect(await privacy.revokeUserSession(USER_ID, 'family-a')).toBe(10);
+    } finally {
+      sessions.send.mockImplementation(fakeSend);
+    }
+    expect(calls(BatchWriteCommand).map(([command]) => Object.values(command.input.RequestItems)[0].length)).toEqual([10, 4]);
+    expect(sessions.byUser(USER_ID)).toHaveLength(0);
+  });
+
+  test('revokes nothing for an unknown session', async () => {
+    putFamily('family-a', 1);
+
+    expect(await privacy.revokeUserSession(USER_ID, 'family-x')).toBe(0);
+    expect(calls(BatchWriteCommand)).toHaveLength(0);
+    expect(sessions.byUser(USER_ID)).toHaveLength(2);
+  });
+});
+
+describe('clearUserSessions', () => {
+  test('deletes every refresh token of the user', async () => {
+    putFamily('family-a', 20);
+    putFamily('family-b', 20);
+    sessions.put({ token: 'someone-else', userId: '6', familyId: 'family-z' });
+    db.route(/DELETE FROM sessions/, { affectedRows: 0 });
+
+    const result = await privacy.clearUserSessions(USER_ID);
+
+    expect(result).toMatchObject({ success: true, dynamoDeleted: 42, mysqlDeleted: 0 });
+    expect(sessions.byUser(USER_ID)).toHaveLength(0);
+    expect(sessions.byUser('6')).toHaveLength(1);
+  });
+});
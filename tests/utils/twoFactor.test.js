@@ -0,0 +1,116 @@
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import crypto from 'crypto';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { RFC_SECRET, totpCode } from '../fixtures/totp.js';
+
+const db = useFakeDb();
+
+let twoFactor;
+let common;
+beforeAll(async () => {
+  twoFactor = await import('../../src/utils/twoFactor.js');
+  common = await import('../../src/utils/common.js');
+});
+
+const USER_ID = 5;
+
+/**
+ * Start an enrolment and return the secret with the user_two_factor row it stored
+ */
+const enrol = async ({ confirmed = true } = {}) => {
+  const { secret } = await twoFactor.startTwoFactorEnrolment(USER_ID, 'fan@example.com');
+  const [{ params }] = db.find(/INSERT INTO user_two_factor \(/);
+  const row = { user_id: USER_ID, secret: params[1], confirmed_at: confirmed ? new Date() : null, last_used_step: null };
+  db.route(/FROM user_two_factor WHERE user_id = \?/, [row]);
+  return { secret, row };
+};
+
+describe('verifyTotp', () => {
+  test('matches the RFC 6238 test vector within one step of clock drift', () => {
+    expect(twoFactor.verifyTotp(RFC_SECRET, '287082', 59 * 1000)).toBe(1);
+    expect(twoFactor.verifyTotp(RFC_SECRET, '287 082', 89 * 1000)).toBe(1);
+    expect(twoFactor.verifyTotp(RFC_SECRET, '287082', 119 * 1000)).toBeNull();
+    expect(twoFactor.verifyTotp(RFC_SECRET, '081804', 1111111109 * 1000)).toBe(37037036);
+    expect(twoFactor.verifyTotp(RFC_SECRET, '28708a', 59 * 1000)).toBeNull();
+  });
+});
+
+describe('startTwoFactorEnrolment', () => {
+  test('stores the secret encrypted and returns it as an otpauth URI', async () => {
+    const { secret, row } = await enrol({ confirmed: false });
+
+    expect(row.secret).not.toContain(secret);
+    const uri = new URL((await twoFactor.startTwoFactorEnrolment(USER_ID, 'fan@example.com')).otpauth_uri);
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.searchParams.get('digits')).toBe('6');
+  });
+});
+
+describe('confirmTwoFactorEnrolment', () => {
+  test('enables 2FA with a valid code and stores only hashes of the backup codes', async () => {
+    const { secret } = await enrol({ confirmed: false });
+
+    const backupCodes = await twoFactor.confirmTwoFactorEnrolment(USER_ID, totpCode(secret));
+
+    expect(backupCodes).toHaveLength(10);
+    expect(db.connections[0].committed).toBe(true);
+    const [{ params: [rows] }] = db.find(/INSERT INTO user_two_factor_backup_codes/);
+    const hash = crypto.createHash('sha256').update(backupCodes[0].replace('-', '')).digest('hex');
+    expect(rows.map(([, codeHash]) => codeHash)).toContain(hash);
+    expect(JSON.stringify(rows)).not.toContain(backupCodes[0]);
+  });
+
+  test('leaves 2FA off for a wrong code', async () => {
+    const { secret } = await enrol({ confirmed: false });
+    const wrongCode = totpCode(secret, Date.now() + 5 * 60 * 1000);
+
+    expect(await twoFactor.confirmTwoFactorEnrolment(USER_ID, wrongCode)).toBeNull();
+    expect(db.connections).toHaveLength(0);
+  });
+});
+
+describe('verifyTwoFactorCode', () => {
+  test('accepts a TOTP code once', async () => {
+    const { secret } = await enrol();
+    let lastUsedStep = null;
+    db.route(/UPDATE user_two_factor SET last_used_step/, ([step]) => {
+      if (lastUsedStep !== null && lastUsedStep >= step) return { affectedRows: 0 };
+      lastUsedStep = step;
+      return { affectedRows: 1 };
+    });
+    const code = totpCode(secret);
+
+    expect(await twoFactor.verifyTwoFactorCode(USER_ID, { code })).toBe('totp');
+    expect(await twoFactor.verifyTwoFactorCode(USER_ID, { code })).toBeNull();
+    const [{ params }] = db.find(/UPDATE user_two_factor SET last_used_step/);
+    expect(params).toEqual([lastUsedStep, USER_ID, lastUsedStep]);
+  });
+
+  test('burns a backup code, ignoring case and dashes', async () => {
+    await enrol();
+    db.route(/UPDATE user_two_factor_backup_codes/, { affectedRows: 1 });
+
+    expect(await twoFactor.verifyTwoFactorCode(USER_ID, { backupCode: 'abcd-2345' })).toBe('backup_code');
+    const [{ sql, params }] = db.find(/UPDATE user_two_factor_backup_codes/);
+    expect(sql).toMatch(/used_at IS NULL/);
+    expect(params).toEqual([USER_ID, crypto.createHash('sha256').update('ABCD2345').digest('hex')]);
+  });
+
+  test('rejects codes while the enrolment is still pending', async () => {
+    const { secret } = await enrol({ confirmed: false });
+
+    expect(await twoFactor.verifyTwoFactorCode(USER_ID, { code: totpCode(secret) })).toBeNull();
+    expect(db.find(/UPDATE user_two_factor/)).toHaveLength(0);
+  });
+});
+
+describe('verifyTwoFactorChallenge', () => {
+  test('accepts only challenges it issued', () => {
+    const { challenge } = twoFactor.createTwoFactorChallenge(USER_ID, 'password');
+    const accessToken = common.generateAccessToken({ id: USER_ID, role: 'user', isAnonymous: false });
+
+    expect(twoFactor.verifyTwoFactorChallenge(challenge)).toEqual({ userId: USER_ID, method: 'password' });
+    expect(twoFactor.verifyTwoFactorChallenge(accessToken)).toBeNull();
+    expect(twoFactor.verifyTwoFactorChallenge(`${challenge}x`)).toBeNull();
+  });
+});
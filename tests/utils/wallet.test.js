@@ -0,0 +1,192 @@
+import { jest, describe, test, expect, beforeAll } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { routeWalletPayments } from '../fixtures/money.js';
+
+const db = useFakeDb();
+
+let wallet;
+beforeAll(async () => {
+  wallet = await import('../../src/utils/wallet.js');
+});
+
+const PAYER_ID = 7;
+const CREATOR = { id: 3, custom_fee: 0 };
+
+describe('calculateEarnings', () => {
+  test('uses the admin commission when the creator has no custom fee', () => {
+    expect(wallet.calculateEarnings({ custom_fee: 0 }, 10, { fee_commission: '20' }))
+      .toEqual({ percentage: 20, earningNetUser: 8, earningNetAdmin: 2 });
+  });
+
+  test('prefers the creator custom fee', () => {
+    expect(wallet.calculateEarnings({ custom_fee: 10 }, 9.99, { fee_commission: '20' }))
+      .toEqual({ percentage: 10, earningNetUser: 8.99, earningNetAdmin: 1 });
+  });
+});
+
+describe('processWalletPayment', () => {
+  test('debits the payer, records the transaction and credits the creator in one transaction', async () => {
+    const state = routeWalletPayments(db, { balance: 25 });
+
+    const payment = await wallet.processWalletPayment({ payerId: PAYER_ID, creator: CREATOR, amount: 10, type: 'ppv', refId: 99 });
+
+    expect(payment).toMatchObject({ transactionId: 500, amount: 10, earningNetUser: 8, earningNetAdmin: 2 });
+    expect(state.wallet).toBe(15);
+
+    const [conn] = db.connections;
+    expect(conn.committed).toBe(true);
+    expect(conn.released).toBe(true);
+
+    const [transaction] = db.find(/INSERT INTO transactions/);
+    expect(transaction.source).toBe(conn);
+    expect(transaction.params).toEqual(expect.arrayContaining([PAYER_ID, CREATOR.id, 10, 8, 2, 'Wallet', 'ppv', '1', '20%', 99]));
+
+    const [earning] = db.find(/INSERT INTO creator_earnings/);
+    expect(earning.params).toEqual([CREATOR.id, 500, 'ppv', 8]);
+    const [balanceRow] = db.find(/INSERT INTO user_balance/);
+    expect(balanceRow.sql).toMatch(/'creator', 'credit', \?, 'transaction'/);
+    expect(balanceRow.params).toEqual([CREATOR.id, 8, 500]);
+  });
+
+  test('fails with 402 and rolls back when the wallet is short', async () => {
+    const state = routeWalletPayments(db, { balance: 5 });
+
+    await expect(wallet.processWalletPayment({ payerId: PAYER_ID, creator: CREATOR, amount: 10, type: 'ppv' }))
+      .rejects.toMatchObject({ statusCode: 402, message: 'Insufficient wallet balance' });
+
+    expect(state.wallet).toBe(5);
+    expect(db.connections[0].rolledBack).toBe(true);
+    expect(db.connections[0].committed).toBe(false);
+    expect(db.find(/INSERT INTO transactions/)).toHaveLength(0);
+  });
+
+  test('a purchase claim rejected by onBeforeDebit moves no money', async () => {
+    const state = routeWalletPayments(db, { balance: 50 });
+    const onBeforeDebit = jest.fn(async () => {
+      throw wallet.walletError(409, 'Message already unlocked');
+    });
+
+    await expect(wallet.processWalletPayment({ payerId: PAYER_ID, creator: CREATOR, amount: 10, type: 'ppv', onBeforeDebit }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    expect(onBeforeDebit).toHaveBeenCalledWith(db.connections[0]);
+    expect(state.wallet).toBe(50);
+    expect(db.find(/UPDATE users SET wallet/)).toHaveLength(0);
+    expect(db.connections[0].rolledBack).toBe(true);
+  });
+
+  test('claims the purchase on the payment connection before the debit', async () => {
+    routeWalletPayments(db, { balance: 50 });
+    const onBeforeDebit = jest.fn(async (conn) => {
+      await conn.query('INSERT INTO pay_per_views (user_id, messages_id) VALUES (?, ?)', [PAYER_ID, 99]);
+    });
+
+    await wallet.processWalletPayment({ payerId: PAYER_ID, creator: CREATOR, amount: 10, type: 'ppv', onBeforeDebit });
+
+    const order = db.queries.map(query => query.sql);
+    const claimIndex = order.findIndex(sql => /pay_per_views/.test(sql));
+    const debitIndex = order.findIndex(sql => /wallet = wallet - \?/.test(sql));
+    expect(claimIndex).toBeGreaterThan(-1);
+    expect(claimIndex).toBeLessThan(debitIndex);
+    expect(db.find(/pay_per_views/)[0].source).toBe(db.connections[0]);
+  });
+
+  test('a failing onBeforeCommit hook rolls the debit back', async () => {
+    routeWalletPayments(db, { balance: 50 });
+
+    await expect(wallet.processWalletPayment({
+      payerId: PAYER_ID,
+      creator: CREATOR,
+      amount: 10,
+      type: 'ppv',
+      onBeforeCommit: async () => { throw new Error('boom'); }
+    })).rejects.toThrow('boom');
+
+    expect(db.connections[0].committed).toBe(false);
+    expect(db.connections[0].rolledBack).toBe(true);
+  });
+
+  test('held payments record the transaction without crediting the creator', async () => {
+    routeWalletPayments(db, { balance: 50 });
+
+    await wallet.processWalletPayment({ payerId: PAYER_ID, creator: CREATOR, amount: 10, type: 'purchase', holdEarnings: true });
+
+    expect(db.find(/INSERT INTO transactions/)[0].params).toContain('0');
+    expect(db.find(/INSERT INTO creator_earnings/)).toHaveLength(0);
+    expect(db.find(/INSERT INTO user_balance/)).toHaveLength(0);
+  });
+
+  test('rejects a non-positive amount before opening a transaction', async () => {
+    await expect(wallet.processWalletPayment({ payerId: PAYER_ID, creator: CREATOR, amount: 0, type: 'ppv' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(db.connections).toHaveLength(0);
+  });
+});
+
+describe('refundWalletPayment', () => {
+  const original = { id: 10, user_id: PAYER_ID, subscribed: CREATOR.id, amount: '10.00', earning_net_user: '8.00', live_id: null };
+
+  test('returns the money and reverses a credited earning', async () => {
+    const state = routeWalletPayments(db, { balance: 0, transactions: { 10: { ...original, approved: '1' } } });
+    const conn = await db.pool.getConnection();
+
+    const refund = await wallet.refundWalletPayment(conn, 10);
+
+    expect(refund).toMatchObject({ amount: 10, userId: PAYER_ID, creatorId: CREATOR.id });
+    expect(state.wallet).toBe(10);
+    expect(db.find(/UPDATE transactions SET approved = "2"/)).toHaveLength(1);
+    const [reversal] = db.find(/INSERT INTO user_balance/);
+    expect(reversal.sql).toMatch(/'creator', 'debit', \?, 'transaction'/);
+    expect(reversal.params).toEqual([CREATOR.id, 8, 10]);
+  });
+
+  test('does not debit the creator for a held payment', async () => {
+    routeWalletPayments(db, { balance: 0, transactions: { 10: { ...original, approved: '0' } } });
+    const conn = await db.pool.getConnection();
+
+    await wallet.refundWalletPayment(conn, 10);
+
+    expect(db.find(/INSERT INTO user_balance/)).toHaveLength(0);
+  });
+
+  test('refuses to refund twice', async () => {
+    const state = routeWalletPayments(db, { balance: 0, transactions: { 10: { ...original, approved: '2' } } });
+    const conn = await db.pool.getConnection();
+
+    await expect(wallet.refundWalletPayment(conn, 10)).rejects.toMatchObject({ statusCode: 409 });
+    expect(state.wallet).toBe(0);
+  });
+});
+
+describe('settleDeposit', () => {
+  const deposit = { id: 20, txn_id: 'wallet_abc', user_id: PAYER_ID, amount: '25.00', type: 'deposit' };
+
+  test('credits the wallet once for a completed top-up', async () => {
+    const state = routeWalletPayments(db, { balance: 0, transactions: { 20: { ...deposit, approved: '0' } } });
+
+    const result = await wallet.settleDeposit(20, true);
+
+    expect(result).toMatchObject({ approved: '1', settled: true, amount: 25 });
+    expect(state.wallet).toBe(25);
+    expect(db.connections[0].committed).toBe(true);
+  });
+
+  test('leaves an already settled top-up untouched when the callback repeats', async () => {
+    const state = routeWalletPayments(db, { balance: 25, transactions: { 20: { ...deposit, approved: '1' } } });
+
+    const result = await wallet.settleDeposit(20, true);
+
+    expect(result).toMatchObject({ approved: '1', settled: false });
+    expect(state.wallet).toBe(25);
+    expect(db.find(/^UPDATE/)).toHaveLength(0);
+  });
+
+  test('closes a failed top-up without a credit', async () => {
+    const state = routeWalletPayments(db, { balance: 0, transactions: { 20: { ...deposit, approved: '0' } } });
+
+    const result = await wallet.settleDeposit(20, false);
+
+    expect(result).toMatchObject({ approved: '2', settled: true });
+    expect(state.wallet).toBe(0);
+  });
+});
@@ -0,0 +1,160 @@
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+import { useFakeDb } from '../helpers/fakeDb.js';
+import { routeWalletPayments } from '../fixtures/money.js';
+
+const db = useFakeDb();
+
+const FAN_ID = 7;
+const CREATOR = { id: 3, username: 'creator', name: 'Creator', status: 'active', custom_fee: 0 };
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * A due auto-renewing monthly subscription as getDueSubscriptionRenewals returns it
+ */
+const dueSubscription = (overrides = {}) => ({
+  id: 70, subscriber_id: FAN_ID, creator_id: CREATOR.id, plan_id: 31, status: 'active', interval: 'monthly',
+  ends_at: new Date(Date.now() - HOUR), auto_renew: 1, free: 'no', renewal_attempts: 0, next_retry_at: null,
+  price: '10.00', plan_status: '1', grace_ends_at: new Date(Date.now() + 3 * DAY),
+  ...overrides
+});
+
+/**
+ * Fixture DB: the due and ended subscriptions of one pass and the wallet of the fan.
+ * With stillDue false, the renewal lock finds the row already renewed by another pass.
+ */
+const seed = ({ due = [], ended = [], balance = 50, stillDue = true } = {}) => {
+  const state = routeWalletPayments(db, { balance });
+  state.payments = [];
+  db.route(/FROM subscriptions s\s+LEFT JOIN plans p/, due)
+    .route(/SELECT \* FROM subscriptions\s+WHERE free = "no"/, ended)
+    .route(/SELECT \* FROM subscriptions\s+WHERE id = \?/, ([id]) => (stillDue ? due.filter(row => row.id === id) : []))
+    .route(/SELECT \* FROM users WHERE id = \?/, ([id]) => (id === CREATOR.id ? [CREATOR] : []))
+    .route(/INSERT INTO subscription_payments/, ([subscriptionId, subscriberId, creatorId, transactionId, amount, status, periodStart, periodEnd]) => {
+      state.payments.push({ subscriptionId, subscriberId, creatorId, transactionId, amount, status, periodStart, periodEnd });
+      return { insertId: 900 + state.payments.length, affectedRows: 1 };
+    });
+  return state;
+};
+
+/**
+ * Import the worker, which runs one pass and exits, and wait for the exit code
+ */
+const runPass = async () => {
+  jest.resetModules();
+  const exited = new Promise(resolve => {
+    jest.spyOn(process, 'exit').mockImplementation(code => resolve(code));
+  });
+  await import('../../src/workers/subscriptionWorker.js');
+  return exited;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+// Notification types sent, in order, as [user_id, type]
+const notifications = () => db.find(/INSERT INTO notifications/).map(({ params }) => [params[0], params[2]]);
+
+describe('subscription renewals', () => {
+  test('charges the plan, moves the subscription to its next period and records the payment', async () => {
+    const subscription = dueSubscription();
+    const state = seed({ due: [subscription] });
+
+    expect(await runPass()).toBe(0);
+
+    expect(state.wallet).toBe(40);
+    const [conn] = db.connections;
+    expect(conn.committed).toBe(true);
+    const [extend] = db.find(/UPDATE subscriptions SET ends_at = \?/);
+    expect(extend.source).toBe(conn);
+    expect(extend.params[0].getTime()).toBeGreaterThan(subscription.ends_at.getTime());
+    expect(state.payments).toEqual([expect.objectContaining({
+      subscriptionId: 70, transactionId: 500, amount: 10, status: 'completed', periodStart: subscription.ends_at, periodEnd: extend.params[0]
+    })]);
+    expect(notifications()).toEqual([[CREATOR.id, '12'], [FAN_ID, '36']]);
+  });
+
+  test('does not charge a subscription another pass already renewed', async () => {
+    const state = seed({ due: [dueSubscription()], stillDue: false });
+
+    expect(await runPass()).toBe(0);
+
+    // The fake DB does not undo the debit; the rollback is what refunds it
+    expect(db.connections[0]).toMatchObject({ committed: false, rolledBack: true });
+    expect(state.payments).toHaveLength(0);
+    expect(notifications()).toEqual([]);
+  });
+
+  test('keeps access during the grace period and schedules a retry when the wallet is short', async () => {
+    const subscription = dueSubscription();
+    const state = seed({ due: [subscription], balance: 5 });
+
+    expect(await runPass()).toBe(0);
+
+    expect(state.wallet).toBe(5);
+    expect(state.payments).toEqual([expect.objectContaining({ subscriptionId: 70, transactionId: null, amount: 10, status: 'failed' })]);
+    expect(db.find(/status = "expired"/)).toHaveLength(0);
+    const [retry] = db.find(/SET renewal_attempts = renewal_attempts \+ 1/);
+    expect(retry.params[1]).toBe(70);
+    expect(retry.params[0].getTime()).toBeGreaterThan(Date.now());
+    expect(retry.params[0].getTime()).toBeLessThanOrEqual(subscription.grace_ends_at.getTime());
+    expect(notifications()).toEqual([[FAN_ID, '37'], [CREATOR.id, '41']]);
+  });
+
+  test('never schedules a retry after the grace period ends', async () => {
+    const graceEndsAt = new Date(Date.now() + HOUR);
+    seed({ due: [dueSubscription({ grace_ends_at: graceEndsAt })], balance: 5 });
+
+    await runPass();
+
+    const [retry] = db.find(/SET renewal_attempts = renewal_attempts \+ 1/);
+    expect(retry.params[0].getTime()).toBe(graceEndsAt.getTime());
+  });
+
+  test('notifies about a failed renewal only on the first attempt', async () => {
+    seed({ due: [dueSubscription({ renewal_attempts: 2 })], balance: 5 });
+
+    await runPass();
+
+    expect(db.find(/SET renewal_attempts = renewal_attempts \+ 1/)).toHaveLength(1);
+    expect(notifications()).toEqual([]);
+  });
+
+  test('expires the subscription when the grace period is over', async () => {
+    const state = seed({ due: [dueSubscription({ renewal_attempts: 4, grace_ends_at: new Date(Date.now() - HOUR) })], balance: 5 });
+
+    expect(await runPass()).toBe(0);
+
+    expect(state.payments).toEqual([expect.objectContaining({ status: 'failed' })]);
+    expect(db.find(/status = "expired"/)[0].params).toEqual([70]);
+    expect(db.find(/SET renewal_attempts = renewal_attempts \+ 1/)).toHaveLength(0);
+    expect(notifications()).toEqual([[FAN_ID, '38'], [CREATOR.id, '42']]);
+  });
+
+  test('expires without charging when the plan is no longer available', async () => {
+    const state = seed({ due: [dueSubscription({ plan_status: '0' })] });
+
+    expect(await runPass()).toBe(0);
+
+    expect(state.wallet).toBe(50);
+    expect(db.connections).toHaveLength(0);
+    expect(JSON.parse(db.find(/INSERT INTO notifications/)[0].params[7])).toEqual({ reason: 'plan_unavailable' });
+    expect(notifications()).toEqual([[FAN_ID, '38'], [CREATOR.id, '42']]);
+  });
+});
+
+describe('ended subscriptions', () => {
+  test('expires cancelled subscriptions and those with auto-renew off', async () => {
+    seed({
+      ended: [
+        { id: 80, subscriber_id: FAN_ID, creator_id: CREATOR.id, status: 'cancelled', auto_renew: 0, free: 'no' },
+        { id: 81, subscriber_id: 8, creator_id: CREATOR.id, status: 'active', auto_renew: 0, free: 'no' }
+      ]
+    });
+
+    expect(await runPass()).toBe(0);
+
+    expect(db.find(/status = "expired"/).map(({ params }) => params[0])).toEqual([80, 81]);
+    expect(db.find(/INSERT INTO notifications/).map(({ params }) => JSON.parse(params[7]).reason))
+      .toEqual(['cancelled', 'cancelled', 'auto_renew_off', 'auto_renew_off']);
+  });
+});